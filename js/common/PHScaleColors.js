@@ -32,7 +32,26 @@ const PHScaleColors = {
 
   // base colors for molecules in 'ratio' view, alpha added later
   H3O_MOLECULES: new Color( 204, 0, 0 ),
-  OH_MOLECULES: new Color( 0, 0, 255 )
+  OH_MOLECULES: new Color( 0, 0, 255 ),
+
+  // curves in the speciation chart, ordered from most to least protonated species
+  SPECIES: [
+    new Color( 204, 0, 0 ),
+    new Color( 255, 153, 0 ),
+    new Color( 0, 153, 51 ),
+    new Color( 0, 0, 255 )
+  ],
+
+  // curves in the data logger, in the order that the channels for each quantity are recorded
+  LOGGED_PH: [
+    new Color( 0, 0, 0 ),
+    new Color( 164, 58, 149 )
+  ],
+  LOGGED_VOLUME: [
+    new Color( 0, 153, 51 ),
+    new Color( 255, 153, 0 ),
+    new Color( 20, 184, 238 )
+  ]
 };
 
 phScale.register( 'PHScaleColors', PHScaleColors );
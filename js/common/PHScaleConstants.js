@@ -46,10 +46,32 @@ const PHScaleConstants = {
   PH_RANGE: new RangeWithValue( -1, 15, 7 ),
   PH_METER_DECIMAL_PLACES: 2,
 
+  // temperature, in degrees Celsius
+  TEMPERATURE_RANGE: new Range( 0, 50 ),
+
   // volume
   VOLUME_DECIMAL_PLACES: 2,
   MIN_SOLUTION_VOLUME: 0.015,  // L, minimum non-zero volume for solution, so it's visible and measurable
 
+  // dropper, volumes of one drop in drop mode
+  DROP_VOLUMES: [ 0.00002, 0.00005, 0.0001 ], // L
+
+  // custom solutes, limited so that the solute combo box can have a fixed number of items for them
+  MAX_CUSTOM_SOLUTES: 20,
+
+  // dropper, molarities of stock solution that can be chosen, in addition to the solute's standard stock solution.
+  // Molarities that exceed a solute's solubility cannot be chosen for that solute, see Solute.getStockMolarities.
+  STOCK_MOLARITIES: [ 1, 0.1, 0.001 ], // mol/L
+
+  // balance, maximum concentration of a solid that is dissolved in the solution, in addition to the solid's solubility.
+  // The activity of ions is not modeled well in more concentrated solutions, see PHModel.computeActivityCoefficient.
+  MAX_DISSOLVED_MOLARITY: 1, // mol/L
+
+  // evaporation, in simulated time
+  EVAPORATION_RATE_RANGE: new RangeWithValue( 0, 0.001, 0.0005 ), // L/s
+  MIN_EVAPORATION_VOLUME: 0.1, // L, evaporation stops at this volume, so that solutes do not become unrealistically concentrated
+  TIME_LAPSE_FACTORS: [ 1, 10, 100 ], // how much faster simulated time runs than clock time
+
   // logarithmic graph
   LOGARITHMIC_EXPONENT_RANGE: new Range( -16, 2 ),
   LINEAR_EXPONENT_RANGE: new Range( -14, 1 ),
@@ -11,7 +11,7 @@ import phScale from '../phScale.js';
 
 const PHScaleQueryParameters = QueryStringMachine.getAll( {
 
-  // Whether to automatically fill the beaker each time the solute changes.
+  // Whether to automatically fill the beaker when the solute changes and the beaker is empty.
   // For external use.
   autofill: {
     type: 'boolean',
@@ -24,6 +24,15 @@ const PHScaleQueryParameters = QueryStringMachine.getAll( {
   showRatio: {
     type: 'flag',
     public: true
+  },
+
+  // Solutes that are available in the Macro and Micro screens, either a JSON array of solute descriptions, or the URL
+  // of a JSON file that contains such an array. See SoluteCatalog and doc/solute-catalog.md.
+  // For external use.
+  solutes: {
+    type: 'string',
+    defaultValue: null,
+    public: true
   }
 } );
 
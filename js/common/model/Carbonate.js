@@ -0,0 +1,33 @@
+// Copyright 2026, agent
+
+/**
+ * The carbonate system, H2CO3 <-> HCO3- <-> CO3 2-, where H2CO3 includes dissolved CO2. This is the acid-base system
+ * of bicarbonate solutions, and of CO2 that is dissolved from the air.
+ *
+ * @author agent
+ */
+
+import phScale from '../../phScale.js';
+
+const Carbonate = Object.freeze( {
+
+  // acid dissociation constants for successive deprotonations
+  Ka: Object.freeze( [ 4.5E-7, 4.7E-11 ] ),
+
+  // species, ordered from most to least protonated, see Solute options.species
+  species: Object.freeze( [
+    Object.freeze( { formula: 'H<sub>2</sub>CO<sub>3</sub>', tandemName: 'H2CO3' } ),
+    Object.freeze( { formula: 'HCO<sub>3</sub><sup>-</sup>', tandemName: 'HCO3' } ),
+    Object.freeze( { formula: 'CO<sub>3</sub><sup>2-</sup>', tandemName: 'CO3' } )
+  ] ),
+
+  // concentration of dissolved CO2 (mol/L) in equilibrium with the air, from Henry's law, [CO2] = KH * pCO2,
+  // where KH = 10^-1.47 mol/(L*atm) and pCO2 = 4.2E-4 atm. This gives pH = 5.6 for water that is open to the air.
+  equilibriumConcentration: Math.pow( 10, -1.47 ) * 4.2E-4,
+
+  // rate constant (1/sec) for the exchange of CO2 between the solution and the air, in simulated time
+  exchangeRate: 0.2
+} );
+
+phScale.register( 'Carbonate', Carbonate );
+export default Carbonate;
@@ -0,0 +1,83 @@
+// Copyright 2026, agent
+
+/**
+ * CustomSolute is a solute that is created at runtime, by the user in CustomSoluteDialog, or by a PhET-iO client.
+ * It is specified by a solute description, in the same format as the solute catalog (see SoluteCatalog and
+ * doc/solute-catalog.md), and is otherwise a fully-functional Solute.
+ *
+ * Custom solutes are PhET-iO dynamic elements of customSoluteGroup, so that they are recreated by PhET-iO state.
+ * Like all solutes, they are shared by the Macro and Micro screens.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import phScale from '../../phScale.js';
+import Solute from './Solute.js';
+import SoluteCatalog from './SoluteCatalog.js';
+
+class CustomSolute extends Solute {
+
+  /**
+   * @param {Object} description - solute description, see SoluteCatalog.parseDescription
+   * @param {Object} [options]
+   * @throws {Error} if the description is invalid
+   */
+  constructor( description, options ) {
+
+    const args = SoluteCatalog.parseDescription( description );
+
+    options = merge( {
+      description: description,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioType: CustomSolute.CustomSoluteIO,
+      phetioDynamicElement: true,
+      phetioState: true
+    }, args.options, options );
+
+    super( args.name, args.pH, args.stockColor, options );
+  }
+
+  /**
+   * Deserializes a reference to a solute that may have been deleted. A custom solute can be deleted while it is
+   * in a solution, so the solution's state may refer to a solute that no longer exists. In that case, an
+   * uninstrumented copy is created from the description in the state.
+   * @param {Object} stateObject - see SoluteIO.toStateObject
+   * @returns {Solute}
+   * @public
+   */
+  static fromSoluteStateObject( stateObject ) {
+    let solute;
+    if ( stateObject.description && !phet.phetio.phetioEngine.hasPhetioObject( stateObject.phetioID ) ) {
+      solute = new CustomSolute( stateObject.description, {
+        tandem: Tandem.OPT_OUT,
+        phetioDynamicElement: false
+      } );
+    }
+    else {
+      solute = Solute.SoluteIO.fromStateObject( stateObject );
+    }
+    return solute;
+  }
+}
+
+/**
+ * CustomSoluteIO handles PhET-iO serialization of CustomSolute. References to a custom solute are serialized like
+ * references to any other solute (see SoluteIO), and the state of a custom solute includes the description that is
+ * needed to recreate it.
+ * @public
+ */
+CustomSolute.CustomSoluteIO = new IOType( 'CustomSoluteIO', {
+  valueType: CustomSolute,
+  supertype: Solute.SoluteIO,
+  documentation: 'A solute that is created at runtime. The description is in the format of the solute catalog, ' +
+                 'see doc/solute-catalog.md.',
+  stateToArgsForConstructor: stateObject => [ stateObject.description ]
+} );
+
+phScale.register( 'CustomSolute', CustomSolute );
+export default CustomSolute;
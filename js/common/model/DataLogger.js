@@ -0,0 +1,131 @@
+// Copyright 2026, agent
+
+/**
+ * DataLogger records the values of a set of Properties over time, so that they can be plotted. Each Property that is
+ * recorded is a channel of the logger. Samples are taken at a fixed period of clock time, and are time-stamped with
+ * simulated time, so that processes that are sped up by time lapse are recorded at the rate that they happen in the
+ * sim. When the maximum number of samples has been recorded, the oldest samples are discarded.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import LoggedQuantity from './LoggedQuantity.js';
+
+class DataLogger {
+
+  /**
+   * @param {{name:string, property:Property.<number|null>, quantity:LoggedQuantity}[]} channels - the Properties that
+   *   are recorded, in the order that they are displayed. A null value is recorded when the quantity has no value,
+   *   e.g. when the pH meter is not in a solution.
+   * @param {Object} [options]
+   */
+  constructor( channels, options ) {
+    assert && assert( channels.length > 0, 'at least one channel is required' );
+    assert && assert( _.every( channels, channel => ( typeof channel.name === 'string' ) &&
+                                                    ( channel.property instanceof Property ) &&
+                                                    LoggedQuantity.includes( channel.quantity ) ), 'invalid channels' );
+
+    options = merge( {
+      samplePeriod: 0.1, // clock time between samples, in seconds
+      maxSamples: 6000, // the oldest samples are discarded when there are more than this many samples
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @public (read-only)
+    this.channels = channels;
+
+    // @private
+    this.samplePeriod = options.samplePeriod;
+    this.maxSamples = options.maxSamples;
+    this.timeSinceSample = 0; // clock time since the most recent sample, in seconds
+
+    // @public whether samples are being recorded
+    this.isRecordingProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'isRecordingProperty' ),
+      phetioDocumentation: 'whether the data logger is recording samples'
+    } );
+
+    // @public (read-only) simulated time that has elapsed while recording, since the logger was cleared
+    this.elapsedTimeProperty = new NumberProperty( 0, {
+      units: 's',
+      isValidValue: time => time >= 0,
+      tandem: options.tandem.createTandem( 'elapsedTimeProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'simulated time that has elapsed while recording, since the data logger was cleared',
+      phetioHighFrequency: true
+    } );
+
+    // @public (read-only) {{time:number, values:(number|null)[]}[]} the samples, in the order that they were recorded.
+    // time is the simulated time of the sample, in seconds. values are in the same order as channels.
+    this.samples = [];
+
+    // @public emits when samples are added or removed
+    this.samplesChangedEmitter = new Emitter();
+
+    this.recordSample();
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.isRecordingProperty.reset();
+    this.clear();
+  }
+
+  /**
+   * Discards all samples, and starts recording again at time zero.
+   * @public
+   */
+  clear() {
+    this.elapsedTimeProperty.reset();
+    this.timeSinceSample = 0;
+    this.samples = [];
+    this.recordSample();
+  }
+
+  /**
+   * Moves time forward by the specified amount, if the logger is recording.
+   * @param {number} deltaSeconds - clock time change, in seconds
+   * @param {number} [timeLapseFactor] - how much faster simulated time runs than clock time
+   * @public
+   */
+  step( deltaSeconds, timeLapseFactor = 1 ) {
+    assert && assert( timeLapseFactor > 0, `invalid timeLapseFactor: ${timeLapseFactor}` );
+    if ( this.isRecordingProperty.get() ) {
+      this.elapsedTimeProperty.set( this.elapsedTimeProperty.get() + timeLapseFactor * deltaSeconds );
+      this.timeSinceSample += deltaSeconds;
+      if ( this.timeSinceSample >= this.samplePeriod ) {
+        this.timeSinceSample = this.timeSinceSample % this.samplePeriod;
+        this.recordSample();
+      }
+    }
+  }
+
+  /**
+   * Records the values of all channels at the current time, discarding the oldest sample if there are too many.
+   * @private
+   */
+  recordSample() {
+    this.samples.push( {
+      time: this.elapsedTimeProperty.get(),
+      values: this.channels.map( channel => channel.property.get() )
+    } );
+    if ( this.samples.length > this.maxSamples ) {
+      this.samples.shift();
+    }
+    this.samplesChangedEmitter.emit();
+  }
+}
+
+phScale.register( 'DataLogger', DataLogger );
+export default DataLogger;
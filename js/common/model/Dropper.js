@@ -3,15 +3,26 @@
 /**
  * Model of the dropper, contains solute in solution form (stock solution).
  *
+ * The dropper has 2 modes. In continuous mode, solute flows out of the dropper at maxFlowRate while its button is
+ * pressed. In drop mode, each press of the button releases one drop of a fixed volume, and the drops are counted.
+ *
+ * The stock solution in the dropper is the solute's standard stock solution, or a stock solution of the solute at
+ * a molarity that is chosen by the user. The pH and color of the stock solution are derived from its molarity.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import phScale from '../../phScale.js';
+import PHScaleConstants from '../PHScaleConstants.js';
 import PHMovable from './PHMovable.js';
 import Solute from './Solute.js';
 
@@ -32,6 +43,9 @@ class Dropper extends PHMovable {
       enabled: true,
       empty: false,
       visible: true,
+      dropModeEnabled: false, // does the dropper release discrete drops?
+      dropVolume: PHScaleConstants.DROP_VOLUMES[ 1 ], // L, volume of one drop
+      stockMolarity: null, // mol/L, molarity of the stock solution, null for the solute's standard stock solution
 
       // phet-io
       tandem: Tandem.REQUIRED,
@@ -49,6 +63,41 @@ class Dropper extends PHMovable {
       phetioDocumentation: 'the solute dispensed by the dropper'
     } );
 
+    // @public molarity of the stock solution that is chosen by the user, null for the solute's standard stock solution.
+    // Which molarities can be chosen depends on the solute, see Solute.getStockMolarities.
+    this.stockMolarityProperty = new Property( options.stockMolarity, {
+      units: 'mol/L',
+      validValues: [ null, ...PHScaleConstants.STOCK_MOLARITIES ],
+      tandem: options.tandem.createTandem( 'stockMolarityProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( NumberIO ) ),
+      phetioDocumentation: 'molarity of the stock solution in the dropper, null for the standard stock solution of the solute'
+    } );
+
+    // @public molarity of the stock solution in the dropper. The molarity of a solute whose standard stock solution
+    // has no molarity (e.g. water) cannot be changed, and a stock solution cannot be more concentrated than the
+    // solute's solubility.
+    this.molarityProperty = new DerivedProperty( [ this.soluteProperty, this.stockMolarityProperty ],
+      ( solute, stockMolarity ) => solute.getStockMolarities().includes( stockMolarity ) ? stockMolarity : solute.molarity, {
+        units: 'mol/L',
+        tandem: options.tandem.createTandem( 'molarityProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'molarity of the stock solution in the dropper'
+      } );
+
+    // @public pH of the stock solution in the dropper
+    this.pHProperty = new DerivedProperty( [ this.soluteProperty, this.molarityProperty ],
+      ( solute, molarity ) => ( molarity === solute.molarity ) ? solute.pH : solute.computeStockPH( molarity ), {
+        tandem: options.tandem.createTandem( 'pHProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'pH of the stock solution in the dropper'
+      } );
+
+    // @public color of the stock solution in the dropper
+    this.colorProperty = new DerivedProperty( [ this.soluteProperty, this.molarityProperty ],
+      ( solute, molarity ) => ( molarity === solute.molarity ) ? solute.stockColor : solute.computeStockColor( molarity ), {
+        // DO NOT INSTRUMENT FOR PhET-iO
+      } );
+
     // @public
     this.isDispensingProperty = new BooleanProperty( options.dispensing, {
       tandem: options.tandem.createTandem( 'isDispensingProperty' ),
@@ -72,6 +121,34 @@ class Dropper extends PHMovable {
       phetioDocumentation: 'the flow rate of solute coming out of the dropper'
     } ); // L/sec
 
+    // @public
+    this.dropModeEnabledProperty = new BooleanProperty( options.dropModeEnabled, {
+      tandem: options.tandem.createTandem( 'dropModeEnabledProperty' ),
+      phetioDocumentation: 'whether each press of the button releases one drop, instead of a continuous flow'
+    } );
+
+    // @public
+    this.dropVolumeProperty = new NumberProperty( options.dropVolume, {
+      units: 'L',
+      validValues: PHScaleConstants.DROP_VOLUMES,
+      tandem: options.tandem.createTandem( 'dropVolumeProperty' ),
+      phetioDocumentation: 'the volume of one drop, in drop mode'
+    } );
+
+    // @public (read-only)
+    this.dropCountProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      isValidValue: value => ( value >= 0 ),
+      tandem: options.tandem.createTandem( 'dropCountProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'the number of drops that have been released since the count was last reset'
+    } );
+
+    // @public emits when a drop is released, with the volume of the drop, in L
+    this.dropReleasedEmitter = new Emitter( {
+      parameters: [ { valueType: 'number' } ]
+    } );
+
     // Turn off the dropper when it's disabled.
     this.enabledProperty.link( enabled => {
       if ( !enabled ) {
@@ -79,10 +156,47 @@ class Dropper extends PHMovable {
       }
     } );
 
-    // Toggle the flow rate when the dropper is turned on/off.
+    // Toggle the flow rate when the dropper is turned on/off. There is no flow in drop mode.
     this.isDispensingProperty.link( dispensing => {
-      this.flowRateProperty.set( dispensing ? options.maxFlowRate : 0 );
+      this.flowRateProperty.set( ( dispensing && !this.dropModeEnabledProperty.get() ) ? options.maxFlowRate : 0 );
     } );
+
+    // Stop the flow when switching to drop mode, and count the drops that are released in this mode.
+    this.dropModeEnabledProperty.lazyLink( dropModeEnabled => {
+      this.isDispensingProperty.set( false );
+      this.resetDropCount();
+    } );
+
+    // Drops of different solutes are not comparable, so start counting again when the solute changes.
+    // If the chosen molarity cannot be made with the new solute, switch to its standard stock solution.
+    this.soluteProperty.lazyLink( solute => {
+      this.resetDropCount();
+      if ( !phet.joist.sim.isSettingPhetioStateProperty.get() &&
+           !solute.getStockMolarities().includes( this.stockMolarityProperty.get() ) ) {
+        this.stockMolarityProperty.set( null );
+      }
+    } );
+  }
+
+  /**
+   * Releases one drop. The caller is responsible for adding the drop to the solution.
+   * @returns {number} the volume of the drop, in L
+   * @public
+   */
+  releaseDrop() {
+    assert && assert( this.dropModeEnabledProperty.get(), 'drops are released only in drop mode' );
+    const dropVolume = this.dropVolumeProperty.get();
+    this.dropCountProperty.set( this.dropCountProperty.get() + 1 );
+    this.dropReleasedEmitter.emit( dropVolume );
+    return dropVolume;
+  }
+
+  /**
+   * Starts counting drops from zero.
+   * @public
+   */
+  resetDropCount() {
+    this.dropCountProperty.reset();
   }
 
   /**
@@ -92,9 +206,13 @@ class Dropper extends PHMovable {
   reset() {
     super.reset();
     this.soluteProperty.reset();
+    this.stockMolarityProperty.reset();
     this.isDispensingProperty.reset();
     this.enabledProperty.reset();
     this.flowRateProperty.reset();
+    this.dropModeEnabledProperty.reset();
+    this.dropVolumeProperty.reset();
+    this.dropCountProperty.reset();
   }
 }
 
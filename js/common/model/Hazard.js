@@ -0,0 +1,15 @@
+// Copyright 2026, agent
+
+/**
+ * Hazards of a solute, each of which is identified by a GHS (Globally Harmonized System) pictogram.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import phScale from '../../phScale.js';
+
+const Hazard = Enumeration.byKeys( [ 'CORROSIVE', 'IRRITANT', 'OXIDIZER', 'ENVIRONMENTAL' ] );
+
+phScale.register( 'Hazard', Hazard );
+export default Hazard;
@@ -0,0 +1,97 @@
+// Copyright 2026, agent
+
+/**
+ * Ion model, with instances used by this sim. Ions are the constituents of salts, see Solute options.ions.
+ * Ions are immutable, so all fields should be considered immutable.
+ *
+ * An ion is either a spectator ion, which does not take part in acid-base reactions (e.g. K+, NO3-), or it is one
+ * species of a weak acid-base system, which hydrolyzes in water. For example, NH4+ is a weak acid, the conjugate acid
+ * of NH3. And SO4 2- is a weak base, the fully-deprotonated species of H2SO4.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import phScale from '../../phScale.js';
+import PHModel from './PHModel.js';
+
+class Ion {
+
+  /**
+   * @param {string} formula - may contain RichText markup
+   * @param {number} charge
+   * @param {Object} [options]
+   */
+  constructor( formula, charge, options ) {
+    assert && assert( Number.isInteger( charge ) && charge !== 0, `invalid charge: ${charge}` );
+
+    options = merge( {
+
+      // {{Ka:number[], charge:number}|null} for an ion that hydrolyzes, the weak acid-base system that it belongs to,
+      // where Ka are the acid dissociation constants for successive deprotonations, and charge is the charge of
+      // the most protonated species. null for spectator ions.
+      acidBaseSystem: null,
+
+      // {{formula:string, tandemName:string}[]|null} species of acidBaseSystem, ordered from most to least protonated,
+      // see Solute options.species
+      species: null
+    }, options );
+
+    assert && assert( !options.acidBaseSystem ||
+                      ( charge <= options.acidBaseSystem.charge &&
+                        charge >= options.acidBaseSystem.charge - options.acidBaseSystem.Ka.length ),
+      'ion must be a species of its acid-base system' );
+    assert && assert( !options.species || ( options.acidBaseSystem &&
+                                            options.species.length === options.acidBaseSystem.Ka.length + 1 ),
+      'species must have one more element than Ka' );
+
+    // @public (read-only)
+    this.formula = formula;
+    this.charge = charge;
+    this.acidBaseSystem = options.acidBaseSystem;
+    this.species = options.species;
+  }
+
+  /**
+   * String representation of this Ion. For debugging only, do not depend on the format!
+   * @returns {string}
+   * @public
+   */
+  toString() {
+    return `Ion[formula:${this.formula}, charge:${this.charge}]`;
+  }
+
+  /**
+   * Does this ion hydrolyze in water, i.e. is it a species of a weak acid-base system?
+   * @returns {boolean}
+   * @public
+   */
+  isHydrolyzing() {
+    return !!this.acidBaseSystem;
+  }
+}
+
+// Static instances
+
+// Ammonium, the conjugate acid of ammonia. NH4+ <-> H3O+ + NH3
+Ion.AMMONIUM = new Ion( 'NH<sub>4</sub><sup>+</sup>', 1, {
+  acidBaseSystem: Object.freeze( { Ka: Object.freeze( [ PHModel.KbToKa( 1.8E-5 ) ] ), charge: 1 } )
+} );
+
+// Sulfate, the conjugate base of sulfuric acid, H2SO4 <-> HSO4- <-> SO4 2-.
+// The first dissociation is essentially complete.
+Ion.SULFATE = new Ion( 'SO<sub>4</sub><sup>2-</sup>', -2, {
+  acidBaseSystem: Object.freeze( { Ka: Object.freeze( [ 1E3, 1.2E-2 ] ), charge: 0 } ),
+  species: Object.freeze( [
+    Object.freeze( { formula: 'H<sub>2</sub>SO<sub>4</sub>', tandemName: 'H2SO4' } ),
+    Object.freeze( { formula: 'HSO<sub>4</sub><sup>-</sup>', tandemName: 'HSO4' } ),
+    Object.freeze( { formula: 'SO<sub>4</sub><sup>2-</sup>', tandemName: 'SO4' } )
+  ] )
+} );
+
+// spectator ions
+Ion.NITRATE = new Ion( 'NO<sub>3</sub><sup>-</sup>', -1 );
+Ion.POTASSIUM = new Ion( 'K<sup>+</sup>', 1 );
+
+phScale.register( 'Ion', Ion );
+export default Ion;
@@ -0,0 +1,15 @@
+// Copyright 2026, agent
+
+/**
+ * Quantities that can be recorded by the data logger. Each quantity is plotted against its own axis.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import phScale from '../../phScale.js';
+
+const LoggedQuantity = Enumeration.byKeys( [ 'PH', 'VOLUME' ] );
+
+phScale.register( 'LoggedQuantity', LoggedQuantity );
+export default LoggedQuantity;
@@ -0,0 +1,158 @@
+// Copyright 2026, agent
+
+/**
+ * NotebookEntry is a row in the lab notebook. It records the solution at the time that the entry was made, and has a
+ * note. The recorded values and the note are Properties, so that the user can edit them, e.g. to correct a value.
+ *
+ * Notebook entries are PhET-iO dynamic elements of labNotebook, so that they are recreated by PhET-iO state.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
+import StringIO from '../../../../tandem/js/types/StringIO.js';
+import phScale from '../../phScale.js';
+
+class NotebookEntry extends PhetioObject {
+
+  /**
+   * @param {Object} record - {{solute:string|null, soluteVolume:number|null, waterVolume:number|null, totalVolume:number, pH:number|null}}
+   *   solute is the names of the solutes in the solution, null if there are no solutes, or if the solute is unknown.
+   *   Volumes are in L, and solute and water volumes are null if they are unknown. pH is the measured pH, null if
+   *   there was no measurement.
+   * @param {Object} [options]
+   */
+  constructor( record, options ) {
+    assert && assert( record.solute === null || typeof record.solute === 'string', `invalid solute: ${record.solute}` );
+    assert && assert( record.soluteVolume === null || record.soluteVolume >= 0, `invalid soluteVolume: ${record.soluteVolume}` );
+    assert && assert( record.waterVolume === null || record.waterVolume >= 0, `invalid waterVolume: ${record.waterVolume}` );
+    assert && assert( record.totalVolume >= 0, `invalid totalVolume: ${record.totalVolume}` );
+    assert && assert( record.pH === null || typeof record.pH === 'number', `invalid pH: ${record.pH}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioType: NotebookEntry.NotebookEntryIO,
+      phetioDynamicElement: true,
+      phetioState: true
+    }, options );
+
+    super( options );
+
+    // @public {Property.<string|null>} the recorded values, see record
+    this.soluteProperty = new Property( record.solute, {
+      isValidValue: solute => ( solute === null || typeof solute === 'string' ),
+      tandem: options.tandem.createTandem( 'soluteProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( StringIO ) ),
+      phetioDocumentation: 'the solutes in the solution, null if unknown'
+    } );
+
+    // @public {Property.<number|null>}
+    this.soluteVolumeProperty = new Property( record.soluteVolume, {
+      isValidValue: isValidVolume,
+      units: 'L',
+      tandem: options.tandem.createTandem( 'soluteVolumeProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( NumberIO ) ),
+      phetioDocumentation: 'volume of solute in the solution, null if unknown'
+    } );
+
+    // @public {Property.<number|null>}
+    this.waterVolumeProperty = new Property( record.waterVolume, {
+      isValidValue: isValidVolume,
+      units: 'L',
+      tandem: options.tandem.createTandem( 'waterVolumeProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( NumberIO ) ),
+      phetioDocumentation: 'volume of water in the solution, null if unknown'
+    } );
+
+    // @public
+    this.totalVolumeProperty = new NumberProperty( record.totalVolume, {
+      isValidValue: totalVolume => totalVolume >= 0,
+      units: 'L',
+      tandem: options.tandem.createTandem( 'totalVolumeProperty' ),
+      phetioDocumentation: 'total volume of the solution'
+    } );
+
+    // @public {Property.<number|null>}
+    this.pHProperty = new Property( record.pH, {
+      isValidValue: pH => ( pH === null || typeof pH === 'number' ),
+      tandem: options.tandem.createTandem( 'pHProperty' ),
+      phetioType: Property.PropertyIO( NullableIO( NumberIO ) ),
+      phetioDocumentation: 'the measured pH, null if there was no measurement'
+    } );
+
+    // @public a note that the user can edit
+    this.noteProperty = new StringProperty( '', {
+      tandem: options.tandem.createTandem( 'noteProperty' ),
+      phetioDocumentation: 'a note about the entry'
+    } );
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.soluteProperty.dispose();
+    this.soluteVolumeProperty.dispose();
+    this.waterVolumeProperty.dispose();
+    this.totalVolumeProperty.dispose();
+    this.pHProperty.dispose();
+    this.noteProperty.dispose();
+    super.dispose();
+  }
+
+  /**
+   * Gets the current values of the entry, in the format of the record that is used to create it.
+   * @returns {Object} see constructor
+   * @public
+   */
+  getRecord() {
+    return {
+      solute: this.soluteProperty.get(),
+      soluteVolume: this.soluteVolumeProperty.get(),
+      waterVolume: this.waterVolumeProperty.get(),
+      totalVolume: this.totalVolumeProperty.get(),
+      pH: this.pHProperty.get()
+    };
+  }
+}
+
+/**
+ * Solute and water volumes are null if they are unknown.
+ * @param {number|null} volume
+ * @returns {boolean}
+ */
+function isValidVolume( volume ) {
+  return ( volume === null || volume >= 0 );
+}
+
+/**
+ * NotebookEntryIO handles PhET-iO serialization of NotebookEntry. The state of an entry includes the values that are
+ * needed to recreate it. The values and the note are also serialized by their Properties.
+ * @public
+ */
+NotebookEntry.NotebookEntryIO = new IOType( 'NotebookEntryIO', {
+  valueType: NotebookEntry,
+  supertype: ReferenceIO( IOType.ObjectIO ),
+  documentation: 'An entry in the lab notebook, which records the solute, volumes (L) and measured pH of a solution.',
+  toStateObject: entry => {
+    const entryReference = ReferenceIO( IOType.ObjectIO ).toStateObject( entry );
+    entryReference.record = entry.getRecord();
+    return entryReference;
+  },
+  stateToArgsForConstructor: stateObject => [ stateObject.record ]
+} );
+
+phScale.register( 'NotebookEntry', NotebookEntry );
+export default NotebookEntry;
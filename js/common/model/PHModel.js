@@ -5,46 +5,298 @@
  * Throughout this model, a null pH value means 'no value'.
  * This is the case when the solution volume is zero (beaker is empty).
  *
+ * The autoionization of water depends on temperature, so functions that depend on Kw have an optional pKw parameter.
+ * If pKw is omitted, the value for Water.temperature is used. See temperatureToPKw.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import phScale from '../../phScale.js';
+import PHScaleConstants from '../PHScaleConstants.js';
 import Water from './Water.js';
 
 // constants
 const AVOGADROS_NUMBER = 6.023E23; // number of molecules in one mole of solution
+const PKW = Water.pKw; // pKw at Water.temperature
+const KW = Math.pow( 10, -PKW ); // ion-product constant of water, [H3O+][OH-], at Water.temperature
+const SOLVER_PH_RANGE = new Range( -4, 18 ); // search range for solving the charge balance, wider than PH_RANGE
+const SOLVER_TOLERANCE = 1E-10; // pH tolerance for solving the charge balance
+const MAX_ITERATIONS = 100; // maximum number of iterations for solving ionic strength
+const IONIC_STRENGTH_TOLERANCE = 1E-10; // relative tolerance for solving ionic strength
+const DAVIES_A = 0.509; // Debye-Huckel constant A for water at 25 degrees C, (L/mol)^1/2
+
+// The Davies equation is not valid above about 0.5 mol/L, and above about 2 mol/L it gives activity coefficients that
+// are greater than 1. So ionic strength is limited to this value when computing activity coefficients.
+const MAX_DAVIES_IONIC_STRENGTH = 0.5; // mol/L
 
 const PHModel = {
 
   /**
-   * General algorithm for pH.
+   * General algorithm for pH. Strong acids and bases in a solution are described by the net moles of H3O+ that they
+   * contribute, which is the moles of H3O+ minus the moles of OH-. When strong acids and bases are mixed, H3O+ and OH-
+   * neutralize each other, and what remains is the excess of one of them. Weak acids and bases are described by
+   * acid-base systems, which are only partially dissociated. pH is computed by solving the charge balance, where
+   * [H3O+][OH-] = Kw is the autoionization of water:
    *
-   * @param {number} solutePH
-   * @param {number} soluteVolume liters
-   * @param {number} waterVolume liters
-   * @returns {number|null} pH, null if total volume is zero
+   * [H3O+] - [OH-] - netMolesH3O / totalVolume + (charge of weak acid-base species) = 0
+   *
+   * Equilibrium constants apply to activities, not concentrations. The activity of an ion is its concentration
+   * multiplied by an activity coefficient, which depends on the ionic strength of the solution. Since ionic strength
+   * depends on the concentrations of the ions, the charge balance and ionic strength are solved iteratively.
+   * pH is the negative log of the activity of H3O+, which is what a pH meter measures. It is limited to
+   * PHScaleConstants.PH_RANGE, which can be exceeded by very concentrated solutions, e.g. after evaporation.
+   *
+   * @param {number} netMolesH3O - moles of H3O+ minus moles of OH- from strong acids and bases, negative if OH- is in excess
+   * @param {number} totalVolume liters
+   * @param {{moles:number, Ka:number[], charge:number}[]} [acidBaseSystems] - weak acid-base systems in the solution,
+   *   where moles is the total moles of all species in the system, Ka are the acid dissociation constants for successive
+   *   deprotonations (one for a monoprotic acid, more for a polyprotic acid), and charge is the charge of the most
+   *   protonated species (e.g. 0 for H3PO4, +1 for NH4+)
+   * @param {number} [pKw]
+   * @param {number} [spectatorIonicStrength] - ionic strength (mol/L) contributed by ions that do not take part in
+   *   acid-base reactions, e.g. Na+ and Cl- in salt water, or NO3- from nitric acid
+   * @returns {{pH:number, ionicStrength:number}|null} null if total volume is zero
    * @public
    */
-  computePH( solutePH, soluteVolume, waterVolume ) {
-    let pH;
-    const totalVolume = soluteVolume + waterVolume;
-    if ( totalVolume === 0 ) {
-      pH = null;
-    }
-    else if ( waterVolume === 0 ) {
-      pH = solutePH; // to prevent floating-point error in log10 computations
-    }
-    else if ( soluteVolume === 0 ) {
-      pH = Water.pH; // to prevent floating-point error in log10 computations
+  computeEquilibrium( netMolesH3O, totalVolume, acidBaseSystems = [], pKw = PKW, spectatorIonicStrength = 0 ) {
+    let equilibrium = null;
+    if ( totalVolume > 0 ) {
+
+      const netConcentration = netMolesH3O / totalVolume;
+      let ionicStrength = spectatorIonicStrength;
+      let activityCoefficient;
+      let concentrationH3O;
+      let converged = false;
+      for ( let i = 0; i < MAX_ITERATIONS && !converged; i++ ) {
+
+        // Convert equilibrium constants to apply to concentrations, for the current ionic strength.
+        activityCoefficient = PHModel.computeActivityCoefficient( ionicStrength, 1 );
+        const Kw = Math.pow( 10, -pKw ) / ( activityCoefficient * activityCoefficient );
+        const systems = acidBaseSystems.map( system => {
+          return {
+            concentration: system.moles / totalVolume,
+            charge: system.charge,
+
+            // Ka[j] is for the deprotonation of the species with charge (charge - j)
+            Ka: system.Ka.map( ( Ka, j ) => Ka * PHModel.computeActivityCoefficient( ionicStrength, system.charge - j ) /
+              ( PHModel.computeActivityCoefficient( ionicStrength, system.charge - j - 1 ) * activityCoefficient ) )
+          };
+        } );
+
+        concentrationH3O = solveChargeBalance( netConcentration, Kw, systems );
+
+        // Compute the ionic strength for the new concentrations.
+        let sum = concentrationH3O + Kw / concentrationH3O; // H3O+ and OH- both have |charge| = 1
+        systems.forEach( system => {
+          PHModel.computeFractions( concentrationH3O, system.Ka ).forEach( ( fraction, j ) => {
+            sum += system.concentration * fraction * Math.pow( system.charge - j, 2 );
+          } );
+        } );
+        const newIonicStrength = spectatorIonicStrength + sum / 2;
+        converged = ( Math.abs( newIonicStrength - ionicStrength ) <= IONIC_STRENGTH_TOLERANCE * newIonicStrength );
+        ionicStrength = newIonicStrength;
+      }
+
+      equilibrium = {
+        pH: PHScaleConstants.PH_RANGE.constrainValue( -Utils.log10( activityCoefficient * concentrationH3O ) ),
+        ionicStrength: ionicStrength
+      };
     }
-    else if ( solutePH < 7 ) {
-      pH = -Utils.log10( ( Math.pow( 10, -solutePH ) * soluteVolume + Math.pow( 10, -Water.pH ) * waterVolume ) / totalVolume );
+    return equilibrium;
+  },
+
+  /**
+   * Computes pH, see computeEquilibrium.
+   *
+   * @param {number} netMolesH3O
+   * @param {number} totalVolume
+   * @param {{moles:number, Ka:number[], charge:number}[]} [acidBaseSystems]
+   * @param {number} [pKw]
+   * @param {number} [spectatorIonicStrength]
+   * @returns {number|null} pH, null if total volume is zero
+   * @public
+   */
+  computePH( netMolesH3O, totalVolume, acidBaseSystems = [], pKw = PKW, spectatorIonicStrength = 0 ) {
+    const equilibrium = PHModel.computeEquilibrium( netMolesH3O, totalVolume, acidBaseSystems, pKw, spectatorIonicStrength );
+    return equilibrium ? equilibrium.pH : null;
+  },
+
+  /**
+   * Computes the activity coefficient of an ion, using the Davies equation. This is an extension of Debye-Huckel
+   * theory that is reasonably accurate for ionic strengths up to about 0.5 mol/L. For more concentrated solutions,
+   * the activity coefficient for 0.5 mol/L is used.
+   *
+   * @param {number} ionicStrength - mol/L
+   * @param {number} charge - charge of the ion
+   * @returns {number}
+   * @public
+   */
+  computeActivityCoefficient( ionicStrength, charge ) {
+    const I = Math.min( ionicStrength, MAX_DAVIES_IONIC_STRENGTH );
+    const sqrtI = Math.sqrt( I );
+    return Math.pow( 10, -DAVIES_A * charge * charge * ( sqrtI / ( 1 + sqrtI ) - 0.3 * I ) );
+  },
+
+  /**
+   * Computes the pH of a stock solution of a weak acid or base.
+   *
+   * @param {number} molarity - concentration of the acid-base system, in mol/L
+   * @param {number[]} Ka - acid dissociation constants for successive deprotonations
+   * @param {number} charge - charge of the most protonated species
+   * @param {number} [counterIonCharge] - moles of counter-ion charge per mole of acid, non-zero for buffers
+   * @param {number} [saltIonicStrength] - ionic strength (mol/L) contributed by dissolved salts
+   * @returns {number} pH
+   * @public
+   */
+  computeWeakPH( molarity, Ka, charge, counterIonCharge = 0, saltIonicStrength = 0 ) {
+
+    // counter ions are monovalent
+    const spectatorIonicStrength = saltIonicStrength + counterIonCharge * molarity / 2;
+    return PHModel.computePH( -counterIonCharge * molarity, 1, [ { moles: molarity, Ka: Ka, charge: charge } ],
+      PKW, spectatorIonicStrength );
+  },
+
+  /**
+   * Computes buffer capacity, the moles of strong base per liter that would be needed to raise pH by 1 unit (or
+   * equivalently, strong acid to lower pH by 1 unit), for an infinitesimal change. Water contributes to buffer
+   * capacity at extreme pH, and each weak acid-base system contributes most near its pKa values.
+   *
+   * @param {number|null} pH
+   * @param {number} totalVolume liters
+   * @param {{moles:number, Ka:number[], charge:number}[]} acidBaseSystems - see computePH
+   * @param {number} [pKw]
+   * @returns {number|null} buffer capacity in mol/L per pH unit, null if pH is null
+   * @public
+   */
+  computeBufferCapacity( pH, totalVolume, acidBaseSystems, pKw = PKW ) {
+    let bufferCapacity = null;
+    if ( pH !== null && totalVolume > 0 ) {
+      const concentrationH3O = PHModel.pHToConcentrationH3O( pH );
+      let sum = concentrationH3O + PHModel.pHToConcentrationOH( pH, pKw );
+      acidBaseSystems.forEach( system => {
+
+        // contribution is proportional to the variance of the number of protons removed from the most protonated species
+        const fractions = PHModel.computeFractions( concentrationH3O, system.Ka );
+        const mean = _.sum( fractions.map( ( fraction, j ) => j * fraction ) );
+        const meanOfSquares = _.sum( fractions.map( ( fraction, j ) => j * j * fraction ) );
+        sum += ( system.moles / totalVolume ) * ( meanOfSquares - mean * mean );
+      } );
+      bufferCapacity = Math.LN10 * sum;
     }
-    else {
-      pH = 14 + Utils.log10( ( Math.pow( 10, solutePH - 14 ) * soluteVolume + Math.pow( 10, Water.pH - 14 ) * waterVolume ) / totalVolume );
+    return bufferCapacity;
+  },
+
+  /**
+   * Computes the equivalence points for titrating an analyte with a strong acid or base. At an equivalence point,
+   * the titrant has exactly neutralized the strong acid or base in the analyte, or some number of protons of the
+   * analyte's weak acid-base system. For a polyprotic acid, there is one equivalence point per proton. The solution at
+   * an equivalence point is as if it contained only one species of the acid-base system, so the charge balance gives
+   * netMolesH3O + (titrant net moles of H3O+) = moles * (charge of that species).
+   *
+   * @param {number} netMolesH3O - net moles of H3O+ in the analyte, from strong acids and bases, see computePH
+   * @param {{moles:number, Ka:number[], charge:number}|null} acidBaseSystem - weak acid-base system of the analyte
+   * @param {number} titrantNetConcentrationH3O - net concentration of H3O+ in the titrant, negative for a strong base
+   * @returns {number[]} volumes of titrant (L) at the equivalence points, in ascending order
+   * @public
+   */
+  computeEquivalenceVolumes( netMolesH3O, acidBaseSystem, titrantNetConcentrationH3O ) {
+    assert && assert( titrantNetConcentrationH3O !== 0, 'titrant must be a strong acid or base' );
+
+    // net moles of H3O+ at each equivalence point, one for each species of the acid-base system
+    const equivalenceMoles = acidBaseSystem ?
+                             _.range( 0, acidBaseSystem.Ka.length + 1 ).map( numberOfDeprotonations =>
+                               acidBaseSystem.moles * ( acidBaseSystem.charge - numberOfDeprotonations ) ) :
+                             [ 0 ];
+
+    // The analyte is at one equivalence point before any titrant is added, so omit volumes that are not positive.
+    return _.sortBy( equivalenceMoles
+      .map( moles => ( moles - netMolesH3O ) / titrantNetConcentrationH3O )
+      .filter( volume => volume > 0 ) );
+  },
+
+  /**
+   * Computes the fraction of each species of a weak acid-base system, for some concentration of H3O+.
+   * For example, the species of phosphoric acid are H3PO4, H2PO4-, HPO4 2- and PO4 3-.
+   *
+   * @param {number} concentrationH3O - mol/L
+   * @param {number[]} Ka - acid dissociation constants for successive deprotonations
+   * @returns {number[]} fractions, ordered from most to least protonated species, sum to 1
+   * @public
+   */
+  computeFractions( concentrationH3O, Ka ) {
+
+    // amounts of each species relative to the most protonated species, from Ka[i] = [H3O+][species i+1] / [species i]
+    const relativeAmounts = [ 1 ];
+    Ka.forEach( ( K, i ) => relativeAmounts.push( relativeAmounts[ i ] * K / concentrationH3O ) );
+    const sum = _.sum( relativeAmounts );
+    return relativeAmounts.map( amount => amount / sum );
+  },
+
+  /**
+   * Converts the base dissociation constant of a weak base to the acid dissociation constant of its conjugate acid.
+   * Dissociation constants of solutes are for Water.temperature, and do not vary with temperature in this model.
+   *
+   * @param {number} Kb
+   * @returns {number} Ka
+   * @public
+   */
+  KbToKa( Kb ) {
+    return KW / Kb;
+  },
+
+  /**
+   * Computes the net concentration of H3O+ (concentration of H3O+ minus concentration of OH-) in a solution of a strong
+   * acid or base. This is the amount of H3O+ that is available to neutralize a base, or (if negative) the amount of OH-
+   * that is available to neutralize an acid. The counter ions of the acid or base (e.g. NO3- for nitric acid) are
+   * assumed to be monovalent, and contribute to ionic strength.
+   *
+   * @param {number} pH
+   * @param {number} [pKw]
+   * @param {number} [saltIonicStrength] - ionic strength (mol/L) contributed by dissolved salts
+   * @returns {number} concentration in moles/L, negative if OH- is in excess
+   * @public
+   */
+  pHToNetConcentrationH3O( pH, pKw = PKW, saltIonicStrength = 0 ) {
+    let activityCoefficient = 1;
+    let netConcentration;
+    let converged = false;
+    for ( let i = 0; i < MAX_ITERATIONS && !converged; i++ ) {
+      const concentrationH3O = Math.pow( 10, -pH ) / activityCoefficient;
+      const concentrationOH = Math.pow( 10, pH - pKw ) / activityCoefficient;
+      netConcentration = concentrationH3O - concentrationOH;
+      const ionicStrength = saltIonicStrength + ( concentrationH3O + concentrationOH + Math.abs( netConcentration ) ) / 2;
+      const newActivityCoefficient = PHModel.computeActivityCoefficient( ionicStrength, 1 );
+      converged = ( Math.abs( newActivityCoefficient - activityCoefficient ) <= IONIC_STRENGTH_TOLERANCE );
+      activityCoefficient = newActivityCoefficient;
     }
-    return pH;
+    return netConcentration;
+  },
+
+  /**
+   * Computes pKw, the negative log of the ion-product constant of water, as a function of temperature.
+   * This uses the fit by Marshall & Franck (1981) for liquid water at saturation pressure,
+   * pKw = 4470.99 / T - 6.0875 + 0.01706 * T, where T is in kelvin. The fit is shifted slightly (by about 0.005) so
+   * that pKw is exactly Water.pKw at Water.temperature, consistent with the pH values of the solutes in this sim.
+   *
+   * @param {number} temperature - in degrees Celsius
+   * @returns {number}
+   * @public
+   */
+  temperatureToPKw( temperature ) {
+    return Water.pKw + marshallFranckPKw( temperature ) - marshallFranckPKw( Water.temperature );
+  },
+
+  /**
+   * Computes the pH of neutral water, where [H3O+] = [OH-].
+   *
+   * @param {number} [pKw]
+   * @returns {number}
+   * @public
+   */
+  computeNeutralPH( pKw = PKW ) {
+    return pKw / 2;
   },
 
   /**
@@ -62,11 +314,12 @@ const PHModel = {
    * Compute pH from OH- concentration.
    *
    * @param {number} concentration
+   * @param {number} [pKw]
    * @returns {number} pH, null if concentration is zero
    * @public
    */
-  concentrationOHToPH( concentration ) {
-    return ( concentration === 0 ) ? null : 14 - PHModel.concentrationH3OToPH( concentration );
+  concentrationOHToPH( concentration, pKw = PKW ) {
+    return ( concentration === 0 ) ? null : pKw - PHModel.concentrationH3OToPH( concentration );
   },
 
   /**
@@ -86,11 +339,12 @@ const PHModel = {
    *
    * @param {number} moles
    * @param {number} volume volume of the solution in liters
+   * @param {number} [pKw]
    * @returns {number} pH, null if moles or volume is zero
    * @public
    */
-  molesOHToPH( moles, volume ) {
-    return ( moles === 0 || volume === 0 ) ? null : PHModel.concentrationOHToPH( moles / volume );
+  molesOHToPH( moles, volume, pKw = PKW ) {
+    return ( moles === 0 || volume === 0 ) ? null : PHModel.concentrationOHToPH( moles / volume, pKw );
   },
 
   /**
@@ -119,11 +373,12 @@ const PHModel = {
    * Computes concentration of OH- from pH.
    *
    * @param {number} pH null means 'no value'
+   * @param {number} [pKw]
    * @returns {number} concentration in moles/L
    * @public
    */
-  pHToConcentrationOH( pH ) {
-    return ( pH === null ) ? null : PHModel.pHToConcentrationH3O( 14 - pH );
+  pHToConcentrationOH( pH, pKw = PKW ) {
+    return ( pH === null ) ? null : PHModel.pHToConcentrationH3O( pKw - pH );
   },
 
   /**
@@ -151,5 +406,69 @@ const PHModel = {
   }
 };
 
+/**
+ * Marshall & Franck fit for pKw, see PHModel.temperatureToPKw.
+ * @param {number} temperature - in degrees Celsius
+ * @returns {number}
+ */
+function marshallFranckPKw( temperature ) {
+  const T = temperature + 273.15; // K
+  return 4470.99 / T - 6.0875 + 0.01706 * T;
+}
+
+/**
+ * Solves the charge balance of a solution for the concentration of H3O+. All equilibrium constants are for
+ * concentrations, not activities.
+ *
+ * @param {number} netConcentration - net concentration of H3O+ from strong acids and bases, mol/L
+ * @param {number} Kw - [H3O+][OH-]
+ * @param {{concentration:number, Ka:number[], charge:number}[]} systems - weak acid-base systems
+ * @returns {number} concentration of H3O+, mol/L
+ */
+function solveChargeBalance( netConcentration, Kw, systems ) {
+  let concentrationH3O;
+  if ( systems.length === 0 ) {
+
+    // Strong acids and bases only, the charge balance is a quadratic equation.
+    // Solve for the species that is in excess, to prevent floating-point error when subtracting similar values.
+    const discriminant = Math.sqrt( netConcentration * netConcentration + 4 * Kw );
+    if ( netConcentration >= 0 ) {
+      concentrationH3O = ( netConcentration + discriminant ) / 2;
+    }
+    else {
+      concentrationH3O = Kw / ( ( -netConcentration + discriminant ) / 2 );
+    }
+  }
+  else {
+
+    // Weak acids and bases are present, so solve numerically, using bisection on -log[H3O+]. The net charge is a
+    // monotonically increasing function of [H3O+], so bisection is guaranteed to converge.
+    const computeCharge = concentrationH3O => {
+      let charge = concentrationH3O - ( Kw / concentrationH3O ) - netConcentration;
+      systems.forEach( system => {
+
+        // each deprotonation removes one positive charge from a species
+        PHModel.computeFractions( concentrationH3O, system.Ka ).forEach( ( fraction, numberOfDeprotonations ) => {
+          charge += system.concentration * fraction * ( system.charge - numberOfDeprotonations );
+        } );
+      } );
+      return charge;
+    };
+    let min = SOLVER_PH_RANGE.min;
+    let max = SOLVER_PH_RANGE.max;
+    while ( max - min > SOLVER_TOLERANCE ) {
+      const middle = ( min + max ) / 2;
+      if ( computeCharge( Math.pow( 10, -middle ) ) > 0 ) {
+        min = middle; // too much positive charge, so [H3O+] is too high
+      }
+      else {
+        max = middle;
+      }
+    }
+    concentrationH3O = Math.pow( 10, -( min + max ) / 2 );
+  }
+  return concentrationH3O;
+}
+
 phScale.register( 'PHModel', PHModel );
 export default PHModel;
\ No newline at end of file
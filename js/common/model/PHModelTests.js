@@ -0,0 +1,101 @@
+// Copyright 2026, agent
+
+/**
+ * PHModel tests. Expected values are textbook pH values. The model applies activity corrections, so values are
+ * compared with a tolerance.
+ *
+ * @author agent
+ */
+
+import PHScaleConstants from '../PHScaleConstants.js';
+import PHModel from './PHModel.js';
+import Water from './Water.js';
+
+// constants
+const TOLERANCE = 0.02; // pH units
+const ACETIC_ACID_KA = 1.8E-5;
+const AMMONIA_KB = 1.8E-5;
+const PHOSPHATE_KA = [ 7.5E-3, 6.2E-8, 4.8E-13 ];
+
+QUnit.module( 'PHModel' );
+
+/**
+ * Verifies that a pH is within TOLERANCE of an expected value.
+ * @param {Object} assert - QUnit assert
+ * @param {number|null} pH
+ * @param {number} expectedPH
+ * @param {string} message
+ */
+function assertPH( assert, pH, expectedPH, message ) {
+  assert.ok( pH !== null && Math.abs( pH - expectedPH ) <= TOLERANCE, `${message}: expected ${expectedPH}, got ${pH}` );
+}
+
+QUnit.test( 'water', assert => {
+  assertPH( assert, PHModel.computePH( 0, 1 ), PHModel.computeNeutralPH( Water.pKw ), 'pure water is neutral' );
+  assert.equal( PHModel.computePH( 0, 0 ), null, 'pH of an empty beaker is null' );
+} );
+
+QUnit.test( 'strong acids and bases', assert => {
+  assertPH( assert, PHModel.computePH( 1E-4, 1 ), 4, '1E-4 M strong acid' );
+  assertPH( assert, PHModel.computePH( 1E-3, 1 ), 3, '1E-3 M strong acid' );
+  assertPH( assert, PHModel.computePH( -1E-4, 1 ), 10, '1E-4 M strong base' );
+} );
+
+QUnit.test( 'weak acids and bases', assert => {
+  assertPH( assert, PHModel.computeWeakPH( 0.1, [ ACETIC_ACID_KA ], 0 ), 2.87, '0.1 M acetic acid' );
+  assertPH( assert, PHModel.computeWeakPH( 0.1, [ PHModel.KbToKa( AMMONIA_KB ) ], 1 ), 11.13, '0.1 M ammonia' );
+
+  // NH4+ and NH3 in a 1:1 ratio is a buffer at the pKa of NH4+ (9.26), shifted by the activity of NH4+
+  const buffer = { moles: 0.02, Ka: [ PHModel.KbToKa( AMMONIA_KB ) ], charge: 1 };
+  assertPH( assert, PHModel.computePH( 0.01, 1, [ buffer ], Water.pKw, 0.005 ), 9.30, 'NH4+/NH3 buffer' );
+} );
+
+QUnit.test( 'polyprotic acids', assert => {
+  assertPH( assert, PHModel.computeWeakPH( 0.023, PHOSPHATE_KA, 0 ), 2.02, '0.023 M phosphoric acid' );
+
+  // Species fractions sum to 1, and each species is dominant between its pKa values.
+  [ 1, 5, 10, 14 ].forEach( pH => {
+    const fractions = PHModel.computeFractions( Math.pow( 10, -pH ), PHOSPHATE_KA );
+    assert.ok( Math.abs( _.sum( fractions ) - 1 ) < 1E-12, `fractions sum to 1 at pH ${pH}` );
+  } );
+  [ 1, 5, 10, 14 ].forEach( ( pH, index ) => {
+    const fractions = PHModel.computeFractions( Math.pow( 10, -pH ), PHOSPHATE_KA );
+    assert.equal( fractions.indexOf( _.max( fractions ) ), index, `species ${index} is dominant at pH ${pH}` );
+  } );
+
+  // At a pKa, the species on either side of it are equal.
+  const fractions = PHModel.computeFractions( PHOSPHATE_KA[ 1 ], PHOSPHATE_KA );
+  assert.ok( Math.abs( fractions[ 1 ] - fractions[ 2 ] ) < 1E-3, 'H2PO4- and HPO4 2- are equal at pKa2' );
+} );
+
+QUnit.test( 'dilution', assert => {
+
+  // Diluting by a factor of 10 raises the pH of a strong acid by 1, and the pH of a weak acid by 1/2.
+  assertPH( assert, PHModel.computePH( 1E-3, 10 ), PHModel.computePH( 1E-3, 1 ) + 1, 'strong acid' );
+  const weakAcid = { moles: 0.1, Ka: [ ACETIC_ACID_KA ], charge: 0 };
+  assertPH( assert, PHModel.computePH( 0, 10, [ weakAcid ] ), PHModel.computePH( 0, 1, [ weakAcid ] ) + 0.5, 'weak acid' );
+
+  // Diluting a strong base lowers its pH, and a very dilute acid or base approaches neutral.
+  assert.ok( PHModel.computePH( -1E-3, 10 ) < PHModel.computePH( -1E-3, 1 ), 'strong base' );
+  assertPH( assert, PHModel.computePH( 1E-3, 1E6 ), 7, 'very dilute strong acid' );
+} );
+
+QUnit.test( 'high ionic strength', assert => {
+
+  // The Davies equation gives activity coefficients greater than 1 above about 2 mol/L, so ionic strength is limited.
+  [ 0.5, 1, 2, 5, 10 ].forEach( ionicStrength => {
+    const activityCoefficient = PHModel.computeActivityCoefficient( ionicStrength, 1 );
+    assert.ok( activityCoefficient > 0 && activityCoefficient < 1, `activity coefficient at ${ionicStrength} M` );
+  } );
+
+  // Very concentrated strong acids and bases, e.g. after evaporation, are limited to the pH range.
+  const pHAcid = PHModel.computePH( 10, 1, [], Water.pKw, 5 );
+  assert.ok( PHScaleConstants.PH_RANGE.contains( pHAcid ) && pHAcid < 0, `10 M strong acid: ${pHAcid}` );
+  const pHBase = PHModel.computePH( -10, 1, [], Water.pKw, 5 );
+  assert.ok( PHScaleConstants.PH_RANGE.contains( pHBase ) && pHBase > 14, `10 M strong base: ${pHBase}` );
+
+  // A concentrated salt of a very weak base, like K2SO4, is nearly neutral.
+  const sulfate = { moles: 1, Ka: [ 1E3, 1.2E-2 ], charge: 0 };
+  const pHSalt = PHModel.computePH( -2, 1, [ sulfate ], Water.pKw, 1 );
+  assert.ok( pHSalt > 7 && pHSalt < 8, `1 M potassium sulfate: ${pHSalt}` );
+} );
@@ -4,6 +4,18 @@
  * Solute model, with instances used by this sim.
  * Solutes are immutable, so all fields should be considered immutable.
  *
+ * A solute is either a strong acid or base, a weak acid or base, or a salt.
+ * A strong acid or base is completely dissociated, and is specified by the pH of its stock solution, or by the
+ * concentration of its stock solution (e.g. the titrants used in the Titration screen).
+ * A weak acid or base is partially dissociated, and is specified by its dissociation constant (Ka or Kb) and the
+ * concentration of its stock solution. The pH of the stock solution is computed.
+ * A buffer is a weak acid that has been partially neutralized, so that it contains both the weak acid and its
+ * conjugate base. It is specified like a weak acid, plus the charge of the counter ions (e.g. Na+) that accompany
+ * the conjugate base.
+ * A salt (e.g. NH4NO3) is specified by its constituent ions and the concentration of its stock solution. One of its
+ * ions hydrolyzes (it is a species of a weak acid-base system), and the others are spectator ions. The pH of the stock
+ * solution is computed.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -17,23 +29,73 @@ import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
 import phScale from '../../phScale.js';
 import phScaleStrings from '../../phScaleStrings.js';
 import PHScaleConstants from '../PHScaleConstants.js';
+import Carbonate from './Carbonate.js';
+import Hazard from './Hazard.js';
+import Ion from './Ion.js';
+import PHModel from './PHModel.js';
+import SoluteCategory from './SoluteCategory.js';
 import Water from './Water.js';
 
 class Solute extends PhetioObject {
 
   /**
    * @param {string} name - the name of the solute, displayed to the user
-   * @param {number} pH - the pH of the solute
+   * @param {number|null} pH - the pH of the solute's stock solution, null for weak acids and bases, and for strong
+   *   acids and bases that are specified by molarity
    * @param {Color} stockColor - color of the solute in stock solution (no dilution)
    * @param {Object} [options]
    */
   constructor( name, pH, stockColor, options ) {
 
-    assert && assert( PHScaleConstants.PH_RANGE.contains( pH ), `invalid pH: ${pH}` );
     assert && assert( stockColor instanceof Color, 'invalid color' );
 
     options = merge( {
 
+      // {number|number[]|null} acid dissociation constant, for weak acids. For polyprotic acids, this is an array
+      // of constants for successive deprotonations, e.g. [ Ka1, Ka2, Ka3 ] for phosphoric acid.
+      Ka: null,
+
+      // {number|null} base dissociation constant, for weak bases
+      Kb: null,
+
+      // {number|null} concentration of the stock solution in mol/L, required for weak acids and bases, and for salts
+      molarity: null,
+
+      // {{ion:Ion, count:number}[]|null} for salts, the constituent ions and how many of each are in the formula unit,
+      // e.g. [ { ion: Ion.POTASSIUM, count: 2 }, { ion: Ion.SULFATE, count: 1 } ] for K2SO4. Exactly one ion must
+      // hydrolyze, and spectator ions must be monovalent, like the counter ions of acids, bases and buffers.
+      ions: null,
+
+      // {number|null} for strong acids (1) and bases (-1) that are specified by molarity instead of pH,
+      // the net moles of H3O+ contributed per mole of solute
+      netH3OPerMole: null,
+
+      // {number|null} for solutes that are solids, the mass in grams of one mole of solute, used to weigh the solid on a
+      // balance. A mole of solute is what molarity is measured in, so for strong acids and bases that are specified by
+      // pH, it is a mole of H3O+ or OH-, e.g. half the formula mass of Ca(OH)2. null if the solute is not a solid.
+      molarMass: null,
+
+      // {number|null} solubility in water, the maximum concentration (mol/L) of the solute, in the same units as
+      // molarity. Stock solutions that are more concentrated cannot be made. null if there is no practical limit,
+      // e.g. for liquids that mix with water in any proportion.
+      solubility: null,
+
+      // {number} for weak acids, moles of counter-ion charge (e.g. Na+, K+) per mole of acid. The counter ions balance
+      // the charge of the conjugate base, so this is the number of protons that have been removed from the acid by
+      // neutralizing it with a strong base. For example, 1 for NaHCO3 (from H2CO3), 1.5 for an equimolar
+      // NaH2PO4/Na2HPO4 buffer (from H3PO4). Non-zero for buffers.
+      counterIonCharge: 0,
+
+      // {number} ionic strength (mol/L) of the stock solution that is contributed by dissolved salts, whose ions do not
+      // take part in acid-base reactions (e.g. Na+ and Cl-). This does not include the counter ions of acids, bases
+      // and buffers, which are assumed to be monovalent and are accounted for separately.
+      saltIonicStrength: 0,
+
+      // {{formula:string, tandemName:string}[]|null} species of a weak acid or base, ordered from most to least
+      // protonated, one more than the number of dissociation constants. formula may contain RichText markup.
+      // Required for polyprotic acids, so that their speciation can be displayed.
+      species: null,
+
       // {Color} color when the solute is barely present in solution (fully diluted)
       dilutedColor: Water.color,
 
@@ -44,6 +106,22 @@ class Solute extends PhetioObject {
       // (0,1) exclusive, where 0 is no solute, 1 is all solute
       colorStopRatio: 0.25,
 
+      // {SoluteCategory|null} category used to organize solutes, null if uncategorized
+      category: null,
+
+      // {string|HTMLImageElement|null} image that identifies the solute in the user interface, as for scenery's Image.
+      // null to identify the solute by the color of its stock solution.
+      icon: null,
+
+      // {{sources:string, effects:string, handling:string, concentrations:string, hazards:Hazard[]}|null}
+      // information about the solute, displayed by the info button next to the solute combo box. Fields other than
+      // hazards are optional, and may contain RichText markup. null if no information is available.
+      info: null,
+
+      // {Object|null} the solute description that this solute was created from, null for the built-in solutes.
+      // See SoluteCatalog.parseDescription.
+      description: null,
+
       // phet-io
       tandem: Tandem.REQUIRED,
       phetioType: Solute.SoluteIO,
@@ -55,6 +133,121 @@ class Solute extends PhetioObject {
     assert && assert( options.dilutedColor instanceof Color, `invalid dilutedColor: ${options.dilutedColor}` );
     assert && assert( options.colorStopColor === null || options.colorStopColor instanceof Color, `invalid colorStopColor: ${options.colorStopColor}` );
     assert && assert( options.colorStopRatio > 0 && options.colorStopRatio < 1, `invalid colorStopRatio: ${options.colorStopRatio}` );
+    assert && assert( options.Ka === null || options.Kb === null, 'Ka and Kb are mutually exclusive' );
+    assert && assert( options.saltIonicStrength >= 0, `invalid saltIonicStrength: ${options.saltIonicStrength}` );
+    assert && assert( options.category === null || SoluteCategory.includes( options.category ),
+      `invalid category: ${options.category}` );
+    assert && assert( options.info === null || ( Array.isArray( options.info.hazards ) &&
+                                                 _.every( options.info.hazards, hazard => Hazard.includes( hazard ) ) ),
+      `invalid info: ${options.info}` );
+
+    // @public (read-only) {{Ka:number[], charge:number}|null} for weak acids and bases, the acid-base system that
+    // is formed in solution, where Ka are the acid dissociation constants for successive deprotonations, and charge
+    // is the charge of the most protonated species. null for strong acids and bases.
+    this.acidBaseSystem = null;
+
+    // @public (read-only) see options.saltIonicStrength
+    this.saltIonicStrength = options.saltIonicStrength;
+
+    // @public (read-only) {number|null} see options.molarMass
+    this.molarMass = options.molarMass;
+
+    // @public (read-only) {number|null} see options.solubility
+    this.solubility = options.solubility;
+
+    // @public (read-only) {{formula:string, tandemName:string}[]|null} see options.species
+    this.species = options.species;
+
+    // @public (read-only) net moles of H3O+ contributed per mole of solute, for strong acids (1) and bases (-1).
+    // For buffers, this is negative, because the counter ions are the remnants of a strong base.
+    this.netH3OPerMole = 0;
+
+    // @public (read-only) concentration of the stock solution, in mol/L. For strong acids and bases, this is
+    // the concentration of H3O+ or OH- that is in excess.
+    this.molarity = 0;
+
+    if ( options.Ka !== null || options.Kb !== null ) {
+
+      // weak acid or base
+      assert && assert( pH === null, 'pH is computed for weak acids and bases' );
+      assert && assert( options.netH3OPerMole === null, 'netH3OPerMole is for strong acids and bases only' );
+      assert && assert( options.ions === null, 'ions is for salts only' );
+      assert && assert( options.molarity > 0, `invalid molarity: ${options.molarity}` );
+      this.acidBaseSystem = ( options.Ka !== null ) ?
+        { Ka: Array.isArray( options.Ka ) ? options.Ka : [ options.Ka ], charge: 0 } : // HA <-> H3O+ + A-
+        { Ka: [ PHModel.KbToKa( options.Kb ) ], charge: 1 }; // BH+ <-> H3O+ + B
+      assert && assert( !this.species || this.species.length === this.acidBaseSystem.Ka.length + 1,
+        'species must have one more element than Ka' );
+      assert && assert( this.acidBaseSystem.Ka.length === 1 || this.species, 'species is required for polyprotic acids' );
+      assert && assert( options.counterIonCharge >= 0 && options.counterIonCharge <= this.acidBaseSystem.Ka.length,
+        `invalid counterIonCharge: ${options.counterIonCharge}` );
+      assert && assert( options.counterIonCharge === 0 || options.Ka !== null, 'counterIonCharge is for weak acids only' );
+      this.netH3OPerMole = -options.counterIonCharge;
+      this.molarity = options.molarity;
+      pH = PHModel.computeWeakPH( this.molarity, this.acidBaseSystem.Ka, this.acidBaseSystem.charge,
+        options.counterIonCharge, this.saltIonicStrength );
+    }
+    else if ( options.ions !== null ) {
+
+      // salt, specified by its constituent ions
+      assert && assert( pH === null, 'pH is computed for salts' );
+      assert && assert( options.netH3OPerMole === null, 'netH3OPerMole is computed for salts' );
+      assert && assert( options.counterIonCharge === 0, 'counterIonCharge is computed for salts' );
+      assert && assert( options.molarity > 0, `invalid molarity: ${options.molarity}` );
+      assert && options.ions.forEach( entry => assert( entry.ion instanceof Ion && entry.count > 0, 'invalid ions' ) );
+      assert && assert( _.sumBy( options.ions, entry => entry.count * entry.ion.charge ) === 0, 'salt must be neutral' );
+
+      // The hydrolyzing ion contributes the acid-base system, one per mole of salt.
+      const hydrolyzingIons = options.ions.filter( entry => entry.ion.isHydrolyzing() );
+      assert && assert( hydrolyzingIons.length === 1 && hydrolyzingIons[ 0 ].count === 1,
+        'exactly one ion must hydrolyze, with a count of 1' );
+      const hydrolyzingIon = hydrolyzingIons[ 0 ].ion;
+      this.acidBaseSystem = hydrolyzingIon.acidBaseSystem;
+      this.species = this.species || hydrolyzingIon.species;
+      assert && assert( this.acidBaseSystem.Ka.length === 1 || this.species, 'species is required for polyprotic acids' );
+
+      // Spectator ions are equivalent to the counter ions of strong acids and bases. For example, NH4NO3 is equivalent
+      // to NH3 + HNO3, and K2SO4 is equivalent to H2SO4 + 2 KOH.
+      const spectatorIons = options.ions.filter( entry => !entry.ion.isHydrolyzing() );
+      assert && spectatorIons.forEach( entry => assert( Math.abs( entry.ion.charge ) === 1, 'spectator ions must be monovalent' ) );
+      this.netH3OPerMole = -_.sumBy( spectatorIons, entry => entry.count * entry.ion.charge );
+      this.molarity = options.molarity;
+
+      // 1 L of stock solution
+      pH = PHModel.computePH( this.netH3OPerMole * this.molarity, 1,
+        [ { moles: this.molarity, Ka: this.acidBaseSystem.Ka, charge: this.acidBaseSystem.charge } ], Water.pKw,
+        Math.abs( this.netH3OPerMole ) * this.molarity / 2 + this.saltIonicStrength );
+    }
+    else if ( options.netH3OPerMole !== null ) {
+
+      // strong acid or base, specified by molarity
+      assert && assert( pH === null, 'pH is computed for strong acids and bases that are specified by molarity' );
+      assert && assert( options.netH3OPerMole === 1 || options.netH3OPerMole === -1, `invalid netH3OPerMole: ${options.netH3OPerMole}` );
+      assert && assert( options.molarity > 0, `invalid molarity: ${options.molarity}` );
+      assert && assert( options.species === null, 'species is not supported for strong acids and bases' );
+      assert && assert( options.counterIonCharge === 0, 'counterIonCharge is not supported for strong acids and bases' );
+      this.netH3OPerMole = options.netH3OPerMole;
+      this.molarity = options.molarity;
+
+      // 1 L of stock solution, where each mole of H3O+ or OH- is accompanied by a monovalent counter ion
+      pH = PHModel.computePH( this.netH3OPerMole * this.molarity, 1, [], Water.pKw,
+        this.molarity / 2 + this.saltIonicStrength );
+    }
+    else {
+
+      // strong acid or base, specified by pH
+      assert && assert( options.molarity === null, 'molarity is computed for strong acids and bases' );
+      assert && assert( options.species === null, 'species is not supported for strong acids and bases' );
+      assert && assert( options.counterIonCharge === 0, 'counterIonCharge is not supported for strong acids and bases' );
+      const netConcentrationH3O = PHModel.pHToNetConcentrationH3O( pH, Water.pKw, this.saltIonicStrength );
+      this.netH3OPerMole = Math.sign( netConcentrationH3O );
+      this.molarity = Math.abs( netConcentrationH3O );
+    }
+    assert && assert( PHScaleConstants.PH_RANGE.contains( pH ), `invalid pH: ${pH}` );
+    assert && assert( this.molarMass === null || ( this.molarMass > 0 && this.molarity > 0 ),
+      `invalid molarMass: ${this.molarMass}` );
+    assert && assert( this.solubility === null || this.solubility >= this.molarity,
+      `invalid solubility: ${this.solubility}` );
 
     // @public (read-only)
     // Name is a Property solely for PhET-iO. A use-case is when the client wants to replace the solute name with
@@ -66,13 +259,25 @@ class Solute extends PhetioObject {
       phetioDocumentation: 'name of the solute, as displayed in the user interface'
     } );
 
-    // @public (read-only)
+    // @public (read-only) pH of the stock solution
     this.pH = pH;
     this.stockColor = stockColor;
 
     // @public (read-only) used to other make tandems that pertain to this solute, e.g. combo box items
     this.tandemName = options.tandem.name;
 
+    // @public (read-only) {SoluteCategory|null}
+    this.category = options.category;
+
+    // @public (read-only) {string|HTMLImageElement|null}
+    this.icon = options.icon;
+
+    // @public (read-only) see options.info
+    this.info = options.info;
+
+    // @public (read-only) {Object|null} see options.description
+    this.description = options.description;
+
     // @private
     this.dilutedColor = options.dilutedColor;
     this.colorStopColor = options.colorStopColor;
@@ -85,7 +290,67 @@ class Solute extends PhetioObject {
    * @public
    */
   toString() {
-    return `Solution[name:${this.name}, pH:${this.pH}]`;
+    return `Solution[name:${this.name}, pH:${this.pH}, molarity:${this.molarity}]`;
+  }
+
+  /**
+   * Is this solute a polyprotic acid, i.e. does it have more than one dissociation step?
+   * @returns {boolean}
+   * @public
+   */
+  isPolyprotic() {
+    return !!this.acidBaseSystem && this.acidBaseSystem.Ka.length > 1;
+  }
+
+  /**
+   * Gets the molarities of stock solution that can be chosen for this solute, in addition to its standard stock
+   * solution. These are the molarities in PHScaleConstants.STOCK_MOLARITIES that do not exceed the solute's
+   * solubility. None can be chosen for a solute whose standard stock solution has no molarity (e.g. water).
+   * @returns {number[]} mol/L
+   * @public
+   */
+  getStockMolarities() {
+    return ( this.molarity === 0 ) ? [] : PHScaleConstants.STOCK_MOLARITIES.filter(
+      molarity => this.solubility === null || molarity <= this.solubility );
+  }
+
+  /**
+   * Computes the pH of a stock solution of this solute at some molarity, other than the molarity of the solute's
+   * standard stock solution. Spectator ions and dissolved salts are diluted or concentrated along with the solute.
+   * @param {number} molarity - mol/L
+   * @returns {number}
+   * @public
+   */
+  computeStockPH( molarity ) {
+    assert && assert( molarity > 0, `invalid molarity: ${molarity}` );
+    assert && assert( this.molarity > 0, 'the molarity of a stock solution with no solute cannot be changed' );
+
+    let pH;
+    if ( molarity === this.molarity ) {
+      pH = this.pH;
+    }
+    else {
+
+      // 1 L of stock solution
+      const acidBaseSystems = this.acidBaseSystem ?
+        [ { moles: molarity, Ka: this.acidBaseSystem.Ka, charge: this.acidBaseSystem.charge } ] : [];
+      pH = PHModel.computePH( this.netH3OPerMole * molarity, 1, acidBaseSystems, Water.pKw,
+        Math.abs( this.netH3OPerMole ) * molarity / 2 + this.saltIonicStrength * molarity / this.molarity );
+    }
+    return pH;
+  }
+
+  /**
+   * Computes the color of a stock solution of this solute at some molarity. A stock solution that is more
+   * concentrated than the solute's standard stock solution has the standard stock color.
+   * @param {number} molarity - mol/L
+   * @returns {Color}
+   * @public
+   */
+  computeStockColor( molarity ) {
+    assert && assert( molarity > 0, `invalid molarity: ${molarity}` );
+    assert && assert( this.molarity > 0, 'the molarity of a stock solution with no solute cannot be changed' );
+    return this.computeColor( Math.min( 1, molarity / this.molarity ) );
   }
 
   /**
@@ -123,11 +388,12 @@ class Solute extends PhetioObject {
 }
 
 /**
- * SoluteIO handles PhET-iO serialization of Solute. Since all Solutes are static instances, it implements
- * 'Reference type serialization', as described in the Serialization section of
+ * SoluteIO handles PhET-iO serialization of Solute. Since Solutes are static instances or dynamic elements (see
+ * CustomSolute), it implements 'Reference type serialization', as described in the Serialization section of
  * https://github.com/phetsims/phet-io/blob/master/doc/phet-io-instrumentation-technical-guide.md#serialization
- * But because we want 'name' and 'pH' fields to appear in Studio, we cannot subclass ReferenceIO and must provide
- * both toStateObject and fromStateObject. See https://github.com/phetsims/ph-scale/issues/205.
+ * But because we want 'name', 'pH' and color fields to appear in Studio, we cannot subclass ReferenceIO and must
+ * provide both toStateObject and fromStateObject. See https://github.com/phetsims/ph-scale/issues/205.
+ * The description of a solute that was created from one is included, so that it can be recreated.
  * @public
  */
 Solute.SoluteIO = new IOType( 'SoluteIO', {
@@ -138,56 +404,185 @@ Solute.SoluteIO = new IOType( 'SoluteIO', {
     const soluteReference = ReferenceIO( IOType.ObjectIO ).toStateObject( solute );
     soluteReference.name = solute.name;
     soluteReference.pH = solute.pH;
+    soluteReference.molarity = solute.molarity;
+    soluteReference.stockColor = solute.stockColor.toCSS();
+    soluteReference.colorStopColor = solute.colorStopColor ? solute.colorStopColor.toCSS() : null;
+    soluteReference.colorStopRatio = solute.colorStopRatio;
+    soluteReference.description = solute.description;
     return soluteReference;
   }
 } );
 
 // Static instances
 
-// parent tandem for all static instances of Solute, which are used across all screens
-const SOLUTES_TANDEM = Tandem.GLOBAL_MODEL.createTandem( 'solutes' );
+// @public parent tandem for all instances of Solute, which are used across all screens
+Solute.SOLUTES_TANDEM = Tandem.GLOBAL_MODEL.createTandem( 'solutes' );
+const SOLUTES_TANDEM = Solute.SOLUTES_TANDEM;
+
+/**
+ * Creates the info for a built-in solute, from the localized strings for the solute.
+ * @param {string} key - key of the solute in phScaleStrings.info
+ * @param {Hazard[]} hazards
+ * @returns {Object} see options.info
+ */
+function createInfo( key, hazards ) {
+  const strings = phScaleStrings.info[ key ];
+  return {
+    sources: strings.sources,
+    effects: strings.effects,
+    handling: strings.handling,
+    concentrations: strings.concentrations,
+    hazards: hazards
+  };
+}
+
+// Phosphate system, H3PO4 <-> H2PO4- <-> HPO4 2- <-> PO4 3-
+const PHOSPHATE_KA = [ 7.5E-3, 6.2E-8, 4.8E-13 ];
+const PHOSPHATE_SPECIES = [
+  { formula: 'H<sub>3</sub>PO<sub>4</sub>', tandemName: 'H3PO4' },
+  { formula: 'H<sub>2</sub>PO<sub>4</sub><sup>-</sup>', tandemName: 'H2PO4' },
+  { formula: 'HPO<sub>4</sub><sup>2-</sup>', tandemName: 'HPO4' },
+  { formula: 'PO<sub>4</sub><sup>3-</sup>', tandemName: 'PO4' }
+];
 
 Solute.NITRIC_ACID = new Solute( phScaleStrings.choice.nitricAcid, 1, new Color( 255, 255, 0 ), {
   colorStopColor: new Color( 255, 224, 204 ),
+  category: SoluteCategory.FERTILIZER,
+  info: createInfo( 'nitricAcid', [ Hazard.CORROSIVE, Hazard.OXIDIZER ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'nitricAcid' )
 } );
 
-Solute.SOAP = new Solute( phScaleStrings.choice.soap, 10, new Color( 224, 141, 242 ), {
+// Soap is a weak base, the conjugate base of fatty acids. Kb is the apparent value for fatty acid salts in solution.
+Solute.SOAP = new Solute( phScaleStrings.choice.soap, null, new Color( 224, 141, 242 ), {
+  Kb: 1E-6,
+  molarity: 0.01,
   colorStopColor: new Color( 232, 204, 255 ),
+  category: SoluteCategory.HOUSEHOLD,
+  info: createInfo( 'soap', [ Hazard.IRRITANT ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'soap' )
 } );
 
-Solute.AMMONIUM = new Solute( phScaleStrings.choice.ammonium, 11, new Color( 250, 250, 250 ), {
+// Aqueous ammonia, NH3 + H2O <-> NH4+ + OH-
+Solute.AMMONIUM = new Solute( phScaleStrings.choice.ammonium, null, new Color( 250, 250, 250 ), {
+  Kb: 1.8E-5,
+  molarity: 0.056,
+  category: SoluteCategory.FERTILIZER,
+  info: createInfo( 'ammonium', [ Hazard.IRRITANT, Hazard.ENVIRONMENTAL ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'ammonium' )
 } );
 
-Solute.PHOSPHORIC_ACID = new Solute( phScaleStrings.choice.phosphoricAcid, 2, new Color( 250, 250, 250 ), {
+// Ammonium nitrate fertilizer, NH4NO3. NH4+ is a weak acid, so the solution is acidic.
+Solute.AMMONIUM_NITRATE = new Solute( phScaleStrings.choice.ammoniumNitrate, null, new Color( 250, 250, 250 ), {
+  ions: [ { ion: Ion.AMMONIUM, count: 1 }, { ion: Ion.NITRATE, count: 1 } ],
+  molarity: 0.1,
+  molarMass: 80.04,
+  solubility: 10,
+  category: SoluteCategory.FERTILIZER,
+  info: createInfo( 'ammoniumNitrate', [ Hazard.OXIDIZER, Hazard.IRRITANT ] ),
+  tandem: SOLUTES_TANDEM.createTandem( 'ammoniumNitrate' )
+} );
+
+// Phosphoric acid, a triprotic acid
+Solute.PHOSPHORIC_ACID = new Solute( phScaleStrings.choice.phosphoricAcid, null, new Color( 250, 250, 250 ), {
+  Ka: PHOSPHATE_KA,
+  molarity: 0.023,
+  species: PHOSPHATE_SPECIES,
+  category: SoluteCategory.FERTILIZER,
+  info: createInfo( 'phosphoricAcid', [ Hazard.CORROSIVE ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'phosphoricAcid' )
 } );
 
-Solute.SULFURIC_ACID = new Solute( phScaleStrings.choice.sulfuricAcid, 3, new Color( 250, 250, 250 ), {
+// Phosphate buffer, equimolar NaH2PO4 and Na2HPO4, pH = pKa2
+Solute.PHOSPHATE_BUFFER = new Solute( phScaleStrings.choice.phosphateBuffer, null, new Color( 250, 250, 250 ), {
+  Ka: PHOSPHATE_KA,
+  counterIonCharge: 1.5,
+  molarity: 0.1,
+  species: PHOSPHATE_SPECIES,
+  info: createInfo( 'phosphateBuffer', [] ),
+  tandem: SOLUTES_TANDEM.createTandem( 'phosphateBuffer' )
+} );
+
+// Sodium bicarbonate, NaHCO3, the main source of alkalinity that buffers natural waters
+Solute.BICARBONATE = new Solute( phScaleStrings.choice.bicarbonate, null, new Color( 250, 250, 250 ), {
+  Ka: Carbonate.Ka,
+  counterIonCharge: 1,
+  molarity: 0.05,
+  molarMass: 84.01,
+  solubility: 1.1,
+  species: Carbonate.species,
+  category: SoluteCategory.NATURAL_WATER,
+  info: createInfo( 'bicarbonate', [] ),
+  tandem: SOLUTES_TANDEM.createTandem( 'bicarbonate' )
+} );
+
+// Sulfuric acid, a diprotic acid, H2SO4 <-> HSO4- <-> SO4 2-. The first dissociation is essentially complete.
+Solute.SULFURIC_ACID = new Solute( phScaleStrings.choice.sulfuricAcid, null, new Color( 250, 250, 250 ), {
+  Ka: Ion.SULFATE.acidBaseSystem.Ka,
+  molarity: 5.2E-4,
+  species: Ion.SULFATE.species,
+  category: SoluteCategory.ACID,
+  info: createInfo( 'sulfuricAcid', [ Hazard.CORROSIVE ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'sulfuricAcid' )
 } );
 
+// Slaked lime, Ca(OH)2, 2 moles of OH- per mole
 Solute.LIME = new Solute( phScaleStrings.choice.lime, 12.4, new Color( 250, 250, 250 ), {
+  molarMass: 74.09 / 2,
+  solubility: 0.046, // about 1.7 g/L of Ca(OH)2, 2 moles of OH- per mole
+  category: SoluteCategory.BASE,
+  info: createInfo( 'lime', [ Hazard.CORROSIVE ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'lime' )
 } );
 
+// Salt water, about 0.5 mol/L NaCl, similar to sea water
 Solute.SALT_WATER = new Solute( phScaleStrings.choice.saltWater, 7, new Color( 250, 250, 250 ), {
+  saltIonicStrength: 0.5,
+  category: SoluteCategory.NATURAL_WATER,
+  info: createInfo( 'saltWater', [] ),
   tandem: SOLUTES_TANDEM.createTandem( 'saltWater' )
 } );
 
-Solute.POTASSIUM_SULFATE = new Solute( phScaleStrings.choice.potassiumSulfate, 6, new Color( 59, 240, 234 ), {
+// Potassium sulfate fertilizer, K2SO4. SO4 2- is a very weak base, so the solution is nearly neutral.
+Solute.POTASSIUM_SULFATE = new Solute( phScaleStrings.choice.potassiumSulfate, null, new Color( 59, 240, 234 ), {
+  ions: [ { ion: Ion.POTASSIUM, count: 2 }, { ion: Ion.SULFATE, count: 1 } ],
+  molarity: 0.1,
+  molarMass: 174.26,
+  solubility: 0.64,
   colorStopColor: new Color( 183, 229, 227 ),
+  category: SoluteCategory.FERTILIZER,
+  info: createInfo( 'potassiumSulfate', [] ),
   tandem: SOLUTES_TANDEM.createTandem( 'potassiumSulfate' )
 } );
 
 Solute.BATTERY_ACID = new Solute( phScaleStrings.choice.batteryAcid, 1, new Color( 255, 171, 120 ), {
   colorStopColor: new Color( 255, 224, 204 ),
+  category: SoluteCategory.ACID,
+  info: createInfo( 'batteryAcid', [ Hazard.CORROSIVE, Hazard.ENVIRONMENTAL ] ),
   tandem: SOLUTES_TANDEM.createTandem( 'batteryAcid' )
 } );
 
+// Titrants, strong acid and base solutions of known concentration, used in the Titration screen
+Solute.SODIUM_HYDROXIDE = new Solute( phScaleStrings.choice.sodiumHydroxide, null, new Color( 224, 240, 255 ), {
+  netH3OPerMole: -1,
+  molarity: 0.1,
+  molarMass: 40.00,
+  solubility: 19,
+  category: SoluteCategory.BASE,
+  info: createInfo( 'sodiumHydroxide', [ Hazard.CORROSIVE ] ),
+  tandem: SOLUTES_TANDEM.createTandem( 'sodiumHydroxide' )
+} );
+
+Solute.HYDROCHLORIC_ACID = new Solute( phScaleStrings.choice.hydrochloricAcid, null, new Color( 255, 250, 215 ), {
+  netH3OPerMole: 1,
+  molarity: 0.1,
+  category: SoluteCategory.ACID,
+  info: createInfo( 'hydrochloricAcid', [ Hazard.CORROSIVE ] ),
+  tandem: SOLUTES_TANDEM.createTandem( 'hydrochloricAcid' )
+} );
+
 Solute.WATER = new Solute( Water.name, Water.pH, Water.color, {
+  category: SoluteCategory.NATURAL_WATER,
+  info: createInfo( 'water', [] ),
   tandem: SOLUTES_TANDEM.createTandem( 'water' )
 } );
 
@@ -0,0 +1,418 @@
+// Copyright 2026, agent
+
+/**
+ * SoluteCatalog is the set of solutes that are available in the Macro and Micro screens. By default, the catalog is
+ * the sim's built-in solutes. It can be replaced using the 'solutes' query parameter, whose value is either a JSON array
+ * of solute descriptions, or the URL of a JSON file that contains such an array. See doc/solute-catalog.md for the
+ * format of a solute description.
+ *
+ * An invalid solute description is skipped, and a warning is reported for it, see QueryStringMachine.addWarning.
+ * If there are no valid solute descriptions, the built-in solutes are used.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import phScale from '../../phScale.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+import Hazard from './Hazard.js';
+import PHModel from './PHModel.js';
+import Solute from './Solute.js';
+import SoluteCategory from './SoluteCategory.js';
+
+// constants
+const QUERY_PARAMETER = 'solutes';
+const ID_REGEX = /^[a-z][a-zA-Z0-9]*$/;
+const HEX_COLOR_REGEX = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Keys that are allowed in a solute description. Anything else is likely a typo, so it is reported.
+const KEYS = [ 'id', 'name', 'category', 'icon', 'info', 'stockColor', 'colorStopColor', 'colorStopRatio', 'pH', 'pKa', 'pKb',
+  'molarity', 'molarMass', 'solubility', 'species' ];
+
+// Keys that are allowed in the info of a solute description, see Solute options.info
+const INFO_KEYS = [ 'sources', 'effects', 'handling', 'concentrations', 'hazards' ];
+
+// built-in solutes, in the order that they appear in the combo box.
+// The order is alphabetical (English names), see https://github.com/phetsims/ph-scale/issues/101
+const DEFAULT_SOLUTES = [
+  Solute.AMMONIUM,
+  Solute.AMMONIUM_NITRATE,
+  Solute.BATTERY_ACID,
+  Solute.BICARBONATE,
+  Solute.LIME,
+  Solute.NITRIC_ACID,
+  Solute.PHOSPHATE_BUFFER,
+  Solute.PHOSPHORIC_ACID,
+  Solute.POTASSIUM_SULFATE,
+  Solute.SALT_WATER,
+  Solute.SOAP,
+  Solute.SULFURIC_ACID,
+  Solute.WATER
+];
+
+// built-in solutes that are solids, which can be weighed on the balance, in the order that they appear in the combo box
+const DEFAULT_SOLIDS = [
+  Solute.AMMONIUM_NITRATE,
+  Solute.BICARBONATE,
+  Solute.LIME,
+  Solute.POTASSIUM_SULFATE,
+  Solute.SODIUM_HYDROXIDE
+];
+
+// built-in solutes that can be included in a catalog by id, keyed by tandemName
+const BUILT_IN_SOLUTES = _.keyBy( [ ...DEFAULT_SOLUTES, Solute.SODIUM_HYDROXIDE, Solute.HYDROCHLORIC_ACID ], 'tandemName' );
+
+const SoluteCatalog = {
+
+  // @public (read-only) {Solute[]}
+  DEFAULT_SOLUTES: DEFAULT_SOLUTES,
+
+  // @public (read-only) {Solute[]}
+  DEFAULT_SOLIDS: DEFAULT_SOLIDS,
+
+  /**
+   * Loads the catalog that is specified by the value of the 'solutes' query parameter.
+   * @param {string|null} queryParameterValue - JSON array, URL of a JSON file, or null for the built-in solutes
+   * @returns {Promise.<Solute[]>}
+   * @public
+   */
+  load( queryParameterValue ) {
+    let promise;
+    if ( queryParameterValue === null ) {
+      promise = Promise.resolve( DEFAULT_SOLUTES );
+    }
+    else if ( queryParameterValue.trim().startsWith( '[' ) ) {
+      promise = Promise.resolve( SoluteCatalog.parse( queryParameterValue, queryParameterValue ) );
+    }
+    else {
+      promise = window.fetch( queryParameterValue )
+        .then( response => {
+          if ( !response.ok ) {
+            throw new Error( `HTTP status ${response.status}` );
+          }
+          return response.text();
+        } )
+        .then( text => SoluteCatalog.parse( text, queryParameterValue ) )
+        .catch( error => {
+          addWarning( queryParameterValue, `unable to load ${queryParameterValue}: ${error.message}` );
+          return DEFAULT_SOLUTES;
+        } );
+    }
+    return promise;
+  },
+
+  /**
+   * Parses a JSON array of solute descriptions. Invalid descriptions are skipped, with a warning.
+   * @param {string} json
+   * @param {string} queryParameterValue - reported with warnings
+   * @returns {Solute[]} the solutes, or the built-in solutes if there are no valid solute descriptions
+   * @public
+   */
+  parse( json, queryParameterValue ) {
+
+    let descriptions;
+    try {
+      descriptions = JSON.parse( json );
+    }
+    catch( error ) {
+      addWarning( queryParameterValue, `invalid JSON: ${error.message}` );
+      return DEFAULT_SOLUTES;
+    }
+    if ( !Array.isArray( descriptions ) ) {
+      addWarning( queryParameterValue, 'must be an array of solute descriptions' );
+      return DEFAULT_SOLUTES;
+    }
+
+    const solutes = [];
+    descriptions.forEach( ( description, index ) => {
+      try {
+
+        // Check for duplicates before creating the solute, because ids are used as tandem names.
+        if ( _.some( solutes, solute => solute.tandemName === ( description && description.id ) ) ) {
+          throw new Error( `duplicate id: ${description.id}` );
+        }
+        solutes.push( createSolute( description ) );
+      }
+      catch( error ) {
+        addWarning( queryParameterValue, `${QUERY_PARAMETER}[${index}]: ${error.message}` );
+      }
+    } );
+
+    if ( solutes.length === 0 ) {
+      addWarning( queryParameterValue, 'no valid solute descriptions, using the built-in solutes' );
+    }
+    return ( solutes.length === 0 ) ? DEFAULT_SOLUTES : solutes;
+  },
+
+  /**
+   * Parses a solute description into the arguments for the Solute constructor. The id (if any) is ignored, so the
+   * caller is responsible for providing options.tandem. This is shared with solutes that are created at runtime,
+   * see CustomSolute.
+   * @param {Object} description
+   * @returns {{name:string, pH:number|null, stockColor:Color, options:Object}}
+   * @throws {Error} if the description is invalid
+   * @public
+   */
+  parseDescription( description ) {
+
+    if ( !_.isPlainObject( description ) ) {
+      throw new Error( 'must be an object' );
+    }
+    const unknownKeys = Object.keys( description ).filter( key => !KEYS.includes( key ) );
+    if ( unknownKeys.length > 0 ) {
+      throw new Error( `unknown keys: ${unknownKeys.join( ', ' )}` );
+    }
+
+    // name
+    if ( typeof description.name !== 'string' || description.name.trim().length === 0 ) {
+      throw new Error( 'name is required' );
+    }
+
+    const options = {};
+
+    // colors
+    const stockColor = parseColor( description.stockColor, 'stockColor' );
+    if ( description.colorStopColor !== undefined ) {
+      options.colorStopColor = parseColor( description.colorStopColor, 'colorStopColor' );
+    }
+    if ( description.colorStopRatio !== undefined ) {
+      options.colorStopRatio = parseNumber( description.colorStopRatio, 'colorStopRatio',
+        value => value > 0 && value < 1, 'must be > 0 and < 1' );
+    }
+
+    // category, in camelCase, e.g. 'naturalWater' for SoluteCategory.NATURAL_WATER
+    if ( description.category !== undefined ) {
+      const key = ( typeof description.category === 'string' ) ? _.snakeCase( description.category ).toUpperCase() : null;
+      if ( !SoluteCategory.KEYS.includes( key ) ) {
+        const categories = SoluteCategory.KEYS.map( key => _.camelCase( key ) );
+        throw new Error( `category must be one of ${categories.join( ', ' )}: ${description.category}` );
+      }
+      options.category = SoluteCategory[ key ];
+    }
+
+    // icon, the URL of an image
+    if ( description.icon !== undefined ) {
+      if ( typeof description.icon !== 'string' || description.icon.length === 0 ) {
+        throw new Error( `icon must be the URL of an image: ${description.icon}` );
+      }
+      options.icon = description.icon;
+    }
+
+    // info, displayed by the info button. Each field is optional, and hazards are in camelCase, e.g. 'corrosive'
+    if ( description.info !== undefined ) {
+      options.info = parseInfo( description.info );
+    }
+
+    // molar mass of a solid, in g/mol
+    if ( description.molarMass !== undefined ) {
+      options.molarMass = parseNumber( description.molarMass, 'molarMass', value => value > 0, 'must be > 0' );
+    }
+
+    // chemistry, a strong acid or base (pH), weak acid (pKa, molarity), or weak base (pKb, molarity)
+    const chemistryKeys = [ 'pH', 'pKa', 'pKb' ].filter( key => description[ key ] !== undefined );
+    if ( chemistryKeys.length !== 1 ) {
+      throw new Error( 'exactly one of pH, pKa or pKb is required' );
+    }
+    let pH = null;
+    if ( description.pH !== undefined ) {
+      pH = parseNumber( description.pH, 'pH', value => PHScaleConstants.PH_RANGE.contains( value ),
+        `must be in the range ${PHScaleConstants.PH_RANGE.min} to ${PHScaleConstants.PH_RANGE.max}` );
+      if ( description.molarity !== undefined || description.species !== undefined ) {
+        throw new Error( 'molarity and species are not supported with pH' );
+      }
+      if ( description.molarMass !== undefined && PHModel.pHToNetConcentrationH3O( pH ) === 0 ) {
+        throw new Error( 'molarMass is not supported for a neutral solute' );
+      }
+    }
+    else {
+      options.molarity = parseNumber( description.molarity, 'molarity', value => value > 0, 'must be > 0' );
+      let Ka;
+      let charge;
+      if ( description.pKa !== undefined ) {
+
+        // weak acid, pKa is an array of ascending values for a polyprotic acid
+        const pKas = Array.isArray( description.pKa ) ? description.pKa : [ description.pKa ];
+        pKas.forEach( pKa => parseNumber( pKa, 'pKa', _.isFinite, 'must be a number' ) );
+        if ( pKas.length === 0 || !_.isEqual( pKas, _.sortBy( pKas ) ) ) {
+          throw new Error( 'pKa values must be in ascending order' );
+        }
+        Ka = pKas.map( pKa => Math.pow( 10, -pKa ) );
+        charge = 0;
+        options.Ka = Ka;
+      }
+      else {
+
+        // weak base
+        options.Kb = Math.pow( 10, -parseNumber( description.pKb, 'pKb', _.isFinite, 'must be a number' ) );
+        Ka = [ PHModel.KbToKa( options.Kb ) ];
+        charge = 1;
+      }
+
+      // species, required for polyprotic acids
+      if ( description.species !== undefined ) {
+        if ( !Array.isArray( description.species ) || description.species.length !== Ka.length + 1 ||
+             !description.species.every( formula => typeof formula === 'string' && formula.length > 0 ) ) {
+          throw new Error( 'species must be an array of formulas, one more than the number of pKa values' );
+        }
+        options.species = description.species.map( formula => {
+          return {
+            formula: formula,
+            tandemName: formula.replace( /<[^>]*>/g, '' ).replace( /[^a-zA-Z0-9]/g, '' )
+          };
+        } );
+      }
+      else if ( Ka.length > 1 ) {
+        throw new Error( 'species is required for a polyprotic acid' );
+      }
+
+      // The pH of the stock solution is computed, so verify that it is in range before creating the solute.
+      // Computed pH is limited to PH_RANGE, so a pH at either end of the range is out of range.
+      const computedPH = PHModel.computeWeakPH( options.molarity, Ka, charge );
+      if ( computedPH <= PHScaleConstants.PH_RANGE.min || computedPH >= PHScaleConstants.PH_RANGE.max ) {
+        throw new Error( `pH of the stock solution (${computedPH.toFixed( 2 )}) is out of range` );
+      }
+    }
+
+    // solubility in mol/L, which the standard stock solution must not exceed
+    if ( description.solubility !== undefined ) {
+      options.solubility = parseNumber( description.solubility, 'solubility', value => value > 0, 'must be > 0' );
+      const molarity = ( pH === null ) ? options.molarity : Math.abs( PHModel.pHToNetConcentrationH3O( pH ) );
+      if ( options.solubility < molarity ) {
+        throw new Error( `solubility must be at least the molarity of the stock solution (${molarity})` );
+      }
+    }
+
+    return {
+      name: description.name,
+      pH: pH,
+      stockColor: stockColor,
+      options: options
+    };
+  }
+};
+
+/**
+ * Reports a problem with the value of the 'solutes' query parameter.
+ * @param {string} queryParameterValue
+ * @param {string} message
+ */
+function addWarning( queryParameterValue, message ) {
+  QueryStringMachine.addWarning( QUERY_PARAMETER, queryParameterValue, message );
+}
+
+/**
+ * Creates a solute from a solute description. A description whose id is the tandemName of a built-in solute (and that
+ * has no other keys) is that built-in solute.
+ * @param {Object} description
+ * @returns {Solute}
+ * @throws {Error} if the description is invalid
+ */
+function createSolute( description ) {
+
+  if ( !_.isPlainObject( description ) ) {
+    throw new Error( 'must be an object' );
+  }
+
+  // id, which is also the solute's tandemName
+  const id = description.id;
+  if ( typeof id !== 'string' || !ID_REGEX.test( id ) ) {
+    throw new Error( `id must be a camelCase string that starts with a lowercase letter: ${id}` );
+  }
+
+  // built-in solute
+  if ( BUILT_IN_SOLUTES.hasOwnProperty( id ) ) {
+    if ( Object.keys( description ).length !== 1 ) {
+      throw new Error( `built-in solute ${id} cannot be modified, use a different id` );
+    }
+    return BUILT_IN_SOLUTES[ id ];
+  }
+
+  const args = SoluteCatalog.parseDescription( description );
+  return new Solute( args.name, args.pH, args.stockColor, merge( {
+    description: description,
+    tandem: Solute.SOLUTES_TANDEM.createTandem( id )
+  }, args.options ) );
+}
+
+/**
+ * Parses a number in a solute description.
+ * @param {*} value
+ * @param {string} key - reported in the error message
+ * @param {function(number):boolean} isValid
+ * @param {string} requirement - reported in the error message, e.g. 'must be > 0'
+ * @returns {number}
+ * @throws {Error} if the value is invalid
+ */
+function parseNumber( value, key, isValid, requirement ) {
+  if ( typeof value !== 'number' || !isFinite( value ) || !isValid( value ) ) {
+    throw new Error( `${key} ${requirement}: ${value}` );
+  }
+  return value;
+}
+
+/**
+ * Parses a color in a solute description, either a hex string ('#rrggbb' or '#rgb') or an array [ r, g, b ].
+ * @param {*} value
+ * @param {string} key - reported in the error message
+ * @returns {Color}
+ * @throws {Error} if the value is invalid
+ */
+function parseColor( value, key ) {
+  let color;
+  if ( typeof value === 'string' && HEX_COLOR_REGEX.test( value ) ) {
+    color = new Color( value );
+  }
+  else if ( Array.isArray( value ) && value.length === 3 &&
+            value.every( component => Number.isInteger( component ) && component >= 0 && component <= 255 ) ) {
+    color = new Color( value[ 0 ], value[ 1 ], value[ 2 ] );
+  }
+  else {
+    throw new Error( `${key} must be '#rrggbb' or [ r, g, b ]: ${JSON.stringify( value )}` );
+  }
+  return color;
+}
+
+/**
+ * Parses the info in a solute description. Hazards are in camelCase, e.g. 'environmental' for Hazard.ENVIRONMENTAL.
+ * @param {*} value
+ * @returns {Object} see Solute options.info
+ * @throws {Error} if the value is invalid
+ */
+function parseInfo( value ) {
+  if ( !_.isPlainObject( value ) ) {
+    throw new Error( 'info must be an object' );
+  }
+  const unknownKeys = Object.keys( value ).filter( key => !INFO_KEYS.includes( key ) );
+  if ( unknownKeys.length > 0 ) {
+    throw new Error( `unknown info keys: ${unknownKeys.join( ', ' )}` );
+  }
+
+  const info = { hazards: [] };
+  [ 'sources', 'effects', 'handling', 'concentrations' ].forEach( key => {
+    if ( value[ key ] !== undefined ) {
+      if ( typeof value[ key ] !== 'string' ) {
+        throw new Error( `info.${key} must be a string: ${value[ key ]}` );
+      }
+      info[ key ] = value[ key ];
+    }
+  } );
+
+  if ( value.hazards !== undefined ) {
+    if ( !Array.isArray( value.hazards ) ) {
+      throw new Error( `info.hazards must be an array: ${value.hazards}` );
+    }
+    info.hazards = value.hazards.map( hazard => {
+      const key = ( typeof hazard === 'string' ) ? _.snakeCase( hazard ).toUpperCase() : null;
+      if ( !Hazard.KEYS.includes( key ) ) {
+        const hazards = Hazard.KEYS.map( key => _.camelCase( key ) );
+        throw new Error( `info.hazards must be one of ${hazards.join( ', ' )}: ${hazard}` );
+      }
+      return Hazard[ key ];
+    } );
+  }
+  return info;
+}
+
+phScale.register( 'SoluteCatalog', SoluteCatalog );
+export default SoluteCatalog;
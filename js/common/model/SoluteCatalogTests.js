@@ -0,0 +1,88 @@
+// Copyright 2026, agent
+
+/**
+ * SoluteCatalog tests, for solute descriptions in the catalog and for custom solutes, which use the same format.
+ *
+ * @author agent
+ */
+
+import customSoluteGroup from './customSoluteGroup.js';
+import Solute from './Solute.js';
+import SoluteCatalog from './SoluteCatalog.js';
+
+// a valid description of a weak acid
+const VINEGAR = {
+  name: 'Vinegar',
+  stockColor: '#ffffff',
+  pKa: 4.76,
+  molarity: 0.1
+};
+
+// malformed descriptions, keyed by what is wrong with them
+const MALFORMED_DESCRIPTIONS = {
+  'not an object': [ VINEGAR ],
+  'unknown key': _.assign( { color: '#ffffff' }, VINEGAR ),
+  'no name': _.omit( VINEGAR, 'name' ),
+  'empty name': _.assign( {}, VINEGAR, { name: ' ' } ),
+  'invalid stockColor': _.assign( {}, VINEGAR, { stockColor: 'white' } ),
+  'invalid stockColor component': _.assign( {}, VINEGAR, { stockColor: [ 255, 255, 256 ] } ),
+  'invalid category': _.assign( {}, VINEGAR, { category: 'vegetable' } ),
+  'invalid hazard': _.assign( {}, VINEGAR, { info: { hazards: [ 'spicy' ] } } ),
+  'no pH, pKa or pKb': _.omit( VINEGAR, 'pKa' ),
+  'both pH and pKa': _.assign( {}, VINEGAR, { pH: 3 } ),
+  'pH out of range': _.assign( _.omit( VINEGAR, [ 'pKa', 'molarity' ] ), { pH: 16 } ),
+  'pH that is not a number': _.assign( _.omit( VINEGAR, [ 'pKa', 'molarity' ] ), { pH: '3' } ),
+  'no molarity': _.omit( VINEGAR, 'molarity' ),
+  'negative molarity': _.assign( {}, VINEGAR, { molarity: -0.1 } ),
+  'pKa values in descending order': _.assign( {}, VINEGAR, { pKa: [ 7, 2 ], species: [ 'H2A', 'HA-', 'A2-' ] } ),
+  'polyprotic acid without species': _.assign( {}, VINEGAR, { pKa: [ 2, 7 ] } ),
+  'wrong number of species': _.assign( {}, VINEGAR, { pKa: [ 2, 7 ], species: [ 'H2A', 'HA-' ] } ),
+  'stock pH out of range': _.assign( {}, VINEGAR, { pKa: -2, molarity: 20 } ),
+  'negative solubility': _.assign( {}, VINEGAR, { solubility: -1 } ),
+  'solubility less than molarity': _.assign( {}, VINEGAR, { solubility: 0.01 } )
+};
+
+QUnit.module( 'SoluteCatalog' );
+
+QUnit.test( 'valid descriptions', assert => {
+  const args = SoluteCatalog.parseDescription( VINEGAR );
+  assert.equal( args.name, VINEGAR.name, 'name' );
+  assert.equal( args.pH, null, 'pH of a weak acid is computed' );
+  assert.ok( Math.abs( args.options.Ka[ 0 ] - Math.pow( 10, -VINEGAR.pKa ) ) < 1E-12, 'Ka' );
+
+  const strongAcid = SoluteCatalog.parseDescription( { name: 'Acid', stockColor: [ 255, 0, 0 ], pH: 2 } );
+  assert.equal( strongAcid.pH, 2, 'pH of a strong acid' );
+} );
+
+QUnit.test( 'malformed descriptions', assert => {
+  _.forEach( MALFORMED_DESCRIPTIONS, ( description, problem ) => {
+    assert.throws( () => SoluteCatalog.parseDescription( description ), `rejects ${problem}` );
+  } );
+} );
+
+QUnit.test( 'parse', assert => {
+  assert.equal( SoluteCatalog.parse( '[ {', 'test' ), SoluteCatalog.DEFAULT_SOLUTES, 'invalid JSON' );
+  assert.equal( SoluteCatalog.parse( '{}', 'test' ), SoluteCatalog.DEFAULT_SOLUTES, 'not an array' );
+  assert.equal( SoluteCatalog.parse( '[ { "id": "Lime" } ]', 'test' ), SoluteCatalog.DEFAULT_SOLUTES,
+    'no valid descriptions' );
+  assert.deepEqual( SoluteCatalog.parse( '[ { "id": "lime" }, { "id": "Soap" }, { "id": "lime" } ]', 'test' ),
+    [ Solute.LIME ], 'invalid and duplicate ids are skipped' );
+  assert.deepEqual( SoluteCatalog.parse( '[ { "id": "soap", "name": "Soap" } ]', 'test' ), SoluteCatalog.DEFAULT_SOLUTES,
+    'built-in solutes cannot be modified' );
+} );
+
+QUnit.test( 'custom solutes', assert => {
+  const count = customSoluteGroup.count;
+  _.forEach( MALFORMED_DESCRIPTIONS, ( description, problem ) => {
+    assert.throws( () => customSoluteGroup.createSolute( description ), `rejects ${problem}` );
+  } );
+  assert.equal( customSoluteGroup.count, count, 'no custom solutes were created' );
+
+  // A modification that makes the description malformed leaves the solute unchanged.
+  const solute = customSoluteGroup.createSolute( VINEGAR );
+  assert.throws( () => customSoluteGroup.modifySolute( solute, { molarity: -0.1 } ), 'rejects negative molarity' );
+  assert.ok( customSoluteGroup.includes( solute ), 'solute was not replaced' );
+  assert.equal( solute.description.molarity, VINEGAR.molarity, 'description is unchanged' );
+  customSoluteGroup.deleteSolute( solute );
+  assert.equal( customSoluteGroup.count, count, 'solute was deleted' );
+} );
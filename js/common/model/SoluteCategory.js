@@ -0,0 +1,16 @@
+// Copyright 2026, agent
+
+/**
+ * Categories of solutes, used to organize the solutes that are available. The order of the categories is the order
+ * in which they appear in the solute combo box.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import phScale from '../../phScale.js';
+
+const SoluteCategory = Enumeration.byKeys( [ 'ACID', 'BASE', 'FERTILIZER', 'HOUSEHOLD', 'NATURAL_WATER' ] );
+
+phScale.register( 'SoluteCategory', SoluteCategory );
+export default SoluteCategory;
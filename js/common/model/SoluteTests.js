@@ -0,0 +1,117 @@
+// Copyright 2026, agent
+
+/**
+ * Solute tests, for solutes whose pH is computed. Solutions are described by SolutionComposition, so that dilution and
+ * mixing are computed the same way as in the sim.
+ *
+ * @author agent
+ */
+
+import PHScaleConstants from '../PHScaleConstants.js';
+import PHModel from './PHModel.js';
+import SolutionComposition from './SolutionComposition.js';
+import Solute from './Solute.js';
+import Water from './Water.js';
+
+// constants
+const TOLERANCE = 0.02; // pH units
+const STOCK_VOLUME = 0.1; // L
+
+QUnit.module( 'Solute' );
+
+/**
+ * Verifies that a pH is within TOLERANCE of an expected value.
+ * @param {Object} assert - QUnit assert
+ * @param {number|null} pH
+ * @param {number} expectedPH
+ * @param {string} message
+ */
+function assertPH( assert, pH, expectedPH, message ) {
+  assert.ok( pH !== null && Math.abs( pH - expectedPH ) <= TOLERANCE, `${message}: expected ${expectedPH}, got ${pH}` );
+}
+
+/**
+ * Computes the pH of a solution, as MacroSolution does.
+ * @param {SolutionComposition} composition
+ * @returns {number|null}
+ */
+function computePH( composition ) {
+  return PHModel.computePH( composition.netMolesH3O, composition.totalVolume, composition.acidBaseSystems, Water.pKw,
+    composition.spectatorIonicStrength );
+}
+
+/**
+ * Creates a solution of stock solutions and water.
+ * @param {Solute[]} solutes - STOCK_VOLUME of the stock solution of each solute
+ * @param {number} waterVolume - L
+ * @returns {SolutionComposition}
+ */
+function createComposition( solutes, waterVolume ) {
+  return new SolutionComposition( waterVolume, solutes.map( solute => {
+    return {
+      solute: solute,
+      volume: STOCK_VOLUME,
+      moles: solute.molarity * STOCK_VOLUME
+    };
+  } ) );
+}
+
+QUnit.test( 'weak base', assert => {
+  assertPH( assert, Solute.AMMONIUM.pH, 11.0, 'aqueous ammonia' );
+} );
+
+QUnit.test( 'salts', assert => {
+
+  // NH4+ is a weak acid, and NO3- is a spectator ion. The textbook value (5.13) is for activities equal to
+  // concentrations, and the activity of H3O+ at the ionic strength of the solution raises pH by about 0.1.
+  assertPH( assert, Solute.AMMONIUM_NITRATE.pH, 5.23, 'ammonium nitrate' );
+
+  // SO4 2- is a very weak base, and K+ is a spectator ion.
+  assertPH( assert, Solute.POTASSIUM_SULFATE.pH, 7.27, 'potassium sulfate' );
+} );
+
+QUnit.test( 'stock solutions', assert => {
+  [ Solute.AMMONIUM, Solute.AMMONIUM_NITRATE, Solute.POTASSIUM_SULFATE, Solute.PHOSPHORIC_ACID ].forEach( solute => {
+    assertPH( assert, computePH( createComposition( [ solute ], 0 ) ), solute.pH, `stock solution of ${solute.tandemName}` );
+  } );
+} );
+
+QUnit.test( 'stock molarities', assert => {
+
+  // Stock solutions cannot be more concentrated than the solute's solubility.
+  assert.deepEqual( Solute.LIME.getStockMolarities(), [ 0.001 ], 'lime' );
+  assert.deepEqual( Solute.POTASSIUM_SULFATE.getStockMolarities(), [ 0.1, 0.001 ], 'potassium sulfate' );
+  assert.deepEqual( Solute.SODIUM_HYDROXIDE.getStockMolarities(), PHScaleConstants.STOCK_MOLARITIES, 'sodium hydroxide' );
+  assert.deepEqual( Solute.PHOSPHORIC_ACID.getStockMolarities(), PHScaleConstants.STOCK_MOLARITIES,
+    'phosphoric acid, no solubility limit' );
+  assert.deepEqual( Solute.WATER.getStockMolarities(), [], 'water, molarity cannot be changed' );
+} );
+
+QUnit.test( 'dilution of salts', assert => {
+
+  // Diluting by a factor of 10 raises the pH of NH4NO3 by about 1/2, like a weak acid.
+  assertPH( assert, computePH( createComposition( [ Solute.AMMONIUM_NITRATE ], 9 * STOCK_VOLUME ) ), 5.67,
+    'ammonium nitrate diluted 10x' );
+
+  // Diluting K2SO4 moves its pH toward neutral.
+  assertPH( assert, computePH( createComposition( [ Solute.POTASSIUM_SULFATE ], 9 * STOCK_VOLUME ) ), 7.08,
+    'potassium sulfate diluted 10x' );
+
+  // A very dilute salt solution is neutral.
+  assertPH( assert, computePH( createComposition( [ Solute.AMMONIUM_NITRATE ], 1E5 ) ), 7, 'very dilute ammonium nitrate' );
+} );
+
+QUnit.test( 'mixing salts', assert => {
+
+  // NH4NO3 and NH3 in equal amounts are a buffer, near the pKa of NH4+ (9.26).
+  const ammonia = createComposition( [ Solute.AMMONIUM ], 0 );
+  const composition = new SolutionComposition( 0, [
+    ammonia.components[ 0 ],
+    {
+      solute: Solute.AMMONIUM_NITRATE,
+      volume: ammonia.components[ 0 ].moles / Solute.AMMONIUM_NITRATE.molarity,
+      moles: ammonia.components[ 0 ].moles
+    }
+  ] );
+  assertPH( assert, computePH( composition ), 9.33, 'ammonium nitrate and ammonia' );
+} );
@@ -0,0 +1,542 @@
+// Copyright 2026, agent
+
+/**
+ * SolutionComposition describes what is in a solution: the volume of water and how much of it came from each water
+ * source, the volume of stock solution and moles contributed by each solute (solids that are dissolved contribute moles
+ * but no volume), the moles of CO2 that have been exchanged with the air, the volume of
+ * water that has evaporated, and the moles of ammonium that have been converted to nitrate by nitrification.
+ * A SolutionComposition is immutable. Operations that change the composition return a new instance, so that
+ * the composition of a solution can be changed atomically by setting the value of a Property.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import phScale from '../../phScale.js';
+import Carbonate from './Carbonate.js';
+import CustomSolute from './CustomSolute.js';
+import Ion from './Ion.js';
+import Solute from './Solute.js';
+import Water from './Water.js';
+import WaterSource from './WaterSource.js';
+
+class SolutionComposition {
+
+  /**
+   * @param {number} waterVolume - volume of water that was added to the solution, in L
+   * @param {{solute:Solute, volume:number, moles:number}[]} components - one for each solute in the solution,
+   *   where volume is the volume of stock solution (L) and moles is the moles of solute. Stock solutions may be more
+   *   or less concentrated than the solute's standard stock solution, so moles is not necessarily volume * molarity.
+   * @param {Object} [options]
+   */
+  constructor( waterVolume, components, options ) {
+
+    options = merge( {
+
+      // {number} net moles of CO2 that have dissolved from the air, negative if CO2 has been released to the air
+      exchangedCO2Moles: 0,
+
+      // {number} volume of water that has evaporated from the solution, in L
+      evaporatedVolume: 0,
+
+      // {number} moles of ammonium that have been converted to nitrate by nitrification
+      nitrifiedMoles: 0,
+
+      // {{waterSource:WaterSource, volume:number}[]} volume of water (L) that came from each water source other than
+      // distilled water. The remainder of waterVolume is distilled water.
+      waterSources: []
+    }, options );
+
+    assert && assert( waterVolume >= 0, `invalid waterVolume: ${waterVolume}` );
+    assert && assert( options.evaporatedVolume >= 0, `invalid evaporatedVolume: ${options.evaporatedVolume}` );
+    assert && assert( options.nitrifiedMoles >= 0, `invalid nitrifiedMoles: ${options.nitrifiedMoles}` );
+    assert && assert( Array.isArray( components ), 'invalid components' );
+    assert && options.waterSources.forEach( entry => {
+      assert( entry.waterSource instanceof WaterSource && entry.waterSource !== WaterSource.DISTILLED, 'invalid waterSource' );
+      assert( entry.volume > 0, `invalid volume: ${entry.volume}` );
+      assert( _.filter( options.waterSources, e => e.waterSource === entry.waterSource ).length === 1,
+        `duplicate waterSource: ${entry.waterSource}` );
+    } );
+    assert && assert( _.sumBy( options.waterSources, entry => entry.volume ) <= waterVolume * ( 1 + 1E-9 ),
+      'water sources exceed waterVolume' );
+    assert && components.forEach( component => {
+      assert( component.solute instanceof Solute, 'invalid solute' );
+      assert( component.volume >= 0, `invalid volume: ${component.volume}` );
+      assert( component.moles >= 0, `invalid moles: ${component.moles}` );
+      assert( component.volume > 0 || ( component.moles > 0 && component.solute.molarity > 0 ),
+        'a component with no volume must be a dissolved solid' );
+      assert( _.filter( components, c => c.solute === component.solute ).length === 1, `duplicate solute: ${component.solute}` );
+    } );
+
+    // @public (read-only)
+    this.waterVolume = waterVolume;
+    this.exchangedCO2Moles = options.exchangedCO2Moles;
+    this.evaporatedVolume = options.evaporatedVolume;
+    this.nitrifiedMoles = options.nitrifiedMoles;
+    this.components = Object.freeze( components.map( component => Object.freeze( {
+      solute: component.solute,
+      volume: component.volume,
+      moles: component.moles
+    } ) ) );
+    this.waterSources = Object.freeze( options.waterSources.map( entry => Object.freeze( {
+      waterSource: entry.waterSource,
+      volume: entry.volume
+    } ) ) );
+
+    // @public (read-only) volume of all solutes, in L
+    this.soluteVolume = _.sumBy( this.components, component => component.volume );
+
+    // @public (read-only) total volume of the solution, in L. Evaporation removes water, but not solute.
+    this.totalVolume = this.waterVolume + this.soluteVolume - this.evaporatedVolume;
+    assert && assert( this.totalVolume >= 0, `invalid evaporatedVolume: ${this.evaporatedVolume}` );
+
+    // @public (read-only) net moles of H3O+ (moles of H3O+ minus moles of OH-) contributed by strong acids and bases,
+    // and by water sources. Nitrification converts ammonium (equivalent to NH3 + H3O+) to nitric acid, which is a
+    // strong acid.
+    this.netMolesH3O = this.nitrifiedMoles +
+                       _.sumBy( this.components, component => component.solute.netH3OPerMole * component.moles ) +
+                       _.sumBy( this.waterSources, entry => entry.waterSource.netConcentrationH3O * entry.volume );
+
+    // @public (read-only) ionic strength (mol/L) contributed by spectator ions, which do not take part in acid-base
+    // reactions. These are the monovalent counter ions of acids, bases and buffers (one per mole of net H3O+ or OH-
+    // contributed), the ions of dissolved salts, the nitrate that is produced by nitrification, and the ions that are
+    // dissolved in water sources.
+    this.spectatorIonicStrength = ( this.totalVolume === 0 ) ? 0 : ( ( this.nitrifiedMoles / 2 ) +
+      _.sumBy( this.components, component =>
+        ( Math.abs( component.solute.netH3OPerMole ) * component.moles / 2 ) +
+        ( component.solute.saltIonicStrength * getStandardStockVolume( component ) ) ) +
+      _.sumBy( this.waterSources, entry => entry.waterSource.spectatorIonicStrength * entry.volume )
+    ) / this.totalVolume;
+
+    // @public (read-only) {{moles:number, Ka:number[], charge:number}[]} acid-base systems contributed by weak acids
+    // and bases, by water sources, by CO2 that has been exchanged with the air, and by nitrification (which removes
+    // ammonium), in the form required by PHModel.computePH
+    this.acidBaseSystems = this.components
+      .filter( component => component.solute.acidBaseSystem )
+      .map( component => {
+        return {
+          moles: component.moles,
+          Ka: component.solute.acidBaseSystem.Ka,
+          charge: component.solute.acidBaseSystem.charge
+        };
+      } );
+    this.waterSources.forEach( entry => {
+      this.acidBaseSystems.push( ...entry.waterSource.getAcidBaseSystems( entry.volume ) );
+    } );
+    if ( this.exchangedCO2Moles !== 0 ) {
+      this.acidBaseSystems.push( { moles: this.exchangedCO2Moles, Ka: Carbonate.Ka, charge: 0 } );
+    }
+    if ( this.nitrifiedMoles !== 0 ) {
+      const ammonium = Ion.AMMONIUM.acidBaseSystem;
+      this.acidBaseSystems.push( { moles: -this.nitrifiedMoles, Ka: ammonium.Ka, charge: ammonium.charge } );
+    }
+
+    // @public (read-only) total moles of the carbonate system (CO2, HCO3- and CO3 2-), from solutes, water sources
+    // and the air
+    this.carbonateMoles = this.exchangedCO2Moles + _.sumBy( this.components, component =>
+      ( component.solute.acidBaseSystem && component.solute.acidBaseSystem.Ka === Carbonate.Ka ) ? component.moles : 0 ) +
+                          _.sumBy( this.waterSources, entry => entry.waterSource.carbonateConcentration * entry.volume );
+    assert && assert( this.carbonateMoles >= -1E-12, `invalid carbonateMoles: ${this.carbonateMoles}` );
+
+    // @public (read-only) total moles of ammonium (NH4+ and NH3) that has not been converted to nitrate
+    this.ammoniumMoles = _.sumBy( this.components, component =>
+      ( component.solute.acidBaseSystem === Ion.AMMONIUM.acidBaseSystem ) ? component.moles : 0 ) - this.nitrifiedMoles;
+    assert && assert( this.ammoniumMoles >= -1E-12, `invalid ammoniumMoles: ${this.ammoniumMoles}` );
+  }
+
+  /**
+   * String representation of this SolutionComposition. For debugging only, do not depend on the format!
+   * @returns {string}
+   * @public
+   */
+  toString() {
+    const componentStrings = this.components.map( component => `${component.solute.name}:${component.volume}` );
+    const waterSourceStrings = this.waterSources.map( entry => `${entry.waterSource.name}:${entry.volume}` );
+    return `SolutionComposition[waterVolume:${this.waterVolume}, waterSources:[${waterSourceStrings.join( ', ' )}], ` +
+           `components:[${componentStrings.join( ', ' )}], ` +
+           `exchangedCO2Moles:${this.exchangedCO2Moles}, evaporatedVolume:${this.evaporatedVolume}, ` +
+           `nitrifiedMoles:${this.nitrifiedMoles}]`;
+  }
+
+  /**
+   * Gets the options that describe what has happened to this composition over time, so that they can be preserved
+   * by operations that create a new composition.
+   * @returns {{exchangedCO2Moles:number, evaporatedVolume:number, nitrifiedMoles:number, waterSources:Object[]}}
+   * @private
+   */
+  getOptions() {
+    return {
+      exchangedCO2Moles: this.exchangedCO2Moles,
+      evaporatedVolume: this.evaporatedVolume,
+      nitrifiedMoles: this.nitrifiedMoles,
+      waterSources: this.waterSources
+    };
+  }
+
+  /**
+   * Gets the volume of stock solution that was contributed by a solute.
+   * @param {Solute} solute
+   * @returns {number} L
+   * @public
+   */
+  getVolume( solute ) {
+    const component = _.find( this.components, component => component.solute === solute );
+    return component ? component.volume : 0;
+  }
+
+  /**
+   * Gets the moles of a solute, from stock solution and dissolved solid.
+   * @param {Solute} solute
+   * @returns {number} mol
+   * @public
+   */
+  getMoles( solute ) {
+    const component = _.find( this.components, component => component.solute === solute );
+    return component ? component.moles : 0;
+  }
+
+  /**
+   * Gets the volume of water that came from a water source.
+   * @param {WaterSource} waterSource
+   * @returns {number} L
+   * @public
+   */
+  getWaterVolume( waterSource ) {
+    let volume;
+    if ( waterSource === WaterSource.DISTILLED ) {
+      volume = Math.max( 0, this.waterVolume - _.sumBy( this.waterSources, entry => entry.volume ) ); // ignore floating-point error
+    }
+    else {
+      const entry = _.find( this.waterSources, entry => entry.waterSource === waterSource );
+      volume = entry ? entry.volume : 0;
+    }
+    return volume;
+  }
+
+  /**
+   * Creates a new composition by adding water.
+   * @param {number} deltaVolume - L
+   * @param {WaterSource} [waterSource]
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withWater( deltaVolume, waterSource = WaterSource.DISTILLED ) {
+    assert && assert( deltaVolume >= 0, `invalid deltaVolume: ${deltaVolume}` );
+    assert && assert( waterSource instanceof WaterSource, 'invalid waterSource' );
+
+    if ( deltaVolume === 0 ) {
+      return this;
+    }
+    else {
+      const waterSources = this.waterSources.slice();
+      if ( waterSource !== WaterSource.DISTILLED ) {
+        const index = _.findIndex( waterSources, entry => entry.waterSource === waterSource );
+        if ( index === -1 ) {
+          waterSources.push( { waterSource: waterSource, volume: deltaVolume } );
+        }
+        else {
+          waterSources[ index ] = { waterSource: waterSource, volume: waterSources[ index ].volume + deltaVolume };
+        }
+      }
+      return new SolutionComposition( this.waterVolume + deltaVolume, this.components, merge( this.getOptions(), {
+        waterSources: waterSources
+      } ) );
+    }
+  }
+
+  /**
+   * Creates a new composition by adding some volume of a solute's stock solution.
+   * @param {Solute} solute
+   * @param {number} deltaVolume - L
+   * @param {number} [molarity] - mol/L, concentration of the stock solution, defaults to the solute's standard stock
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withSolute( solute, deltaVolume, molarity = solute.molarity ) {
+    assert && assert( solute instanceof Solute, 'invalid solute' );
+    assert && assert( deltaVolume >= 0, `invalid deltaVolume: ${deltaVolume}` );
+    assert && assert( molarity >= 0, `invalid molarity: ${molarity}` );
+
+    if ( deltaVolume === 0 ) {
+      return this;
+    }
+    else {
+      const deltaMoles = molarity * deltaVolume;
+      const components = this.components.slice();
+      const index = _.findIndex( components, component => component.solute === solute );
+      if ( index === -1 ) {
+        components.push( { solute: solute, volume: deltaVolume, moles: deltaMoles } );
+      }
+      else {
+        const component = components[ index ];
+        components[ index ] = {
+          solute: solute,
+          volume: component.volume + deltaVolume,
+          moles: component.moles + deltaMoles
+        };
+      }
+      return new SolutionComposition( this.waterVolume, components, this.getOptions() );
+    }
+  }
+
+  /**
+   * Creates a new composition by dissolving a solid. The volume of the solid is negligible, so it contributes moles,
+   * but no volume.
+   * @param {Solute} solute
+   * @param {number} deltaMoles
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withSolid( solute, deltaMoles ) {
+    assert && assert( solute instanceof Solute && solute.molarMass !== null, 'invalid solute' );
+    assert && assert( deltaMoles >= 0, `invalid deltaMoles: ${deltaMoles}` );
+
+    if ( deltaMoles === 0 ) {
+      return this;
+    }
+    else {
+      const components = this.components.slice();
+      const index = _.findIndex( components, component => component.solute === solute );
+      if ( index === -1 ) {
+        components.push( { solute: solute, volume: 0, moles: deltaMoles } );
+      }
+      else {
+        const component = components[ index ];
+        components[ index ] = {
+          solute: solute,
+          volume: component.volume,
+          moles: component.moles + deltaMoles
+        };
+      }
+      return new SolutionComposition( this.waterVolume, components, this.getOptions() );
+    }
+  }
+
+  /**
+   * Creates a new composition by mixing another composition into this one, as when solutions are combined.
+   * Everything that is in the other composition is added to this one, including its history (exchanged CO2,
+   * evaporation and nitrification).
+   * @param {SolutionComposition} composition
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withSolution( composition ) {
+    assert && assert( composition instanceof SolutionComposition, 'invalid composition' );
+
+    if ( composition.totalVolume === 0 ) {
+      return this;
+    }
+    else {
+      let result = this;
+      composition.waterSources.forEach( entry => {
+        result = result.withWater( entry.volume, entry.waterSource );
+      } );
+      result = result.withWater( composition.getWaterVolume( WaterSource.DISTILLED ) );
+
+      const components = result.components.slice();
+      composition.components.forEach( component => {
+        const index = _.findIndex( components, c => c.solute === component.solute );
+        if ( index === -1 ) {
+          components.push( component );
+        }
+        else {
+          components[ index ] = {
+            solute: component.solute,
+            volume: components[ index ].volume + component.volume,
+            moles: components[ index ].moles + component.moles
+          };
+        }
+      } );
+
+      return new SolutionComposition( result.waterVolume, components, {
+        exchangedCO2Moles: this.exchangedCO2Moles + composition.exchangedCO2Moles,
+        evaporatedVolume: this.evaporatedVolume + composition.evaporatedVolume,
+        nitrifiedMoles: this.nitrifiedMoles + composition.nitrifiedMoles,
+        waterSources: result.waterSources
+      } );
+    }
+  }
+
+  /**
+   * Creates a new composition by exchanging CO2 with the air.
+   * @param {number} deltaMoles - moles of CO2 dissolved from the air, negative if CO2 is released to the air
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withExchangedCO2( deltaMoles ) {
+    return ( deltaMoles === 0 ) ? this :
+           new SolutionComposition( this.waterVolume, this.components, merge( this.getOptions(), {
+             exchangedCO2Moles: this.exchangedCO2Moles + deltaMoles
+           } ) );
+  }
+
+  /**
+   * Creates a new composition by evaporating water. Solutes remain in the solution, so they become more concentrated.
+   * @param {number} deltaVolume - volume of water that evaporates, in L
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withEvaporation( deltaVolume ) {
+    assert && assert( deltaVolume >= 0 && deltaVolume < this.totalVolume, `invalid deltaVolume: ${deltaVolume}` );
+    return ( deltaVolume === 0 ) ? this :
+           new SolutionComposition( this.waterVolume, this.components, merge( this.getOptions(), {
+             evaporatedVolume: this.evaporatedVolume + deltaVolume
+           } ) );
+  }
+
+  /**
+   * Creates a new composition by converting ammonium to nitrate (nitrification), NH4+ + 2 O2 + H2O -> NO3- + 2 H3O+.
+   * @param {number} deltaMoles - moles of ammonium that are converted
+   * @returns {SolutionComposition}
+   * @public
+   */
+  withNitrification( deltaMoles ) {
+    assert && assert( deltaMoles >= 0 && deltaMoles <= this.ammoniumMoles + 1E-12, `invalid deltaMoles: ${deltaMoles}` );
+    return ( deltaMoles === 0 ) ? this :
+           new SolutionComposition( this.waterVolume, this.components, merge( this.getOptions(), {
+             nitrifiedMoles: this.nitrifiedMoles + deltaMoles
+           } ) );
+  }
+
+  /**
+   * Creates a new composition by scaling every component of this composition by the same amount.
+   * This is used to remove equal percentages of everything in the solution, as when draining.
+   * @param {number} scale - (0,1]
+   * @returns {SolutionComposition}
+   * @public
+   */
+  scaled( scale ) {
+    assert && assert( scale > 0 && scale <= 1, `invalid scale: ${scale}` );
+    return new SolutionComposition( scale * this.waterVolume, this.components.map( component => {
+      return {
+        solute: component.solute,
+        volume: scale * component.volume,
+        moles: scale * component.moles
+      };
+    } ), {
+      exchangedCO2Moles: scale * this.exchangedCO2Moles,
+      evaporatedVolume: scale * this.evaporatedVolume,
+      nitrifiedMoles: scale * this.nitrifiedMoles,
+      waterSources: this.waterSources.map( entry => {
+        return {
+          waterSource: entry.waterSource,
+          volume: scale * entry.volume
+        };
+      } )
+    } );
+  }
+
+  /**
+   * Computes the color of the solution. Each solute's color is computed for its dilution in the solution (relative to
+   * its standard stock solution), and those colors are then blended, weighted by the volume of standard stock solution
+   * that contains each solute. Evaporation and dissolved solids may concentrate a solute beyond its stock solution, in
+   * which case the color of the stock solution is used. If there are no solutes, the colors of
+   * the water sources are blended, weighted by the volume of each water source.
+   * @returns {Color}
+   * @public
+   */
+  computeColor() {
+    let color;
+    if ( this.totalVolume === 0 ) {
+      color = Color.BLACK; // no solution, should never see this color displayed
+    }
+    else if ( this.components.length === 0 ) {
+      color = Water.color;
+      let weight = this.getWaterVolume( WaterSource.DISTILLED ) / this.waterVolume; // cumulative weight of blended colors
+      this.waterSources.forEach( entry => {
+        weight += entry.volume / this.waterVolume;
+        color = Color.interpolateRGBA( color, entry.waterSource.color, entry.volume / this.waterVolume / weight );
+      } );
+    }
+    else {
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let alpha = 0;
+      const standardStockVolume = _.sumBy( this.components, component => getStandardStockVolume( component ) );
+      this.components.forEach( component => {
+        const componentColor = component.solute.computeColor( Math.min( 1, getStandardStockVolume( component ) / this.totalVolume ) );
+        const weight = getStandardStockVolume( component ) / standardStockVolume;
+        red += weight * componentColor.red;
+        green += weight * componentColor.green;
+        blue += weight * componentColor.blue;
+        alpha += weight * componentColor.alpha;
+      } );
+      color = new Color( red, green, blue, alpha );
+    }
+    return color;
+  }
+}
+
+// @public the composition of an empty solution
+SolutionComposition.EMPTY = new SolutionComposition( 0, [] );
+
+/**
+ * Gets the volume of a solute's standard stock solution that contains the moles of a component. This is the volume
+ * of the component if it was added as the standard stock solution. Solutes whose standard stock solution has no
+ * molarity (e.g. water) can only be added as their standard stock solution.
+ * @param {{solute:Solute, volume:number, moles:number}} component
+ * @returns {number} L
+ */
+function getStandardStockVolume( component ) {
+  return ( component.solute.molarity === 0 ) ? component.volume : component.moles / component.solute.molarity;
+}
+
+/**
+ * SolutionCompositionIO handles PhET-iO serialization of SolutionComposition. It implements 'Data type serialization',
+ * as described in the Serialization section of
+ * https://github.com/phetsims/phet-io/blob/master/doc/phet-io-instrumentation-technical-guide.md#serialization
+ * @public
+ */
+SolutionComposition.SolutionCompositionIO = new IOType( 'SolutionCompositionIO', {
+  valueType: SolutionComposition,
+  documentation: 'The composition of a solution: the volume of water (L), the volume of water from each water ' +
+                 'source other than distilled water (L), for each solute, ' +
+                 'the volume of stock solution (L) and moles of solute, the net moles of CO2 that have been ' +
+                 'exchanged with the air, the volume of water that has evaporated (L), and the moles of ammonium ' +
+                 'that have been converted to nitrate.',
+  toStateObject: composition => {
+    return {
+      waterVolume: composition.waterVolume,
+      components: composition.components.map( component => {
+        return {
+          solute: Solute.SoluteIO.toStateObject( component.solute ),
+          volume: component.volume,
+          moles: component.moles
+        };
+      } ),
+      exchangedCO2Moles: composition.exchangedCO2Moles,
+      evaporatedVolume: composition.evaporatedVolume,
+      nitrifiedMoles: composition.nitrifiedMoles,
+      waterSources: composition.waterSources.map( entry => {
+        return {
+          waterSource: WaterSource.WaterSourceIO.toStateObject( entry.waterSource ),
+          volume: entry.volume
+        };
+      } )
+    };
+  },
+  fromStateObject: stateObject => new SolutionComposition( stateObject.waterVolume,
+    stateObject.components.map( componentStateObject => {
+      return {
+        solute: CustomSolute.fromSoluteStateObject( componentStateObject.solute ),
+        volume: componentStateObject.volume,
+        moles: componentStateObject.moles
+      };
+    } ), {
+      exchangedCO2Moles: stateObject.exchangedCO2Moles,
+      evaporatedVolume: stateObject.evaporatedVolume,
+      nitrifiedMoles: stateObject.nitrifiedMoles,
+      waterSources: stateObject.waterSources.map( entryStateObject => {
+        return {
+          waterSource: WaterSource.WaterSourceIO.fromStateObject( entryStateObject.waterSource ),
+          volume: entryStateObject.volume
+        };
+      } )
+    } )
+} );
+
+phScale.register( 'SolutionComposition', SolutionComposition );
+export default SolutionComposition;
@@ -1,10 +1,14 @@
 // Copyright 2020, University of Colorado Boulder
 
 /**
- * SolutionDerivedProperties models the Properties of a solution that are derived from pH and volume, including
- * concentration (mol/L), quantity (mol), and numbers of molecules. This class is separated from the solution
+ * SolutionDerivedProperties models the Properties of a solution that are derived from pH, volume and pKw, including
+ * activity, concentration (mol/L), quantity (mol), and numbers of molecules. This class is separated from the solution
  * model so that it can be used in different solution models via composition.
  *
+ * pH is based on activity. Concentration is activity divided by the activity coefficient, which depends on the
+ * ionic strength of the solution. If the solution model has no activity coefficient, the solution is treated as
+ * ideal, and concentration is the same as activity.
+ *
  * This sim has different solution models because:
  * - Different screens have different needs, and there is no solution base class that is appropriate for all screens.
  *   Macro and Micro screens have a solute, with pH and total volume being DerivedProperties. My Solution
@@ -29,17 +33,51 @@ class SolutionDerivedProperties {
   /**
    * @param {Property.<number|null>} pHProperty
    * @param {Property.<number>} totalVolumeProperty
+   * @param {Property.<number>} pKwProperty - pKw, which depends on the temperature of the solution
    * @param {Object} [options]
    */
-  constructor( pHProperty, totalVolumeProperty, options ) {
+  constructor( pHProperty, totalVolumeProperty, pKwProperty, options ) {
 
     assert && assert( pHProperty instanceof Property, 'invalid pHProperty' );
     assert && assert( totalVolumeProperty instanceof Property, 'invalid totalVolumeProperty' );
+    assert && assert( pKwProperty instanceof Property, 'invalid pKwProperty' );
 
     options = merge( {
+
+      // {Property.<number|null>|null} activity coefficient of monovalent ions, null for an ideal solution
+      activityCoefficientProperty: null,
+
       tandem: Tandem.REQUIRED
     }, options );
 
+    // @public (read-only)
+    this.pKwProperty = pKwProperty;
+
+    // activity coefficient of H3O+ and OH-
+    const activityCoefficientProperty = options.activityCoefficientProperty || new Property( 1 );
+
+    // Activity ------------------------------------------------
+
+    // @public The activity of H3O+ in the solution
+    this.activityH3OProperty = new DerivedProperty(
+      [ pHProperty ],
+      pH => PHModel.pHToConcentrationH3O( pH ), {
+        tandem: options.tandem.createTandem( 'activityH3OProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'activity of H<sub>3</sub>O<sup>+</sup> in the solution',
+        phetioHighFrequency: true
+      } );
+
+    // @public The activity of OH- in the solution
+    this.activityOHProperty = new DerivedProperty(
+      [ pHProperty, pKwProperty ],
+      ( pH, pKw ) => PHModel.pHToConcentrationOH( pH, pKw ), {
+        tandem: options.tandem.createTandem( 'activityOHProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'activity of OH<sup>-</sup> in the solution',
+        phetioHighFrequency: true
+      } );
+
     // Concentration (mol/L) ------------------------------------------------
 
     // The concentration (mol/L) of H2O in the solution
@@ -55,8 +93,8 @@ class SolutionDerivedProperties {
 
     // The concentration (mol/L) of H3O+ in the solution
     this.concentrationH3OProperty = new DerivedProperty(
-      [ pHProperty ],
-      pH => PHModel.pHToConcentrationH3O( pH ), {
+      [ this.activityH3OProperty, activityCoefficientProperty ],
+      ( activity, activityCoefficient ) => ( activity === null ) ? null : activity / activityCoefficient, {
         tandem: options.tandem.createTandem( 'concentrationH3OProperty' ),
         phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
         units: 'mol/L',
@@ -66,8 +104,8 @@ class SolutionDerivedProperties {
 
     // The concentration (mol/L) of OH- in the solution
     this.concentrationOHProperty = new DerivedProperty(
-      [ pHProperty ],
-      pH => PHModel.pHToConcentrationOH( pH ), {
+      [ this.activityOHProperty, activityCoefficientProperty ],
+      ( activity, activityCoefficient ) => ( activity === null ) ? null : activity / activityCoefficient, {
         tandem: options.tandem.createTandem( 'concentrationOHProperty' ),
         phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
         units: 'mol/L',
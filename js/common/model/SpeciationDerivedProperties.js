@@ -0,0 +1,80 @@
+// Copyright 2026, agent
+
+/**
+ * SpeciationDerivedProperties models the speciation of polyprotic acids: for each polyprotic solute, the fraction of
+ * the solute that is present as each of its species, as a function of the solution's pH. Like
+ * SolutionDerivedProperties, this is separated from the solution model so that it can be used via composition.
+ *
+ * The fractions describe how a solute would be distributed among its species at the solution's pH, regardless of
+ * whether that solute is actually present in the solution.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import phScale from '../../phScale.js';
+import PHModel from './PHModel.js';
+
+class SpeciationDerivedProperties {
+
+  /**
+   * @param {Property.<number|null>} pHProperty
+   * @param {Solute[]} solutes - polyprotic solutes
+   * @param {Object} [options]
+   */
+  constructor( pHProperty, solutes, options ) {
+
+    assert && assert( pHProperty instanceof Property, 'invalid pHProperty' );
+    assert && assert( Array.isArray( solutes ) && _.every( solutes, solute => solute.isPolyprotic() ), 'invalid solutes' );
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @public (read-only) {Solute[]}
+    this.solutes = solutes;
+
+    // @private {Map.<Solute, DerivedProperty.<number|null>[]>} fraction Properties for each solute, ordered like
+    // solute.species. A fraction is null if the solution has no pH.
+    this.fractionPropertiesMap = new Map();
+
+    this.solutes.forEach( solute => {
+
+      const soluteTandem = options.tandem.createTandem( `${solute.tandemName}Speciation` );
+
+      // All fractions are computed together, then each species gets its own Property.
+      const fractionsProperty = new DerivedProperty( [ pHProperty ],
+        pH => ( pH === null ) ? null :
+              PHModel.computeFractions( PHModel.pHToConcentrationH3O( pH ), solute.acidBaseSystem.Ka ) );
+
+      this.fractionPropertiesMap.set( solute, solute.species.map( ( species, index ) =>
+        new DerivedProperty( [ fractionsProperty ],
+          fractions => ( fractions === null ) ? null : fractions[ index ], {
+            tandem: soluteTandem.createTandem( `fraction${species.tandemName}Property` ),
+            phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+            phetioDocumentation: `fraction of ${solute.tandemName} that is present as ${species.formula}`,
+            phetioHighFrequency: true
+          } )
+      ) );
+    } );
+  }
+
+  /**
+   * Gets the fraction Properties for a polyprotic solute, ordered like solute.species.
+   * @param {Solute} solute
+   * @returns {DerivedProperty.<number|null>[]}
+   * @public
+   */
+  getFractionProperties( solute ) {
+    assert && assert( this.fractionPropertiesMap.has( solute ), `not a polyprotic solute: ${solute}` );
+    return this.fractionPropertiesMap.get( solute );
+  }
+}
+
+phScale.register( 'SpeciationDerivedProperties', SpeciationDerivedProperties );
+export default SpeciationDerivedProperties;
@@ -12,7 +12,9 @@ import PHScaleColors from '../PHScaleColors.js';
 
 const Water = Object.freeze( {
   name: phScaleStrings.choice.water,
+  temperature: 25, // reference temperature, in degrees Celsius. pH and pKw are for this temperature.
   pH: 7,
+  pKw: 14, // -log10 of the ion-product constant, [H3O+][OH-]
   concentration: 55, // mol/L
   color: PHScaleColors.WATER
 } );
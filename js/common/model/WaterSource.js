@@ -0,0 +1,190 @@
+// Copyright 2026, agent
+
+/**
+ * WaterSource is a source of the water that is dispensed by the water faucet. Water from a source other than
+ * distilled water contains dissolved substances, which change the pH of the water, and of solutions that it is
+ * added to. For example, rainwater is acidic because of the CO2 that it dissolves from the air.
+ *
+ * What is dissolved in a water source is described by concentrations (mol/L), in the same terms as SolutionComposition:
+ * net H3O+ from strong acids and bases, total carbonate (CO2, HCO3- and CO3 2-), and ionic strength from dissolved
+ * salts. The alkalinity of natural waters (mostly HCO3-) is described by a negative net H3O+ concentration, like the
+ * counter ions of a buffer, see Solute options.counterIonCharge.
+ *
+ * Water sources are immutable, so all fields should be considered immutable.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+import Carbonate from './Carbonate.js';
+import PHModel from './PHModel.js';
+import Water from './Water.js';
+
+class WaterSource extends PhetioObject {
+
+  /**
+   * @param {string} name - the name of the water source, displayed to the user
+   * @param {Color} color - color of the water
+   * @param {Object} [options]
+   */
+  constructor( name, color, options ) {
+
+    assert && assert( color instanceof Color, `invalid color: ${color}` );
+
+    options = merge( {
+
+      // {number} net concentration of H3O+ (mol/L) from strong acids and bases, negative for alkalinity
+      netConcentrationH3O: 0,
+
+      // {number} concentration (mol/L) of the carbonate system, CO2 (as H2CO3), HCO3- and CO3 2-
+      carbonateConcentration: 0,
+
+      // {number} ionic strength (mol/L) contributed by dissolved salts, see Solute options.saltIonicStrength
+      saltIonicStrength: 0,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioType: WaterSource.WaterSourceIO,
+      phetioState: false
+    }, options );
+
+    assert && assert( options.carbonateConcentration >= 0, `invalid carbonateConcentration: ${options.carbonateConcentration}` );
+    assert && assert( options.saltIonicStrength >= 0, `invalid saltIonicStrength: ${options.saltIonicStrength}` );
+
+    super( options );
+
+    // @public (read-only)
+    this.name = name;
+    this.color = color;
+    this.netConcentrationH3O = options.netConcentrationH3O;
+    this.carbonateConcentration = options.carbonateConcentration;
+    this.saltIonicStrength = options.saltIonicStrength;
+
+    // @public (read-only) ionic strength (mol/L) contributed by spectator ions: the monovalent counter ions of the net
+    // H3O+ or OH-, and the ions of dissolved salts
+    this.spectatorIonicStrength = Math.abs( this.netConcentrationH3O ) / 2 + this.saltIonicStrength;
+
+    // @public (read-only) pH of the water at the reference temperature
+    this.pH = this.computePH( Water.pKw );
+  }
+
+  /**
+   * Computes the pH of the water, which depends on temperature.
+   * @param {number} pKw - pKw at the temperature of the water, see PHModel.temperatureToPKw
+   * @returns {number}
+   * @public
+   */
+  computePH( pKw ) {
+    return PHModel.computePH( this.netConcentrationH3O, 1, this.getAcidBaseSystems( 1 ), pKw,
+      this.spectatorIonicStrength );
+  }
+
+  /**
+   * Gets the acid-base systems that are contributed by some volume of this water, in the form required by
+   * PHModel.computePH.
+   * @param {number} volume - L
+   * @returns {{moles:number, Ka:number[], charge:number}[]}
+   * @public
+   */
+  getAcidBaseSystems( volume ) {
+    return ( this.carbonateConcentration === 0 ) ? [] :
+           [ { moles: this.carbonateConcentration * volume, Ka: Carbonate.Ka, charge: 0 } ];
+  }
+
+  /**
+   * String representation of this WaterSource. For debugging only, do not depend on the format!
+   * @returns {string}
+   * @public
+   */
+  toString() {
+    return `WaterSource[name:${this.name}, pH:${this.pH}]`;
+  }
+}
+
+/**
+ * WaterSourceIO handles PhET-iO serialization of WaterSource. Since water sources are static instances, it implements
+ * 'Reference type serialization', like SoluteIO, with name and pH included so that they appear in Studio.
+ * @public
+ */
+WaterSource.WaterSourceIO = new IOType( 'WaterSourceIO', {
+  valueType: WaterSource,
+  supertype: ReferenceIO( IOType.ObjectIO ),
+  toStateObject: waterSource => {
+    const reference = ReferenceIO( IOType.ObjectIO ).toStateObject( waterSource );
+    reference.name = waterSource.name;
+    reference.pH = waterSource.pH;
+    return reference;
+  }
+} );
+
+// Static instances
+
+// @public parent tandem for all instances of WaterSource, which are used across all screens
+WaterSource.WATER_SOURCES_TANDEM = Tandem.GLOBAL_MODEL.createTandem( 'waterSources' );
+const WATER_SOURCES_TANDEM = WaterSource.WATER_SOURCES_TANDEM;
+
+// Pure water, pH 7
+WaterSource.DISTILLED = new WaterSource( phScaleStrings.waterSource.distilled, PHScaleColors.WATER, {
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'distilled' )
+} );
+
+// Municipal tap water, typically adjusted to be slightly basic (pH ~7.5) to limit corrosion of pipes,
+// with about 1 mmol/L of alkalinity
+WaterSource.TAP = new WaterSource( phScaleStrings.waterSource.tap, PHScaleColors.WATER, {
+  netConcentrationH3O: -1E-3,
+  carbonateConcentration: 1.06E-3,
+  saltIonicStrength: 2E-3,
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'tap' )
+} );
+
+// Clean rainwater, in equilibrium with the CO2 in the air (pH ~5.6)
+WaterSource.RAINWATER = new WaterSource( phScaleStrings.waterSource.rainwater, PHScaleColors.WATER, {
+  carbonateConcentration: Carbonate.equilibriumConcentration,
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'rainwater' )
+} );
+
+// Rainwater that has dissolved sulfuric and nitric acids, from air pollution (pH ~4.3)
+WaterSource.ACID_RAIN = new WaterSource( phScaleStrings.waterSource.acidRain, PHScaleColors.WATER, {
+  netConcentrationH3O: 5E-5,
+  carbonateConcentration: Carbonate.equilibriumConcentration,
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'acidRain' )
+} );
+
+// Groundwater from limestone, with high alkalinity and hardness (calcium and magnesium), and elevated CO2 (pH ~7.2)
+WaterSource.HARD_WELL_WATER = new WaterSource( phScaleStrings.waterSource.hardWellWater, new Color( 234, 240, 222 ), {
+  netConcentrationH3O: -4E-3,
+  carbonateConcentration: 4.5E-3,
+  saltIonicStrength: 6E-3,
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'hardWellWater' )
+} );
+
+// Seawater, with about 2 mmol/L of dissolved carbonate (pH ~8.1). The alkalinity of seawater is about 2.3 mmol/L, but
+// the model uses the carbonate dissociation constants of fresh water, which are lower in seawater. So the alkalinity is
+// the value that gives the pH of seawater with the constants of fresh water.
+WaterSource.SEAWATER = new WaterSource( phScaleStrings.waterSource.seawater, new Color( 206, 240, 236 ), {
+  netConcentrationH3O: -2.005E-3,
+  carbonateConcentration: 2E-3,
+  saltIonicStrength: 0.7,
+  tandem: WATER_SOURCES_TANDEM.createTandem( 'seawater' )
+} );
+
+// @public (read-only) {WaterSource[]} all water sources, in the order that they appear in the user interface
+WaterSource.WATER_SOURCES = [
+  WaterSource.DISTILLED,
+  WaterSource.TAP,
+  WaterSource.RAINWATER,
+  WaterSource.ACID_RAIN,
+  WaterSource.HARD_WELL_WATER,
+  WaterSource.SEAWATER
+];
+
+phScale.register( 'WaterSource', WaterSource );
+export default WaterSource;
@@ -0,0 +1,33 @@
+// Copyright 2026, agent
+
+/**
+ * WaterSource tests. Expected values are the typical pH of each water source.
+ *
+ * @author agent
+ */
+
+import WaterSource from './WaterSource.js';
+
+// constants
+const TOLERANCE = 0.05; // pH units
+
+// expected pH of each water source
+const EXPECTED_PH = [
+  { waterSource: WaterSource.DISTILLED, pH: 7 },
+  { waterSource: WaterSource.TAP, pH: 7.5 },
+  { waterSource: WaterSource.RAINWATER, pH: 5.6 },
+  { waterSource: WaterSource.ACID_RAIN, pH: 4.3 },
+  { waterSource: WaterSource.HARD_WELL_WATER, pH: 7.2 },
+  { waterSource: WaterSource.SEAWATER, pH: 8.1 }
+];
+
+QUnit.module( 'WaterSource' );
+
+QUnit.test( 'pH', assert => {
+  assert.equal( EXPECTED_PH.length, WaterSource.WATER_SOURCES.length, 'every water source is tested' );
+  EXPECTED_PH.forEach( entry => {
+    const pH = entry.waterSource.pH;
+    assert.ok( Math.abs( pH - entry.pH ) <= TOLERANCE,
+      `${entry.waterSource.tandem.name}: expected ${entry.pH}, got ${pH}` );
+  } );
+} );
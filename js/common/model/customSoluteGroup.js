@@ -0,0 +1,188 @@
+// Copyright 2026, agent
+
+/**
+ * customSoluteGroup is the PhetioGroup of all custom solutes, which are shared by the Macro and Micro screens.
+ * Custom solutes are created by the user in CustomSoluteDialog, or by a PhET-iO client using the methods of
+ * CustomSoluteGroupIO. A PhET-iO client can also modify and delete custom solutes.
+ *
+ * Solutes are immutable, so modifying a solute replaces it with a new solute. Models that refer to a solute
+ * should listen to soluteReplacedEmitter and elementDisposedEmitter. Deleting a solute does not remove it from
+ * solutions that it has already been added to, see CustomSolute.fromSoluteStateObject.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioGroup from '../../../../tandem/js/PhetioGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IOType from '../../../../tandem/js/types/IOType.js';
+import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
+import StringIO from '../../../../tandem/js/types/StringIO.js';
+import VoidIO from '../../../../tandem/js/types/VoidIO.js';
+import phScale from '../../phScale.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+import CustomSolute from './CustomSolute.js';
+
+// description of the archetype
+const DEFAULT_DESCRIPTION = {
+  name: 'custom',
+  stockColor: [ 255, 255, 255 ],
+  pH: 7
+};
+
+class CustomSoluteGroup extends PhetioGroup {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioType: CustomSoluteGroupIO
+    }, options );
+
+    super( ( tandem, description ) => new CustomSolute( description, { tandem: tandem } ),
+      [ DEFAULT_DESCRIPTION ], options );
+
+    // @public emits when a solute is replaced by modifySolute, before the old solute is disposed
+    this.soluteReplacedEmitter = new Emitter( {
+      parameters: [ { valueType: CustomSolute }, { valueType: CustomSolute } ] // oldSolute, newSolute
+    } );
+  }
+
+  /**
+   * Creates a solute.
+   * @param {Object} description - see SoluteCatalog.parseDescription
+   * @returns {CustomSolute}
+   * @throws {Error} if the description is invalid, or if the maximum number of custom solutes has been created
+   * @public
+   */
+  createSolute( description ) {
+    if ( this.isFull() ) {
+      throw new Error( `at most ${PHScaleConstants.MAX_CUSTOM_SOLUTES} custom solutes can be created` );
+    }
+    return this.createNextElement( description );
+  }
+
+  /**
+   * Has the maximum number of custom solutes been created?
+   * @returns {boolean}
+   * @public
+   */
+  isFull() {
+    return this.count >= PHScaleConstants.MAX_CUSTOM_SOLUTES;
+  }
+
+  /**
+   * Modifies a solute, by replacing it with a solute whose description has the specified changes.
+   * @param {CustomSolute} solute
+   * @param {Object} changes - changes to the solute's description, null values delete keys from the description
+   * @returns {CustomSolute} the new solute
+   * @throws {Error} if the modified description is invalid, in which case the solute is unchanged
+   * @public
+   */
+  modifySolute( solute, changes ) {
+    assert && assert( this.includes( solute ), `not a custom solute: ${solute}` );
+
+    const description = _.omitBy( _.assign( {}, solute.description, changes ), value => value === null );
+    const newSolute = this.createNextElement( description );
+    this.soluteReplacedEmitter.emit( solute, newSolute );
+    this.disposeElement( solute );
+    return newSolute;
+  }
+
+  /**
+   * Deletes a solute.
+   * @param {CustomSolute} solute
+   * @public
+   */
+  deleteSolute( solute ) {
+    assert && assert( this.includes( solute ), `not a custom solute: ${solute}` );
+    this.disposeElement( solute );
+  }
+
+  /**
+   * Is the solute one of the custom solutes?
+   * @param {Solute} solute
+   * @returns {boolean}
+   * @public
+   */
+  includes( solute ) {
+    return this.getArray().includes( solute );
+  }
+
+  /**
+   * Gets the solute that has the specified phetioID.
+   * @param {string} phetioID
+   * @returns {CustomSolute}
+   * @throws {Error} if there is no such solute
+   * @private
+   */
+  getSolute( phetioID ) {
+    const solute = _.find( this.getArray(), solute => solute.tandem.phetioID === phetioID );
+    if ( !solute ) {
+      throw new Error( `no custom solute with phetioID: ${phetioID}` );
+    }
+    return solute;
+  }
+}
+
+/**
+ * CustomSoluteGroupIO adds methods that PhET-iO clients use to create, modify and delete custom solutes.
+ * Solutes are identified by their phetioID.
+ */
+const CustomSoluteGroupIO = new IOType( 'CustomSoluteGroupIO', {
+  valueType: CustomSoluteGroup,
+  supertype: PhetioGroup.PhetioGroupIO( CustomSolute.CustomSoluteIO ),
+  documentation: 'The custom solutes, which appear after the other solutes in the solute combo box. ' +
+                 'A solute description is an object, in the format described in doc/solute-catalog.md, e.g. ' +
+                 '{ "name": "Vinegar", "pKa": 4.76, "molarity": 0.8, "stockColor": "#f5e6c8" }',
+  methods: {
+    createSolute: {
+      returnType: StringIO,
+      parameterTypes: [ ObjectLiteralIO ],
+      implementation: function( description ) {
+        return this.createSolute( description ).tandem.phetioID;
+      },
+      documentation: 'Creates a solute from a solute description. Returns the phetioID of the solute. ' +
+                     'Throws an error if the description is invalid, or if the maximum number of custom solutes ' +
+                     `(${PHScaleConstants.MAX_CUSTOM_SOLUTES}) has been created.`,
+      invocableForReadOnlyElements: false
+    },
+    modifySolute: {
+      returnType: StringIO,
+      parameterTypes: [ StringIO, ObjectLiteralIO ],
+      implementation: function( phetioID, changes ) {
+        return this.modifySolute( this.getSolute( phetioID ), changes ).tandem.phetioID;
+      },
+      documentation: 'Modifies the solute that has the specified phetioID. The changes are keys of the solute ' +
+                     'description, and a null value deletes a key, e.g. { "pH": null, "pKa": 4, "molarity": 0.1 }. ' +
+                     'Solutes are immutable, so the solute is replaced by a new solute, whose phetioID is returned. ' +
+                     'Throws an error if the modified description is invalid.',
+      invocableForReadOnlyElements: false
+    },
+    deleteSolute: {
+      returnType: VoidIO,
+      parameterTypes: [ StringIO ],
+      implementation: function( phetioID ) {
+        this.deleteSolute( this.getSolute( phetioID ) );
+      },
+      documentation: 'Deletes the solute that has the specified phetioID. A dropper that contains the solute ' +
+                     'reverts to its initial solute. Solutions that contain the solute are unchanged.',
+      invocableForReadOnlyElements: false
+    }
+  }
+} );
+
+const customSoluteGroup = new CustomSoluteGroup( {
+  tandem: Tandem.GLOBAL_MODEL.createTandem( 'customSoluteGroup' ),
+  phetioDocumentation: 'solutes that are created at runtime, by the Custom item in the solute combo box, or by ' +
+                       'the PhET-iO client'
+} );
+
+phScale.register( 'customSoluteGroup', customSoluteGroup );
+export default customSoluteGroup;
@@ -0,0 +1,69 @@
+// Copyright 2026, agent
+
+/**
+ * labNotebook is the PhetioGroup of entries in the lab notebook. The notebook is shared by the Macro, Micro and
+ * My Solution screens, so that entries remain when the user switches screens. Reset All does not delete entries.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioGroup from '../../../../tandem/js/PhetioGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import NotebookEntry from './NotebookEntry.js';
+
+// record of the archetype
+const DEFAULT_RECORD = {
+  solute: null,
+  soluteVolume: null,
+  waterVolume: null,
+  totalVolume: 0,
+  pH: 7
+};
+
+class LabNotebook extends PhetioGroup {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioType: PhetioGroup.PhetioGroupIO( NotebookEntry.NotebookEntryIO )
+    }, options );
+
+    super( ( tandem, record ) => new NotebookEntry( record, { tandem: tandem } ), [ DEFAULT_RECORD ], options );
+  }
+
+  /**
+   * Adds an entry to the end of the notebook.
+   * @param {Object} record - see NotebookEntry
+   * @returns {NotebookEntry}
+   * @public
+   */
+  addEntry( record ) {
+    return this.createNextElement( record );
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {NotebookEntry} entry
+   * @public
+   */
+  deleteEntry( entry ) {
+    assert && assert( this.getArray().includes( entry ), `not an entry in the notebook: ${entry}` );
+    this.disposeElement( entry );
+  }
+}
+
+const labNotebook = new LabNotebook( {
+  tandem: Tandem.GLOBAL_MODEL.createTandem( 'labNotebook' ),
+  phetioDocumentation: 'entries in the lab notebook, which is shared by the Macro, Micro and My Solution screens'
+} );
+
+phScale.register( 'labNotebook', labNotebook );
+export default labNotebook;
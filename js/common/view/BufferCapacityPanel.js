@@ -0,0 +1,75 @@
+// Copyright 2026, agent
+
+/**
+ * BufferCapacityPanel displays the buffer capacity of the solution, in mol/L per pH unit.
+ * Buffer capacity is how much strong acid or base the solution can absorb with little change in pH.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+
+// constants
+const FONT = new PhetFont( 18 );
+
+class BufferCapacityPanel extends Panel {
+
+  /**
+   * @param {Property.<number|null>} bufferCapacityProperty
+   * @param {Object} [options]
+   */
+  constructor( bufferCapacityProperty, options ) {
+    assert && assert( bufferCapacityProperty instanceof Property, 'invalid bufferCapacityProperty' );
+
+    options = merge( {
+      xMargin: 15,
+      yMargin: 8,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'displays the buffer capacity of the solution'
+    }, options );
+
+    const labelNode = new Text( `${phScaleStrings.bufferCapacity}:`, {
+      font: FONT,
+      maxWidth: 200
+    } );
+
+    const valueNode = new ScientificNotationNode( bufferCapacityProperty, {
+      font: FONT,
+      mantissaDecimalPlaces: 1
+    } );
+
+    const unitsNode = new Text( phScaleStrings.units.molesPerLiterPerPH, {
+      font: FONT,
+      maxWidth: 120
+    } );
+
+    const content = new HBox( {
+      children: [ labelNode, valueNode, unitsNode ],
+      spacing: 8
+    } );
+
+    super( content, options );
+
+    // Create a link to bufferCapacityProperty, so it's easier to find in Studio.
+    this.addLinkedElement( bufferCapacityProperty, {
+      tandem: options.tandem.createTandem( 'bufferCapacityProperty' )
+    } );
+  }
+}
+
+phScale.register( 'BufferCapacityPanel', BufferCapacityPanel );
+export default BufferCapacityPanel;
@@ -0,0 +1,92 @@
+// Copyright 2026, agent
+
+/**
+ * CarbonatePanel has a checkbox for opening the beaker to the air, so that the solution exchanges CO2 with the air,
+ * and displays the concentrations of the species of the carbonate system, in mol/L.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import Carbonate from '../model/Carbonate.js';
+import PHScaleColors from '../PHScaleColors.js';
+
+// constants
+const FONT = new PhetFont( 16 );
+
+class CarbonatePanel extends Panel {
+
+  /**
+   * @param {BooleanProperty} co2ExchangeEnabledProperty
+   * @param {Property.<number|null>[]} carbonateConcentrationProperties - ordered like Carbonate.species
+   * @param {Object} [options]
+   */
+  constructor( co2ExchangeEnabledProperty, carbonateConcentrationProperties, options ) {
+    assert && assert( co2ExchangeEnabledProperty instanceof BooleanProperty, 'invalid co2ExchangeEnabledProperty' );
+    assert && assert( carbonateConcentrationProperties.length === Carbonate.species.length,
+      'a concentration is required for each species' );
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 8,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'control for opening the beaker to the air, and concentrations of the carbonate species'
+    }, options );
+
+    const openToAirCheckbox = new Checkbox( new Text( phScaleStrings.openToAir, {
+      font: FONT,
+      maxWidth: 200
+    } ), co2ExchangeEnabledProperty, {
+      tandem: options.tandem.createTandem( 'openToAirCheckbox' )
+    } );
+
+    const titleNode = new Text( phScaleStrings.dissolvedCarbonate, {
+      font: FONT,
+      maxWidth: 200
+    } );
+
+    // formulas are the same width, so that the values line up
+    const formulaAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    // one row for each species, e.g. 'HCO3- 1.2 x 10^-6 mol/L'
+    const rows = Carbonate.species.map( ( species, index ) => new HBox( {
+      spacing: 8,
+      children: [
+        formulaAlignGroup.createBox( new RichText( `${species.formula}:`, { font: FONT } ), { xAlign: 'right' } ),
+        new ScientificNotationNode( carbonateConcentrationProperties[ index ], {
+          font: FONT,
+          mantissaDecimalPlaces: 1
+        } ),
+        new Text( phScaleStrings.units.molesPerLiter, { font: FONT, maxWidth: 60 } )
+      ]
+    } ) );
+
+    const content = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ openToAirCheckbox, titleNode, ...rows ]
+    } );
+
+    super( content, options );
+  }
+}
+
+phScale.register( 'CarbonatePanel', CarbonatePanel );
+export default CarbonatePanel;
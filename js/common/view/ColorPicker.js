@@ -0,0 +1,106 @@
+// Copyright 2026, agent
+
+/**
+ * ColorPicker sets a color using sliders for its red, green and blue components, and shows a swatch of the color.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+
+// constants
+const COMPONENT_RANGE = new Range( 0, 255 );
+const SWATCH_SIZE = 50;
+const FONT = new PhetFont( 14 );
+
+class ColorPicker extends HBox {
+
+  /**
+   * @param {Property.<Color>} colorProperty
+   * @param {Object} [options]
+   */
+  constructor( colorProperty, options ) {
+    assert && assert( colorProperty instanceof Property, 'invalid colorProperty' );
+
+    options = merge( {
+      spacing: 15,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // a slider for each of the red, green and blue components
+    const componentProperties = [];
+    const sliderRows = [];
+    [
+      { label: phScaleStrings.red, tandemName: 'red', get: color => color.red },
+      { label: phScaleStrings.green, tandemName: 'green', get: color => color.green },
+      { label: phScaleStrings.blue, tandemName: 'blue', get: color => color.blue }
+    ].forEach( component => {
+
+      const componentProperty = new NumberProperty( component.get( colorProperty.get() ), {
+        numberType: 'Integer',
+        range: COMPONENT_RANGE
+      } );
+      componentProperties.push( { componentProperty: componentProperty, get: component.get } );
+
+      sliderRows.push( new HBox( {
+        spacing: 8,
+        children: [
+          new Text( component.label, { font: FONT, maxWidth: 50 } ),
+          new HSlider( componentProperty, COMPONENT_RANGE, {
+            constrainValue: value => Math.round( value ),
+            trackSize: new Dimension2( 150, 4 ),
+            thumbSize: new Dimension2( 13, 26 ),
+            tandem: options.tandem.createTandem( `${component.tandemName}Slider` )
+          } )
+        ]
+      } ) );
+    } );
+
+    // Keep the color and its components synchronized. The flag prevents the color from being set to an intermediate
+    // value while its components are being updated.
+    let isUpdatingComponents = false;
+    Property.multilink( _.map( componentProperties, 'componentProperty' ), ( red, green, blue ) => {
+      if ( !isUpdatingComponents ) {
+        colorProperty.set( new Color( red, green, blue ) );
+      }
+    } );
+    colorProperty.link( color => {
+      isUpdatingComponents = true;
+      componentProperties.forEach( entry => entry.componentProperty.set( entry.get( color ) ) );
+      isUpdatingComponents = false;
+    } );
+
+    const swatchNode = new Rectangle( 0, 0, SWATCH_SIZE, SWATCH_SIZE, {
+      cornerRadius: 4,
+      stroke: 'black',
+      fill: colorProperty
+    } );
+
+    assert && assert( !options.children, 'ColorPicker sets children' );
+    options.children = [
+      new VBox( { spacing: 5, align: 'right', children: sliderRows } ),
+      swatchNode
+    ];
+
+    super( options );
+  }
+}
+
+phScale.register( 'ColorPicker', ColorPicker );
+export default ColorPicker;
@@ -0,0 +1,269 @@
+// Copyright 2026, agent
+
+/**
+ * CustomSoluteDialog is where the user defines a custom solute: its name, how acidic or basic it is, and the color of
+ * its stock solution. A solute is specified by the pH of its stock solution (strong acid or base), or by its strength
+ * and concentration (weak acid or base). Pressing the Add button creates the solute, and puts it in the dropper.
+ * The Add button is disabled when the maximum number of custom solutes has been created.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import customSoluteGroup from '../model/customSoluteGroup.js';
+import PHModel from '../model/PHModel.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+import ColorPicker from './ColorPicker.js';
+import TextInputNode from './TextInputNode.js';
+
+// constants
+const FONT = new PhetFont( 16 );
+const TITLE_FONT = new PhetFont( { size: 20, weight: 'bold' } );
+const MAX_NAME_LENGTH = 30;
+const PK_RANGE = new Range( 1, 13 );
+const MOLARITY_RANGE = new Range( 0.001, 1 ); // mol/L
+
+// How the custom solute is specified
+const SoluteType = Enumeration.byKeys( [ 'STRONG', 'WEAK_ACID', 'WEAK_BASE' ] );
+
+class CustomSoluteDialog extends Dialog {
+
+  /**
+   * @param {Property.<Solute>} soluteProperty - the custom solute is put in the dropper by setting this Property
+   * @param {Object} [options]
+   */
+  constructor( soluteProperty, options ) {
+    assert && assert( soluteProperty instanceof Property, 'invalid soluteProperty' );
+
+    options = merge( {
+      title: new Text( phScaleStrings.customSolute, { font: TITLE_FONT, maxWidth: 400 } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'dialog for defining a custom solute'
+    }, options );
+
+    // name
+    const nameInputNode = new TextInputNode( {
+      font: FONT,
+      width: 220,
+      maxLength: MAX_NAME_LENGTH,
+      accessibleName: phScaleStrings.name
+    } );
+    const nameNode = new HBox( {
+      spacing: 10,
+      children: [
+        new Text( StringUtils.format( phScaleStrings.pattern[ '0label' ], phScaleStrings.name ), { font: FONT, maxWidth: 100 } ),
+        nameInputNode
+      ]
+    } );
+
+    // how the solute is specified
+    const soluteTypeProperty = new EnumerationProperty( SoluteType, SoluteType.STRONG );
+    const soluteTypeRadioButtonGroup = new AquaRadioButtonGroup( soluteTypeProperty, [
+      { value: SoluteType.STRONG, node: new Text( phScaleStrings.strongAcidOrBase, { font: FONT, maxWidth: 250 } ), tandemName: 'strongRadioButton' },
+      { value: SoluteType.WEAK_ACID, node: new Text( phScaleStrings.weakAcid, { font: FONT, maxWidth: 250 } ), tandemName: 'weakAcidRadioButton' },
+      { value: SoluteType.WEAK_BASE, node: new Text( phScaleStrings.weakBase, { font: FONT, maxWidth: 250 } ), tandemName: 'weakBaseRadioButton' }
+    ], {
+      spacing: 8,
+      tandem: options.tandem.createTandem( 'soluteTypeRadioButtonGroup' )
+    } );
+
+    // strong acid or base, specified by pH
+    const pHProperty = new NumberProperty( 7, { range: PHScaleConstants.PH_RANGE } );
+    const pHControl = createNumberControl( phScaleStrings.pH, pHProperty, {
+      delta: 0.1,
+      numberDisplayOptions: { decimalPlaces: 1 },
+      tandem: options.tandem.createTandem( 'pHControl' )
+    } );
+
+    // weak acid or base, specified by strength (pKa or pKb) and concentration
+    const pKProperty = new NumberProperty( 4.8, { range: PK_RANGE } );
+    const pKaControl = createNumberControl( phScaleStrings.pKa, pKProperty, {
+      tandem: options.tandem.createTandem( 'pKaControl' )
+    } );
+    const pKbControl = createNumberControl( phScaleStrings.pKb, pKProperty, {
+      tandem: options.tandem.createTandem( 'pKbControl' )
+    } );
+    const molarityProperty = new NumberProperty( 0.1, { range: MOLARITY_RANGE } );
+    const molarityControl = createNumberControl( phScaleStrings.concentration, molarityProperty, {
+      delta: 0.001,
+      numberDisplayOptions: {
+        valuePattern: StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ], '{{value}}',
+          phScaleStrings.units.molesPerLiter ),
+        decimalPlaces: 3
+      },
+      tandem: options.tandem.createTandem( 'molarityControl' )
+    } );
+
+    // pH of the stock solution, computed for a weak acid or base
+    const stockPHProperty = new DerivedProperty( [ soluteTypeProperty, pHProperty, pKProperty, molarityProperty ],
+      ( soluteType, pH, pK, molarity ) => {
+        if ( soluteType === SoluteType.STRONG ) {
+          return pH;
+        }
+        else if ( soluteType === SoluteType.WEAK_ACID ) {
+          return PHModel.computeWeakPH( molarity, [ Math.pow( 10, -pK ) ], 0 );
+        }
+        else {
+          return PHModel.computeWeakPH( molarity, [ PHModel.KbToKa( Math.pow( 10, -pK ) ) ], 1 );
+        }
+      } );
+    const stockPHText = new Text( '', { font: FONT, maxWidth: 300 } );
+    stockPHProperty.link( stockPH => {
+      stockPHText.text = StringUtils.format( phScaleStrings.pattern.stockPH0value, Utils.toFixed( stockPH, 2 ) );
+    } );
+
+    const weakNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ new Node( { children: [ pKaControl, pKbControl ] } ), molarityControl, stockPHText ]
+    } );
+
+    // Show the controls for how the solute is specified. They occupy the same space.
+    const specificationNode = new Node( { children: [ pHControl, weakNode ] } );
+    soluteTypeProperty.link( soluteType => {
+      pHControl.visible = ( soluteType === SoluteType.STRONG );
+      weakNode.visible = !pHControl.visible;
+      pKaControl.visible = ( soluteType === SoluteType.WEAK_ACID );
+      pKbControl.visible = ( soluteType === SoluteType.WEAK_BASE );
+    } );
+
+    // color of the stock solution
+    const colorProperty = new Property( new Color( 255, 160, 200 ) );
+    const colorNode = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        new Text( StringUtils.format( phScaleStrings.pattern[ '0label' ], phScaleStrings.stockColor ), { font: FONT, maxWidth: 200 } ),
+        new ColorPicker( colorProperty, {
+          tandem: options.tandem.createTandem( 'colorPicker' )
+        } )
+      ]
+    } );
+
+    // whether the maximum number of custom solutes has been created
+    const isFullProperty = new BooleanProperty( customSoluteGroup.isFull() );
+    const updateIsFull = () => isFullProperty.set( customSoluteGroup.isFull() );
+    customSoluteGroup.elementCreatedEmitter.addListener( updateIsFull );
+    customSoluteGroup.elementDisposedEmitter.addListener( updateIsFull );
+
+    const fullText = new Text( phScaleStrings.customSolutesFull, {
+      font: FONT,
+      fill: 'red',
+      maxWidth: 400,
+      visibleProperty: isFullProperty
+    } );
+
+    // creates the solute and puts it in the dropper
+    const addButton = new TextPushButton( phScaleStrings.add, {
+      font: new PhetFont( 18 ),
+      maxWidth: 200,
+      enabledProperty: new DerivedProperty( [ stockPHProperty, isFullProperty ],
+        ( stockPH, isFull ) => PHScaleConstants.PH_RANGE.contains( stockPH ) && !isFull ),
+      listener: () => {
+
+        const description = {
+          name: ( nameInputNode.stringProperty.value.trim().length > 0 ) ?
+                nameInputNode.stringProperty.value.trim() : this.getDefaultName(),
+          stockColor: [ colorProperty.value.red, colorProperty.value.green, colorProperty.value.blue ]
+        };
+        if ( soluteTypeProperty.value === SoluteType.STRONG ) {
+          description.pH = Utils.toFixedNumber( pHProperty.value, 1 );
+        }
+        else {
+          const pK = Utils.toFixedNumber( pKProperty.value, 1 );
+          description[ ( soluteTypeProperty.value === SoluteType.WEAK_ACID ) ? 'pKa' : 'pKb' ] = pK;
+          description.molarity = Utils.toFixedNumber( molarityProperty.value, 3 );
+        }
+
+        soluteProperty.set( customSoluteGroup.createSolute( description ) );
+        this.hide();
+      },
+      tandem: options.tandem.createTandem( 'addButton' )
+    } );
+
+    const content = new VBox( {
+      spacing: 15,
+      align: 'left',
+      children: [ nameNode, soluteTypeRadioButtonGroup, specificationNode, colorNode, addButton, fullText ]
+    } );
+
+    super( content, options );
+
+    // @private
+    this.nameStringProperty = nameInputNode.stringProperty;
+  }
+
+  /**
+   * Shows the dialog, with the default name for the next custom solute.
+   * @public
+   * @override
+   */
+  show() {
+    this.nameStringProperty.value = this.getDefaultName();
+    super.show();
+  }
+
+  /**
+   * Gets the default name for the next custom solute, e.g. 'Custom 3'.
+   * @returns {string}
+   * @private
+   */
+  getDefaultName() {
+    return StringUtils.format( phScaleStrings.pattern.custom0number, customSoluteGroup.count + 1 );
+  }
+}
+
+/**
+ * Creates a NumberControl with the look that is used in this dialog.
+ * @param {string} title
+ * @param {NumberProperty} numberProperty
+ * @param {Object} [options]
+ * @returns {NumberControl}
+ */
+function createNumberControl( title, numberProperty, options ) {
+  return new NumberControl( title, numberProperty, numberProperty.range, merge( {
+    delta: 0.1,
+    titleNodeOptions: {
+      font: FONT,
+      maxWidth: 150
+    },
+    numberDisplayOptions: {
+      decimalPlaces: 1,
+      textOptions: {
+        font: FONT
+      }
+    },
+    sliderOptions: {
+      trackSize: new Dimension2( 180, 4 ),
+      thumbSize: new Dimension2( 13, 26 )
+    }
+  }, options ) );
+}
+
+phScale.register( 'CustomSoluteDialog', CustomSoluteDialog );
+export default CustomSoluteDialog;
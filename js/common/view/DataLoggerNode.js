@@ -0,0 +1,328 @@
+// Copyright 2026, agent
+
+/**
+ * DataLoggerNode is a chart of the samples recorded by a DataLogger. pH is plotted against the left axis, and volume
+ * is plotted against the right axis. The time axis scrolls, so that the most recent samples are always visible, and it
+ * can be zoomed to show a longer or shorter window of time. The chart is in a floating panel.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PlayPauseButton from '../../../../scenery-phet/js/buttons/PlayPauseButton.js';
+import MagnifyingGlassZoomButtonGroup from '../../../../scenery-phet/js/MagnifyingGlassZoomButtonGroup.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import DataLogger from '../model/DataLogger.js';
+import LoggedQuantity from '../model/LoggedQuantity.js';
+import PHScaleColors from '../PHScaleColors.js';
+import FloatingPanel from './FloatingPanel.js';
+
+// constants
+const PLOT_WIDTH = 360;
+const PLOT_HEIGHT = 180;
+const MIN_PH = 0;
+const MAX_PH = 14;
+const PH_TICKS = [ 0, 2, 4, 6, 8, 10, 12, 14 ];
+const VOLUME_TICK_SPACING = 0.2; // L
+const TICK_LENGTH = 5;
+const TICK_FONT = new PhetFont( 12 );
+const LABEL_FONT = new PhetFont( 14 );
+const MAX_POINTS = 2 * PLOT_WIDTH; // maximum number of points that are plotted for each channel
+const VOLUME_LINE_DASH = [ 6, 3 ]; // volume is dashed, to distinguish it from pH, which is plotted on the other axis
+
+// Time windows that can be displayed, from most zoomed out to most zoomed in. The index into this array is the zoom
+// level. spacing is the time between ticks, and secondsPerUnit converts seconds to the units of the tick labels.
+const TIME_SCALES = [
+  { span: 36000, spacing: 7200, secondsPerUnit: 3600, units: phScaleStrings.units.hours },
+  { span: 3600, spacing: 600, secondsPerUnit: 60, units: phScaleStrings.units.minutes },
+  { span: 600, spacing: 120, secondsPerUnit: 60, units: phScaleStrings.units.minutes },
+  { span: 120, spacing: 20, secondsPerUnit: 1, units: phScaleStrings.units.seconds },
+  { span: 30, spacing: 5, secondsPerUnit: 1, units: phScaleStrings.units.seconds }
+];
+const DEFAULT_ZOOM_LEVEL = 3;
+
+class DataLoggerNode extends FloatingPanel {
+
+  /**
+   * @param {DataLogger} dataLogger
+   * @param {number} maxVolume - maximum of the volume axis, in L
+   * @param {Bounds2} layoutBounds - the panel is dragged within these bounds
+   * @param {Object} [options]
+   */
+  constructor( dataLogger, maxVolume, layoutBounds, options ) {
+    assert && assert( dataLogger instanceof DataLogger, 'invalid dataLogger' );
+    assert && assert( maxVolume > 0, `invalid maxVolume: ${maxVolume}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'chart of the pH and volumes that have been recorded by the data logger'
+    }, options );
+
+    // Maps pH and volume to view coordinates
+    const pHToY = pH => Utils.linear( MIN_PH, MAX_PH, PLOT_HEIGHT, 0, Utils.clamp( pH, MIN_PH, MAX_PH ) );
+    const volumeToY = volume => Utils.linear( 0, maxVolume, PLOT_HEIGHT, 0, Utils.clamp( volume, 0, maxVolume ) );
+
+    // zoom level of the time axis, a larger value is more zoomed in
+    const zoomLevelProperty = new NumberProperty( DEFAULT_ZOOM_LEVEL, {
+      numberType: 'Integer',
+      range: new Range( 0, TIME_SCALES.length - 1 ),
+      tandem: options.tandem.createTandem( 'zoomLevelProperty' ),
+      phetioDocumentation: 'zoom level of the time axis, a larger value shows a shorter window of time'
+    } );
+
+    // a curve for each channel, colored by the order of the channel among channels of the same quantity
+    const colorIndices = { pH: 0, volume: 0 };
+    const channelStyles = dataLogger.channels.map( channel => {
+      const isPH = ( channel.quantity === LoggedQuantity.PH );
+      const colors = isPH ? PHScaleColors.LOGGED_PH : PHScaleColors.LOGGED_VOLUME;
+      const key = isPH ? 'pH' : 'volume';
+      assert && assert( colorIndices[ key ] < colors.length, `there are no colors for channel ${channel.name}` );
+      return {
+        stroke: colors[ colorIndices[ key ]++ ],
+        lineWidth: 2,
+        lineDash: isPH ? [] : VOLUME_LINE_DASH
+      };
+    } );
+    const curveNodes = channelStyles.map( style => new Path( null, style ) );
+    const curvesParent = new Node( {
+      children: curveNodes,
+      clipArea: Shape.rect( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+    } );
+
+    // the time axis changes as the chart scrolls, and when the zoom level changes
+    const timeAxisNode = new Node();
+
+    const axesNode = createAxesNode( maxVolume, pHToY, volumeToY );
+    const plotNode = new Node( {
+      children: [ axesNode, timeAxisNode, curvesParent ]
+    } );
+
+    // legend, with pH channels on the first row, and volume channels on the second row
+    const legendItems = dataLogger.channels.map( ( channel, index ) => new HBox( {
+      spacing: 5,
+      children: [
+        new Line( 0, 0, 20, 0, channelStyles[ index ] ),
+        new Text( channel.name, { font: TICK_FONT, maxWidth: 100 } )
+      ]
+    } ) );
+    const createLegendRow = quantity => new HBox( {
+      spacing: 15,
+      children: legendItems.filter( ( item, index ) => dataLogger.channels[ index ].quantity === quantity )
+    } );
+    const legendNode = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ createLegendRow( LoggedQuantity.PH ), createLegendRow( LoggedQuantity.VOLUME ) ]
+    } );
+
+    // controls for recording, clearing, and zooming
+    const playPauseButton = new PlayPauseButton( dataLogger.isRecordingProperty, {
+      radius: 16,
+      tandem: options.tandem.createTandem( 'playPauseButton' )
+    } );
+    const clearButton = new TextPushButton( phScaleStrings.clear, {
+      font: LABEL_FONT,
+      maxWidth: 100,
+      listener: () => dataLogger.clear(),
+      tandem: options.tandem.createTandem( 'clearButton' )
+    } );
+    const zoomButtonGroup = new MagnifyingGlassZoomButtonGroup( zoomLevelProperty, {
+      layout: 'horizontal',
+      spacing: 10,
+      magnifyingGlassNodeOptions: {
+        glassRadius: 8
+      },
+      tandem: options.tandem.createTandem( 'zoomButtonGroup' )
+    } );
+    const controlsNode = new HBox( {
+      spacing: 20,
+      children: [ playPauseButton, clearButton, zoomButtonGroup ]
+    } );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ plotNode, legendNode, controlsNode ]
+    } );
+
+    super( phScaleStrings.dataLogger, content, layoutBounds, options );
+
+    // identifies the time axis that is displayed, so that the axis is recreated only when it changes
+    let timeAxisKey = null;
+
+    // Plots the samples in the window of time that ends with the most recent sample.
+    const updatePlot = () => {
+
+      const zoomLevel = zoomLevelProperty.get();
+      const timeScale = TIME_SCALES[ zoomLevel ];
+      const maxTime = Math.max( timeScale.span, dataLogger.elapsedTimeProperty.get() );
+      const minTime = maxTime - timeScale.span;
+      const timeToX = time => Utils.linear( minTime, maxTime, 0, PLOT_WIDTH, time );
+
+      // samples in the window, thinned so that long windows do not plot more points than are visible
+      const samples = dataLogger.samples.filter( sample => sample.time >= minTime );
+      const stride = Math.max( 1, Math.ceil( samples.length / MAX_POINTS ) );
+
+      // A null value has no point, so the curve has a gap.
+      curveNodes.forEach( ( curveNode, channelIndex ) => {
+        const valueToY = ( dataLogger.channels[ channelIndex ].quantity === LoggedQuantity.PH ) ? pHToY : volumeToY;
+        const shape = new Shape();
+        let isDrawing = false;
+        for ( let i = 0; i < samples.length; i += stride ) {
+          const value = samples[ i ].values[ channelIndex ];
+          if ( value === null ) {
+            isDrawing = false;
+          }
+          else {
+            const x = timeToX( samples[ i ].time );
+            const y = valueToY( value );
+            if ( isDrawing ) {
+              shape.lineTo( x, y );
+            }
+            else {
+              shape.moveTo( x, y );
+              isDrawing = true;
+            }
+          }
+        }
+        curveNode.shape = shape;
+      } );
+
+      // The time axis is recreated when the first tick changes.
+      const firstTickIndex = Math.ceil( minTime / timeScale.spacing );
+      const key = `${zoomLevel}:${firstTickIndex}`;
+      if ( key !== timeAxisKey ) {
+        timeAxisKey = key;
+        timeAxisNode.children = createTimeAxisChildren( timeScale, firstTickIndex, maxTime, timeToX );
+      }
+    };
+
+    // The chart is not updated while it is hidden.
+    dataLogger.samplesChangedEmitter.addListener( () => {
+      if ( this.visible ) {
+        updatePlot();
+      }
+    } );
+    zoomLevelProperty.link( () => updatePlot() );
+    this.visibleProperty.lazyLink( visible => {
+      if ( visible ) {
+        updatePlot();
+      }
+    } );
+
+    // @private
+    this.zoomLevelProperty = zoomLevelProperty;
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  reset() {
+    this.zoomLevelProperty.reset();
+    super.reset();
+  }
+}
+
+/**
+ * Creates the rectangle of the plot, and the pH and volume axes, which do not change.
+ * @param {number} maxVolume - L
+ * @param {function(number):number} pHToY
+ * @param {function(number):number} volumeToY
+ * @returns {Node}
+ */
+function createAxesNode( maxVolume, pHToY, volumeToY ) {
+
+  const children = [ new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, { fill: 'white', stroke: 'black' } ) ];
+
+  // pH ticks, on the left
+  PH_TICKS.forEach( pH => {
+    const y = pHToY( pH );
+    children.push( new Line( -TICK_LENGTH, y, 0, y, { stroke: 'black' } ) );
+    children.push( new Text( pH, { font: TICK_FONT, right: -TICK_LENGTH - 2, centerY: y } ) );
+  } );
+
+  // volume ticks, on the right
+  const numberOfVolumeTicks = Math.floor( maxVolume / VOLUME_TICK_SPACING + 1E-6 );
+  for ( let i = 0; i <= numberOfVolumeTicks; i++ ) {
+    const y = volumeToY( i * VOLUME_TICK_SPACING );
+    children.push( new Line( PLOT_WIDTH, y, PLOT_WIDTH + TICK_LENGTH, y, { stroke: 'black' } ) );
+    children.push( new Text( Utils.toFixed( i * VOLUME_TICK_SPACING, 1 ), {
+      font: TICK_FONT,
+      left: PLOT_WIDTH + TICK_LENGTH + 2,
+      centerY: y
+    } ) );
+  }
+
+  // axis labels
+  children.push( new Text( phScaleStrings.pH, {
+    font: LABEL_FONT,
+    rotation: -Math.PI / 2,
+    centerX: -35,
+    centerY: PLOT_HEIGHT / 2,
+    maxWidth: PLOT_HEIGHT
+  } ) );
+  children.push( new Text( `${phScaleStrings.volume} (${phScaleStrings.units.liters})`, {
+    font: LABEL_FONT,
+    rotation: Math.PI / 2,
+    centerX: PLOT_WIDTH + 45,
+    centerY: PLOT_HEIGHT / 2,
+    maxWidth: PLOT_HEIGHT
+  } ) );
+
+  return new Node( { children: children } );
+}
+
+/**
+ * Creates the ticks and labels for the time axis, which scrolls.
+ * @param {{span:number, spacing:number, secondsPerUnit:number, units:string}} timeScale - see TIME_SCALES
+ * @param {number} firstTickIndex - index of the first tick, the time of a tick is its index * timeScale.spacing
+ * @param {number} maxTime - time at the right end of the axis, in seconds
+ * @param {function(number):number} timeToX
+ * @returns {Node[]}
+ */
+function createTimeAxisChildren( timeScale, firstTickIndex, maxTime, timeToX ) {
+
+  const children = [];
+
+  for ( let i = firstTickIndex; i * timeScale.spacing <= maxTime; i++ ) {
+    const time = i * timeScale.spacing;
+    const x = timeToX( time );
+    children.push( new Line( x, PLOT_HEIGHT, x, PLOT_HEIGHT + TICK_LENGTH, { stroke: 'black' } ) );
+    children.push( new Text( Utils.roundSymmetric( time / timeScale.secondsPerUnit ), {
+      font: TICK_FONT,
+      centerX: x,
+      top: PLOT_HEIGHT + TICK_LENGTH + 1
+    } ) );
+  }
+
+  // axis label, e.g. 'Time (min)'
+  children.push( new Text( `${phScaleStrings.time} (${timeScale.units})`, {
+    font: LABEL_FONT,
+    centerX: PLOT_WIDTH / 2,
+    top: PLOT_HEIGHT + 20,
+    maxWidth: PLOT_WIDTH
+  } ) );
+
+  return children;
+}
+
+phScale.register( 'DataLoggerNode', DataLoggerNode );
+export default DataLoggerNode;
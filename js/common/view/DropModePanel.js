@@ -0,0 +1,113 @@
+// Copyright 2026, agent
+
+/**
+ * DropModePanel has controls for the dropper's drop mode, in which each press of the dropper's button releases one
+ * drop. In drop mode, the panel also has controls for the volume of a drop, and displays the number of drops that
+ * have been released.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ResetButton from '../../../../scenery-phet/js/buttons/ResetButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const DROP_VOLUME_DECIMAL_PLACES = 2; // mL
+
+class DropModePanel extends Panel {
+
+  /**
+   * @param {Dropper} dropper
+   * @param {Object} [options]
+   */
+  constructor( dropper, options ) {
+
+    options = merge( {
+      xMargin: 8,
+      yMargin: 6,
+      lineWidth: 1,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'controls for releasing solute from the dropper one drop at a time'
+    }, options );
+
+    const dropModeCheckbox = new Checkbox( new Text( phScaleStrings.dropByDrop, {
+      font: FONT,
+      maxWidth: 120
+    } ), dropper.dropModeEnabledProperty, {
+      boxWidth: 16,
+      tandem: options.tandem.createTandem( 'dropModeCheckbox' )
+    } );
+
+    // volume of a drop, e.g. '0.05 mL'
+    const dropVolumeRadioButtonGroup = new AquaRadioButtonGroup( dropper.dropVolumeProperty,
+      PHScaleConstants.DROP_VOLUMES.map( ( dropVolume, index ) => {
+        return {
+          value: dropVolume,
+          node: new Text( StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+            Utils.toFixed( 1000 * dropVolume, DROP_VOLUME_DECIMAL_PLACES ), phScaleStrings.units.milliliters ), {
+            font: FONT,
+            maxWidth: 100
+          } ),
+          tandemName: `dropVolume${index}RadioButton`
+        };
+      } ), {
+        spacing: 6,
+        radioButtonOptions: { radius: 7 },
+        tandem: options.tandem.createTandem( 'dropVolumeRadioButtonGroup' )
+      } );
+
+    // number of drops, e.g. 'Drops: 12', with a button to start counting again
+    const dropCountText = new Text( '', {
+      font: FONT,
+      maxWidth: 100,
+      tandem: options.tandem.createTandem( 'dropCountText' )
+    } );
+    dropper.dropCountProperty.link( dropCount => {
+      dropCountText.text = StringUtils.format( phScaleStrings.pattern.drops0count, dropCount );
+    } );
+    const resetDropCountButton = new ResetButton( {
+      radius: 10,
+      listener: () => dropper.resetDropCount(),
+      tandem: options.tandem.createTandem( 'resetDropCountButton' )
+    } );
+    const dropCountNode = new HBox( {
+      spacing: 8,
+      children: [ dropCountText, resetDropCountButton ]
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left'
+    } );
+
+    super( content, options );
+
+    // The drop volume and count are shown only in drop mode.
+    dropper.dropModeEnabledProperty.link( dropModeEnabled => {
+      content.children = dropModeEnabled ?
+        [ dropModeCheckbox, dropVolumeRadioButtonGroup, dropCountNode ] :
+        [ dropModeCheckbox ];
+    } );
+  }
+}
+
+phScale.register( 'DropModePanel', DropModePanel );
+export default DropModePanel;
@@ -1,14 +1,21 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * Fluid (stock solution) coming out of the dropper.
+ * Fluid (stock solution) coming out of the dropper. In continuous mode, this is a stream that falls into the beaker.
+ * In drop mode, each drop that is released is animated falling into the beaker. The animation is advanced by step,
+ * which the ScreenView calls.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Shape from '../../../../kite/js/Shape.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import phScale from '../../phScale.js';
 
+// constants
+const DROP_ACCELERATION = 2000; // view units/sec^2, how quickly a drop speeds up as it falls
+
 class DropperFluidNode extends Rectangle {
 
   /**
@@ -37,13 +44,68 @@ class DropperFluidNode extends Rectangle {
     dropper.positionProperty.link( updateShapeAndPosition );
     dropper.flowRateProperty.link( updateShapeAndPosition );
 
-    // set color to match solute
-    dropper.soluteProperty.link( solute => {
-      this.fill = solute.stockColor;
-      this.stroke = solute.stockColor.darkerColor();
+    // set color to match the stock solution
+    dropper.colorProperty.link( color => {
+      this.fill = color;
+      this.stroke = color.darkerColor();
+    } );
+
+    // @private {{node:Path, speed:number, bottom:number}[]} drops that are falling, see step
+    this.drops = [];
+
+    // Animate each drop falling from the tip of the dropper to the bottom of the beaker, where it is hidden by the
+    // solution. The drop is added to the solution when it is released, so the animation is purely cosmetic.
+    const dropShape = createDropShape( tipWidth );
+    dropper.dropReleasedEmitter.addListener( () => {
+
+      const dropNode = new Path( dropShape, {
+        fill: this.fill,
+        stroke: this.stroke,
+        lineWidth: 1
+      } );
+      this.addChild( dropNode );
+
+      // This node is at the dropper's position, which moves only horizontally.
+      this.drops.push( {
+        node: dropNode,
+        speed: 0, // view units/sec
+        bottom: modelViewTransform.modelToViewDeltaY( beaker.position.y - dropper.positionProperty.get().y )
+      } );
+    } );
+  }
+
+  /**
+   * Advances the drops that are falling, and removes the drops that have reached the bottom of the beaker.
+   * @param {number} dt - time change, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.drops.forEach( drop => {
+      drop.speed += DROP_ACCELERATION * dt;
+      drop.node.y += drop.speed * dt;
+    } );
+    const [ landedDrops, fallingDrops ] = _.partition( this.drops, drop => drop.node.y >= drop.bottom );
+    landedDrops.forEach( drop => {
+      this.removeChild( drop.node );
+      drop.node.dispose();
     } );
+    this.drops = fallingDrops;
   }
 }
 
+/**
+ * Creates the shape of a drop, a teardrop whose origin is at its top, with the same width as the dropper's tip.
+ * @param {number} width
+ * @returns {Shape}
+ */
+function createDropShape( width ) {
+  const radius = width / 2;
+  return new Shape()
+    .moveTo( 0, 0 )
+    .lineTo( radius, 2 * radius )
+    .arc( 0, 2 * radius, radius, 0, Math.PI )
+    .close();
+}
+
 phScale.register( 'DropperFluidNode', DropperFluidNode );
 export default DropperFluidNode;
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Copyright 2026, agent
+
+/**
+ * EvaporationPanel has controls for evaporation of water from the solution, and for time lapse, which makes
+ * simulated time run faster than clock time for processes that are slow in the real world.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const FONT = new PhetFont( 16 );
+const TICK_FONT = new PhetFont( 12 );
+
+class EvaporationPanel extends Panel {
+
+  /**
+   * @param {BooleanProperty} evaporationEnabledProperty
+   * @param {NumberProperty} evaporationRateProperty - in L/s of simulated time
+   * @param {NumberProperty} timeLapseFactorProperty - how much faster simulated time runs than clock time
+   * @param {Object} [options]
+   */
+  constructor( evaporationEnabledProperty, evaporationRateProperty, timeLapseFactorProperty, options ) {
+    assert && assert( evaporationEnabledProperty instanceof BooleanProperty, 'invalid evaporationEnabledProperty' );
+    assert && assert( evaporationRateProperty instanceof NumberProperty, 'invalid evaporationRateProperty' );
+    assert && assert( timeLapseFactorProperty instanceof NumberProperty, 'invalid timeLapseFactorProperty' );
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 8,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'controls for evaporation and time lapse'
+    }, options );
+
+    const evaporationCheckbox = new Checkbox( new Text( phScaleStrings.evaporation, {
+      font: FONT,
+      maxWidth: 200
+    } ), evaporationEnabledProperty, {
+      tandem: options.tandem.createTandem( 'evaporationCheckbox' )
+    } );
+
+    // evaporation rate, enabled when evaporation is enabled
+    const rateRange = evaporationRateProperty.range;
+    const rateSlider = new HSlider( evaporationRateProperty, rateRange, {
+      enabledProperty: evaporationEnabledProperty,
+      trackSize: new Dimension2( 150, 4 ),
+      thumbSize: new Dimension2( 13, 26 ),
+      tandem: options.tandem.createTandem( 'rateSlider' )
+    } );
+    rateSlider.addMajorTick( rateRange.min, new Text( phScaleStrings.slow, { font: TICK_FONT, maxWidth: 60 } ) );
+    rateSlider.addMajorTick( rateRange.max, new Text( phScaleStrings.fast, { font: TICK_FONT, maxWidth: 60 } ) );
+
+    // time lapse, e.g. 'x1', 'x10', 'x100'
+    const timeLapseRadioButtonGroup = new AquaRadioButtonGroup( timeLapseFactorProperty,
+      PHScaleConstants.TIME_LAPSE_FACTORS.map( factor => {
+        return {
+          value: factor,
+          node: new Text( StringUtils.format( phScaleStrings.pattern.times0factor, factor ), { font: FONT } ),
+          tandemName: `times${factor}RadioButton`
+        };
+      } ), {
+        orientation: 'horizontal',
+        spacing: 12,
+        tandem: options.tandem.createTandem( 'timeLapseRadioButtonGroup' )
+      } );
+    const timeLapseNode = new HBox( {
+      spacing: 10,
+      children: [
+        new Text( `${phScaleStrings.timeLapse}:`, { font: FONT, maxWidth: 100 } ),
+        timeLapseRadioButtonGroup
+      ]
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ evaporationCheckbox, rateSlider, timeLapseNode ]
+    } );
+
+    super( content, options );
+  }
+}
+
+phScale.register( 'EvaporationPanel', EvaporationPanel );
+export default EvaporationPanel;
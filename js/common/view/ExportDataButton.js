@@ -0,0 +1,61 @@
+// Copyright 2026, agent
+
+/**
+ * ExportDataButton downloads a CSV file that contains the samples recorded by the data logger, and the current values
+ * of the quantities that are derived from the solution. See createDataCSV for the format of the file.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import createDataCSV from './createDataCSV.js';
+
+class ExportDataButton extends TextPushButton {
+
+  /**
+   * @param {DataLogger} dataLogger
+   * @param {SolutionDerivedProperties} derivedProperties
+   * @param {Object} [options]
+   */
+  constructor( dataLogger, derivedProperties, options ) {
+
+    options = merge( {
+      fileName: 'ph-scale-data.csv',
+      font: new PhetFont( 14 ),
+      maxWidth: 120,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'downloads the recorded samples and the derived quantities of the solution as a CSV file'
+    }, options );
+
+    assert && assert( !options.listener, 'ExportDataButton sets listener' );
+    options.listener = () => download( createDataCSV( dataLogger, derivedProperties ), options.fileName );
+
+    super( phScaleStrings.exportData, options );
+  }
+}
+
+/**
+ * Downloads CSV data as a file, by clicking a temporary link to the data.
+ * @param {string} csv
+ * @param {string} fileName
+ */
+function download( csv, fileName ) {
+  const url = window.URL.createObjectURL( new window.Blob( [ csv ], { type: 'text/csv;charset=utf-8' } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+  window.URL.revokeObjectURL( url );
+}
+
+phScale.register( 'ExportDataButton', ExportDataButton );
+export default ExportDataButton;
@@ -1,7 +1,7 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * Fluid coming out of a faucet.
+ * Fluid coming out of a faucet, or a burette.
  * Origin is at the top center, to simplify alignment with the center of the faucet's spout.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -14,7 +14,7 @@ import phScale from '../../phScale.js';
 class FaucetFluidNode extends Rectangle {
 
   /**
-   * @param {Faucet} faucet
+   * @param {Faucet|Burette} faucet
    * @param {Property.<Color>} colorProperty
    * @param {number} height in model coordinates
    * @param {ModelViewTransform2} modelViewTransform
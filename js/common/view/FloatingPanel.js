@@ -0,0 +1,103 @@
+// Copyright 2026, agent
+
+/**
+ * FloatingPanel is a panel with a title bar, which floats above the other parts of a screen, and is dragged by its
+ * title bar. It initially appears in the center of the layout bounds, and stays inside the layout bounds when it is
+ * dragged, or when its size changes.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import PHScaleColors from '../PHScaleColors.js';
+
+class FloatingPanel extends Panel {
+
+  /**
+   * @param {string} title
+   * @param {Node} contentNode - the content below the title bar
+   * @param {Bounds2} layoutBounds - the panel is dragged within these bounds
+   * @param {Object} [options]
+   */
+  constructor( title, contentNode, layoutBounds, options ) {
+
+    options = merge( {
+      xMargin: 15,
+      yMargin: 10,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // The title bar is filled with the panel color, so that the entire bar can be used to drag the panel.
+    const titleText = new Text( title, {
+      font: new PhetFont( { size: 18, weight: 'bold' } ),
+      maxWidth: 300
+    } );
+    const titleBarNode = new Node( {
+      children: [
+        new Rectangle( 0, 0, Math.max( contentNode.width, titleText.width ), titleText.height, { fill: options.fill } ),
+        titleText
+      ],
+      cursor: 'pointer'
+    } );
+
+    super( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ titleBarNode, contentNode ]
+    } ), options );
+
+    // Bounds for the panel's position, so that the entire panel is inside layoutBounds.
+    const computeDragBounds = () => new Bounds2(
+      layoutBounds.minX - this.localBounds.minX, layoutBounds.minY - this.localBounds.minY,
+      layoutBounds.maxX - this.localBounds.maxX, layoutBounds.maxY - this.localBounds.maxY );
+    const dragBoundsProperty = new Property( computeDragBounds() );
+
+    // @private
+    this.positionProperty = new Vector2Property( dragBoundsProperty.get().center, {
+      tandem: options.tandem.createTandem( 'positionProperty' ),
+      phetioDocumentation: 'position of the panel'
+    } );
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    titleBarNode.addInputListener( new DragListener( {
+      targetNode: this,
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: dragBoundsProperty,
+      tandem: options.tandem.createTandem( 'dragListener' )
+    } ) );
+
+    // Keep the panel inside layoutBounds when its size changes.
+    this.localBoundsProperty.lazyLink( () => {
+      dragBoundsProperty.set( computeDragBounds() );
+      this.positionProperty.set( dragBoundsProperty.get().closestPointTo( this.positionProperty.get() ) );
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.reset();
+  }
+}
+
+phScale.register( 'FloatingPanel', FloatingPanel );
+export default FloatingPanel;
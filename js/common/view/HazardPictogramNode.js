@@ -0,0 +1,126 @@
+// Copyright 2026, agent
+
+/**
+ * HazardPictogramNode is a simplified GHS hazard pictogram: a symbol in a diamond with a red border, with the name of
+ * the hazard below it.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import Hazard from '../model/Hazard.js';
+
+// constants
+const SIZE = 50; // width and height of the diamond
+const SYMBOL_SIZE = 0.5 * SIZE; // width and height of the symbol, which is centered in the diamond
+
+class HazardPictogramNode extends VBox {
+
+  /**
+   * @param {Hazard} hazard
+   * @param {Object} [options]
+   */
+  constructor( hazard, options ) {
+    assert && assert( Hazard.includes( hazard ), `invalid hazard: ${hazard}` );
+
+    options = merge( {
+      spacing: 4,
+      font: new PhetFont( 12 ),
+      labelMaxWidth: 1.6 * SIZE
+    }, options );
+
+    const diamondNode = new Path( new Shape()
+      .moveTo( 0, -SIZE / 2 )
+      .lineTo( SIZE / 2, 0 )
+      .lineTo( 0, SIZE / 2 )
+      .lineTo( -SIZE / 2, 0 )
+      .close(), {
+      fill: 'white',
+      stroke: 'red',
+      lineWidth: 4,
+      lineJoin: 'round'
+    } );
+
+    const symbolNode = new Path( createSymbolShape( hazard ), {
+      fill: 'black',
+      center: diamondNode.center
+    } );
+
+    const labelNode = new Text( phScaleStrings.hazard[ _.camelCase( hazard.name ) ], {
+      font: options.font,
+      maxWidth: options.labelMaxWidth
+    } );
+
+    assert && assert( !options.children, 'HazardPictogramNode sets children' );
+    options.children = [ new Node( { children: [ diamondNode, symbolNode ] } ), labelNode ];
+
+    super( _.omit( options, [ 'font', 'labelMaxWidth' ] ) );
+  }
+}
+
+/**
+ * Creates the shape of the symbol for a hazard, in a SYMBOL_SIZE x SYMBOL_SIZE box whose origin is the upper left.
+ * @param {Hazard} hazard
+ * @returns {Shape}
+ */
+function createSymbolShape( hazard ) {
+  const s = SYMBOL_SIZE;
+  let shape;
+
+  if ( hazard === Hazard.CORROSIVE ) {
+
+    // drops falling on a surface
+    shape = new Shape();
+    [ 0.25 * s, 0.75 * s ].forEach( x => {
+      shape.moveTo( x, 0 )
+        .lineTo( x + 0.12 * s, 0.3 * s )
+        .arc( x, 0.3 * s, 0.12 * s, 0, Math.PI )
+        .close();
+    } );
+    shape.rect( 0, 0.75 * s, s, 0.15 * s );
+  }
+  else if ( hazard === Hazard.IRRITANT ) {
+
+    // exclamation mark
+    shape = new Shape()
+      .rect( 0.42 * s, 0, 0.16 * s, 0.68 * s )
+      .circle( 0.5 * s, 0.88 * s, 0.1 * s );
+  }
+  else if ( hazard === Hazard.OXIDIZER ) {
+
+    // flame over a circle
+    shape = new Shape()
+      .moveTo( 0.5 * s, 0 )
+      .quadraticCurveTo( 0.85 * s, 0.3 * s, 0.75 * s, 0.55 * s )
+      .lineTo( 0.25 * s, 0.55 * s )
+      .quadraticCurveTo( 0.15 * s, 0.3 * s, 0.5 * s, 0 )
+      .close()
+      .circle( 0.5 * s, 0.78 * s, 0.22 * s );
+  }
+  else if ( hazard === Hazard.ENVIRONMENTAL ) {
+
+    // fish above a line of water
+    shape = new Shape()
+      .ellipse( 0.4 * s, 0.45 * s, 0.3 * s, 0.15 * s, 0 )
+      .moveTo( 0.65 * s, 0.45 * s )
+      .lineTo( 0.95 * s, 0.3 * s )
+      .lineTo( 0.95 * s, 0.6 * s )
+      .close()
+      .rect( 0, 0.85 * s, s, 0.1 * s );
+  }
+  else {
+    throw new Error( `unsupported hazard: ${hazard}` );
+  }
+  return shape;
+}
+
+phScale.register( 'HazardPictogramNode', HazardPictogramNode );
+export default HazardPictogramNode;
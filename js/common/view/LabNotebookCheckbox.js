@@ -0,0 +1,43 @@
+// Copyright 2026, agent
+
+/**
+ * LabNotebookCheckbox shows and hides the lab notebook.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+
+class LabNotebookCheckbox extends Checkbox {
+
+  /**
+   * @param {Property.<boolean>} labNotebookVisibleProperty
+   * @param {Object} [options]
+   */
+  constructor( labNotebookVisibleProperty, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const labelNode = new Text( phScaleStrings.labNotebook, {
+      font: new PhetFont( 18 ),
+      maxWidth: 150
+    } );
+
+    super( labelNode, labNotebookVisibleProperty, options );
+
+    this.touchArea = this.localBounds.dilatedXY( 10, 6 );
+  }
+}
+
+phScale.register( 'LabNotebookCheckbox', LabNotebookCheckbox );
+export default LabNotebookCheckbox;
@@ -0,0 +1,311 @@
+// Copyright 2026, agent
+
+/**
+ * LabNotebookNode displays the entries in the lab notebook, a page at a time, in a floating panel. Each entry is a row
+ * with the recorded solute, volumes and pH, and a note, which can all be edited, and a button that deletes the entry.
+ * The Record button adds an entry for the solution in the screen's beaker.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import ArrowButton from '../../../../sun/js/buttons/ArrowButton.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import labNotebook from '../model/labNotebook.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+import FloatingPanel from './FloatingPanel.js';
+import TextInputNode from './TextInputNode.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const HEADER_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const ROWS_PER_PAGE = 6;
+const ROW_HEIGHT = 34;
+const MAX_NOTE_LENGTH = 100;
+const MAX_SOLUTE_LENGTH = 50;
+const MAX_NUMBER_LENGTH = 10;
+
+// widths of the columns, in the order that they appear in a row
+const NUMBER_WIDTH = 30;
+const SOLUTE_WIDTH = 140;
+const VOLUME_WIDTH = 75;
+const PH_WIDTH = 50;
+const NOTE_WIDTH = 180;
+const DELETE_WIDTH = 70;
+const COLUMN_WIDTHS = [ NUMBER_WIDTH, SOLUTE_WIDTH, VOLUME_WIDTH, VOLUME_WIDTH, VOLUME_WIDTH, PH_WIDTH, NOTE_WIDTH, DELETE_WIDTH ];
+const COLUMN_SPACING = 8;
+const ROW_WIDTH = _.sum( COLUMN_WIDTHS ) + COLUMN_SPACING * ( COLUMN_WIDTHS.length - 1 );
+
+class LabNotebookNode extends FloatingPanel {
+
+  /**
+   * @param {MacroModel|MySolutionModel} model - the screen's model, which records entries with recordNotebookEntry
+   * @param {Bounds2} layoutBounds - the panel is dragged within these bounds
+   * @param {Object} [options]
+   */
+  constructor( model, layoutBounds, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'the entries in the lab notebook'
+    }, options );
+
+    // column headers, e.g. 'Water (L)'
+    const withLiters = name => `${name} (${phScaleStrings.units.liters})`;
+    const headerNode = createRowNode( [
+      '#',
+      phScaleStrings.notebook.solute,
+      withLiters( phScaleStrings.notebook.solute ),
+      withLiters( phScaleStrings.notebook.water ),
+      withLiters( phScaleStrings.notebook.total ),
+      phScaleStrings.pH,
+      phScaleStrings.notebook.note
+    ].map( string => new Text( string, { font: HEADER_FONT } ) ) );
+
+    // the rows on the current page, in a fixed area so that the size of the panel does not change
+    const rowsParent = new VBox( {
+      align: 'left'
+    } );
+    const noEntriesText = new Text( phScaleStrings.noEntries, {
+      font: FONT,
+      maxWidth: ROW_WIDTH
+    } );
+    const rowsAreaNode = new Node( {
+      children: [ new Rectangle( 0, 0, ROW_WIDTH, ROWS_PER_PAGE * ROW_HEIGHT ), rowsParent, noEntriesText ]
+    } );
+
+    // the page that is displayed, the last page has the most recent entries
+    const pageProperty = new NumberProperty( 0, {
+      numberType: 'Integer'
+    } );
+    const getNumberOfPages = () => Math.max( 1, Math.ceil( labNotebook.count / ROWS_PER_PAGE ) );
+
+    // controls for changing pages, e.g. '< 2 of 3 >'
+    const pageText = new Text( '', {
+      font: FONT,
+      maxWidth: 100
+    } );
+    const previousPageButton = new ArrowButton( 'left', () => pageProperty.set( pageProperty.get() - 1 ), {
+      arrowHeight: 12,
+      arrowWidth: 12,
+      tandem: options.tandem.createTandem( 'previousPageButton' )
+    } );
+    const nextPageButton = new ArrowButton( 'right', () => pageProperty.set( pageProperty.get() + 1 ), {
+      arrowHeight: 12,
+      arrowWidth: 12,
+      tandem: options.tandem.createTandem( 'nextPageButton' )
+    } );
+
+    const recordButton = new TextPushButton( phScaleStrings.record, {
+      font: FONT,
+      maxWidth: 120,
+      listener: () => model.recordNotebookEntry(),
+      tandem: options.tandem.createTandem( 'recordButton' )
+    } );
+
+    const controlsNode = new HBox( {
+      spacing: 40,
+      children: [
+        recordButton,
+        new HBox( {
+          spacing: 10,
+          children: [ previousPageButton, pageText, nextPageButton ]
+        } )
+      ]
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ headerNode, rowsAreaNode, controlsNode ]
+    } );
+
+    super( phScaleStrings.labNotebook, content, layoutBounds, options );
+
+    // {NotebookRowNode[]} rows for the entries on the current page
+    let rowNodes = [];
+
+    // Creates the rows for the entries on the current page.
+    const updateRows = () => {
+
+      rowNodes.forEach( rowNode => rowNode.dispose() );
+
+      const page = pageProperty.get();
+      const firstIndex = page * ROWS_PER_PAGE;
+      const entries = labNotebook.getArray().slice( firstIndex, firstIndex + ROWS_PER_PAGE );
+      rowNodes = entries.map( ( entry, index ) => new NotebookRowNode( entry, firstIndex + index + 1 ) );
+      rowsParent.children = rowNodes;
+      noEntriesText.visible = ( labNotebook.count === 0 );
+
+      const numberOfPages = getNumberOfPages();
+      pageText.text = StringUtils.format( phScaleStrings.pattern.page0of1, page + 1, numberOfPages );
+      previousPageButton.enabled = ( page > 0 );
+      nextPageButton.enabled = ( page < numberOfPages - 1 );
+    };
+    pageProperty.link( () => updateRows() );
+
+    // When an entry is added, show the last page, which has the new entry.
+    labNotebook.elementCreatedEmitter.addListener( () => {
+      if ( pageProperty.get() === getNumberOfPages() - 1 ) {
+        updateRows();
+      }
+      else {
+        pageProperty.set( getNumberOfPages() - 1 );
+      }
+    } );
+
+    // When an entry is deleted, stay on the current page, unless it no longer exists.
+    labNotebook.elementDisposedEmitter.addListener( () => {
+      if ( pageProperty.get() > getNumberOfPages() - 1 ) {
+        pageProperty.set( getNumberOfPages() - 1 );
+      }
+      else {
+        updateRows();
+      }
+    } );
+  }
+}
+
+/**
+ * A row of the notebook, for one entry.
+ */
+class NotebookRowNode extends Node {
+
+  /**
+   * @param {NotebookEntry} entry
+   * @param {number} number - the entry's position in the notebook, starting from 1
+   */
+  constructor( entry, number ) {
+
+    // Each value is edited in a text field, which is kept synchronized with the entry's Property.
+    // {{property:Property, listener:function}[]} the links to the entry's Properties, so that they can be removed
+    const links = [];
+    const createInputNode = ( property, width, maxLength, accessibleName, format, parse ) => {
+      const inputNode = new TextInputNode( {
+        font: FONT,
+        width: width - 10,
+        maxLength: maxLength,
+        accessibleName: accessibleName
+      } );
+
+      // Text that is not a valid value is ignored, so the Property keeps its last valid value. The text is not
+      // replaced while the user is typing, so that e.g. '0.' is not replaced by '0.000'.
+      let isUpdatingText = false;
+      const listener = value => {
+        if ( parse( inputNode.stringProperty.get() ) !== value ) {
+          isUpdatingText = true;
+          inputNode.stringProperty.set( format( value ) );
+          isUpdatingText = false;
+        }
+      };
+      property.link( listener );
+      links.push( { property: property, listener: listener } );
+      inputNode.stringProperty.lazyLink( string => {
+        if ( !isUpdatingText ) {
+          const value = parse( string );
+          if ( value !== undefined ) {
+            property.set( value );
+          }
+        }
+      } );
+      return inputNode;
+    };
+
+    // Creates a text field for a number, which is null if the text field is empty and nullable is true.
+    const createNumberInputNode = ( property, width, accessibleName, decimalPlaces, nullable, isValidNumber ) =>
+      createInputNode( property, width, MAX_NUMBER_LENGTH, accessibleName,
+        value => ( value === null ) ? '' : Utils.toFixed( value, decimalPlaces ),
+        string => {
+          if ( string.trim().length === 0 ) {
+            return nullable ? null : undefined;
+          }
+          const value = Number( string );
+          return ( isFinite( value ) && isValidNumber( value ) ) ? value : undefined;
+        } );
+    const isValidVolume = volume => volume >= 0;
+
+    const inputNodes = [
+      createInputNode( entry.soluteProperty, SOLUTE_WIDTH, MAX_SOLUTE_LENGTH, phScaleStrings.notebook.solute,
+        solute => ( solute === null ) ? '' : solute,
+        string => ( string.trim().length === 0 ) ? null : string ),
+      createNumberInputNode( entry.soluteVolumeProperty, VOLUME_WIDTH, phScaleStrings.notebook.solute,
+        PHScaleConstants.VOLUME_DECIMAL_PLACES, true, isValidVolume ),
+      createNumberInputNode( entry.waterVolumeProperty, VOLUME_WIDTH, phScaleStrings.notebook.water,
+        PHScaleConstants.VOLUME_DECIMAL_PLACES, true, isValidVolume ),
+      createNumberInputNode( entry.totalVolumeProperty, VOLUME_WIDTH, phScaleStrings.notebook.total,
+        PHScaleConstants.VOLUME_DECIMAL_PLACES, false, isValidVolume ),
+      createNumberInputNode( entry.pHProperty, PH_WIDTH, phScaleStrings.pH,
+        PHScaleConstants.PH_METER_DECIMAL_PLACES, true, _.constant( true ) ),
+      createInputNode( entry.noteProperty, NOTE_WIDTH, MAX_NOTE_LENGTH, phScaleStrings.notebook.note,
+        _.identity, _.identity )
+    ];
+
+    // Entries are dynamic, so the button that deletes an entry is not instrumented. PhET-iO clients delete entries
+    // using labNotebook.
+    const deleteButton = new TextPushButton( phScaleStrings.delete, {
+      font: new PhetFont( 12 ),
+      maxWidth: DELETE_WIDTH,
+      listener: () => labNotebook.deleteEntry( entry ),
+      tandem: Tandem.OPT_OUT
+    } );
+
+    const rowNode = createRowNode( [ new Text( number, { font: FONT } ), ...inputNodes, deleteButton ] );
+
+    super( {
+      children: [ new Rectangle( 0, 0, ROW_WIDTH, ROW_HEIGHT ), rowNode ]
+    } );
+    rowNode.centerY = ROW_HEIGHT / 2;
+
+    // @private
+    this.disposeNotebookRowNode = () => {
+
+      // If the row is disposed because its entry was deleted, the entry's Properties have already been disposed.
+      links.forEach( link => link.property.hasListener( link.listener ) && link.property.unlink( link.listener ) );
+      inputNodes.forEach( inputNode => inputNode.dispose() );
+      deleteButton.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeNotebookRowNode();
+    super.dispose();
+  }
+}
+
+/**
+ * Arranges Nodes in the notebook's columns, left aligned. Nodes are scaled down to fit their column.
+ * @param {Node[]} nodes - one for each column, starting with the first column
+ * @returns {Node}
+ */
+function createRowNode( nodes ) {
+  assert && assert( nodes.length <= COLUMN_WIDTHS.length, 'too many nodes' );
+  let x = 0;
+  nodes.forEach( ( node, index ) => {
+    node.maxWidth = COLUMN_WIDTHS[ index ];
+    node.left = x;
+    node.centerY = 0;
+    x += COLUMN_WIDTHS[ index ] + COLUMN_SPACING;
+  } );
+  return new Node( { children: nodes } );
+}
+
+phScale.register( 'LabNotebookNode', LabNotebookNode );
+export default LabNotebookNode;
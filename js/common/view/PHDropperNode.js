@@ -4,6 +4,7 @@
  * Dropper that contains a solute in solution form.
  * Origin is at the center of the hole where solution comes out of the dropper (bottom center).
  * Optionally displays the pH value on the dropper.
+ * Controls for the dropper's stock solution and drop mode are to the left of the dropper, and move with the dropper.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -12,8 +13,11 @@ import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import EyeDropperNode from '../../../../scenery-phet/js/EyeDropperNode.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import phScale from '../../phScale.js';
+import DropModePanel from './DropModePanel.js';
+import StockMolarityPanel from './StockMolarityPanel.js';
 
 class PHDropperNode extends EyeDropperNode {
 
@@ -42,13 +46,34 @@ class PHDropperNode extends EyeDropperNode {
       this.translation = modelViewTransform.modelToViewPosition( position );
     } );
 
-    // change fluid color when the solute changes
-    dropper.soluteProperty.link( solute => {
-      this.setFluidColor( solute.stockColor );
+    // change fluid color when the stock solution changes
+    dropper.colorProperty.link( color => {
+      this.setFluidColor( color );
     } );
 
+    // bounds of the dropper, without the controls
+    const dropperBounds = this.localBounds;
+
     // dilate touch area
-    this.touchArea = this.localBounds.dilatedX( 0.25 * this.width );
+    this.touchArea = dropperBounds.dilatedX( 0.25 * this.width );
+
+    // controls, anchored to the upper-left of the dropper, so that they grow to the left and down
+    const stockMolarityPanel = new StockMolarityPanel( dropper, {
+      tandem: options.tandem.createTandem( 'stockMolarityPanel' )
+    } );
+    const dropModePanel = new DropModePanel( dropper, {
+      tandem: options.tandem.createTandem( 'dropModePanel' )
+    } );
+    const controlsNode = new VBox( {
+      spacing: 5,
+      align: 'right',
+      children: [ stockMolarityPanel, dropModePanel ]
+    } );
+    this.addChild( controlsNode );
+    controlsNode.localBoundsProperty.link( () => {
+      controlsNode.right = dropperBounds.left - 10;
+      controlsNode.top = dropperBounds.top;
+    } );
 
     // move the dropper
     this.addInputListener( new DragListener( {
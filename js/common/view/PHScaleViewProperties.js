@@ -1,12 +1,13 @@
 // Copyright 2016-2020, University of Colorado Boulder
 
 /**
- * View-specific Properties for the 'My Solution' and 'Micro' screens.
+ * View-specific Properties for the 'Macro', 'Micro' and 'My Solution' screens.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import phScale from '../../phScale.js';
 
@@ -14,20 +15,44 @@ class PHScaleViewProperties {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
     assert && assert( tandem instanceof Tandem, 'invalid tandem' );
 
+    options = merge( {
+      includeBeakerViews: true // whether to instantiate the Properties for the Ratio and Molecule Count views
+    }, options );
+
+    // @public {BooleanProperty|null}
+    this.ratioVisibleProperty = null;
+
+    // @public {BooleanProperty|null}
+    this.moleculeCountVisibleProperty = null;
+
+    if ( options.includeBeakerViews ) {
+
+      this.ratioVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'ratioVisibleProperty' ),
+        phetioDocumentation: 'controls visibility of the H3O+/OH- Ratio view'
+      } );
+
+      this.moleculeCountVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'moleculeCountVisibleProperty' ),
+        phetioDocumentation: 'controls visibility of the Molecule Count view'
+      } );
+    }
+
     // @public
-    this.ratioVisibleProperty = new BooleanProperty( false, {
-      tandem: tandem.createTandem( 'ratioVisibleProperty' ),
-      phetioDocumentation: 'controls visibility of the H3O+/OH- Ratio view'
+    this.dataLoggerVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'dataLoggerVisibleProperty' ),
+      phetioDocumentation: 'controls visibility of the Data Logger'
     } );
 
     // @public
-    this.moleculeCountVisibleProperty = new BooleanProperty( false, {
-      tandem: tandem.createTandem( 'moleculeCountVisibleProperty' ),
-      phetioDocumentation: 'controls visibility of the Molecule Count view'
+    this.labNotebookVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'labNotebookVisibleProperty' ),
+      phetioDocumentation: 'controls visibility of the Lab Notebook'
     } );
   }
 
@@ -35,8 +60,10 @@ class PHScaleViewProperties {
    * @public
    */
   reset() {
-    this.ratioVisibleProperty.reset();
-    this.moleculeCountVisibleProperty.reset();
+    this.ratioVisibleProperty && this.ratioVisibleProperty.reset();
+    this.moleculeCountVisibleProperty && this.moleculeCountVisibleProperty.reset();
+    this.dataLoggerVisibleProperty.reset();
+    this.labNotebookVisibleProperty.reset();
   }
 }
 
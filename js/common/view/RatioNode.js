@@ -29,6 +29,7 @@ import NullableIO from '../../../../tandem/js/types/NullableIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import phScale from '../../phScale.js';
 import PHModel from '../model/PHModel.js';
+import Water from '../model/Water.js';
 import PHScaleColors from '../PHScaleColors.js';
 import PHScaleConstants from '../PHScaleConstants.js';
 import PHScaleQueryParameters from '../PHScaleQueryParameters.js';
@@ -53,7 +54,7 @@ class RatioNode extends Node {
 
   /**
    * @param {Beaker} beaker
-   * @param {MicroSolution|MySolution} solution
+   * @param {MacroSolution|MySolution} solution
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
@@ -96,17 +97,18 @@ class RatioNode extends Node {
 
     // sync view with model
     solution.pHProperty.link( this.update.bind( this ) );
+    solution.pKwProperty.link( this.update.bind( this ) );
 
     // This Property was added for PhET-iO, to show the actual H3O+/OH- ratio of the solution. It is not used
     // elsewhere, hence the eslint-disable comment below. See https://github.com/phetsims/ph-scale/issues/112
     // eslint-disable-next-line no-new
-    new DerivedProperty( [ solution.pHProperty ],
-      pH => {
+    new DerivedProperty( [ solution.pHProperty, solution.pKwProperty ],
+      ( pH, pKw ) => {
         if ( pH === null ) {
           return null;
         }
         else {
-          return PHModel.pHToConcentrationH3O( pH ) / PHModel.pHToConcentrationOH( pH );
+          return PHModel.pHToConcentrationH3O( pH ) / PHModel.pHToConcentrationOH( pH, pKw );
         }
       }, {
         tandem: options.tandem.createTandem( 'ratioProperty' ),
@@ -144,9 +146,12 @@ class RatioNode extends Node {
     // don't update if not visible
     if ( !this.visible ) { return; }
 
+    // The number of molecules is a function of how far pH is from neutral, so shift pH by the difference between
+    // the neutral pH at the solution's temperature and at Water.temperature.
     let pH = this.solution.pHProperty.get();
     if ( pH !== null ) {
-      pH = Utils.toFixedNumber( this.solution.pHProperty.get(), PHScaleConstants.PH_METER_DECIMAL_PLACES );
+      const neutralPH = PHModel.computeNeutralPH( this.solution.pKwProperty.get() );
+      pH = Utils.toFixedNumber( pH - neutralPH + Water.pH, PHScaleConstants.PH_METER_DECIMAL_PLACES );
     }
 
     if ( this.pH !== pH ) {
@@ -2,19 +2,49 @@
 
 /**
  * Combo box for choosing a solute (stock solution).
+ * Optionally, solutes are grouped by category, and each group starts with a header item. ComboBox items cannot be
+ * disabled, so selecting a header does nothing: the selection reverts to the selected solute, like 'Custom...'.
+ * Optionally, there are items for the custom solutes, followed by 'Custom...', which calls a listener (e.g. to open
+ * a dialog) instead of selecting a solute.
+ *
+ * ComboBox items cannot be added or removed, so the list box is created once. Custom solutes are displayed by a fixed
+ * set of items, which are assigned to the custom solutes in the order that they were created. Items are filtered by
+ * changing their visibility, see filterSolutes. A header is hidden when all items in its group are hidden.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Image from '../../../../scenery/js/nodes/Image.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import ComboBox from '../../../../sun/js/ComboBox.js';
 import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import customSoluteGroup from '../model/customSoluteGroup.js';
+import Solute from '../model/Solute.js';
+import SoluteCategory from '../model/SoluteCategory.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const ITEM_FONT = new PhetFont( 22 );
+const HEADER_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const HEADER_FILL = 'rgb( 100, 100, 100 )';
+const ICON_SIZE = 20;
+
+// value of the 'Custom...' item
+const CUSTOM_VALUE = 'custom';
+
+// modifySolute creates the new solute before it disposes of the old solute, so there may briefly be one more custom
+// solute than the maximum.
+const NUMBER_OF_CUSTOM_SOLUTE_ITEMS = PHScaleConstants.MAX_CUSTOM_SOLUTES + 1;
 
 class SoluteComboBox extends ComboBox {
 
@@ -35,55 +65,296 @@ class SoluteComboBox extends ComboBox {
       buttonLineWidth: 2,
       cornerRadius: 10,
 
+      // {boolean} whether to group solutes by category, with a header for each group
+      groupByCategory: false,
+
+      // {function|null} if non-null, items for the custom solutes and a 'Custom...' item are added, and this function
+      // is called when 'Custom...' is selected
+      customItemListener: null,
+
       // phet-io
       tandem: Tandem.REQUIRED
     }, options );
 
-    const items = []; // {ComboBoxItem[]}
     let maxWidth = 0; // max width of Text nodes
     const textNodes = []; // {Text[]}
+    const disposeListeners = []; // {function[]}
 
-    // Create items for the listbox
-    solutes.forEach( solute => {
+    // Headers of the groups, which are also the values of their items.
+    // {{solutes:Solute[], isCustom:boolean}[]} solutes are the built-in solutes in the group, and isCustom is true for
+    // the group of custom solutes.
+    const headers = [];
 
-      // color chip
-      const colorNode = new Rectangle( 0, 0, 20, 20, {
-        fill: solute.stockColor,
-        stroke: solute.stockColor.darkerColor()
+    // Creates the item for the header of a group
+    const createHeaderItem = ( header, name, tandemName ) => {
+      headers.push( header );
+      return new ComboBoxItem( new Text( name, {
+        font: HEADER_FONT,
+        fill: HEADER_FILL,
+        maxWidth: 150
+      } ), header, {
+        a11yLabel: name,
+        tandemName: tandemName // Item suffix is required by ComboBoxItem
       } );
+    };
+
+    // Creates the item for a built-in solute
+    const createSoluteItem = solute => {
 
       // label
       const textNode = new Text( solute.nameProperty.get(), {
-        font: new PhetFont( 22 )
+        font: ITEM_FONT
       } );
       textNodes.push( textNode );
       maxWidth = Math.max( maxWidth, textNode.width );
 
       // If the solute name changes, update the item.
       // See https://github.com/phetsims/ph-scale/issues/110
-      solute.nameProperty.link( name => {
+      const nameListener = name => {
         textNode.text = name;
-      } );
+      };
+      solute.nameProperty.link( nameListener );
+      disposeListeners.push( () => solute.nameProperty.unlink( nameListener ) );
 
-      const hBox = new HBox( {
-        spacing: 5,
-        children: [ colorNode, textNode ]
+      return new ComboBoxItem( new HBox( { spacing: 5, children: [ createIconNode( solute ), textNode ] } ), solute, {
+        a11yLabel: solute.nameProperty.get(),
+        tandemName: `${solute.tandemName}Item` // Item suffix is required by ComboBoxItem
       } );
+    };
 
-      items.push( new ComboBoxItem( hBox, solute, {
-        tandemName: `${solute.tandemName}Item` // Item suffix is required by ComboBoxItem
-      } ) );
+    // Solutes are grouped in the order of SoluteCategory, followed by solutes that have no category.
+    // sortBy is stable, so solutes remain in their original order within a category.
+    const sortedSolutes = options.groupByCategory ?
+                          _.sortBy( solutes, getCategoryIndex ) :
+                          solutes;
+    const items = []; // {ComboBoxItem[]}
+    sortedSolutes.forEach( ( solute, index ) => {
+      if ( options.groupByCategory ) {
+        const categoryIndex = getCategoryIndex( solute );
+        if ( index === 0 || categoryIndex !== getCategoryIndex( sortedSolutes[ index - 1 ] ) ) {
+          const key = solute.category ? _.camelCase( SoluteCategory.KEYS[ categoryIndex ] ) : 'other';
+          items.push( createHeaderItem( { solutes: [], isCustom: false }, phScaleStrings.category[ key ], `${key}HeaderItem` ) );
+        }
+        _.last( headers ).solutes.push( solute );
+      }
+      items.push( createSoluteItem( solute ) );
     } );
 
+    // Items for the custom solutes. The value of an item is the slot, which refers to the custom solute that the item
+    // displays, or to null if the item is not in use.
+    // {{solute:CustomSolute|null, iconParent:Node, textNode:Text, nameListener:function}[]}
+    const slots = [];
+    if ( options.customItemListener ) {
+      if ( options.groupByCategory ) {
+        items.push( createHeaderItem( { solutes: [], isCustom: true }, phScaleStrings.category.custom, 'customHeaderItem' ) );
+      }
+      for ( let i = 0; i < NUMBER_OF_CUSTOM_SOLUTE_ITEMS; i++ ) {
+        const slot = {
+          solute: null,
+          iconParent: new Node(),
+          textNode: new Text( '', { font: ITEM_FONT } )
+        };
+        slot.nameListener = name => {
+          slot.textNode.text = name;
+        };
+        slots.push( slot );
+        textNodes.push( slot.textNode );
+
+        items.push( new ComboBoxItem( new HBox( { spacing: 5, children: [ slot.iconParent, slot.textNode ] } ), slot, {
+          a11yLabel: StringUtils.format( phScaleStrings.pattern.custom0number, i + 1 ),
+          tandemName: `customSolute${i}Item` // Item suffix is required by ComboBoxItem
+        } ) );
+      }
+    }
+
     // ComboBox does not dynamically resize. So if a solution name does change, constrain the listbox item width.
     // See https://github.com/phetsims/ph-scale/issues/110
     textNodes.forEach( textNode => {
       textNode.maxWidth = maxWidth;
     } );
 
-    super( items, selectedSolute, soluteListParent, options );
+    if ( options.customItemListener ) {
+      items.push( new ComboBoxItem( new Text( phScaleStrings.customEllipsis, {
+        font: ITEM_FONT,
+        maxWidth: maxWidth
+      } ), CUSTOM_VALUE, {
+        a11yLabel: phScaleStrings.customEllipsis,
+        tandemName: 'customItem'
+      } ) );
+    }
+
+    // Assigns the custom solutes to the items that display them, in the order that the solutes were created.
+    const assignSlots = () => {
+      const customSolutes = customSoluteGroup.getArray();
+      assert && assert( customSolutes.length <= slots.length, 'too many custom solutes' );
+      slots.forEach( ( slot, index ) => {
+
+        // If the solute was deleted, its nameProperty may already have been disposed.
+        if ( slot.solute && slot.solute.nameProperty.hasListener( slot.nameListener ) ) {
+          slot.solute.nameProperty.unlink( slot.nameListener );
+        }
+        slot.solute = customSolutes[ index ] || null;
+        if ( slot.solute ) {
+          slot.iconParent.children = [ createIconNode( slot.solute ) ];
+          slot.solute.nameProperty.link( slot.nameListener );
+        }
+      } );
+    };
+    if ( options.customItemListener ) {
+      assignSlots();
+    }
+
+    // Gets the value of the item that displays a solute, null if there is no such item.
+    const getItemValue = solute => {
+      const slot = _.find( slots, slot => slot.solute === solute );
+      return slot ? slot : ( sortedSolutes.includes( solute ) ? solute : null );
+    };
+
+    // The combo box sets a Property whose value may be a custom solute's slot, a header, or the 'Custom...' item.
+    // selectedSolute is kept synchronized with it.
+    const hasOtherValues = !!options.customItemListener || headers.length > 0;
+    let comboBoxProperty = selectedSolute;
+    if ( hasOtherValues ) {
+      comboBoxProperty = new Property( getItemValue( selectedSolute.get() ), {
+        reentrant: true // headers and 'Custom...' revert to the selected solute
+      } );
+      const selectedSoluteListener = solute => {
+        const value = getItemValue( solute );
+        if ( value ) {
+          comboBoxProperty.set( value );
+        }
+      };
+      selectedSolute.link( selectedSoluteListener );
+      disposeListeners.push( () => selectedSolute.unlink( selectedSoluteListener ) );
+    }
+
+    super( items, comboBoxProperty, soluteListParent, options );
+
+    // @private
+    this.solutes = sortedSolutes;
+    this.slots = slots;
+    this.headers = headers;
+    this.filter = _.constant( true ); // {function(Solute):boolean} see filterSolutes
+
+    if ( hasOtherValues ) {
+
+      // Added after super, so that the ComboBox's listeners are notified before a header or 'Custom...' is reverted.
+      comboBoxProperty.lazyLink( value => {
+        if ( value === CUSTOM_VALUE || headers.includes( value ) ) {
+          comboBoxProperty.set( getItemValue( selectedSolute.get() ) );
+          if ( value === CUSTOM_VALUE ) {
+            options.customItemListener();
+          }
+        }
+        else {
+          selectedSolute.set( value instanceof Solute ? value : value.solute );
+        }
+      } );
+    }
+
+    if ( options.customItemListener ) {
+
+      // When a custom solute is created or deleted, the items for the custom solutes are reassigned.
+      const updateSlots = () => {
+        assignSlots();
+        this.updateCustomSoluteItems();
+
+        // A custom solute that was before the selected solute may have been deleted.
+        const value = getItemValue( selectedSolute.get() );
+        if ( value ) {
+          comboBoxProperty.set( value );
+        }
+      };
+      this.updateCustomSoluteItems();
+      customSoluteGroup.elementCreatedEmitter.addListener( updateSlots );
+      customSoluteGroup.elementDisposedEmitter.addListener( updateSlots );
+      disposeListeners.push( () => {
+        customSoluteGroup.elementCreatedEmitter.removeListener( updateSlots );
+        customSoluteGroup.elementDisposedEmitter.removeListener( updateSlots );
+        slots.forEach( slot => {
+          if ( slot.solute ) {
+            slot.solute.nameProperty.unlink( slot.nameListener );
+          }
+        } );
+      } );
+    }
+
+    // @private
+    this.disposeSoluteComboBox = () => disposeListeners.forEach( disposeListener => disposeListener() );
+  }
+
+  /**
+   * Shows only the solutes that satisfy a predicate. The selected solute continues to be displayed by the combo box's
+   * button, even if its item is hidden.
+   * @param {function(Solute):boolean} filter
+   * @public
+   */
+  filterSolutes( filter ) {
+    this.filter = filter;
+    this.solutes.forEach( solute => this.setItemVisible( solute, filter( solute ) ) );
+    this.updateCustomSoluteItems();
+  }
+
+  /**
+   * Updates the labels and visibility of the items for custom solutes.
+   * @private
+   */
+  updateCustomSoluteItems() {
+    this.slots.forEach( slot => {
+      this.setItemVisible( slot, !!slot.solute && this.filter( slot.solute ) );
+    } );
+    this.updateHeaders();
+  }
+
+  /**
+   * Shows the header of each group that has visible items, and hides the others.
+   * @private
+   */
+  updateHeaders() {
+    this.headers.forEach( header => {
+      this.setItemVisible( header, header.isCustom ?
+                                   _.some( this.slots, slot => !!slot.solute && this.filter( slot.solute ) ) :
+                                   _.some( header.solutes, this.filter ) );
+    } );
   }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeSoluteComboBox();
+    super.dispose();
+  }
+}
+
+/**
+ * Gets the index of a solute's category in SoluteCategory. Solutes that have no category are after all categories.
+ * @param {Solute} solute
+ * @returns {number}
+ */
+function getCategoryIndex( solute ) {
+  return solute.category ? SoluteCategory.VALUES.indexOf( solute.category ) : SoluteCategory.VALUES.length;
+}
+
+/**
+ * Creates the icon for a solute, or a color chip if the solute has no icon.
+ * @param {Solute} solute
+ * @returns {Node}
+ */
+function createIconNode( solute ) {
+  return solute.icon ?
+         new Image( solute.icon, {
+           initialWidth: ICON_SIZE,
+           initialHeight: ICON_SIZE,
+           maxWidth: ICON_SIZE,
+           maxHeight: ICON_SIZE
+         } ) :
+         new Rectangle( 0, 0, ICON_SIZE, ICON_SIZE, {
+           fill: solute.stockColor,
+           stroke: solute.stockColor.darkerColor()
+         } );
 }
 
 phScale.register( 'SoluteComboBox', SoluteComboBox );
-export default SoluteComboBox;
\ No newline at end of file
+export default SoluteComboBox;
@@ -0,0 +1,125 @@
+// Copyright 2026, agent
+
+/**
+ * SoluteInfoDialog is the card that describes the selected solute: its typical sources, environmental effects,
+ * safe handling, common concentrations, and hazards. The information is provided by the solute, see Solute
+ * options.info. Sections for which the solute provides no information are omitted.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import HazardPictogramNode from './HazardPictogramNode.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 20, weight: 'bold' } );
+const HEADING_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const TEXT_FONT = new PhetFont( 16 );
+const CONTENT_WIDTH = 450;
+
+// Sections of the card, in the order that they are displayed. key is a field of Solute options.info.
+const SECTIONS = [
+  { key: 'sources', heading: phScaleStrings.typicalSources },
+  { key: 'effects', heading: phScaleStrings.environmentalEffects },
+  { key: 'handling', heading: phScaleStrings.safeHandling },
+  { key: 'concentrations', heading: phScaleStrings.commonConcentrations }
+];
+
+class SoluteInfoDialog extends Dialog {
+
+  /**
+   * @param {Property.<Solute>} soluteProperty - the solute that is described
+   * @param {Object} [options]
+   */
+  constructor( soluteProperty, options ) {
+    assert && assert( soluteProperty instanceof Property, 'invalid soluteProperty' );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'card that describes the solute in the dropper'
+    }, options );
+
+    const titleNode = new Text( '', {
+      font: TITLE_FONT,
+      maxWidth: CONTENT_WIDTH
+    } );
+    options.title = titleNode;
+
+    const content = new VBox( {
+      spacing: 15,
+      align: 'left'
+    } );
+
+    super( content, options );
+
+    // The content is updated when the dialog is shown, and while it is showing.
+    const update = () => {
+      if ( this.isShowingProperty.value ) {
+        const solute = soluteProperty.value;
+        titleNode.text = solute.name;
+        content.children = createContentChildren( solute.info );
+      }
+    };
+    this.isShowingProperty.link( update );
+    soluteProperty.link( update );
+  }
+}
+
+/**
+ * Creates the children of the dialog's content, for a solute's info.
+ * @param {Object|null} info - see Solute options.info
+ * @returns {Node[]}
+ */
+function createContentChildren( info ) {
+  if ( !info ) {
+    return [ new Text( phScaleStrings.noInformation, { font: TEXT_FONT, maxWidth: CONTENT_WIDTH } ) ];
+  }
+
+  const children = [];
+  SECTIONS.filter( section => !!info[ section.key ] ).forEach( section => {
+    children.push( createSectionNode( section.heading, new RichText( info[ section.key ], {
+      font: TEXT_FONT,
+      lineWrap: CONTENT_WIDTH
+    } ) ) );
+  } );
+
+  const hazardsNode = ( info.hazards.length === 0 ) ?
+                      new Text( phScaleStrings.noHazards, { font: TEXT_FONT, maxWidth: CONTENT_WIDTH } ) :
+                      new HBox( {
+                        spacing: 15,
+                        align: 'top',
+                        children: info.hazards.map( hazard => new HazardPictogramNode( hazard ) )
+                      } );
+  children.push( createSectionNode( phScaleStrings.hazards, hazardsNode ) );
+
+  return children;
+}
+
+/**
+ * Creates a section of the card, a heading above some content.
+ * @param {string} heading
+ * @param {Node} contentNode
+ * @returns {Node}
+ */
+function createSectionNode( heading, contentNode ) {
+  return new VBox( {
+    spacing: 5,
+    align: 'left',
+    children: [ new Text( heading, { font: HEADING_FONT, maxWidth: CONTENT_WIDTH } ), contentNode ]
+  } );
+}
+
+phScale.register( 'SoluteInfoDialog', SoluteInfoDialog );
+export default SoluteInfoDialog;
@@ -0,0 +1,87 @@
+// Copyright 2026, agent
+
+/**
+ * SoluteSelectorNode is the combo box for choosing the solute in the dropper, including custom solutes. Its 'Custom...'
+ * item opens CustomSoluteDialog. Solutes are grouped by category, and a search field filters the solutes by name.
+ * The info button opens SoluteInfoDialog, which describes the selected solute.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import InfoButton from '../../../../scenery-phet/js/buttons/InfoButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import CustomSoluteDialog from './CustomSoluteDialog.js';
+import SoluteComboBox from './SoluteComboBox.js';
+import SoluteInfoDialog from './SoluteInfoDialog.js';
+import TextInputNode from './TextInputNode.js';
+
+class SoluteSelectorNode extends HBox {
+
+  /**
+   * @param {Solute[]} solutes - solutes that are always available, custom solutes are added after these
+   * @param {Property.<Solute>} selectedSoluteProperty
+   * @param {Node} soluteListParent
+   * @param {Object} [options]
+   */
+  constructor( solutes, selectedSoluteProperty, soluteListParent, options ) {
+    assert && assert( Array.isArray( solutes ), 'invalid solutes' );
+    assert && assert( selectedSoluteProperty instanceof Property, 'invalid selectedSoluteProperty' );
+
+    options = merge( {
+      spacing: 15,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super();
+
+    // filters the solutes whose names contain the search text, ignoring case
+    const searchInputNode = new TextInputNode( {
+      font: new PhetFont( 16 ),
+      width: 120,
+      placeholder: phScaleStrings.search,
+      accessibleName: phScaleStrings.search
+    } );
+
+    const dialog = new CustomSoluteDialog( selectedSoluteProperty, {
+      tandem: options.tandem.createTandem( 'customSoluteDialog' )
+    } );
+
+    const infoDialog = new SoluteInfoDialog( selectedSoluteProperty, {
+      tandem: options.tandem.createTandem( 'soluteInfoDialog' )
+    } );
+
+    const infoButton = new InfoButton( {
+      iconFill: 'rgb( 41, 106, 163 )',
+      scale: 0.5,
+      listener: () => infoDialog.show(),
+      tandem: options.tandem.createTandem( 'infoButton' )
+    } );
+
+    const comboBox = new SoluteComboBox( solutes, selectedSoluteProperty, soluteListParent, {
+      groupByCategory: true,
+      customItemListener: () => dialog.show(),
+      tandem: options.tandem.createTandem( 'comboBox' )
+    } );
+
+    // The combo box is followed by the info button, so that the button is next to the selected solute.
+    this.children = [ searchInputNode, comboBox, infoButton ];
+
+    searchInputNode.stringProperty.lazyLink( string => {
+      const searchText = string.trim().toLowerCase();
+      comboBox.filterSolutes( solute => solute.nameProperty.get().toLowerCase().includes( searchText ) );
+    } );
+
+    this.mutate( options );
+  }
+}
+
+phScale.register( 'SoluteSelectorNode', SoluteSelectorNode );
+export default SoluteSelectorNode;
@@ -0,0 +1,267 @@
+// Copyright 2026, agent
+
+/**
+ * SpeciationChartNode is a chart of the speciation of polyprotic acids. For the selected acid, it plots the fraction
+ * of each species as a function of pH, and marks the pH of the solution with a vertical line.
+ * The chart can be expanded and collapsed, and is collapsed by default.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHModel from '../model/PHModel.js';
+import Solute from '../model/Solute.js';
+import SpeciationDerivedProperties from '../model/SpeciationDerivedProperties.js';
+import PHScaleColors from '../PHScaleColors.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const PLOT_WIDTH = 260;
+const PLOT_HEIGHT = 120;
+const PH_RANGE = PHScaleConstants.PH_RANGE;
+const PH_TICKS = [ 0, 7, 14 ];
+const FRACTION_TICKS = [ 0, 0.5, 1 ];
+const TICK_LENGTH = 5;
+const TICK_FONT = new PhetFont( 12 );
+const LABEL_FONT = new PhetFont( 14 );
+const NUMBER_OF_SAMPLES = 200; // number of points used to plot each curve
+
+class SpeciationChartNode extends AccordionBox {
+
+  /**
+   * @param {SpeciationDerivedProperties} speciation
+   * @param {Property.<number|null>} pHProperty - pH of the solution
+   * @param {Object} [options]
+   */
+  constructor( speciation, pHProperty, options ) {
+    assert && assert( speciation instanceof SpeciationDerivedProperties, 'invalid speciation' );
+    assert && assert( speciation.solutes.length > 0, 'there are no polyprotic solutes' );
+
+    options = merge( {
+
+      // AccordionBox options
+      expandedProperty: new Property( false ), // collapsed by default
+      fill: PHScaleColors.PANEL_FILL,
+      lineWidth: 2,
+      cornerRadius: 8,
+      titleAlignX: 'left',
+      titleXMargin: 15,
+      titleNode: new Text( phScaleStrings.speciation, {
+        font: new PhetFont( { size: 18, weight: 'bold' } ),
+        maxWidth: 200
+      } ),
+      buttonAlign: 'right',
+      buttonXMargin: 10,
+      buttonYMargin: 8,
+      expandCollapseButtonOptions: PHScaleConstants.EXPAND_COLLAPSE_BUTTON_OPTIONS,
+      contentXMargin: 15,
+      contentYMargin: 8,
+      contentYSpacing: 8,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'chart of the speciation of polyprotic acids'
+    }, options );
+
+    // the acid whose speciation is displayed
+    const soluteProperty = new Property( speciation.solutes[ 0 ], {
+      validValues: speciation.solutes,
+      tandem: options.tandem.createTandem( 'soluteProperty' ),
+      phetioType: Property.PropertyIO( Solute.SoluteIO ),
+      phetioDocumentation: 'the acid whose speciation is displayed'
+    } );
+
+    // radio buttons for selecting the acid, labeled with the formula of the fully-protonated species
+    const radioButtonGroup = new AquaRadioButtonGroup( soluteProperty, speciation.solutes.map( solute => {
+      return {
+        value: solute,
+        node: new RichText( solute.species[ 0 ].formula, { font: LABEL_FONT } ),
+        tandemName: `${solute.tandemName}RadioButton`
+      };
+    } ), {
+      orientation: 'horizontal',
+      spacing: 20,
+      tandem: options.tandem.createTandem( 'radioButtonGroup' )
+    } );
+
+    // a plot for each acid, only the plot for the selected acid is visible
+    const plotNodes = speciation.solutes.map( solute => new SpeciesPlotNode( solute ) );
+    const plotsParent = new Node( { children: plotNodes } );
+    soluteProperty.link( solute => {
+      plotNodes.forEach( plotNode => {
+        plotNode.visible = ( plotNode.solute === solute );
+      } );
+    } );
+
+    // vertical line that marks the pH of the solution
+    const pHLine = new Line( 0, 0, 0, PLOT_HEIGHT, {
+      stroke: 'black',
+      lineWidth: 2,
+      lineDash: [ 6, 4 ]
+    } );
+    pHProperty.link( pH => {
+      pHLine.visible = ( pH !== null && PH_RANGE.contains( pH ) );
+      if ( pHLine.visible ) {
+        pHLine.x = pHToX( pH );
+      }
+    } );
+
+    const chartNode = new Node( {
+      children: [ createAxesNode(), plotsParent, pHLine ]
+    } );
+
+    // legends, only the legend for the selected acid is visible
+    const legendNodes = speciation.solutes.map( solute => {
+      const legendNode = new HBox( {
+        spacing: 15,
+        children: solute.species.map( ( species, index ) => new HBox( {
+          spacing: 4,
+          children: [
+            new Line( 0, 0, 20, 0, { stroke: PHScaleColors.SPECIES[ index ], lineWidth: 3 } ),
+            new RichText( species.formula, { font: TICK_FONT } )
+          ]
+        } ) )
+      } );
+      soluteProperty.link( selectedSolute => {
+        legendNode.visible = ( selectedSolute === solute );
+      } );
+      return legendNode;
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ radioButtonGroup, chartNode, new Node( { children: legendNodes } ) ]
+    } );
+
+    super( contentNode, options );
+
+    // @private
+    this.soluteProperty = soluteProperty;
+
+    // Create a link to pHProperty, so it's easier to find in Studio.
+    this.addLinkedElement( pHProperty, {
+      tandem: options.tandem.createTandem( 'pHProperty' )
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.soluteProperty.reset();
+  }
+}
+
+/**
+ * Plots the fraction of each of a solute's species vs pH.
+ */
+class SpeciesPlotNode extends Node {
+
+  /**
+   * @param {Solute} solute
+   */
+  constructor( solute ) {
+
+    const curves = solute.species.map( () => new Shape() );
+    for ( let i = 0; i <= NUMBER_OF_SAMPLES; i++ ) {
+      const pH = PH_RANGE.min + i * PH_RANGE.getLength() / NUMBER_OF_SAMPLES;
+      const fractions = PHModel.computeFractions( PHModel.pHToConcentrationH3O( pH ), solute.acidBaseSystem.Ka );
+      fractions.forEach( ( fraction, index ) => {
+        if ( i === 0 ) {
+          curves[ index ].moveTo( pHToX( pH ), fractionToY( fraction ) );
+        }
+        else {
+          curves[ index ].lineTo( pHToX( pH ), fractionToY( fraction ) );
+        }
+      } );
+    }
+
+    super( {
+      children: curves.map( ( curve, index ) => new Path( curve, {
+        stroke: PHScaleColors.SPECIES[ index ],
+        lineWidth: 2
+      } ) )
+    } );
+
+    // @public (read-only)
+    this.solute = solute;
+  }
+}
+
+/**
+ * Creates the axes, ticks, and labels for the chart.
+ * @returns {Node}
+ */
+function createAxesNode() {
+
+  const children = [ new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, { fill: 'white', stroke: 'black' } ) ];
+
+  PH_TICKS.forEach( pH => {
+    const x = pHToX( pH );
+    children.push( new Line( x, PLOT_HEIGHT, x, PLOT_HEIGHT + TICK_LENGTH, { stroke: 'black' } ) );
+    children.push( new Text( pH, { font: TICK_FONT, centerX: x, top: PLOT_HEIGHT + TICK_LENGTH + 1 } ) );
+  } );
+
+  FRACTION_TICKS.forEach( fraction => {
+    const y = fractionToY( fraction );
+    children.push( new Line( -TICK_LENGTH, y, 0, y, { stroke: 'black' } ) );
+    children.push( new Text( fraction, { font: TICK_FONT, right: -TICK_LENGTH - 2, centerY: y } ) );
+  } );
+
+  // axis labels
+  children.push( new Text( phScaleStrings.pH, {
+    font: LABEL_FONT,
+    centerX: PLOT_WIDTH / 2,
+    top: PLOT_HEIGHT + 20,
+    maxWidth: 100
+  } ) );
+  children.push( new Text( phScaleStrings.fraction, {
+    font: LABEL_FONT,
+    rotation: -Math.PI / 2,
+    centerX: -45,
+    centerY: PLOT_HEIGHT / 2,
+    maxWidth: PLOT_HEIGHT
+  } ) );
+
+  return new Node( { children: children } );
+}
+
+/**
+ * Maps pH to an x coordinate in the chart.
+ * @param {number} pH
+ * @returns {number}
+ */
+function pHToX( pH ) {
+  return Utils.linear( PH_RANGE.min, PH_RANGE.max, 0, PLOT_WIDTH, pH );
+}
+
+/**
+ * Maps a fraction to a y coordinate in the chart.
+ * @param {number} fraction
+ * @returns {number}
+ */
+function fractionToY( fraction ) {
+  return Utils.linear( 0, 1, PLOT_HEIGHT, 0, fraction );
+}
+
+phScale.register( 'SpeciationChartNode', SpeciationChartNode );
+export default SpeciationChartNode;
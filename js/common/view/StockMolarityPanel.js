@@ -0,0 +1,106 @@
+// Copyright 2026, agent
+
+/**
+ * StockMolarityPanel has controls for the molarity of the stock solution in the dropper, and displays the pH of the
+ * stock solution. The molarity of a solute whose standard stock solution has no molarity (e.g. water) cannot be
+ * changed, so the controls are hidden for such solutes. Molarities that exceed the solute's solubility are hidden.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const TITLE_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const RADIO_BUTTON_RADIUS = 7;
+
+class StockMolarityPanel extends Panel {
+
+  /**
+   * @param {Dropper} dropper
+   * @param {Object} [options]
+   */
+  constructor( dropper, options ) {
+
+    options = merge( {
+      xMargin: 8,
+      yMargin: 6,
+      lineWidth: 1,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'controls for the molarity of the stock solution in the dropper'
+    }, options );
+
+    const titleText = new Text( phScaleStrings.stockConcentration, {
+      font: TITLE_FONT,
+      maxWidth: 140
+    } );
+
+    // the solute's standard stock solution, followed by the molarities that can be chosen, e.g. '0.1 mol/L'
+    const radioButtonsTandem = options.tandem.createTandem( 'molarityRadioButtons' );
+    const standardRadioButton = new AquaRadioButton( dropper.stockMolarityProperty, null,
+      new Text( phScaleStrings.standard, { font: FONT, maxWidth: 120 } ), {
+        radius: RADIO_BUTTON_RADIUS,
+        tandem: radioButtonsTandem.createTandem( 'standardRadioButton' )
+      } );
+    const molarityRadioButtons = PHScaleConstants.STOCK_MOLARITIES.map( ( molarity, index ) =>
+      new AquaRadioButton( dropper.stockMolarityProperty, molarity,
+        new Text( StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ], molarity,
+          phScaleStrings.units.molesPerLiter ), { font: FONT, maxWidth: 120 } ), {
+          radius: RADIO_BUTTON_RADIUS,
+          tandem: radioButtonsTandem.createTandem( `molarity${index}RadioButton` )
+        } ) );
+    const radioButtonsBox = new VBox( {
+      spacing: 6,
+      align: 'left',
+      tandem: radioButtonsTandem
+    } );
+
+    // pH of the stock solution, e.g. 'Stock pH: 1.00'
+    const pHText = new Text( '', {
+      font: FONT,
+      maxWidth: 140,
+      tandem: options.tandem.createTandem( 'pHText' )
+    } );
+    dropper.pHProperty.link( pH => {
+      pHText.text = StringUtils.format( phScaleStrings.pattern.stockPH0value,
+        Utils.toFixed( pH, PHScaleConstants.PH_METER_DECIMAL_PLACES ) );
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left'
+    } );
+
+    super( content, options );
+
+    // Show only the molarities that can be chosen for the solute. The molarity can be changed only for solutes whose
+    // standard stock solution has a molarity.
+    dropper.soluteProperty.link( solute => {
+      const stockMolarities = solute.getStockMolarities();
+      radioButtonsBox.children = [ standardRadioButton, ...molarityRadioButtons.filter(
+        ( radioButton, index ) => stockMolarities.includes( PHScaleConstants.STOCK_MOLARITIES[ index ] ) ) ];
+      content.children = ( stockMolarities.length > 0 ) ?
+        [ titleText, radioButtonsBox, pHText ] :
+        [ titleText, pHText ];
+    } );
+  }
+}
+
+phScale.register( 'StockMolarityPanel', StockMolarityPanel );
+export default StockMolarityPanel;
@@ -0,0 +1,86 @@
+// Copyright 2026, agent
+
+/**
+ * TemperatureControl is a thermometer and slider for setting the temperature of the solution.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ThermometerNode from '../../../../scenery-phet/js/ThermometerNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import PHScaleColors from '../PHScaleColors.js';
+
+// constants
+const FONT = new PhetFont( 16 );
+
+class TemperatureControl extends Panel {
+
+  /**
+   * @param {NumberProperty} temperatureProperty - in degrees Celsius
+   * @param {Object} [options]
+   */
+  constructor( temperatureProperty, options ) {
+    assert && assert( temperatureProperty instanceof NumberProperty, 'invalid temperatureProperty' );
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 8,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'control for the temperature of the solution'
+    }, options );
+
+    const range = temperatureProperty.range;
+
+    const thermometerNode = new ThermometerNode( range.min, range.max, temperatureProperty, {
+      bulbDiameter: 20,
+      tubeWidth: 10,
+      tubeHeight: 50,
+      backgroundFill: 'white'
+    } );
+
+    const numberControl = new NumberControl( phScaleStrings.temperature, temperatureProperty, range, {
+      delta: 1,
+      titleNodeOptions: {
+        font: FONT,
+        maxWidth: 120
+      },
+      numberDisplayOptions: {
+        valuePattern: StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ], '{{value}}',
+          phScaleStrings.units.degreesCelsius ),
+        decimalPlaces: 0,
+        textOptions: {
+          font: FONT
+        }
+      },
+      sliderOptions: {
+        trackSize: new Dimension2( 120, 4 ),
+        thumbSize: new Dimension2( 13, 26 )
+      },
+      tandem: options.tandem.createTandem( 'numberControl' )
+    } );
+
+    const content = new HBox( {
+      children: [ thermometerNode, numberControl ],
+      spacing: 10
+    } );
+
+    super( content, options );
+  }
+}
+
+phScale.register( 'TemperatureControl', TemperatureControl );
+export default TemperatureControl;
@@ -0,0 +1,65 @@
+// Copyright 2026, agent
+
+/**
+ * TextInputNode is a single-line text field. Scenery has no text input, so this wraps an HTML input element.
+ * It is focusable and editable with the keyboard, like any other input element.
+ *
+ * @author agent
+ */
+
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DOM from '../../../../scenery/js/nodes/DOM.js';
+import phScale from '../../phScale.js';
+
+class TextInputNode extends DOM {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      font: new PhetFont( 16 ),
+      width: 200, // width of the text field, in view coordinates
+      maxLength: 30, // maximum number of characters
+      placeholder: '', // displayed when the text field is empty
+      accessibleName: '', // label for assistive technology, e.g. screen readers
+      allowInput: true
+    }, options );
+
+    const inputElement = document.createElement( 'input' );
+    inputElement.type = 'text';
+    inputElement.maxLength = options.maxLength;
+    inputElement.placeholder = options.placeholder;
+    inputElement.style.font = options.font.toCSS();
+    inputElement.style.width = `${options.width}px`;
+    if ( options.accessibleName ) {
+      inputElement.setAttribute( 'aria-label', options.accessibleName );
+    }
+
+    super( inputElement, _.omit( options, [ 'font', 'width', 'maxLength', 'placeholder', 'accessibleName' ] ) );
+
+    // @public the text in the field
+    this.stringProperty = new StringProperty( '' );
+
+    // Keep the text and stringProperty synchronized.
+    inputElement.addEventListener( 'input', () => this.stringProperty.set( inputElement.value ) );
+    this.stringProperty.link( string => {
+      if ( inputElement.value !== string ) {
+        inputElement.value = string;
+      }
+    } );
+
+    // Escape clears the text.
+    inputElement.addEventListener( 'keydown', event => {
+      if ( event.key === 'Escape' ) {
+        this.stringProperty.set( '' );
+      }
+    } );
+  }
+}
+
+phScale.register( 'TextInputNode', TextInputNode );
+export default TextInputNode;
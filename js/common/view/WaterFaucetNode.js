@@ -1,7 +1,7 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * Faucet that dispenses water (the solvent).
+ * Faucet that dispenses water (the solvent), decorated with a combo box for choosing the source of the water.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -11,22 +11,26 @@ import FaucetNode from '../../../../scenery-phet/js/FaucetNode.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import phScale from '../../phScale.js';
-import Water from '../model/Water.js';
 import PHScaleConstants from '../PHScaleConstants.js';
 
 // constants
 const SCALE = 0.6;
+const ITEM_FONT = new PhetFont( 16 );
 
 class WaterFaucetNode extends Node {
 
   /**
    * @param {Faucet} faucet
+   * @param {Property.<WaterSource>} waterSourceProperty
+   * @param {Node} waterSourceListParent - parent for the combo box's list
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( faucet, modelViewTransform, options ) {
+  constructor( faucet, waterSourceProperty, waterSourceListParent, modelViewTransform, options ) {
 
     options = merge( {
 
@@ -48,15 +52,25 @@ class WaterFaucetNode extends Node {
     faucetNode.setScaleMagnitude( -SCALE, SCALE ); // reflect horizontally
     this.addChild( faucetNode );
 
-    // decorate the faucet with the name of the water
-    const waterLabelNode = new Text( Water.name, {
-      font: new PhetFont( 28 ),
-      maxWidth: 85,
+    // decorate the faucet with a combo box for choosing the source of the water
+    const items = waterSourceProperty.validValues.map( waterSource => new ComboBoxItem( new Text( waterSource.name, {
+      font: ITEM_FONT,
+      maxWidth: 150
+    } ), waterSource, {
+      a11yLabel: waterSource.name,
+      tandemName: `${waterSource.tandem.name}Item` // Item suffix is required by ComboBoxItem
+    } ) );
+    const waterSourceComboBox = new ComboBox( items, waterSourceProperty, waterSourceListParent, {
+      listPosition: 'below',
+      xMargin: 10,
+      yMargin: 6,
+      highlightFill: 'rgb( 218, 255, 255 )',
+      cornerRadius: 8,
       left: faucetNode.left + 115,
       bottom: faucetNode.centerY - 40,
-      tandem: options.tandem.createTandem( 'waterLabelNode' )
+      tandem: options.tandem.createTandem( 'waterSourceComboBox' )
     } );
-    this.addChild( waterLabelNode );
+    this.addChild( waterSourceComboBox );
   }
 }
 
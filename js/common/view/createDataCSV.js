@@ -0,0 +1,96 @@
+// Copyright 2026, agent
+
+/**
+ * createDataCSV creates comma-separated values (CSV) for exporting data to a spreadsheet. The first table contains the
+ * samples recorded by a data logger, one row per sample. The second table, separated from the first by an empty line,
+ * contains the current values of quantities that are derived from the solution, one row per quantity.
+ * Units are included in the column headers of the first table, and in the names of the quantities in the second table.
+ *
+ * @author agent
+ */
+
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import DataLogger from '../model/DataLogger.js';
+import LoggedQuantity from '../model/LoggedQuantity.js';
+import SolutionDerivedProperties from '../model/SolutionDerivedProperties.js';
+import PHScaleConstants from '../PHScaleConstants.js';
+
+// constants
+const LINE_SEPARATOR = '\r\n'; // as specified by RFC 4180
+const H3O = toPlainText( PHScaleConstants.H3O_FORMULA );
+const OH = toPlainText( PHScaleConstants.OH_FORMULA );
+const H2O = toPlainText( PHScaleConstants.H2O_FORMULA );
+
+/**
+ * @param {DataLogger} dataLogger
+ * @param {SolutionDerivedProperties} derivedProperties
+ * @returns {string}
+ */
+function createDataCSV( dataLogger, derivedProperties ) {
+  assert && assert( dataLogger instanceof DataLogger, 'invalid dataLogger' );
+  assert && assert( derivedProperties instanceof SolutionDerivedProperties, 'invalid derivedProperties' );
+
+  const rows = [];
+
+  // samples, e.g. 'Time (s),Solution pH,Total volume (L)'
+  rows.push( [
+    withUnits( phScaleStrings.time, phScaleStrings.units.seconds ),
+    ...dataLogger.channels.map( channel =>
+      ( channel.quantity === LoggedQuantity.VOLUME ) ? withUnits( channel.name, phScaleStrings.units.liters ) : channel.name )
+  ] );
+  dataLogger.samples.forEach( sample => rows.push( [ sample.time, ...sample.values ] ) );
+
+  rows.push( [] );
+
+  // current values of the derived quantities, e.g. 'Concentration H3O+ (mol/L),1e-7'
+  rows.push( [ phScaleStrings.name, phScaleStrings.value ] );
+  [
+    [ phScaleStrings.concentration, H3O, phScaleStrings.units.molesPerLiter, derivedProperties.concentrationH3OProperty ],
+    [ phScaleStrings.concentration, OH, phScaleStrings.units.molesPerLiter, derivedProperties.concentrationOHProperty ],
+    [ phScaleStrings.concentration, H2O, phScaleStrings.units.molesPerLiter, derivedProperties.concentrationH2OProperty ],
+    [ phScaleStrings.quantity, H3O, phScaleStrings.units.moles, derivedProperties.quantityH3OProperty ],
+    [ phScaleStrings.quantity, OH, phScaleStrings.units.moles, derivedProperties.quantityOHProperty ],
+    [ phScaleStrings.quantity, H2O, phScaleStrings.units.moles, derivedProperties.quantityH2OProperty ],
+    [ phScaleStrings.moleculeCount, H3O, null, derivedProperties.numberOfH3OMoleculesProperty ],
+    [ phScaleStrings.moleculeCount, OH, null, derivedProperties.numberOfOHMoleculesProperty ],
+    [ phScaleStrings.moleculeCount, H2O, null, derivedProperties.numberOfH2OMoleculesProperty ]
+  ].forEach( ( [ quantityName, formula, units, property ] ) => {
+    rows.push( [ withUnits( `${quantityName} ${formula}`, units ), property.get() ] );
+  } );
+
+  return rows.map( row => row.map( toField ).join( ',' ) ).join( LINE_SEPARATOR ) + LINE_SEPARATOR;
+}
+
+/**
+ * Adds units to the name of a quantity, e.g. 'Total volume (L)'.
+ * @param {string} name
+ * @param {string|null} units - null if the quantity has no units
+ * @returns {string}
+ */
+function withUnits( name, units ) {
+  return ( units === null ) ? name : `${name} (${units})`;
+}
+
+/**
+ * Converts a value to a CSV field. null is an empty field. Fields that contain commas, quotes or line breaks are
+ * quoted, and quotes are escaped by doubling them.
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+function toField( value ) {
+  const field = ( value === null ) ? '' : `${value}`;
+  return /[",\r\n]/.test( field ) ? `"${field.replace( /"/g, '""' )}"` : field;
+}
+
+/**
+ * Removes the markup from a string that is formatted for RichText, e.g. 'H<sub>3</sub>O<sup>+</sup>' -> 'H3O+'.
+ * @param {string} richText
+ * @returns {string}
+ */
+function toPlainText( richText ) {
+  return richText.replace( /<[^>]*>/g, '' );
+}
+
+phScale.register( 'createDataCSV', createDataCSV );
+export default createDataCSV;
@@ -2,20 +2,26 @@
 
 /**
  * GraphControlPanel is the control panel that appears above the graph.  It contains controls to collapse the graph,
- * and change units.
+ * change units, and optionally graph activity instead of concentration.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import DerivedProperty from '../../../../../axon/js/DerivedProperty.js';
 import merge from '../../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../../scenery/js/nodes/Text.js';
+import Checkbox from '../../../../../sun/js/Checkbox.js';
 import ExpandCollapseButton from '../../../../../sun/js/ExpandCollapseButton.js';
 import Panel from '../../../../../sun/js/Panel.js';
 import Tandem from '../../../../../tandem/js/Tandem.js';
 import phScale from '../../../phScale.js';
+import phScaleStrings from '../../../phScaleStrings.js';
 import PHScaleColors from '../../PHScaleColors.js';
 import PHScaleConstants from '../../PHScaleConstants.js';
+import GraphUnits from './GraphUnits.js';
 import GraphUnitsSwitch from './GraphUnitsSwitch.js';
 
 class GraphControlPanel extends Panel {
@@ -29,6 +35,9 @@ class GraphControlPanel extends Panel {
 
     options = merge( {
 
+      // {Property.<boolean>|null} whether to graph activity instead of concentration, null for no 'Activity' checkbox
+      showActivityProperty: null,
+
       // Panel options
       fill: PHScaleColors.PANEL_FILL,
       lineWidth: 2,
@@ -63,6 +72,22 @@ class GraphControlPanel extends Panel {
       children: [ rectangle, graphUnitsSwitch, expandCollapseButton ]
     } );
 
+    // 'Activity' checkbox, below the switch. Activity is meaningful only for mol/L units.
+    if ( options.showActivityProperty ) {
+
+      const activityCheckbox = new Checkbox( new Text( phScaleStrings.activity, {
+        font: new PhetFont( 16 ),
+        maxWidth: 200
+      } ), options.showActivityProperty, {
+        centerX: rectangle.centerX,
+        top: rectangle.bottom + 5,
+        enabledProperty: new DerivedProperty( [ graphUnitsProperty ],
+          graphUnits => ( graphUnits === GraphUnits.MOLES_PER_LITER ) ),
+        tandem: options.tandem.createTandem( 'activityCheckbox' )
+      } );
+      content.addChild( activityCheckbox );
+    }
+
     super( content, options );
   }
 }
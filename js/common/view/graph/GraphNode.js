@@ -42,6 +42,7 @@ class GraphNode extends Node {
       units: GraphUnits.MOLES_PER_LITER, // initial state of the units switch
       hasLinearFeature: false, // add the linear graph feature?
       graphScale: GraphScale.LOGARITHMIC, // initial state of the scale switch, meaningful only if hasLinearFeature === true
+      hasActivityFeature: false, // add the feature for graphing activity instead of concentration?
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -59,8 +60,18 @@ class GraphNode extends Node {
       tandem: options.tandem.createTandem( 'graphUnitsProperty' )
     } );
 
+    // whether to graph activity instead of concentration, for mol/L units
+    let showActivityProperty = null;
+    if ( options.hasActivityFeature ) {
+      showActivityProperty = new BooleanProperty( false, {
+        tandem: options.tandem.createTandem( 'showActivityProperty' ),
+        phetioDocumentation: 'whether H3O+ and OH- are graphed as activity instead of concentration, for mol/L units'
+      } );
+    }
+
     // control panel above the graph
     const graphControlPanel = new GraphControlPanel( graphUnitsProperty, expandedProperty, {
+      showActivityProperty: showActivityProperty,
       tandem: options.tandem.createTandem( 'graphControlPanel' )
     } );
     this.addChild( graphControlPanel );
@@ -75,6 +86,7 @@ class GraphNode extends Node {
     const logarithmicGraphNode = new LogarithmicGraphNode( pHProperty, totalVolumeProperty, derivedProperties, graphUnitsProperty, {
       scaleHeight: options.logScaleHeight,
       isInteractive: options.isInteractive,
+      showActivityProperty: showActivityProperty,
       centerX: lineToPanel.centerX,
       y: 30, // y, not top
       tandem: options.tandem.createTandem( 'logarithmicGraphNode' )
@@ -106,6 +118,7 @@ class GraphNode extends Node {
       // linear graph
       linearGraphNode = new LinearGraphNode( derivedProperties, graphUnitsProperty, {
         scaleHeight: options.linearScaleHeight,
+        showActivityProperty: showActivityProperty,
         y: logarithmicGraphNode.y, // y, not top
         centerX: logarithmicGraphNode.centerX,
         tandem: options.tandem.createTandem( 'linearGraphNode' )
@@ -148,6 +161,7 @@ class GraphNode extends Node {
     this.resetGraphNode = () => {
       expandedProperty.reset();
       graphUnitsProperty.reset();
+      showActivityProperty && showActivityProperty.reset();
       graphScaleProperty && graphScaleProperty.reset();
       linearGraphNode && linearGraphNode.reset();
     };
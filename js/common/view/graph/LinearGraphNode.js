@@ -9,6 +9,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../../axon/js/DerivedProperty.js';
 import EnumerationProperty from '../../../../../axon/js/EnumerationProperty.js';
 import NumberProperty from '../../../../../axon/js/NumberProperty.js';
@@ -47,6 +48,10 @@ class LinearGraphNode extends Node {
 
     options = merge( {
 
+      // {Property.<boolean>|null} whether to graph activity instead of concentration, for mol/L units.
+      // null means that concentration is always graphed.
+      showActivityProperty: null,
+
       // scale
       scaleHeight: 100,
       minScaleWidth: 100,
@@ -167,6 +172,9 @@ class LinearGraphNode extends Node {
       tickLabels.push( tickLabel );
     }
 
+    // whether to graph activity instead of concentration
+    const showActivityProperty = options.showActivityProperty || new BooleanProperty( false );
+
     // Values displayed on the indicators
     const valueH2OProperty = new DerivedProperty(
       [ derivedProperties.concentrationH2OProperty, derivedProperties.quantityH2OProperty, graphUnitsProperty ],
@@ -174,14 +182,16 @@ class LinearGraphNode extends Node {
         ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
     );
     const valueH3OProperty = new DerivedProperty(
-      [ derivedProperties.concentrationH3OProperty, derivedProperties.quantityH3OProperty, graphUnitsProperty ],
-      ( concentration, quantity, graphUnits ) =>
-        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
+      [ derivedProperties.concentrationH3OProperty, derivedProperties.activityH3OProperty,
+        derivedProperties.quantityH3OProperty, graphUnitsProperty, showActivityProperty ],
+      ( concentration, activity, quantity, graphUnits, showActivity ) =>
+        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? ( showActivity ? activity : concentration ) : quantity
     );
     const valueOHProperty = new DerivedProperty(
-      [ derivedProperties.concentrationOHProperty, derivedProperties.quantityOHProperty, graphUnitsProperty ],
-      ( concentration, quantity, graphUnits ) =>
-        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
+      [ derivedProperties.concentrationOHProperty, derivedProperties.activityOHProperty,
+        derivedProperties.quantityOHProperty, graphUnitsProperty, showActivityProperty ],
+      ( concentration, activity, quantity, graphUnits, showActivity ) =>
+        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? ( showActivity ? activity : concentration ) : quantity
     );
 
     // indicators
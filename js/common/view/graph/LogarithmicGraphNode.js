@@ -12,6 +12,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../../axon/js/DerivedProperty.js';
 import EnumerationProperty from '../../../../../axon/js/EnumerationProperty.js';
 import Property from '../../../../../axon/js/Property.js';
@@ -48,6 +49,10 @@ class LogarithmicGraphNode extends Node {
     options = merge( {
       isInteractive: false, // if true, add drag handlers for changing H3O+ and OH-
 
+      // {Property.<boolean>|null} whether to graph activity instead of concentration, for mol/L units.
+      // null means that concentration is always graphed.
+      showActivityProperty: null,
+
       // scale
       scaleHeight: 100,
       minScaleWidth: 100,
@@ -151,6 +156,9 @@ class LogarithmicGraphNode extends Node {
       }
     }
 
+    // whether to graph activity instead of concentration
+    const showActivityProperty = options.showActivityProperty || new BooleanProperty( false );
+
     // Values displayed on the indicators
     const valueH2OProperty = new DerivedProperty(
       [ derivedProperties.concentrationH2OProperty, derivedProperties.quantityH2OProperty, graphUnitsProperty ],
@@ -158,14 +166,16 @@ class LogarithmicGraphNode extends Node {
         ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
     );
     const valueH3OProperty = new DerivedProperty(
-      [ derivedProperties.concentrationH3OProperty, derivedProperties.quantityH3OProperty, graphUnitsProperty ],
-      ( concentration, quantity, graphUnits ) =>
-        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
+      [ derivedProperties.concentrationH3OProperty, derivedProperties.activityH3OProperty,
+        derivedProperties.quantityH3OProperty, graphUnitsProperty, showActivityProperty ],
+      ( concentration, activity, quantity, graphUnits, showActivity ) =>
+        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? ( showActivity ? activity : concentration ) : quantity
     );
     const valueOHProperty = new DerivedProperty(
-      [ derivedProperties.concentrationOHProperty, derivedProperties.quantityOHProperty, graphUnitsProperty ],
-      ( concentration, quantity, graphUnits ) =>
-        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? concentration : quantity
+      [ derivedProperties.concentrationOHProperty, derivedProperties.activityOHProperty,
+        derivedProperties.quantityOHProperty, graphUnitsProperty, showActivityProperty ],
+      ( concentration, activity, quantity, graphUnits, showActivity ) =>
+        ( graphUnits === GraphUnits.MOLES_PER_LITER ) ? ( showActivity ? activity : concentration ) : quantity
     );
 
     // indicators
@@ -241,10 +251,11 @@ class LogarithmicGraphNode extends Node {
         ) );
       indicatorH3ONode.cursor = 'pointer';
 
-      // OH- indicator
+      // OH- indicator, where the conversion to pH depends on pKw
       indicatorOHNode.addInputListener(
         new GraphIndicatorDragListener( indicatorOHNode, pHProperty, totalVolumeProperty, graphUnitsProperty, yToValue,
-          PHModel.concentrationOHToPH, PHModel.molesOHToPH,
+          concentration => PHModel.concentrationOHToPH( concentration, derivedProperties.pKwProperty.get() ),
+          ( moles, volume ) => PHModel.molesOHToPH( moles, volume, derivedProperties.pKwProperty.get() ),
           indicatorOHNode.tandem.createTandem( 'dragListener' )
         ) );
       indicatorOHNode.cursor = 'pointer';
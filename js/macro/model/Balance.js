@@ -0,0 +1,143 @@
+// Copyright 2026, agent
+
+/**
+ * Balance is used to weigh a solid, which is then dissolved in the solution in the beaker. The solid is added to the
+ * balance's pan in scoops, and the moles of solid are computed from its mass and the molar mass of the solute.
+ * Dissolving the solid in a measured volume of water makes a solution of known molarity, like preparing a stock
+ * solution in the lab. The solid dissolves only up to its solubility, so it cannot be dissolved in an empty beaker.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import Solute from '../../common/model/Solute.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import phScale from '../../phScale.js';
+import MacroSolution from './MacroSolution.js';
+
+class Balance {
+
+  /**
+   * @param {MacroSolution} solution - the solution that the solid is dissolved in
+   * @param {Solute[]} solids - solids that can be weighed, see Solute options.molarMass
+   * @param {Object} [options]
+   */
+  constructor( solution, solids, options ) {
+    assert && assert( solution instanceof MacroSolution, 'invalid solution' );
+    assert && assert( solids.length > 0 && _.every( solids, solid => solid.molarMass !== null ), 'invalid solids' );
+
+    options = merge( {
+      massRange: new Range( 0, 100 ), // mass of solid that can be on the pan, in g
+      scoopMasses: [ 0.1, 1, 10 ], // masses of the scoops that add solid to the pan, in g
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.solution = solution;
+
+    // @public (read-only)
+    this.solids = solids;
+    this.scoopMasses = options.scoopMasses;
+
+    // @public the solid that is being weighed
+    this.solidProperty = new Property( solids[ 0 ], {
+      validValues: solids,
+      tandem: options.tandem.createTandem( 'solidProperty' ),
+      phetioType: Property.PropertyIO( Solute.SoluteIO ),
+      phetioDocumentation: 'the solid that is being weighed'
+    } );
+
+    // @public (read-only) mass of the solid on the pan
+    this.massProperty = new NumberProperty( 0, {
+      units: 'g',
+      range: options.massRange,
+      tandem: options.tandem.createTandem( 'massProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'mass of the solid on the pan of the balance'
+    } );
+
+    // @public moles of the solid on the pan
+    this.molesProperty = new DerivedProperty( [ this.solidProperty, this.massProperty ],
+      ( solid, mass ) => mass / solid.molarMass, {
+        units: 'mol',
+        tandem: options.tandem.createTandem( 'molesProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'moles of the solid on the pan of the balance'
+      } );
+
+    // @public moles of the solid on the pan that can be dissolved in the solution. The concentration of the solid in
+    // the solution cannot exceed its solubility, or PHScaleConstants.MAX_DISSOLVED_MOLARITY.
+    this.dissolvableMolesProperty = new DerivedProperty( [ this.solidProperty, this.molesProperty, solution.compositionProperty ],
+      ( solid, moles, composition ) => {
+        const maxMolarity = ( solid.solubility === null ) ? PHScaleConstants.MAX_DISSOLVED_MOLARITY :
+                            Math.min( solid.solubility, PHScaleConstants.MAX_DISSOLVED_MOLARITY );
+        return Utils.clamp( maxMolarity * composition.totalVolume - composition.getMoles( solid ), 0, moles );
+      }, {
+        units: 'mol',
+        tandem: options.tandem.createTandem( 'dissolvableMolesProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'moles of the solid on the pan of the balance that can be dissolved in the solution'
+      } );
+
+    // Solids are not mixed on the pan, so empty the pan when a different solid is chosen. When PhET-iO state is being
+    // restored, the mass is part of the state, so it must not be changed.
+    this.solidProperty.lazyLink( () => {
+      if ( !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
+        this.empty();
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.solidProperty.reset();
+    this.massProperty.reset();
+  }
+
+  /**
+   * Adds a scoop of solid to the pan. The pan holds no more than the maximum mass.
+   * @param {number} mass - g
+   * @public
+   */
+  addScoop( mass ) {
+    assert && assert( mass > 0, `invalid mass: ${mass}` );
+    this.massProperty.set( Math.min( this.massProperty.range.max, this.massProperty.get() + mass ) );
+  }
+
+  /**
+   * Empties the pan, discarding the solid.
+   * @public
+   */
+  empty() {
+    this.massProperty.set( 0 );
+  }
+
+  /**
+   * Dissolves the solid that is on the pan in the solution. Solid that would exceed the solubility limit does not
+   * dissolve, and stays on the pan.
+   * @public
+   */
+  dissolve() {
+    const moles = this.dissolvableMolesProperty.get();
+    if ( moles > 0 ) {
+      const solid = this.solidProperty.get();
+      const mass = ( moles === this.molesProperty.get() ) ? 0 : this.massProperty.get() - moles * solid.molarMass;
+      this.solution.addSolid( solid, moles );
+      this.massProperty.set( Math.max( 0, mass ) );
+    }
+  }
+}
+
+phScale.register( 'Balance', Balance );
+export default Balance;
@@ -0,0 +1,69 @@
+// Copyright 2026, agent
+
+/**
+ * Balance tests, for how much of a solid dissolves in the solution.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Solute from '../../common/model/Solute.js';
+import Balance from './Balance.js';
+import MacroSolution from './MacroSolution.js';
+
+// constants
+const TOLERANCE = 1E-9;
+
+QUnit.module( 'Balance' );
+
+/**
+ * Creates a solution of distilled water, and a balance for dissolving solids in it.
+ * @param {number} waterVolume - L
+ * @returns {{solution:MacroSolution, balance:Balance}}
+ */
+function createBalance( waterVolume ) {
+  const solution = new MacroSolution( new Property( Solute.WATER ), { tandem: Tandem.OPT_OUT } );
+  solution.addWater( waterVolume );
+  const balance = new Balance( solution, [ Solute.LIME, Solute.SODIUM_HYDROXIDE ], { tandem: Tandem.OPT_OUT } );
+  return { solution: solution, balance: balance };
+}
+
+QUnit.test( 'dissolve', assert => {
+  const { solution, balance } = createBalance( 1 );
+  balance.addScoop( 1 );
+  balance.dissolve();
+  assert.equal( balance.massProperty.get(), 0, 'a solid that is below its solubility dissolves completely' );
+  assert.ok( Math.abs( solution.compositionProperty.get().getMoles( Solute.LIME ) - 1 / Solute.LIME.molarMass ) < TOLERANCE,
+    'moles of the dissolved solid' );
+} );
+
+QUnit.test( 'solubility', assert => {
+
+  // 100 g of lime in 50 mL of water, only enough to saturate the solution dissolves, and the rest stays on the pan.
+  const { solution, balance } = createBalance( 0.05 );
+  balance.addScoop( 100 );
+  balance.dissolve();
+  const moles = solution.compositionProperty.get().getMoles( Solute.LIME );
+  assert.ok( Math.abs( moles - 0.05 * Solute.LIME.solubility ) < TOLERANCE, 'lime dissolves up to its solubility' );
+  assert.ok( Math.abs( balance.massProperty.get() - ( 100 - moles * Solute.LIME.molarMass ) ) < TOLERANCE,
+    'undissolved lime stays on the pan' );
+  assert.equal( balance.dissolvableMolesProperty.get(), 0, 'saturated solution' );
+  assert.ok( solution.pHProperty.get() < 13, `pH of saturated lime: ${solution.pHProperty.get()}` );
+
+  // 10 g of sodium hydroxide in 50 mL of water is limited to 1 mol/L, the limit of the activity model.
+  const sodiumHydroxideBalance = new Balance( solution, [ Solute.SODIUM_HYDROXIDE ], { tandem: Tandem.OPT_OUT } );
+  sodiumHydroxideBalance.addScoop( 10 );
+  sodiumHydroxideBalance.dissolve();
+  assert.ok( Math.abs( solution.compositionProperty.get().getMoles( Solute.SODIUM_HYDROXIDE ) - 0.05 ) < TOLERANCE,
+    'sodium hydroxide dissolves up to 1 mol/L' );
+  assert.ok( solution.pHProperty.get() < 14, `pH of 1 mol/L sodium hydroxide: ${solution.pHProperty.get()}` );
+} );
+
+QUnit.test( 'empty beaker', assert => {
+  const { balance } = createBalance( 0 );
+  balance.addScoop( 1 );
+  assert.equal( balance.dissolvableMolesProperty.get(), 0, 'nothing dissolves in an empty beaker' );
+  balance.dissolve();
+  assert.equal( balance.massProperty.get(), 1, 'the solid stays on the pan' );
+} );
@@ -7,19 +7,35 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import Beaker from '../../common/model/Beaker.js';
+import customSoluteGroup from '../../common/model/customSoluteGroup.js';
+import DataLogger from '../../common/model/DataLogger.js';
 import Dropper from '../../common/model/Dropper.js';
 import Faucet from '../../common/model/Faucet.js';
+import labNotebook from '../../common/model/labNotebook.js';
+import LoggedQuantity from '../../common/model/LoggedQuantity.js';
 import Solute from '../../common/model/Solute.js';
+import SoluteCatalog from '../../common/model/SoluteCatalog.js';
+import SpeciationDerivedProperties from '../../common/model/SpeciationDerivedProperties.js';
+import WaterSource from '../../common/model/WaterSource.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import PHScaleQueryParameters from '../../common/PHScaleQueryParameters.js';
 import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import Balance from './Balance.js';
 import MacroPHMeter from './MacroPHMeter.js';
 import MacroSolution from './MacroSolution.js';
+import Nitrification from './Nitrification.js';
+import WasteContainer from './WasteContainer.js';
+
+// constants
+const MIN_VOLUME = Math.pow( 10, -PHScaleConstants.VOLUME_DECIMAL_PLACES );
 
 class MacroModel {
 
@@ -31,27 +47,19 @@ class MacroModel {
     assert && assert( tandem instanceof Tandem, 'invalid tandem' );
 
     options = merge( {
-      autofillVolume: 0.5, // L, automatically fill beaker with this much solute when the solute changes
+      autofillVolume: 0.5, // L, automatically fill the empty beaker with this much solute when the solute changes
       includePHMeter: true, // whether to instantiate this.pHMeter
+      includeBalance: true, // whether to instantiate this.balance
+      solutes: SoluteCatalog.DEFAULT_SOLUTES, // {Solute[]} solute choices, in the order that they appear in the combo box
 
       // {function(solutionProperty:Property,Object:options)} used to instantiate the solution
       createSolution: ( solutionProperty, options ) => new MacroSolution( solutionProperty, options )
     }, options );
 
+    assert && assert( options.solutes.length > 0, 'at least one solute is required' );
+
     // @public solute choices, in order that they'll appear in the combo box
-    // The order is alphabetical (English names), see https://github.com/phetsims/ph-scale/issues/101
-    this.solutes = [
-      Solute.AMMONIUM,
-      Solute.BATTERY_ACID,
-      Solute.LIME,
-      Solute.NITRIC_ACID,
-      Solute.PHOSPHORIC_ACID,
-      Solute.POTASSIUM_SULFATE,
-      Solute.SALT_WATER,
-      Solute.SOAP,
-      Solute.SULFURIC_ACID,
-      Solute.WATER
-    ];
+    this.solutes = options.solutes;
 
     // @public Beaker, everything else is positioned relative to it
     this.beaker = new Beaker( PHScaleConstants.BEAKER_POSITION );
@@ -59,18 +67,54 @@ class MacroModel {
     // Dropper above the beaker
     const yDropper = this.beaker.position.y - this.beaker.size.height - 15;
     // @public
-    this.dropper = new Dropper( Solute.WATER,
+    // The dropper initially contains water, or the first solute if water is not one of the choices.
+    this.dropper = new Dropper( this.solutes.includes( Solute.WATER ) ? Solute.WATER : this.solutes[ 0 ],
       new Vector2( this.beaker.position.x - 50, yDropper ),
       new Bounds2( this.beaker.left + 40, yDropper, this.beaker.right - 200, yDropper ), {
         tandem: tandem.createTandem( 'dropper' )
       } );
 
+    // If the custom solute in the dropper is modified, the dropper contains the modified solute.
+    customSoluteGroup.soluteReplacedEmitter.addListener( ( oldSolute, newSolute ) => {
+      if ( this.dropper.soluteProperty.get() === oldSolute ) {
+        this.dropper.soluteProperty.set( newSolute );
+      }
+    } );
+
+    // If the custom solute in the dropper is deleted, the dropper reverts to its initial solute.
+    customSoluteGroup.elementDisposedEmitter.addListener( solute => {
+      if ( this.dropper.soluteProperty.get() === solute ) {
+        this.dropper.soluteProperty.reset();
+      }
+    } );
+
     // @public Solution in the beaker
     this.solution = options.createSolution( this.dropper.soluteProperty, {
       maxVolume: this.beaker.volume,
       tandem: tandem.createTandem( 'solution' )
     } );
 
+    // @public conversion of ammonium to nitrate, over simulated days
+    this.nitrification = new Nitrification( this.solution, {
+      tandem: tandem.createTandem( 'nitrification' )
+    } );
+
+    // @public speciation of the polyprotic acids, at the pH of the solution. Buffers are omitted because they
+    // share the acid-base systems of these acids.
+    this.speciation = new SpeciationDerivedProperties( this.solution.pHProperty, [ Solute.PHOSPHORIC_ACID, Solute.SULFURIC_ACID ], {
+      tandem: this.solution.tandem.createTandem( 'speciation' )
+    } );
+
+    // @public optional balance, for weighing solids that are dissolved in the solution. The solids are the built-in
+    // solids, and the solutes in the catalog that have a molar mass.
+    this.balance = null;
+    if ( options.includeBalance ) {
+      this.balance = new Balance( this.solution,
+        _.uniq( [ ...SoluteCatalog.DEFAULT_SOLIDS, ...this.solutes.filter( solute => solute.molarMass !== null ) ] ), {
+          tandem: tandem.createTandem( 'balance' )
+        } );
+    }
+
     // @public Water faucet at the beaker's top-right
     this.waterFaucet = new Faucet(
       new Vector2( this.beaker.right - 50, this.beaker.position.y - this.beaker.size.height - 45 ),
@@ -79,6 +123,14 @@ class MacroModel {
         tandem: tandem.createTandem( 'waterFaucet' )
       } );
 
+    // @public source of the water that is dispensed by the water faucet
+    this.waterSourceProperty = new Property( WaterSource.DISTILLED, {
+      validValues: WaterSource.WATER_SOURCES,
+      tandem: tandem.createTandem( 'waterSourceProperty' ),
+      phetioType: Property.PropertyIO( WaterSource.WaterSourceIO ),
+      phetioDocumentation: 'source of the water that is dispensed by the water faucet'
+    } );
+
     // @public Drain faucet at the beaker's bottom-left.
     this.drainFaucet = new Faucet(
       new Vector2( this.beaker.left - 75, this.beaker.position.y + 43 ),
@@ -87,6 +139,12 @@ class MacroModel {
         tandem: tandem.createTandem( 'drainFaucet' )
       } );
 
+    // @public Waste container beneath the drain faucet, which collects the solution that is drained
+    this.wasteContainer = new WasteContainer( new Vector2( this.drainFaucet.position.x, this.beaker.position.y + 115 ),
+      this.solution.pKwProperty, {
+        tandem: tandem.createTandem( 'wasteContainer' )
+      } );
+
     // @public optional pH meter to the left of the drain faucet
     this.pHMeter = null;
     if ( options.includePHMeter ) {
@@ -99,11 +157,36 @@ class MacroModel {
         } );
     }
 
+    // @public how much faster simulated time runs than clock time, for processes that are slow in the real world,
+    // like evaporation and the exchange of CO2 with the air
+    this.timeLapseFactorProperty = new NumberProperty( PHScaleConstants.TIME_LAPSE_FACTORS[ 0 ], {
+      validValues: PHScaleConstants.TIME_LAPSE_FACTORS,
+      tandem: tandem.createTandem( 'timeLapseFactorProperty' ),
+      phetioDocumentation: 'how much faster simulated time runs than clock time, for evaporation and CO2 exchange'
+    } );
+
+    // @public records pH and volumes over time. The solution's pH and total volume are recorded first, so that
+    // they are plotted the same way on all screens.
+    const dataLoggerChannels = [
+      { name: phScaleStrings.channel.solutionPH, property: this.solution.pHProperty, quantity: LoggedQuantity.PH }
+    ];
+    if ( this.pHMeter ) {
+      dataLoggerChannels.push( { name: phScaleStrings.channel.meterPH, property: this.pHMeter.pHProperty, quantity: LoggedQuantity.PH } );
+    }
+    dataLoggerChannels.push(
+      { name: phScaleStrings.channel.totalVolume, property: this.solution.totalVolumeProperty, quantity: LoggedQuantity.VOLUME },
+      { name: phScaleStrings.channel.soluteVolume, property: this.solution.soluteVolumeProperty, quantity: LoggedQuantity.VOLUME },
+      { name: phScaleStrings.channel.waterVolume, property: this.solution.waterVolumeProperty, quantity: LoggedQuantity.VOLUME }
+    );
+    this.dataLogger = new DataLogger( dataLoggerChannels, {
+      tandem: tandem.createTandem( 'dataLogger' )
+    } );
+
     // @private whether the autofill feature is enabled.
     // See https://github.com/phetsims/ph-scale/issues/104
     this.autofillEnabledProperty = new BooleanProperty( PHScaleQueryParameters.autofill, {
       tandem: tandem.createTandem( 'autofillEnabledProperty' ),
-      phetioDocumentation: 'whether solute is automatically added to the beaker when the solute is changed'
+      phetioDocumentation: 'whether solute is automatically added to the empty beaker when the solute is changed'
     } );
 
     // @private autofill when the solute changes
@@ -116,21 +199,44 @@ class MacroModel {
       phetioDocumentation: 'whether the beaker is in the process of being automatically filled with solute'
     } );
 
-    // animate the dropper adding solute to the beaker
-    this.dropper.soluteProperty.link( () => {
+    // When the solute changes, animate the dropper adding solute to the beaker if the beaker is empty.
+    // If the beaker is not empty, the new solute will be mixed with what is already in the beaker.
+    this.dropper.soluteProperty.link( () => this.startAutofill() );
 
-      // disable the faucets to cancel any multi-touch interaction that may be in progress, see issue #28
-      this.waterFaucet.enabledProperty.set( false );
-      this.drainFaucet.enabledProperty.set( false );
+    // In drop mode, each press of the dropper's button releases one drop into the beaker. Autofill is not affected by
+    // drop mode, and drops are not released while PhET-iO state is being restored.
+    this.dropper.isDispensingProperty.lazyLink( dispensing => {
+      if ( dispensing && this.dropper.dropModeEnabledProperty.get() && !this.isAutofillingProperty.get() &&
+           !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
+        this.solution.addSoluteDrop( this.dropper.releaseDrop(), this.dropper.soluteProperty.get(),
+          this.dropper.molarityProperty.get() );
+      }
+    } );
 
-      // animate the dropper adding solute to the beaker
-      this.startAutofill();
+    // Switching modes turns off the dropper (see Dropper), so autofill would never reach its volume. Stop it instead,
+    // leaving what has been added so far in the beaker.
+    this.dropper.dropModeEnabledProperty.lazyLink( () => {
+      if ( this.isAutofillingProperty.get() ) {
+        this.stopAutofill();
+      }
     } );
 
-    // Enable faucets and dropper based on amount of solution in the beaker.
+    // Releasing the pH meter's probe in a fluid records the measurement in the lab notebook.
+    if ( this.pHMeter ) {
+      this.pHMeter.probeReleasedEmitter.addListener( () => {
+        if ( this.pHMeter.pHProperty.get() !== null ) {
+          this.recordNotebookEntry();
+        }
+      } );
+    }
+
+    // Enable faucets and dropper based on amount of solution in the beaker, and in the waste container.
     this.solution.totalVolumeProperty.link( volume => {
       this.updateFaucetsAndDropper();
     } );
+    this.wasteContainer.totalVolumeProperty.lazyLink( volume => {
+      this.updateFaucetsAndDropper();
+    } );
   }
 
   /**
@@ -139,20 +245,53 @@ class MacroModel {
   reset() {
     this.dropper.reset();
     this.solution.reset();
+    this.nitrification.reset();
     this.waterFaucet.reset();
+    this.waterSourceProperty.reset();
     this.drainFaucet.reset();
+    this.wasteContainer.reset();
     this.pHMeter && this.pHMeter.reset();
+    this.balance && this.balance.reset();
+    this.timeLapseFactorProperty.reset();
     this.startAutofill();
+    this.dataLogger.reset();
   }
 
   /**
-   * Enables faucets and dropper based on amount of solution in the beaker.
+   * Records the solution in the lab notebook. The pH is the pH measured by the pH meter, or the pH of the solution
+   * if there is no pH meter.
+   * @public
+   */
+  recordNotebookEntry() {
+    const composition = this.solution.compositionProperty.get();
+    labNotebook.addEntry( {
+      solute: ( composition.components.length === 0 ) ? null :
+              composition.components.map( component => component.solute.name ).join( ', ' ),
+      soluteVolume: this.solution.soluteVolumeProperty.get(),
+      waterVolume: this.solution.waterVolumeProperty.get(),
+      totalVolume: this.solution.totalVolumeProperty.get(),
+      pH: this.pHMeter ? this.pHMeter.pHProperty.get() : this.solution.pHProperty.get()
+    } );
+  }
+
+  /**
+   * Pours the waste back into the beaker. If all of the waste does not fit, the beaker is filled, and the remainder
+   * stays in the waste container.
+   * @public
+   */
+  pourWasteIntoBeaker() {
+    const volume = Math.min( this.wasteContainer.totalVolumeProperty.get(), this.solution.getFreeVolume() );
+    this.solution.addSolution( this.wasteContainer.removeSolution( volume ) );
+  }
+
+  /**
+   * Enables faucets and dropper based on amount of solution in the beaker, and in the waste container.
    * @private
    */
   updateFaucetsAndDropper() {
     const volume = this.solution.totalVolumeProperty.get();
     this.waterFaucet.enabledProperty.set( volume < this.beaker.volume );
-    this.drainFaucet.enabledProperty.set( volume > 0 );
+    this.drainFaucet.enabledProperty.set( volume > 0 && this.wasteContainer.getFreeVolume() > 0 );
     this.dropper.enabledProperty.set( volume < this.beaker.volume );
   }
 
@@ -166,21 +305,52 @@ class MacroModel {
       this.stepAutofill( deltaSeconds );
     }
     else {
-      this.solution.addSolute( this.dropper.flowRateProperty.get() * deltaSeconds );
-      this.solution.addWater( this.waterFaucet.flowRateProperty.get() * deltaSeconds );
-      this.solution.drainSolution( this.drainFaucet.flowRateProperty.get() * deltaSeconds );
+      this.addStockSolution( this.dropper.flowRateProperty.get() * deltaSeconds );
+      this.solution.addWater( this.waterFaucet.flowRateProperty.get() * deltaSeconds, this.waterSourceProperty.get() );
+
+      // Drained solution is collected in the waste container, which limits how much can be drained.
+      const drainVolume = Math.min( this.drainFaucet.flowRateProperty.get() * deltaSeconds, this.wasteContainer.getFreeVolume() );
+      this.wasteContainer.addSolution( this.solution.drainSolution( drainVolume ) );
     }
+
+    // Processes that happen in simulated time. These are paused during autofill, so that they do not prevent the
+    // solution from reaching the autofill volume.
+    if ( !this.isAutofillingProperty.get() ) {
+      const simulatedSeconds = this.timeLapseFactorProperty.get() * deltaSeconds;
+      this.solution.evaporate( simulatedSeconds );
+      this.solution.exchangeCO2( simulatedSeconds );
+    }
+
+    // nitrification has its own clock, in simulated days
+    this.nitrification.step( deltaSeconds );
+
+    this.dataLogger.step( deltaSeconds, this.timeLapseFactorProperty.get() );
+  }
+
+  /**
+   * Adds stock solution from the dropper to the beaker, at the molarity of the stock solution in the dropper.
+   * @param {number} deltaVolume - L
+   * @private
+   */
+  addStockSolution( deltaVolume ) {
+    this.solution.addSolute( deltaVolume, this.dropper.soluteProperty.get(), this.dropper.molarityProperty.get() );
   }
 
   /**
-   * Starts the autofill animation.
+   * Starts the autofill animation. Autofill happens only when the beaker is empty.
    * @private
    */
   startAutofill() {
 
     // This is short-circuited while PhET-iO state is being restored. Otherwise autofill would activate and change
     // the restored state. See https://github.com/phetsims/ph-scale/issues/132
-    if ( this.autofillEnabledProperty.get() && this.autofillVolume > 0 && !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
+    if ( this.autofillEnabledProperty.get() && this.autofillVolume > 0 && this.solution.totalVolumeProperty.get() === 0 &&
+         !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
+
+      // disable the faucets to cancel any multi-touch interaction that may be in progress, see issue #28
+      this.waterFaucet.enabledProperty.set( false );
+      this.drainFaucet.enabledProperty.set( false );
+
       this.isAutofillingProperty.set( true );
       this.dropper.isDispensingProperty.set( true );
       this.dropper.flowRateProperty.set( 0.75 ); // faster than standard flow rate
@@ -196,8 +366,9 @@ class MacroModel {
    * @private
    */
   stepAutofill( deltaSeconds ) {
-    this.solution.addSolute( Math.min( this.dropper.flowRateProperty.get() * deltaSeconds, this.autofillVolume - this.solution.totalVolumeProperty.get() ) );
-    if ( this.solution.totalVolumeProperty.get() === this.autofillVolume ) {
+    this.addStockSolution( Math.min( this.dropper.flowRateProperty.get() * deltaSeconds, this.autofillVolume - this.solution.totalVolumeProperty.get() ) );
+    // Total volume is computed from its parts, so it may differ from autofillVolume by floating-point error.
+    if ( this.solution.totalVolumeProperty.get() >= this.autofillVolume - MIN_VOLUME ) {
       this.stopAutofill();
     }
   }
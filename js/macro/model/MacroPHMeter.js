@@ -10,6 +10,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Emitter from '../../../../axon/js/Emitter.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
@@ -52,6 +53,9 @@ class MacroPHMeter {
         phetioHighFrequency: true
       }
     } );
+
+    // @public emits when the user releases the probe
+    this.probeReleasedEmitter = new Emitter();
   }
 
   /**
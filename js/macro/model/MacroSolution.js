@@ -2,22 +2,34 @@
 
 /**
  * MacroSolution is the solution model used in the Macro screen.
- * Solvent (water) is constant, solute (in stock solution form) is variable.
+ * Solvent (water) and solutes (in stock solution form) are variable. Solutes are added successively, so the
+ * solution may be a mixture of solutes. Acids and bases in the mixture neutralize each other, see PHModel.computePH.
+ *
+ * What is in the solution is described by compositionProperty, whose value is an immutable SolutionComposition.
+ * All other Properties of the solution are derived from compositionProperty, so that they change atomically.
+ *
+ * Optionally, the beaker is open to the air, and the solution exchanges CO2 with the air over time. See exchangeCO2.
+ * Optionally, water evaporates from the solution over time, concentrating the solutes. See evaporate.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
-import Color from '../../../../scenery/js/util/Color.js';
 import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import NullableIO from '../../../../tandem/js/types/NullableIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import Carbonate from '../../common/model/Carbonate.js';
 import PHModel from '../../common/model/PHModel.js';
+import SolutionComposition from '../../common/model/SolutionComposition.js';
+import SolutionDerivedProperties from '../../common/model/SolutionDerivedProperties.js';
 import Water from '../../common/model/Water.js';
+import WaterSource from '../../common/model/WaterSource.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import phScale from '../../phScale.js';
 
@@ -37,6 +49,7 @@ class MacroSolution extends PhetioObject {
       soluteVolume: 0, // initial volume of solute, in L
       waterVolume: 0, // initial volume of water, in L
       maxVolume: 1, // maximum total volume (solute + water), in L
+      temperature: Water.temperature, // initial temperature, in degrees Celsius
 
       // phet-io
       tandem: Tandem.REQUIRED,
@@ -61,32 +74,76 @@ class MacroSolution extends PhetioObject {
     // @public (read-only)
     this.maxVolume = options.maxVolume;
 
-    // @public
-    this.soluteVolumeProperty = new NumberProperty( options.soluteVolume, {
-      units: 'L',
-      tandem: options.tandem.createTandem( 'soluteVolumeProperty' ),
-      phetioStudioControl: false, // https://github.com/phetsims/ph-scale/issues/119#issuecomment-595450329
-      phetioDocumentation: `Volume of solute in the solution. soluteVolumeProperty + waterVolumeProperty should be <= ${options.maxVolume}`,
-      phetioHighFrequency: true
+    // @public what is in the solution
+    this.compositionProperty = new Property(
+      SolutionComposition.EMPTY.withWater( options.waterVolume ).withSolute( soluteProperty.get(), options.soluteVolume ), {
+        tandem: options.tandem.createTandem( 'compositionProperty' ),
+        phetioType: Property.PropertyIO( SolutionComposition.SolutionCompositionIO ),
+        phetioStudioControl: false, // https://github.com/phetsims/ph-scale/issues/119#issuecomment-595450329
+        phetioDocumentation: 'The composition of the solution: volume of water, and volume of each solute. ' +
+                             `The total volume should be <= ${options.maxVolume}`,
+        phetioHighFrequency: true
+      } );
+
+    // @public temperature of the solution, in degrees Celsius
+    this.temperatureProperty = new NumberProperty( options.temperature, {
+      range: PHScaleConstants.TEMPERATURE_RANGE,
+      tandem: options.tandem.createTandem( 'temperatureProperty' ),
+      phetioDocumentation: 'temperature of the solution, in degrees Celsius'
     } );
 
-    // @public
-    this.waterVolumeProperty = new NumberProperty( options.waterVolume, {
-      units: 'L',
-      tandem: options.tandem.createTandem( 'waterVolumeProperty' ),
-      phetioStudioControl: false, // https://github.com/phetsims/ph-scale/issues/119#issuecomment-595450329
-      phetioDocumentation: `Volume of water in the solution. waterVolumeProperty + soluteVolumeProperty should be <= ${options.maxVolume}`,
-      phetioHighFrequency: true
+    // @public whether the solution exchanges CO2 with the air
+    this.co2ExchangeEnabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'co2ExchangeEnabledProperty' ),
+      phetioDocumentation: 'whether the beaker is open to the air, so that the solution exchanges CO2 with the air'
     } );
 
-    // @private
-    // Used to update total volume atomically when draining solution, see https://github.com/phetsims/ph-scale/issues/25
-    this.ignoreVolumeUpdate = false;
+    // @public whether water evaporates from the solution
+    this.evaporationEnabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'evaporationEnabledProperty' ),
+      phetioDocumentation: 'whether water evaporates from the solution'
+    } );
+
+    // @public rate at which water evaporates from the solution, in L/s of simulated time
+    this.evaporationRateProperty = new NumberProperty( PHScaleConstants.EVAPORATION_RATE_RANGE.defaultValue, {
+      range: PHScaleConstants.EVAPORATION_RATE_RANGE,
+      units: 'L/s',
+      tandem: options.tandem.createTandem( 'evaporationRateProperty' ),
+      phetioDocumentation: 'rate at which water evaporates from the solution, in simulated time'
+    } );
+
+    // @public pKw of the solution, which depends on temperature
+    this.pKwProperty = new DerivedProperty( [ this.temperatureProperty ],
+      temperature => PHModel.temperatureToPKw( temperature ), {
+        tandem: options.tandem.createTandem( 'pKwProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'pKw of the solution, the negative log of the ion-product constant of water, ' +
+                             '[H<sub>3</sub>O<sup>+</sup>][OH<sup>-</sup>]'
+      } );
+
+    // @public volume of all solutes in the solution
+    this.soluteVolumeProperty = new DerivedProperty( [ this.compositionProperty ],
+      composition => composition.soluteVolume, {
+        units: 'L',
+        tandem: options.tandem.createTandem( 'soluteVolumeProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'volume of all solutes in the solution',
+        phetioHighFrequency: true
+      } );
+
+    // @public volume of water in the solution
+    this.waterVolumeProperty = new DerivedProperty( [ this.compositionProperty ],
+      composition => composition.waterVolume, {
+        units: 'L',
+        tandem: options.tandem.createTandem( 'waterVolumeProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'volume of water in the solution',
+        phetioHighFrequency: true
+      } );
 
     // @public total volume
-    this.totalVolumeProperty = new DerivedProperty(
-      [ this.soluteVolumeProperty, this.waterVolumeProperty ],
-      ( soluteVolume, waterVolume ) => ( this.ignoreVolumeUpdate ) ? this.totalVolumeProperty.get() : ( soluteVolume + waterVolume ), {
+    this.totalVolumeProperty = new DerivedProperty( [ this.compositionProperty ],
+      composition => composition.totalVolume, {
         units: 'L',
         tandem: options.tandem.createTandem( 'totalVolumeProperty' ),
         phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
@@ -94,135 +151,237 @@ class MacroSolution extends PhetioObject {
         phetioHighFrequency: true
       } );
 
-    // @public pH, null if no value
-    this.pHProperty = new DerivedProperty(
-      [ this.soluteProperty, this.soluteVolumeProperty, this.waterVolumeProperty ],
-      ( solute, soluteVolume, waterVolume ) => {
-        if ( this.ignoreVolumeUpdate ) {
-          return this.pHProperty.get();
-        }
-        else {
-          return PHModel.computePH( solute.pH, soluteVolume, waterVolume );
-        }
-      }, {
+    // {{pH:number, ionicStrength:number}|null} equilibrium of the solution, null if no value.
+    // pH and ionic strength are solved together, see PHModel.computeEquilibrium.
+    const equilibriumProperty = new DerivedProperty( [ this.compositionProperty, this.pKwProperty ],
+      ( composition, pKw ) => PHModel.computeEquilibrium( composition.netMolesH3O, composition.totalVolume,
+        composition.acidBaseSystems, pKw, composition.spectatorIonicStrength ) );
+
+    // @public pH, based on the activity of H3O+, null if no value
+    this.pHProperty = new DerivedProperty( [ equilibriumProperty ],
+      equilibrium => equilibrium ? equilibrium.pH : null, {
         tandem: options.tandem.createTandem( 'pHProperty' ),
         phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
-        phetioDocumentation: 'pH of the solution',
+        phetioDocumentation: 'pH of the solution, based on the activity of H<sub>3</sub>O<sup>+</sup>',
         phetioHighFrequency: true
       } );
 
-    // @public color
-    this.colorProperty = new DerivedProperty(
-      [ this.soluteProperty, this.soluteVolumeProperty, this.waterVolumeProperty ],
-      ( solute, soluteVolume, waterVolume ) => {
-        if ( this.ignoreVolumeUpdate ) {
-          return this.colorProperty.get();
-        }
-        else if ( soluteVolume + waterVolume === 0 ) {
-          return Color.BLACK; // no solution, should never see this color displayed
-        }
-        else if ( soluteVolume === 0 || this.isEquivalentToWater() ) {
-          return Water.color;
-        }
-        else {
-          return solute.computeColor( soluteVolume / ( soluteVolume + waterVolume ) );
-        }
-      }, {
-        // DO NOT INSTRUMENT FOR PhET-iO
+    // @public ionic strength, null if no value
+    this.ionicStrengthProperty = new DerivedProperty( [ equilibriumProperty ],
+      equilibrium => equilibrium ? equilibrium.ionicStrength : null, {
+        units: 'mol/L',
+        tandem: options.tandem.createTandem( 'ionicStrengthProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'ionic strength of the solution, from all dissolved ions',
+        phetioHighFrequency: true
       } );
 
-    // When the solute changes, reset to initial volumes.
-    // This is short-circuited while PhET-iO state is being restored. Otherwise the restored state would be changed.
-    // See https://github.com/phetsims/ph-scale/issues/132
-    this.soluteProperty.link( () => {
-      if ( !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
-        this.waterVolumeProperty.reset();
-        this.soluteVolumeProperty.reset();
-      }
+    // @public activity coefficient of monovalent ions, including H3O+ and OH-, null if no value
+    this.activityCoefficientProperty = new DerivedProperty( [ this.ionicStrengthProperty ],
+      ionicStrength => ( ionicStrength === null ) ? null : PHModel.computeActivityCoefficient( ionicStrength, 1 ), {
+        tandem: options.tandem.createTandem( 'activityCoefficientProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'activity coefficient of monovalent ions in the solution, ' +
+                             'including H<sub>3</sub>O<sup>+</sup> and OH<sup>-</sup>',
+        phetioHighFrequency: true
+      } );
+
+    // @public
+    this.derivedProperties = new SolutionDerivedProperties( this.pHProperty, this.totalVolumeProperty, this.pKwProperty, {
+      activityCoefficientProperty: this.activityCoefficientProperty,
+      tandem: options.tandem // Properties created by SolutionDerivedProperties should appear as if they are children of MacroSolution.
     } );
+
+    // @public buffer capacity, in mol/L per pH unit, null if no value
+    this.bufferCapacityProperty = new DerivedProperty( [ this.compositionProperty, this.pHProperty, this.pKwProperty ],
+      ( composition, pH, pKw ) =>
+        PHModel.computeBufferCapacity( pH, composition.totalVolume, composition.acidBaseSystems, pKw ), {
+        tandem: options.tandem.createTandem( 'bufferCapacityProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'buffer capacity of the solution, in mol/L per pH unit: the concentration of strong acid ' +
+                             'or base that would be needed to change the pH by 1, for a small change',
+        phetioHighFrequency: true
+      } );
+
+    // @public {DerivedProperty.<number|null>[]} concentrations (mol/L) of the species of the carbonate system, ordered
+    // like Carbonate.species: dissolved CO2 (as H2CO3), HCO3- and CO3 2-. null if there is no solution.
+    this.carbonateConcentrationProperties = Carbonate.species.map( ( species, index ) =>
+      new DerivedProperty( [ this.compositionProperty, this.pHProperty ],
+        ( composition, pH ) => ( pH === null ) ? null :
+                               Math.max( 0, composition.carbonateMoles / composition.totalVolume ) *
+                               PHModel.computeFractions( PHModel.pHToConcentrationH3O( pH ), Carbonate.Ka )[ index ], {
+          units: 'mol/L',
+          tandem: options.tandem.createTandem( `concentration${species.tandemName}Property` ),
+          phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+          phetioDocumentation: `concentration of ${species.formula} in the solution, from solutes and from the air`,
+          phetioHighFrequency: true
+        } ) );
+
+    // @public color
+    this.colorProperty = new DerivedProperty( [ this.compositionProperty, this.pHProperty ],
+      ( composition, pH ) => this.isEquivalentToWater() ? Water.color : composition.computeColor(), {
+        // DO NOT INSTRUMENT FOR PhET-iO
+      } );
   }
 
   /**
    * @public
    */
   reset() {
-    this.soluteVolumeProperty.reset();
-    this.waterVolumeProperty.reset();
+    this.compositionProperty.reset();
+    this.temperatureProperty.reset();
+    this.co2ExchangeEnabledProperty.reset();
+    this.evaporationEnabledProperty.reset();
+    this.evaporationRateProperty.reset();
+  }
+
+  /**
+   * Exchanges CO2 between the solution and the air, if enabled. Dissolved CO2 moves toward equilibrium with the air,
+   * at a rate that is proportional to how far it is from equilibrium. Dissolved CO2 is the fully-protonated species
+   * of the carbonate system, so in basic solutions (where it is mostly converted to HCO3- and CO3 2-) CO2 continues
+   * to dissolve for a long time, and in acidic solutions CO2 is released from HCO3-.
+   * @param {number} deltaSeconds
+   * @public
+   */
+  exchangeCO2( deltaSeconds ) {
+    const pH = this.pHProperty.get();
+    if ( this.co2ExchangeEnabledProperty.get() && pH !== null ) {
+      const composition = this.compositionProperty.get();
+      const concentrationCO2 = this.carbonateConcentrationProperties[ 0 ].get();
+      const deltaMoles = Carbonate.exchangeRate * deltaSeconds * composition.totalVolume *
+                         ( Carbonate.equilibriumConcentration - concentrationCO2 );
+
+      // Cannot release more carbonate than is in the solution.
+      this.compositionProperty.set( composition.withExchangedCO2( Math.max( deltaMoles, -composition.carbonateMoles ) ) );
+    }
+  }
+
+  /**
+   * Evaporates water from the solution, if enabled. Solutes remain in the solution, so they become more concentrated.
+   * Evaporation stops at a minimum volume, so that solutes do not become unrealistically concentrated.
+   * @param {number} deltaSeconds
+   * @public
+   */
+  evaporate( deltaSeconds ) {
+    const totalVolume = this.totalVolumeProperty.get();
+    if ( this.evaporationEnabledProperty.get() && totalVolume > PHScaleConstants.MIN_EVAPORATION_VOLUME ) {
+      const deltaVolume = Math.min( this.evaporationRateProperty.get() * deltaSeconds,
+        totalVolume - PHScaleConstants.MIN_EVAPORATION_VOLUME );
+      this.compositionProperty.set( this.compositionProperty.get().withEvaporation( deltaVolume ) );
+    }
   }
 
   //----------------------------------------------------------------------------
   // Volume (Liters)
   //----------------------------------------------------------------------------
 
-  // @private Returns the amount of volume that is available to fill.
+  // @public Returns the amount of volume that is available to fill.
   getFreeVolume() {
     return this.maxVolume - this.totalVolumeProperty.get();
   }
 
-  // @public Convenience function for adding solute
-  addSolute( deltaVolume ) {
+  // @public Convenience function for adding solute. The solute defaults to whatever soluteProperty is currently set to,
+  // and the molarity of its stock solution defaults to the solute's standard stock solution.
+  addSolute( deltaVolume, solute = this.soluteProperty.get(), molarity = solute.molarity ) {
+    if ( deltaVolume > 0 ) {
+      const composition = this.compositionProperty.get();
+      const soluteVolume = composition.getVolume( solute );
+      const newSoluteVolume = Math.max( MIN_VOLUME, soluteVolume + Math.min( deltaVolume, this.getFreeVolume() ) );
+      if ( newSoluteVolume > soluteVolume ) {
+        this.compositionProperty.set( composition.withSolute( solute, newSoluteVolume - soluteVolume, molarity ) );
+      }
+    }
+  }
+
+  /**
+   * Adds one drop of solute. Unlike addSolute, the volume is not increased to a minimum volume, so that the amount
+   * of solute in the beaker is exactly the number of drops times the volume of a drop.
+   * @param {number} dropVolume - L
+   * @param {Solute} [solute] - defaults to whatever soluteProperty is currently set to
+   * @param {number} [molarity] - mol/L, molarity of the stock solution, defaults to the solute's standard stock solution
+   * @public
+   */
+  addSoluteDrop( dropVolume, solute = this.soluteProperty.get(), molarity = solute.molarity ) {
+    const deltaVolume = Math.min( dropVolume, this.getFreeVolume() );
     if ( deltaVolume > 0 ) {
-      this.soluteVolumeProperty.set( Math.max( MIN_VOLUME, this.soluteVolumeProperty.get() + Math.min( deltaVolume, this.getFreeVolume() ) ) );
+      this.compositionProperty.set( this.compositionProperty.get().withSolute( solute, deltaVolume, molarity ) );
     }
   }
 
-  // @public Convenience function for adding water
-  addWater( deltaVolume ) {
+  /**
+   * Dissolves a solid in the solution. The volume of the solid is negligible, so the volume of the solution does not
+   * change. If the beaker is empty, the solid dissolves when water is added.
+   * @param {Solute} solute - a solid, see Solute options.molarMass
+   * @param {number} moles
+   * @public
+   */
+  addSolid( solute, moles ) {
+    this.compositionProperty.set( this.compositionProperty.get().withSolid( solute, moles ) );
+  }
+
+  // @public Convenience function for adding water. The water source defaults to distilled water.
+  addWater( deltaVolume, waterSource = WaterSource.DISTILLED ) {
     if ( deltaVolume > 0 ) {
-      this.waterVolumeProperty.set( Math.max( MIN_VOLUME, this.waterVolumeProperty.get() + Math.min( deltaVolume, this.getFreeVolume() ) ) );
+      const composition = this.compositionProperty.get();
+      const waterVolume = composition.waterVolume;
+      const newWaterVolume = Math.max( MIN_VOLUME, waterVolume + Math.min( deltaVolume, this.getFreeVolume() ) );
+      if ( newWaterVolume > waterVolume ) {
+        this.compositionProperty.set( composition.withWater( newWaterVolume - waterVolume, waterSource ) );
+      }
     }
   }
 
   /**
-   * Drains a specified amount of solution.
+   * Drains a specified amount of solution. Equal percentages of water and each solute are removed.
    * @param {number} deltaVolume amount of solution to drain, in liters
+   * @returns {SolutionComposition} the solution that was drained
    * @public
    */
   drainSolution( deltaVolume ) {
+    let drainedComposition = SolutionComposition.EMPTY;
     if ( deltaVolume > 0 ) {
-      const totalVolume = this.totalVolumeProperty.get();
+      const composition = this.compositionProperty.get();
+      const totalVolume = composition.totalVolume;
       if ( totalVolume > 0 ) {
         if ( totalVolume - deltaVolume < MIN_VOLUME ) {
           // drain the remaining solution
-          this.setVolumeAtomic( 0, 0 );
+          drainedComposition = composition;
+          this.compositionProperty.set( SolutionComposition.EMPTY );
         }
         else {
-          // drain equal percentages of water and solute
-          const waterVolume = this.waterVolumeProperty.get();
-          const soluteVolume = this.soluteVolumeProperty.get();
-          this.setVolumeAtomic( waterVolume - ( deltaVolume * waterVolume / totalVolume ), soluteVolume - ( deltaVolume * soluteVolume / totalVolume ) );
+          // drain equal percentages of water and each solute
+          drainedComposition = composition.scaled( deltaVolume / totalVolume );
+          this.compositionProperty.set( composition.scaled( 1 - deltaVolume / totalVolume ) );
         }
       }
     }
+    return drainedComposition;
   }
 
   /**
-   * Sets volume atomically, to prevent pH value from going through an intermediate state.
-   * This is used when draining solution, so that equal parts of solute and water are removed atomically.
-   * See documentation of ignoreVolumeUpdate above, and https://github.com/phetsims/ph-scale/issues/25.
-   *
-   * @param {number} waterVolume liters
-   * @param {number} soluteVolume liters
-   * @private
+   * Adds a solution, as when solution is poured into the beaker. The caller is responsible for ensuring that the
+   * solution fits in the beaker.
+   * @param {SolutionComposition} composition - the solution to add
+   * @public
    */
-  setVolumeAtomic( waterVolume, soluteVolume ) {
-
-    // ignore the first notification if both volumes are changing
-    this.ignoreVolumeUpdate = ( waterVolume !== this.waterVolumeProperty.get() ) && ( soluteVolume !== this.soluteVolumeProperty.get() );
-    this.waterVolumeProperty.set( waterVolume );
-    this.ignoreVolumeUpdate = false; // don't ignore the second notification, so that observers will update
-    this.soluteVolumeProperty.set( soluteVolume );
+  addSolution( composition ) {
+    assert && assert( composition.totalVolume <= this.getFreeVolume() + MIN_VOLUME,
+      `solution does not fit: ${composition.totalVolume}` );
+    this.compositionProperty.set( this.compositionProperty.get().withSolution( composition ) );
   }
 
   /**
-   * True if the value displayed by the pH meter has precision that makes it equivalent to the pH of water.
-   * Eg, the value displayed to the user is '7.00'.
-   * @private
+   * True if the value displayed by the pH meter has precision that makes it equivalent to the pH of water
+   * at the solution's temperature. Eg, the value displayed to the user is '7.00' at 25 degrees C.
+   * @public
    */
   isEquivalentToWater() {
-    return Utils.toFixedNumber( this.pHProperty.get(), PHScaleConstants.PH_METER_DECIMAL_PLACES ) === Water.pH;
+    const pH = this.pHProperty.get();
+    const neutralPH = PHModel.computeNeutralPH( this.pKwProperty.get() );
+    return pH !== null && Utils.toFixedNumber( pH, PHScaleConstants.PH_METER_DECIMAL_PLACES ) ===
+                          Utils.toFixedNumber( neutralPH, PHScaleConstants.PH_METER_DECIMAL_PLACES );
   }
 }
 
 phScale.register( 'MacroSolution', MacroSolution );
-export default MacroSolution;
\ No newline at end of file
+export default MacroSolution;
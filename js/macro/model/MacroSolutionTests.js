@@ -0,0 +1,236 @@
+// Copyright 2026, agent
+
+/**
+ * MacroSolution tests, for solutions that are made in the beaker by mixing solutes and water.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Carbonate from '../../common/model/Carbonate.js';
+import Solute from '../../common/model/Solute.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import MacroSolution from './MacroSolution.js';
+
+// constants
+const TOLERANCE = 0.02; // pH units
+const EPSILON = 1E-9; // for comparing volumes (L) and moles
+
+QUnit.module( 'MacroSolution' );
+
+/**
+ * Verifies that a pH is within TOLERANCE of an expected value.
+ * @param {Object} assert - QUnit assert
+ * @param {number|null} pH
+ * @param {number} expectedPH
+ * @param {string} message
+ */
+function assertPH( assert, pH, expectedPH, message ) {
+  assert.ok( pH !== null && Math.abs( pH - expectedPH ) <= TOLERANCE, `${message}: expected ${expectedPH}, got ${pH}` );
+}
+
+/**
+ * Creates an empty solution.
+ * @returns {MacroSolution}
+ */
+function createSolution() {
+  return new MacroSolution( new Property( Solute.WATER ), { tandem: Tandem.OPT_OUT } );
+}
+
+QUnit.test( 'mixing and neutralization', assert => {
+
+  // Equal moles of a strong acid and a strong base neutralize each other.
+  const solution = createSolution();
+  solution.addSolute( 0.1, Solute.HYDROCHLORIC_ACID );
+
+  // The textbook value (1) is for activities equal to concentrations. The activity of H3O+ raises pH by about 0.1.
+  assertPH( assert, solution.pHProperty.get(), 1.11, '0.1 mol/L hydrochloric acid' );
+  solution.addSolute( 0.1, Solute.SODIUM_HYDROXIDE );
+  assertPH( assert, solution.pHProperty.get(), 7, 'neutralized by 0.1 mol/L sodium hydroxide' );
+  assert.equal( solution.compositionProperty.get().getVolume( Solute.HYDROCHLORIC_ACID ), 0.1,
+    'the solution contains both solutes' );
+  assert.equal( solution.compositionProperty.get().getVolume( Solute.SODIUM_HYDROXIDE ), 0.1,
+    'the solution contains both solutes' );
+
+  // Lime raises the pH of nitric acid runoff, but not enough to neutralize it.
+  const runoff = createSolution();
+  runoff.addSolute( 0.2, Solute.NITRIC_ACID );
+  const pH = runoff.pHProperty.get();
+  runoff.addSolute( 0.2, Solute.LIME );
+  assert.ok( runoff.pHProperty.get() > pH && runoff.pHProperty.get() < 7, 'lime partially neutralizes nitric acid' );
+
+  // More base than acid makes the solution basic, with the excess OH- diluted by the total volume.
+  const excessBase = createSolution();
+  excessBase.addSolute( 0.1, Solute.HYDROCHLORIC_ACID );
+  excessBase.addSolute( 0.2, Solute.SODIUM_HYDROXIDE );
+  assert.ok( excessBase.pHProperty.get() > 12, `excess base: ${excessBase.pHProperty.get()}` );
+} );
+
+QUnit.test( 'drain', assert => {
+
+  // A mixture of water, a strong acid and a buffer.
+  const solution = createSolution();
+  solution.addWater( 0.2 );
+  solution.addSolute( 0.1, Solute.HYDROCHLORIC_ACID );
+  solution.addSolute( 0.1, Solute.PHOSPHATE_BUFFER );
+  const composition = solution.compositionProperty.get();
+  const pH = solution.pHProperty.get();
+
+  // Draining a quarter of the solution removes a quarter of the water and of each solute, so pH does not change.
+  const drainedComposition = solution.drainSolution( 0.1 );
+  const remainingComposition = solution.compositionProperty.get();
+  assert.ok( Math.abs( solution.totalVolumeProperty.get() - 0.3 ) < EPSILON, 'remaining volume' );
+  assert.ok( Math.abs( drainedComposition.totalVolume - 0.1 ) < EPSILON, 'drained volume' );
+  assert.ok( Math.abs( remainingComposition.waterVolume - 0.75 * composition.waterVolume ) < EPSILON,
+    'water is drained proportionally' );
+  [ Solute.HYDROCHLORIC_ACID, Solute.PHOSPHATE_BUFFER ].forEach( solute => {
+    assert.ok( Math.abs( remainingComposition.getVolume( solute ) - 0.75 * composition.getVolume( solute ) ) < EPSILON &&
+               Math.abs( remainingComposition.getMoles( solute ) - 0.75 * composition.getMoles( solute ) ) < EPSILON,
+      `${solute.tandemName} is drained proportionally` );
+    assert.ok( Math.abs( drainedComposition.getMoles( solute ) - 0.25 * composition.getMoles( solute ) ) < EPSILON,
+      `drained ${solute.tandemName}` );
+  } );
+  assertPH( assert, solution.pHProperty.get(), pH, 'pH does not change' );
+
+  // Draining more than what remains empties the beaker.
+  solution.drainSolution( 1 );
+  assert.equal( solution.totalVolumeProperty.get(), 0, 'empty' );
+  assert.equal( solution.pHProperty.get(), null, 'pH of an empty beaker' );
+} );
+
+QUnit.test( 'buffer challenged with acid', assert => {
+
+  // The same amount of strong acid is added to water, and to the same volume of phosphate buffer.
+  const water = createSolution();
+  water.addWater( 0.5 );
+  const buffer = createSolution();
+  buffer.addSolute( 0.5, Solute.PHOSPHATE_BUFFER );
+  const bufferPH = buffer.pHProperty.get();
+  assert.ok( buffer.bufferCapacityProperty.get() > 100 * water.bufferCapacityProperty.get(),
+    'buffer capacity of the buffer is much greater than that of water' );
+
+  water.addSolute( 0.01, Solute.HYDROCHLORIC_ACID );
+  buffer.addSolute( 0.01, Solute.HYDROCHLORIC_ACID );
+  assert.ok( water.pHProperty.get() < 3, `pH of water drops: ${water.pHProperty.get()}` );
+  assert.ok( bufferPH - buffer.pHProperty.get() < 0.05, `pH of the buffer barely changes: ${buffer.pHProperty.get()}` );
+
+  // The buffer resists base too.
+  buffer.addSolute( 0.02, Solute.SODIUM_HYDROXIDE );
+  assert.ok( buffer.pHProperty.get() - bufferPH < 0.05, `pH of the buffer barely changes: ${buffer.pHProperty.get()}` );
+} );
+
+QUnit.test( 'temperature', assert => {
+
+  // Neutral water is pH 7 only at 25 degrees C. Expected values are pKw / 2, for textbook values of pKw.
+  const solution = createSolution();
+  solution.addWater( 0.5 );
+  [ { temperature: 0, pH: 7.47 }, { temperature: 25, pH: 7 }, { temperature: 50, pH: 6.63 } ].forEach( entry => {
+    solution.temperatureProperty.set( entry.temperature );
+    assertPH( assert, solution.pHProperty.get(), entry.pH, `water at ${entry.temperature} degrees C` );
+    assert.ok( solution.isEquivalentToWater(), `water is neutral at ${entry.temperature} degrees C` );
+  } );
+
+  // pKw is 13.26 at 50 degrees C, which lowers the pH of a strong base by 14 - 13.26, but does not change the pH of a
+  // strong acid.
+  const acid = createSolution();
+  acid.addSolute( 0.1, Solute.HYDROCHLORIC_ACID );
+  const base = createSolution();
+  base.addSolute( 0.1, Solute.SODIUM_HYDROXIDE );
+  const acidPH = acid.pHProperty.get();
+  const basePH = base.pHProperty.get();
+  acid.temperatureProperty.set( 50 );
+  base.temperatureProperty.set( 50 );
+  assertPH( assert, acid.pHProperty.get(), acidPH, 'strong acid at 50 degrees C' );
+  assertPH( assert, base.pHProperty.get(), basePH - ( 14 - 13.26 ), 'strong base at 50 degrees C' );
+} );
+
+QUnit.test( 'ionic strength and activity', assert => {
+
+  // Dilute strong acid, about 0.009 mol/L. Ionic strength is from H3O+ and its counter ion.
+  const solution = createSolution();
+  solution.addWater( 0.5 );
+  solution.addSolute( 0.05, Solute.HYDROCHLORIC_ACID );
+  const concentration = 0.1 * 0.05 / 0.55;
+  assert.ok( Math.abs( solution.ionicStrengthProperty.get() - concentration ) < 1E-6, 'ionic strength of the acid' );
+  const pH = solution.pHProperty.get();
+  assert.ok( pH > -Utils.log10( concentration ), 'pH is based on activity, which is less than concentration' );
+  assertPH( assert, pH, -Utils.log10( solution.activityCoefficientProperty.get() * concentration ), 'pH from activity' );
+
+  // Salt water raises the ionic strength, which lowers the activity of H3O+ and raises pH, beyond dilution.
+  solution.addSolute( 0.4, Solute.SALT_WATER );
+  assert.ok( solution.ionicStrengthProperty.get() > 0.2, `ionic strength with salt: ${solution.ionicStrengthProperty.get()}` );
+  assert.ok( solution.activityCoefficientProperty.get() < 0.8, 'activity coefficient with salt' );
+  const dilutedConcentration = 0.1 * 0.05 / 0.95;
+  assertPH( assert, solution.pHProperty.get(), -Utils.log10( solution.activityCoefficientProperty.get() * dilutedConcentration ),
+    'pH from activity, with salt' );
+  assert.ok( solution.pHProperty.get() > -Utils.log10( dilutedConcentration ) + 0.1, 'salt raises pH' );
+} );
+
+QUnit.test( 'CO2 exchange', assert => {
+
+  // Pure water that is open to the air dissolves CO2 until it is in equilibrium, like clean rainwater.
+  const solution = createSolution();
+  solution.addWater( 0.5 );
+  solution.exchangeCO2( 100 );
+  assertPH( assert, solution.pHProperty.get(), 7, 'no exchange unless it is enabled' );
+  solution.co2ExchangeEnabledProperty.set( true );
+  for ( let i = 0; i < 2000; i++ ) {
+    solution.exchangeCO2( 1 );
+  }
+  assertPH( assert, solution.pHProperty.get(), 5.6, 'water in equilibrium with the air' );
+  assert.ok( Math.abs( solution.carbonateConcentrationProperties[ 0 ].get() - Carbonate.equilibriumConcentration ) < 1E-7,
+    'dissolved CO2 is in equilibrium with the air' );
+
+  // In a strong acid, the CO2 that dissolves is not ionized, so it does not change the pH.
+  const acid = createSolution();
+  acid.addWater( 0.5 );
+  acid.addSolute( 0.01, Solute.HYDROCHLORIC_ACID );
+  const acidPH = acid.pHProperty.get();
+  acid.co2ExchangeEnabledProperty.set( true );
+  for ( let i = 0; i < 2000; i++ ) {
+    acid.exchangeCO2( 1 );
+  }
+  assertPH( assert, acid.pHProperty.get(), acidPH, 'strong acid is not affected' );
+
+  // In a base, dissolved CO2 is converted to HCO3- and CO3 2-, so CO2 continues to dissolve and lowers the pH.
+  const base = createSolution();
+  base.addWater( 0.5 );
+  base.addSolute( 0.01, Solute.SODIUM_HYDROXIDE );
+  const basePH = base.pHProperty.get();
+  base.co2ExchangeEnabledProperty.set( true );
+  for ( let i = 0; i < 2000; i++ ) {
+    base.exchangeCO2( 1 );
+  }
+  assert.ok( base.pHProperty.get() < basePH - 0.1, `base absorbs CO2: ${basePH} -> ${base.pHProperty.get()}` );
+} );
+
+QUnit.test( 'evaporation', assert => {
+
+  // Strong acid, 0.02 mol/L.
+  const solution = createSolution();
+  solution.addWater( 0.4 );
+  solution.addSolute( 0.1, Solute.HYDROCHLORIC_ACID );
+  const pH = solution.pHProperty.get();
+  solution.evaporate( 100 );
+  assert.equal( solution.totalVolumeProperty.get(), 0.5, 'no evaporation unless it is enabled' );
+
+  // Evaporating water concentrates the solute, so pH drops, but the moles of solute do not change.
+  solution.evaporationEnabledProperty.set( true );
+  solution.evaporate( 100 );
+  const expectedVolume = 0.5 - 100 * solution.evaporationRateProperty.get();
+  assert.ok( Math.abs( solution.totalVolumeProperty.get() - expectedVolume ) < EPSILON, 'volume decreases at the rate' );
+  assert.ok( Math.abs( solution.compositionProperty.get().getMoles( Solute.HYDROCHLORIC_ACID ) - 0.01 ) < EPSILON,
+    'moles of solute do not change' );
+  assert.ok( solution.pHProperty.get() < pH, 'pH drops' );
+
+  // Evaporation stops at a minimum volume. The acid is 5 times as concentrated, which lowers pH by about log( 5 ),
+  // less the effect of the higher ionic strength.
+  for ( let i = 0; i < 100; i++ ) {
+    solution.evaporate( 100 );
+  }
+  assert.ok( Math.abs( solution.totalVolumeProperty.get() - PHScaleConstants.MIN_EVAPORATION_VOLUME ) < EPSILON,
+    'evaporation stops at the minimum volume' );
+  assertPH( assert, solution.pHProperty.get(), 1.11, '0.1 mol/L hydrochloric acid' );
+} );
@@ -0,0 +1,136 @@
+// Copyright 2026, agent
+
+/**
+ * Nitrification is the conversion of ammonium to nitrate by bacteria, NH4+ + 2 O2 + H2O -> NO3- + 2 H3O+.
+ * It releases H3O+, so ammonium fertilizer acidifies water and soil. Nitrification takes days, so it has its own
+ * clock, in simulated days, with controls for pausing and stepping the clock.
+ *
+ * Nitrification is first-order in ammonium, so the amount of ammonium that remains after t days is N0 * exp( -k * t ),
+ * where k is the rate constant.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import phScale from '../../phScale.js';
+import MacroSolution from './MacroSolution.js';
+
+class Nitrification {
+
+  /**
+   * @param {MacroSolution} solution
+   * @param {Object} [options]
+   */
+  constructor( solution, options ) {
+    assert && assert( solution instanceof MacroSolution, 'invalid solution' );
+
+    options = merge( {
+      rateRange: new RangeWithValue( 0, 1, 0.2 ), // range of the rate constant, in 1/day
+      daysPerSecond: 0.5, // simulated days per second of clock time
+      stepDays: 1, // simulated days that are advanced by each press of the step button
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.solution = solution;
+    this.daysPerSecond = options.daysPerSecond;
+    this.stepDays = options.stepDays;
+
+    // @public whether nitrification happens
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'whether ammonium is converted to nitrate over time'
+    } );
+
+    // @public rate constant, in 1/day
+    this.rateProperty = new NumberProperty( options.rateRange.defaultValue, {
+      range: options.rateRange,
+      tandem: options.tandem.createTandem( 'rateProperty' ),
+      phetioDocumentation: 'rate constant for nitrification, in 1/day'
+    } );
+
+    // @public whether the nitrification clock is running
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'isPlayingProperty' ),
+      phetioDocumentation: 'whether the nitrification clock is running'
+    } );
+
+    // @public (read-only) time that has elapsed on the nitrification clock, in simulated days
+    this.elapsedDaysProperty = new NumberProperty( 0, {
+      isValidValue: days => days >= 0,
+      tandem: options.tandem.createTandem( 'elapsedDaysProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'time that has elapsed on the nitrification clock, in simulated days',
+      phetioHighFrequency: true
+    } );
+
+    // @public concentration of ammonium (NH4+ and NH3) that has not been converted to nitrate, null if no solution
+    this.concentrationAmmoniumProperty = new DerivedProperty( [ solution.compositionProperty ],
+      composition => ( composition.totalVolume === 0 ) ? null :
+                     Math.max( 0, composition.ammoniumMoles / composition.totalVolume ), {
+        units: 'mol/L',
+        tandem: options.tandem.createTandem( 'concentrationAmmoniumProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'concentration of ammonium that has not been converted to nitrate',
+        phetioHighFrequency: true
+      } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.enabledProperty.reset();
+    this.rateProperty.reset();
+    this.isPlayingProperty.reset();
+    this.elapsedDaysProperty.reset();
+  }
+
+  /**
+   * Moves time forward by the specified amount, if the clock is running.
+   * @param {number} deltaSeconds - clock time change, in seconds
+   * @public
+   */
+  step( deltaSeconds ) {
+    if ( this.isPlayingProperty.get() ) {
+      this.stepDaysForward( this.daysPerSecond * deltaSeconds );
+    }
+  }
+
+  /**
+   * Advances the clock by one step, as when the step button is pressed.
+   * @public
+   */
+  stepForward() {
+    this.stepDaysForward( this.stepDays );
+  }
+
+  /**
+   * Advances the clock by some number of days, converting ammonium to nitrate. Nothing happens if nitrification
+   * is disabled, and the clock does not run.
+   * @param {number} deltaDays
+   * @private
+   */
+  stepDaysForward( deltaDays ) {
+    if ( this.enabledProperty.get() ) {
+      this.elapsedDaysProperty.set( this.elapsedDaysProperty.get() + deltaDays );
+      const composition = this.solution.compositionProperty.get();
+      if ( composition.ammoniumMoles > 0 ) {
+        const deltaMoles = composition.ammoniumMoles * ( 1 - Math.exp( -this.rateProperty.get() * deltaDays ) );
+        this.solution.compositionProperty.set( composition.withNitrification( deltaMoles ) );
+      }
+    }
+  }
+}
+
+phScale.register( 'Nitrification', Nitrification );
+export default Nitrification;
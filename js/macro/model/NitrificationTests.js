@@ -0,0 +1,75 @@
+// Copyright 2026, agent
+
+/**
+ * Nitrification tests, for the conversion of ammonium to nitrate over time.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Solute from '../../common/model/Solute.js';
+import MacroSolution from './MacroSolution.js';
+import Nitrification from './Nitrification.js';
+
+// constants
+const EPSILON = 1E-9; // for comparing moles
+const DAYS_PER_SECOND = 0.5;
+
+QUnit.module( 'Nitrification' );
+
+/**
+ * Creates a solution of ammonium nitrate fertilizer, and nitrification of it.
+ * @returns {{solution:MacroSolution, nitrification:Nitrification}}
+ */
+function createNitrification() {
+  const solution = new MacroSolution( new Property( Solute.AMMONIUM_NITRATE ), { tandem: Tandem.OPT_OUT } );
+  solution.addSolute( 0.5 );
+  const nitrification = new Nitrification( solution, {
+    daysPerSecond: DAYS_PER_SECOND,
+    tandem: Tandem.OPT_OUT
+  } );
+  return { solution: solution, nitrification: nitrification };
+}
+
+QUnit.test( 'nitrification', assert => {
+  const { solution, nitrification } = createNitrification();
+  const ammoniumMoles = solution.compositionProperty.get().ammoniumMoles;
+  const pH = solution.pHProperty.get();
+
+  nitrification.stepForward();
+  assert.equal( solution.compositionProperty.get().ammoniumMoles, ammoniumMoles, 'nothing happens unless it is enabled' );
+  assert.equal( nitrification.elapsedDaysProperty.get(), 0, 'the clock does not run unless it is enabled' );
+
+  // Ammonium decays exponentially, N0 * exp( -k * t ).
+  nitrification.enabledProperty.set( true );
+  for ( let i = 0; i < 10; i++ ) {
+    nitrification.stepForward();
+  }
+  assert.equal( nitrification.elapsedDaysProperty.get(), 10, 'elapsed days' );
+  const expectedMoles = ammoniumMoles * Math.exp( -nitrification.rateProperty.get() * 10 );
+  assert.ok( Math.abs( solution.compositionProperty.get().ammoniumMoles - expectedMoles ) < EPSILON,
+    'ammonium remaining after 10 days' );
+  assert.ok( Math.abs( nitrification.concentrationAmmoniumProperty.get() - expectedMoles / 0.5 ) < EPSILON,
+    'concentration of ammonium' );
+
+  // Each mole of ammonium that is converted releases 2 moles of H3O+, so the solution becomes strongly acidic.
+  assert.ok( solution.pHProperty.get() < pH - 2, `pH drops: ${pH} -> ${solution.pHProperty.get()}` );
+} );
+
+QUnit.test( 'clock', assert => {
+  const { solution, nitrification } = createNitrification();
+  nitrification.enabledProperty.set( true );
+
+  // The clock runs in simulated days.
+  nitrification.step( 2 );
+  assert.equal( nitrification.elapsedDaysProperty.get(), 2 * DAYS_PER_SECOND, 'clock is running' );
+
+  // When the clock is paused, time advances only by stepping.
+  const ammoniumMoles = solution.compositionProperty.get().ammoniumMoles;
+  nitrification.isPlayingProperty.set( false );
+  nitrification.step( 2 );
+  assert.equal( solution.compositionProperty.get().ammoniumMoles, ammoniumMoles, 'paused' );
+  nitrification.stepForward();
+  assert.ok( solution.compositionProperty.get().ammoniumMoles < ammoniumMoles, 'step while paused' );
+} );
@@ -0,0 +1,155 @@
+// Copyright 2026, agent
+
+/**
+ * WasteContainer is the container beneath the drain faucet, which collects the solution that is drained from the
+ * beaker. Drained batches are combined, so that the composition and pH of the waste describe all of the batches.
+ * The waste can be emptied (disposed of), or poured back into the beaker.
+ *
+ * Like MacroSolution, what is in the waste is described by compositionProperty, and all other Properties are derived
+ * from it. The waste does not exchange CO2 with the air, evaporate, or undergo nitrification.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import Beaker from '../../common/model/Beaker.js';
+import PHModel from '../../common/model/PHModel.js';
+import SolutionComposition from '../../common/model/SolutionComposition.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import phScale from '../../phScale.js';
+
+// constants
+const MIN_VOLUME = Math.pow( 10, -PHScaleConstants.VOLUME_DECIMAL_PLACES );
+
+class WasteContainer extends PhetioObject {
+
+  /**
+   * @param {Vector2} position - bottom center of the container
+   * @param {Property.<number>} pKwProperty - pKw of the waste, which is at the same temperature as the solution
+   * @param {Object} [options]
+   */
+  constructor( position, pKwProperty, options ) {
+
+    options = merge( {
+      volume: 2, // capacity, in L
+      size: new Dimension2( 120, 50 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioState: false,
+      phetioDocumentation: 'container beneath the drain faucet, which collects the solution that is drained from the beaker'
+    }, options );
+
+    super( options );
+
+    // @public (read-only) the shape and capacity of the container
+    this.beaker = new Beaker( position, {
+      volume: options.volume,
+      size: options.size
+    } );
+
+    // @public what is in the waste
+    this.compositionProperty = new Property( SolutionComposition.EMPTY, {
+      tandem: options.tandem.createTandem( 'compositionProperty' ),
+      phetioType: Property.PropertyIO( SolutionComposition.SolutionCompositionIO ),
+      phetioStudioControl: false,
+      phetioDocumentation: 'The composition of the waste, combined from all of the solution that has been drained. ' +
+                           `The total volume should be <= ${options.volume}`,
+      phetioHighFrequency: true
+    } );
+
+    // @public total volume of the waste
+    this.totalVolumeProperty = new DerivedProperty( [ this.compositionProperty ],
+      composition => composition.totalVolume, {
+        units: 'L',
+        tandem: options.tandem.createTandem( 'totalVolumeProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'total volume of the waste',
+        phetioHighFrequency: true
+      } );
+
+    // @public pH of the waste, null if the container is empty
+    this.pHProperty = new DerivedProperty( [ this.compositionProperty, pKwProperty ],
+      ( composition, pKw ) => PHModel.computePH( composition.netMolesH3O, composition.totalVolume,
+        composition.acidBaseSystems, pKw, composition.spectatorIonicStrength ), {
+        tandem: options.tandem.createTandem( 'pHProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'pH of the waste, null if the container is empty',
+        phetioHighFrequency: true
+      } );
+
+    // @public color
+    this.colorProperty = new DerivedProperty( [ this.compositionProperty ],
+      composition => composition.computeColor(), {
+        // DO NOT INSTRUMENT FOR PhET-iO
+      } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.compositionProperty.reset();
+  }
+
+  /**
+   * Gets the amount of volume that is available to fill.
+   * @returns {number} L
+   * @public
+   */
+  getFreeVolume() {
+    return this.beaker.volume - this.totalVolumeProperty.get();
+  }
+
+  /**
+   * Adds solution to the waste. The caller is responsible for ensuring that the solution fits in the container.
+   * @param {SolutionComposition} composition
+   * @public
+   */
+  addSolution( composition ) {
+    assert && assert( composition.totalVolume <= this.getFreeVolume() + MIN_VOLUME,
+      `solution does not fit: ${composition.totalVolume}` );
+    this.compositionProperty.set( this.compositionProperty.get().withSolution( composition ) );
+  }
+
+  /**
+   * Removes a specified amount of waste, as when it is poured. Equal percentages of water and each solute are removed.
+   * @param {number} volume - L
+   * @returns {SolutionComposition} the waste that was removed
+   * @public
+   */
+  removeSolution( volume ) {
+    let removedComposition = SolutionComposition.EMPTY;
+    const composition = this.compositionProperty.get();
+    const totalVolume = composition.totalVolume;
+    if ( volume > 0 && totalVolume > 0 ) {
+      if ( totalVolume - volume < MIN_VOLUME ) {
+        removedComposition = composition;
+        this.compositionProperty.set( SolutionComposition.EMPTY );
+      }
+      else {
+        removedComposition = composition.scaled( volume / totalVolume );
+        this.compositionProperty.set( composition.scaled( 1 - volume / totalVolume ) );
+      }
+    }
+    return removedComposition;
+  }
+
+  /**
+   * Empties the container, disposing of the waste.
+   * @public
+   */
+  empty() {
+    this.compositionProperty.set( SolutionComposition.EMPTY );
+  }
+}
+
+phScale.register( 'WasteContainer', WasteContainer );
+export default WasteContainer;
@@ -0,0 +1,75 @@
+// Copyright 2026, agent
+
+/**
+ * WasteContainer tests, for combining drained batches of solution, and pouring the waste back into the beaker.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Solute from '../../common/model/Solute.js';
+import MacroSolution from './MacroSolution.js';
+import WasteContainer from './WasteContainer.js';
+
+// constants
+const TOLERANCE = 0.02; // pH units
+const EPSILON = 1E-9; // for comparing volumes (L) and moles
+
+QUnit.module( 'WasteContainer' );
+
+/**
+ * Creates a solution of a solute's stock solution.
+ * @param {Solute} solute
+ * @param {number} volume - L
+ * @returns {MacroSolution}
+ */
+function createSolution( solute, volume ) {
+  const solution = new MacroSolution( new Property( solute ), { tandem: Tandem.OPT_OUT } );
+  solution.addSolute( volume );
+  return solution;
+}
+
+/**
+ * Creates an empty waste container.
+ * @param {MacroSolution} solution - the waste is at the same temperature as this solution
+ * @returns {WasteContainer}
+ */
+function createWasteContainer( solution ) {
+  return new WasteContainer( new Vector2( 0, 0 ), solution.pKwProperty, { tandem: Tandem.OPT_OUT } );
+}
+
+QUnit.test( 'combining batches', assert => {
+  const acid = createSolution( Solute.HYDROCHLORIC_ACID, 0.5 );
+  const base = createSolution( Solute.SODIUM_HYDROXIDE, 0.5 );
+  const wasteContainer = createWasteContainer( acid );
+
+  // An acidic batch, and then a basic batch with the same moles of OH-, neutralize each other.
+  wasteContainer.addSolution( acid.drainSolution( 0.2 ) );
+  assert.ok( Math.abs( wasteContainer.pHProperty.get() - acid.pHProperty.get() ) <= TOLERANCE, 'acidic waste' );
+  wasteContainer.addSolution( base.drainSolution( 0.2 ) );
+  assert.ok( Math.abs( wasteContainer.totalVolumeProperty.get() - 0.4 ) < EPSILON, 'volume of the waste' );
+  assert.ok( Math.abs( wasteContainer.pHProperty.get() - 7 ) <= TOLERANCE, `neutralized: ${wasteContainer.pHProperty.get()}` );
+
+  wasteContainer.empty();
+  assert.equal( wasteContainer.pHProperty.get(), null, 'pH of an empty container' );
+} );
+
+QUnit.test( 'pour back', assert => {
+  const solution = createSolution( Solute.HYDROCHLORIC_ACID, 0.5 );
+  const wasteContainer = createWasteContainer( solution );
+  wasteContainer.addSolution( solution.drainSolution( 0.3 ) );
+  const molesPerLiter = wasteContainer.compositionProperty.get().getMoles( Solute.HYDROCHLORIC_ACID ) / 0.3;
+
+  // Pour back as much as fits in the beaker, as MacroModel.pourWasteIntoBeaker does. The rest stays in the container.
+  solution.addWater( solution.getFreeVolume() - 0.1 );
+  const volume = Math.min( wasteContainer.totalVolumeProperty.get(), solution.getFreeVolume() );
+  solution.addSolution( wasteContainer.removeSolution( volume ) );
+  assert.ok( Math.abs( solution.getFreeVolume() ) < EPSILON, 'the beaker is full' );
+  assert.ok( Math.abs( wasteContainer.totalVolumeProperty.get() - 0.2 ) < EPSILON, 'the rest stays in the container' );
+  assert.ok( Math.abs( wasteContainer.compositionProperty.get().getMoles( Solute.HYDROCHLORIC_ACID ) - 0.2 * molesPerLiter ) < EPSILON,
+    'the waste that remains has the same concentration' );
+  assert.ok( Math.abs( solution.compositionProperty.get().getMoles( Solute.HYDROCHLORIC_ACID ) - 0.3 * molesPerLiter ) < EPSILON,
+    'the beaker gets the acid that was poured back' );
+} );
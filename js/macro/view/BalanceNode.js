@@ -0,0 +1,186 @@
+// Copyright 2026, agent
+
+/**
+ * BalanceNode is the balance for weighing a solid, with a combo box for choosing the solid, buttons that add scoops of
+ * the solid to the pan, and buttons for emptying the pan and for dissolving the solid in the solution. The balance
+ * displays the mass of the solid, and the moles that it contains.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+
+// constants
+const ITEM_FONT = new PhetFont( 14 );
+const BUTTON_FONT = new PhetFont( 12 );
+const READOUT_FONT = new PhetFont( { size: 14, family: 'Courier New, monospace', weight: 'bold' } );
+const LABEL_FONT = new PhetFont( 14 );
+const PAN_WIDTH = 140;
+const MAX_PILE_HEIGHT = 30; // height of the pile of solid when the pan holds the maximum mass
+const MASS_DECIMAL_PLACES = 2;
+const MOLES_DECIMAL_PLACES = 4;
+
+class BalanceNode extends Node {
+
+  /**
+   * @param {Balance} balance
+   * @param {Node} solidListParent - parent for the combo box's list
+   * @param {Object} [options]
+   */
+  constructor( balance, solidListParent, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'balance for weighing a solid that is dissolved in the solution'
+    }, options );
+
+    super( options );
+
+    // solid combo box
+    const items = balance.solids.map( solid => new ComboBoxItem( new Text( solid.name, {
+      font: ITEM_FONT,
+      maxWidth: 150
+    } ), solid, {
+      a11yLabel: solid.name,
+      tandemName: `${solid.tandemName}Item` // Item suffix is required by ComboBoxItem
+    } ) );
+    const solidComboBox = new ComboBox( items, balance.solidProperty, solidListParent, {
+      listPosition: 'below',
+      xMargin: 10,
+      yMargin: 6,
+      highlightFill: 'rgb( 218, 255, 255 )',
+      cornerRadius: 8,
+      tandem: options.tandem.createTandem( 'solidComboBox' )
+    } );
+
+    // the balance: a pile of solid on a pan, and a base with a readout of the mass
+    const pileNode = new Path( null, {
+      stroke: 'rgb( 150, 150, 150 )',
+      lineWidth: 1
+    } );
+    const panNode = new Rectangle( 0, 0, PAN_WIDTH, 6, {
+      cornerRadius: 3,
+      fill: 'rgb( 200, 200, 200 )',
+      stroke: 'black'
+    } );
+    const postNode = new Rectangle( 0, 0, 12, 12, {
+      fill: 'rgb( 120, 120, 120 )',
+      centerX: panNode.centerX,
+      top: panNode.bottom
+    } );
+    const baseNode = new Rectangle( 0, 0, PAN_WIDTH + 20, 40, {
+      cornerRadius: 6,
+      fill: 'rgb( 90, 90, 90 )',
+      stroke: 'black',
+      centerX: panNode.centerX,
+      top: postNode.bottom
+    } );
+    const massText = new Text( '', {
+      font: READOUT_FONT,
+      maxWidth: PAN_WIDTH - 20
+    } );
+    const readoutNode = new Rectangle( 0, 0, PAN_WIDTH - 10, 24, {
+      cornerRadius: 4,
+      fill: 'white',
+      stroke: 'black',
+      center: baseNode.center
+    } );
+
+    // invisible, so that the bounds of the balance do not change as the pile grows
+    const maxPileNode = new Rectangle( panNode.centerX - 2 * MAX_PILE_HEIGHT, panNode.top - MAX_PILE_HEIGHT,
+      4 * MAX_PILE_HEIGHT, MAX_PILE_HEIGHT );
+
+    const balanceNode = new Node( {
+      children: [ maxPileNode, pileNode, panNode, postNode, baseNode, readoutNode, massText ]
+    } );
+
+    // moles of solid on the pan
+    const molesText = new Text( '', {
+      font: LABEL_FONT,
+      maxWidth: PAN_WIDTH + 20,
+      tandem: options.tandem.createTandem( 'molesText' )
+    } );
+
+    balance.massProperty.link( mass => {
+      massText.text = StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( mass, MASS_DECIMAL_PLACES ), phScaleStrings.units.grams );
+      massText.center = readoutNode.center;
+
+      // The area of the pile is proportional to the mass.
+      const height = MAX_PILE_HEIGHT * Math.sqrt( mass / balance.massProperty.range.max );
+      pileNode.shape = ( mass === 0 ) ? null :
+                       new Shape().ellipticalArc( panNode.centerX, panNode.top, 2 * height, height, 0, Math.PI, 0, false ).close();
+    } );
+
+    balance.solidProperty.link( solid => {
+      pileNode.fill = solid.stockColor;
+    } );
+
+    balance.molesProperty.link( moles => {
+      molesText.text = StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( moles, MOLES_DECIMAL_PLACES ), phScaleStrings.units.moles );
+    } );
+
+    // buttons that add scoops of solid, e.g. '+1 g'
+    const scoopButtons = balance.scoopMasses.map( ( scoopMass, index ) => new TextPushButton(
+      StringUtils.format( phScaleStrings.pattern.plus0value, StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+        scoopMass, phScaleStrings.units.grams ) ), {
+        font: BUTTON_FONT,
+        maxWidth: 60,
+        enabledProperty: new DerivedProperty( [ balance.massProperty ], mass => mass < balance.massProperty.range.max ),
+        listener: () => balance.addScoop( scoopMass ),
+        tandem: options.tandem.createTandem( `scoop${index}Button` )
+      } ) );
+
+    // buttons that empty the pan, and dissolve the solid in the solution. The dissolve button is disabled when none of
+    // the solid can dissolve, e.g. when the beaker is empty or the solution is saturated.
+    const hasSolidProperty = new DerivedProperty( [ balance.massProperty ], mass => mass > 0 );
+    const emptyButton = new TextPushButton( phScaleStrings.empty, {
+      font: BUTTON_FONT,
+      maxWidth: 80,
+      enabledProperty: hasSolidProperty,
+      listener: () => balance.empty(),
+      tandem: options.tandem.createTandem( 'emptyButton' )
+    } );
+    const dissolveButton = new TextPushButton( phScaleStrings.dissolve, {
+      font: BUTTON_FONT,
+      maxWidth: 80,
+      enabledProperty: new DerivedProperty( [ balance.dissolvableMolesProperty ], moles => moles > 0 ),
+      listener: () => balance.dissolve(),
+      tandem: options.tandem.createTandem( 'dissolveButton' )
+    } );
+
+    this.addChild( new VBox( {
+      spacing: 8,
+      children: [
+        solidComboBox,
+        balanceNode,
+        molesText,
+        new HBox( { spacing: 5, children: scoopButtons } ),
+        new HBox( { spacing: 10, children: [ emptyButton, dissolveButton ] } )
+      ]
+    } ) );
+  }
+}
+
+phScale.register( 'BalanceNode', BalanceNode );
+export default BalanceNode;
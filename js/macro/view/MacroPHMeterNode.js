@@ -8,6 +8,7 @@
  * - output of the water faucet
  * - output of the drain faucet
  * - output of the dropper
+ * - waste in the waste container
  *
  * Rather than trying to model the shapes of all of these fluids, we handle 'probe is in fluid'
  * herein via intersection of node shapes.
@@ -32,7 +33,6 @@ import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
-import Water from '../../common/model/Water.js';
 import PHScaleColors from '../../common/PHScaleColors.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import phScale from '../../phScale.js';
@@ -53,17 +53,20 @@ class MacroPHMeterNode extends Node {
 
   /**
    * @param {MacroPHMeter} meter
-   * @param {MicroSolution|MySolution} solution
+   * @param {MacroSolution|MySolution} solution
    * @param {Dropper} dropper
+   * @param {Property.<WaterSource>} waterSourceProperty - source of the water that comes out of the water faucet
+   * @param {WasteContainer} wasteContainer
    * @param {Node} solutionNode
    * @param {Node} dropperFluidNode
    * @param {Node} waterFluidNode
    * @param {Node} drainFluidNode
+   * @param {Node} wasteNode - the waste in the waste container
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( meter, solution, dropper, solutionNode, dropperFluidNode, waterFluidNode, drainFluidNode,
-               modelViewTransform, options ) {
+  constructor( meter, solution, dropper, waterSourceProperty, wasteContainer, solutionNode, dropperFluidNode,
+               waterFluidNode, drainFluidNode, wasteNode, modelViewTransform, options ) {
 
     options = merge( {
 
@@ -85,7 +88,8 @@ class MacroPHMeterNode extends Node {
 
     // interactive probe
     const probeNode = new PHProbeNode( meter.probe, modelViewTransform, solutionNode, dropperFluidNode,
-      waterFluidNode, drainFluidNode, {
+      waterFluidNode, drainFluidNode, wasteNode, {
+        end: () => meter.probeReleasedEmitter.emit(),
         tandem: options.tandem.createTandem( 'probeNode' ),
         inputEnabledPropertyPhetioInstrumented: true
       } );
@@ -106,14 +110,19 @@ class MacroPHMeterNode extends Node {
 
     const updateValue = () => {
       let pH;
-      if ( probeNode.isInSolution() || probeNode.isInDrainFluid() ) {
+      if ( probeNode.isInWaste() ) {
+
+        // This is checked first, because the drain fluid overlaps the waste container that it falls into.
+        pH = wasteContainer.pHProperty.get();
+      }
+      else if ( probeNode.isInSolution() || probeNode.isInDrainFluid() ) {
         pH = solution.pHProperty.get();
       }
       else if ( probeNode.isInWater() ) {
-        pH = Water.pH;
+        pH = waterSourceProperty.get().computePH( solution.pKwProperty.get() ); // water from the faucet is at the solution's temperature
       }
       else if ( probeNode.isInDropperSolution() ) {
-        pH = dropper.soluteProperty.get().pH;
+        pH = dropper.pHProperty.get();
       }
       else {
         pH = null;
@@ -122,11 +131,16 @@ class MacroPHMeterNode extends Node {
     };
     meter.probe.positionProperty.link( updateValue );
     solution.soluteProperty.link( updateValue );
+    dropper.pHProperty.link( updateValue );
+    waterSourceProperty.link( updateValue );
     solution.pHProperty.link( updateValue );
+    solution.pKwProperty.link( updateValue );
     solutionNode.boundsProperty.lazyLink( updateValue );
     dropperFluidNode.boundsProperty.lazyLink( updateValue );
     waterFluidNode.boundsProperty.lazyLink( updateValue );
     drainFluidNode.boundsProperty.lazyLink( updateValue );
+    wasteContainer.pHProperty.link( updateValue );
+    wasteNode.boundsProperty.lazyLink( updateValue );
 
     // Create a link to pHProperty, so it's easier to find in Studio.
     this.addLinkedElement( meter.pHProperty, {
@@ -235,9 +249,11 @@ class PHProbeNode extends ProbeNode {
    * @param {Node} dropperFluidNode
    * @param {Node} waterFluidNode
    * @param {Node} drainFluidNode
+   * @param {Node} wasteNode
    * @param {Object} [options]
    */
-  constructor( probe, modelViewTransform, solutionNode, dropperFluidNode, waterFluidNode, drainFluidNode, options ) {
+  constructor( probe, modelViewTransform, solutionNode, dropperFluidNode, waterFluidNode, drainFluidNode, wasteNode,
+               options ) {
 
     options = merge( {
       sensorTypeFunction: ProbeNode.crosshairs( {
@@ -252,6 +268,7 @@ class PHProbeNode extends ProbeNode {
       color: 'rgb( 35, 129, 0 )',
       rotation: Math.PI / 2,
       cursor: 'pointer',
+      end: _.noop, // {function} called when the user releases the probe
 
       // phet-io
       tandem: Tandem.REQUIRED,
@@ -260,7 +277,7 @@ class PHProbeNode extends ProbeNode {
       }
     }, options );
 
-    super( options );
+    super( _.omit( options, 'end' ) );
 
     // probe position
     probe.positionProperty.link( position => {
@@ -275,6 +292,7 @@ class PHProbeNode extends ProbeNode {
       positionProperty: probe.positionProperty,
       dragBoundsProperty: new Property( probe.dragBounds ),
       transform: modelViewTransform,
+      end: options.end,
       tandem: options.tandem.createTandem( 'dragListener' )
     } ) );
 
@@ -283,6 +301,7 @@ class PHProbeNode extends ProbeNode {
     this.isInWater = () => isInNode( waterFluidNode );
     this.isInDrainFluid = () => isInNode( drainFluidNode );
     this.isInDropperSolution = () => isInNode( dropperFluidNode );
+    this.isInWaste = () => isInNode( wasteNode );
   }
 }
 
@@ -6,28 +6,42 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
-import Property from '../../../../axon/js/Property.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import EyeDropperNode from '../../../../scenery-phet/js/EyeDropperNode.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
-import Water from '../../common/model/Water.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import BeakerNode from '../../common/view/BeakerNode.js';
+import BufferCapacityPanel from '../../common/view/BufferCapacityPanel.js';
+import CarbonatePanel from '../../common/view/CarbonatePanel.js';
+import DataLoggerCheckbox from '../../common/view/DataLoggerCheckbox.js';
+import DataLoggerNode from '../../common/view/DataLoggerNode.js';
 import DrainFaucetNode from '../../common/view/DrainFaucetNode.js';
 import DropperFluidNode from '../../common/view/DropperFluidNode.js';
+import EvaporationPanel from '../../common/view/EvaporationPanel.js';
+import ExportDataButton from '../../common/view/ExportDataButton.js';
 import FaucetFluidNode from '../../common/view/FaucetFluidNode.js';
+import LabNotebookCheckbox from '../../common/view/LabNotebookCheckbox.js';
+import LabNotebookNode from '../../common/view/LabNotebookNode.js';
 import PHDropperNode from '../../common/view/PHDropperNode.js';
-import SoluteComboBox from '../../common/view/SoluteComboBox.js';
+import PHScaleViewProperties from '../../common/view/PHScaleViewProperties.js';
+import SoluteSelectorNode from '../../common/view/SoluteSelectorNode.js';
 import SolutionNode from '../../common/view/SolutionNode.js';
+import SpeciationChartNode from '../../common/view/SpeciationChartNode.js';
+import TemperatureControl from '../../common/view/TemperatureControl.js';
 import VolumeIndicatorNode from '../../common/view/VolumeIndicatorNode.js';
 import WaterFaucetNode from '../../common/view/WaterFaucetNode.js';
 import phScale from '../../phScale.js';
+import BalanceNode from './BalanceNode.js';
 import MacroPHMeterNode from './MacroPHMeterNode.js';
 import NeutralIndicatorNode from './NeutralIndicatorNode.js';
+import NitrificationPanel from './NitrificationPanel.js';
+import WasteContainerNode from './WasteContainerNode.js';
 
 class MacroScreenView extends ScreenView {
 
@@ -44,6 +58,11 @@ class MacroScreenView extends ScreenView {
       tandem: tandem
     } ) );
 
+    // The Macro screen has no Ratio or Molecule Count views.
+    const viewProperties = new PHScaleViewProperties( tandem.createTandem( 'viewProperties' ), {
+      includeBeakerViews: false
+    } );
+
     // beaker
     const beakerNode = new BeakerNode( model.beaker, modelViewTransform, {
       tandem: tandem.createTandem( 'beakerNode' )
@@ -70,18 +89,28 @@ class MacroScreenView extends ScreenView {
     dropperNode.setScaleMagnitude( DROPPER_SCALE );
     const dropperFluidNode = new DropperFluidNode( model.dropper, model.beaker, DROPPER_SCALE * EyeDropperNode.TIP_WIDTH, modelViewTransform );
 
+    // @private drops are animated by step
+    this.dropperFluidNode = dropperFluidNode;
+
     // faucets
-    const waterFaucetNode = new WaterFaucetNode( model.waterFaucet, modelViewTransform, {
+    const waterSourceListParent = new Node();
+    const waterFaucetNode = new WaterFaucetNode( model.waterFaucet, model.waterSourceProperty, waterSourceListParent, modelViewTransform, {
       tandem: tandem.createTandem( 'waterFaucetNode' )
     } );
     const drainFaucetNode = new DrainFaucetNode( model.drainFaucet, modelViewTransform, {
       tandem: tandem.createTandem( 'drainFaucetNode' )
     } );
 
+    // waste container beneath the drain faucet
+    const wasteContainerNode = new WasteContainerNode( model, modelViewTransform, {
+      tandem: tandem.createTandem( 'wasteContainerNode' )
+    } );
+
     // fluids coming out of faucets
+    const waterColorProperty = new DerivedProperty( [ model.waterSourceProperty ], waterSource => waterSource.color );
     const WATER_FLUID_HEIGHT = model.beaker.position.y - model.waterFaucet.position.y;
-    const DRAIN_FLUID_HEIGHT = 1000; // tall enough that resizing the play area is unlikely to show bottom of fluid
-    const waterFluidNode = new FaucetFluidNode( model.waterFaucet, new Property( Water.color ), WATER_FLUID_HEIGHT, modelViewTransform );
+    const DRAIN_FLUID_HEIGHT = model.wasteContainer.beaker.position.y - model.drainFaucet.position.y; // falls into the waste
+    const waterFluidNode = new FaucetFluidNode( model.waterFaucet, waterColorProperty, WATER_FLUID_HEIGHT, modelViewTransform );
     const drainFluidNode = new FaucetFluidNode( model.drainFaucet, model.solution.colorProperty, DRAIN_FLUID_HEIGHT, modelViewTransform );
 
     // Hide fluids when their faucets are hidden. See https://github.com/phetsims/ph-scale/issues/107
@@ -93,16 +122,81 @@ class MacroScreenView extends ScreenView {
     } );
 
     // pH meter
-    const pHMeterNode = new MacroPHMeterNode( model.pHMeter, model.solution, model.dropper,
-      solutionNode, dropperFluidNode, waterFluidNode, drainFluidNode, modelViewTransform, {
+    const pHMeterNode = new MacroPHMeterNode( model.pHMeter, model.solution, model.dropper, model.waterSourceProperty,
+      model.wasteContainer, solutionNode, dropperFluidNode, waterFluidNode, drainFluidNode, wasteContainerNode.solutionNode,
+      modelViewTransform, {
         tandem: tandem.createTandem( 'pHMeterNode' )
       } );
 
-    // solutes combo box
+    // solutes combo box, including custom solutes
     const soluteListParent = new Node();
-    const soluteComboBox = new SoluteComboBox( model.solutes, model.dropper.soluteProperty, soluteListParent, {
-      maxWidth: 400,
-      tandem: tandem.createTandem( 'soluteComboBox' )
+    const soluteSelectorNode = new SoluteSelectorNode( model.solutes, model.dropper.soluteProperty, soluteListParent, {
+      maxWidth: 580,
+      tandem: tandem.createTandem( 'soluteSelectorNode' )
+    } );
+
+    // balance, for weighing solids that are dissolved in the solution
+    const balanceNode = new BalanceNode( model.balance, soluteListParent, {
+      tandem: tandem.createTandem( 'balanceNode' )
+    } );
+
+    // speciation of polyprotic acids
+    const speciationChartNode = new SpeciationChartNode( model.speciation, model.solution.pHProperty, {
+      tandem: tandem.createTandem( 'speciationChartNode' )
+    } );
+
+    // buffer capacity of the solution
+    const bufferCapacityPanel = new BufferCapacityPanel( model.solution.bufferCapacityProperty, {
+      tandem: tandem.createTandem( 'bufferCapacityPanel' )
+    } );
+
+    // temperature of the solution
+    const temperatureControl = new TemperatureControl( model.solution.temperatureProperty, {
+      tandem: tandem.createTandem( 'temperatureControl' )
+    } );
+
+    // exchange of CO2 with the air, and the carbonate species
+    const carbonatePanel = new CarbonatePanel( model.solution.co2ExchangeEnabledProperty,
+      model.solution.carbonateConcentrationProperties, {
+        tandem: tandem.createTandem( 'carbonatePanel' )
+      } );
+
+    // evaporation of water, and time lapse
+    const evaporationPanel = new EvaporationPanel( model.solution.evaporationEnabledProperty,
+      model.solution.evaporationRateProperty, model.timeLapseFactorProperty, {
+        tandem: tandem.createTandem( 'evaporationPanel' )
+      } );
+
+    // conversion of ammonium to nitrate
+    const nitrificationPanel = new NitrificationPanel( model.nitrification, {
+      tandem: tandem.createTandem( 'nitrificationPanel' )
+    } );
+
+    // data logger, the checkbox that shows it, and the button that exports its data
+    const dataLoggerNode = new DataLoggerNode( model.dataLogger, model.beaker.volume, this.layoutBounds, {
+      visibleProperty: viewProperties.dataLoggerVisibleProperty,
+      tandem: tandem.createTandem( 'dataLoggerNode' )
+    } );
+    const dataLoggerCheckbox = new DataLoggerCheckbox( viewProperties.dataLoggerVisibleProperty, {
+      tandem: tandem.createTandem( 'dataLoggerCheckbox' )
+    } );
+    const exportDataButton = new ExportDataButton( model.dataLogger, model.solution.derivedProperties, {
+      tandem: tandem.createTandem( 'exportDataButton' )
+    } );
+
+    // lab notebook, and the checkbox that shows it
+    const labNotebookNode = new LabNotebookNode( model, this.layoutBounds, {
+      visibleProperty: viewProperties.labNotebookVisibleProperty,
+      tandem: tandem.createTandem( 'labNotebookNode' )
+    } );
+    const labNotebookCheckbox = new LabNotebookCheckbox( viewProperties.labNotebookVisibleProperty, {
+      tandem: tandem.createTandem( 'labNotebookCheckbox' )
+    } );
+
+    const dataControlsNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ dataLoggerCheckbox, labNotebookCheckbox, exportDataButton ]
     } );
 
     const resetAllButton = new ResetAllButton( {
@@ -110,6 +204,10 @@ class MacroScreenView extends ScreenView {
       listener: () => {
         this.interruptSubtreeInput();
         model.reset();
+        viewProperties.reset();
+        speciationChartNode.reset();
+        dataLoggerNode.reset();
+        labNotebookNode.reset();
       },
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
@@ -122,30 +220,68 @@ class MacroScreenView extends ScreenView {
         waterFaucetNode,
         drainFluidNode,
         drainFaucetNode,
+        wasteContainerNode,
+        balanceNode,
         dropperFluidNode,
         dropperNode,
         solutionNode,
         beakerNode,
         neutralIndicatorNode,
         volumeIndicatorNode,
-        soluteComboBox,
+        bufferCapacityPanel,
+        soluteSelectorNode,
+        temperatureControl,
+        carbonatePanel,
+        evaporationPanel,
+        nitrificationPanel,
+        speciationChartNode,
+        dataControlsNode,
         resetAllButton,
         pHMeterNode, // next to last so that probe doesn't get lost behind anything
-        soluteListParent // last, so that combo box list is on top
+        dataLoggerNode, // floating panels are above everything but the combo box lists
+        labNotebookNode,
+        waterSourceListParent,
+        soluteListParent // last, so that combo box lists are on top
       ]
     } );
     this.addChild( rootNode );
 
     // Layout of nodes that don't have a position specified in the model
-    soluteComboBox.left = modelViewTransform.modelToViewX( model.beaker.left ) - 20; // anchor on left so it grows to the right during i18n
-    soluteComboBox.top = this.layoutBounds.top + 15;
+    soluteSelectorNode.left = modelViewTransform.modelToViewX( model.beaker.left ) - 20; // anchor on left so it grows to the right during i18n
+    soluteSelectorNode.top = this.layoutBounds.top + 15;
+    temperatureControl.right = this.layoutBounds.right - 20;
+    temperatureControl.top = soluteSelectorNode.bottom + 20;
+    carbonatePanel.right = temperatureControl.right;
+    carbonatePanel.top = temperatureControl.bottom + 10;
+    evaporationPanel.right = carbonatePanel.right;
+    evaporationPanel.top = carbonatePanel.bottom + 10;
+    nitrificationPanel.right = evaporationPanel.right;
+    nitrificationPanel.top = evaporationPanel.bottom + 10;
+    balanceNode.right = modelViewTransform.modelToViewX( model.drainFaucet.position.x ) - 50;
+    balanceNode.top = beakerNode.top + 40;
     neutralIndicatorNode.centerX = beakerNode.centerX;
     neutralIndicatorNode.bottom = beakerNode.bottom - 30;
+    bufferCapacityPanel.centerX = beakerNode.centerX;
+    bufferCapacityPanel.top = beakerNode.bottom + 15;
+    speciationChartNode.left = this.layoutBounds.left + 20;
+    speciationChartNode.expandedProperty.link( () => {
+      speciationChartNode.bottom = this.layoutBounds.bottom - 20; // anchored at bottom, so that it expands upward
+    } );
     resetAllButton.right = this.layoutBounds.right - 40;
     resetAllButton.bottom = this.layoutBounds.bottom - 20;
+    dataControlsNode.right = resetAllButton.left - 30;
+    dataControlsNode.centerY = resetAllButton.centerY;
 
     model.isAutofillingProperty.link( () => dropperNode.interruptSubtreeInput() );
   }
+
+  /**
+   * @param {number} dt - time change, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.dropperFluidNode.step( dt );
+  }
 }
 
 phScale.register( 'MacroScreenView', MacroScreenView );
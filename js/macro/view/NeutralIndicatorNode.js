@@ -7,6 +7,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
@@ -19,7 +20,7 @@ import phScaleStrings from '../../phScaleStrings.js';
 class NeutralIndicatorNode extends Node {
 
   /**
-   * @param {MacroSolution|MicroSolution|MySolution} solution
+   * @param {MacroSolution|MySolution} solution
    * @param {Object} [options]
    */
   constructor( solution, options ) {
@@ -55,8 +56,8 @@ class NeutralIndicatorNode extends Node {
     } );
     this.addChild( parentNode );
 
-    // Make parentNode node visible when the solution has neutral pH.
-    solution.pHProperty.link( pH => {
+    // Make parentNode node visible when the solution has neutral pH, which depends on temperature.
+    Property.multilink( [ solution.pHProperty, solution.pKwProperty ], ( pH, pKw ) => {
       parentNode.setVisible( solution.isEquivalentToWater() );
     } );
   }
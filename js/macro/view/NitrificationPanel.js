@@ -0,0 +1,135 @@
+// Copyright 2026, agent
+
+/**
+ * NitrificationPanel has controls for nitrification: a checkbox to enable it, a slider for its rate, and a clock
+ * (in simulated days) with play/pause and step buttons. It also displays the concentration of ammonium that remains.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PlayPauseButton from '../../../../scenery-phet/js/buttons/PlayPauseButton.js';
+import StepForwardButton from '../../../../scenery-phet/js/buttons/StepForwardButton.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ScientificNotationNode from '../../../../scenery-phet/js/ScientificNotationNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Ion from '../../common/model/Ion.js';
+import PHScaleColors from '../../common/PHScaleColors.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import Nitrification from '../model/Nitrification.js';
+
+// constants
+const FONT = new PhetFont( 16 );
+const TICK_FONT = new PhetFont( 12 );
+const MAX_DISPLAYED_DAYS = 999;
+
+class NitrificationPanel extends Panel {
+
+  /**
+   * @param {Nitrification} nitrification
+   * @param {Object} [options]
+   */
+  constructor( nitrification, options ) {
+    assert && assert( nitrification instanceof Nitrification, 'invalid nitrification' );
+
+    options = merge( {
+      xMargin: 10,
+      yMargin: 8,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'controls for the conversion of ammonium to nitrate'
+    }, options );
+
+    const enabledCheckbox = new Checkbox( new Text( phScaleStrings.nitrification, {
+      font: FONT,
+      maxWidth: 200
+    } ), nitrification.enabledProperty, {
+      tandem: options.tandem.createTandem( 'enabledCheckbox' )
+    } );
+
+    // rate, enabled when nitrification is enabled
+    const rateRange = nitrification.rateProperty.range;
+    const rateSlider = new HSlider( nitrification.rateProperty, rateRange, {
+      enabledProperty: nitrification.enabledProperty,
+      trackSize: new Dimension2( 150, 4 ),
+      thumbSize: new Dimension2( 13, 26 ),
+      tandem: options.tandem.createTandem( 'rateSlider' )
+    } );
+    rateSlider.addMajorTick( rateRange.min, new Text( phScaleStrings.slow, { font: TICK_FONT, maxWidth: 60 } ) );
+    rateSlider.addMajorTick( rateRange.max, new Text( phScaleStrings.fast, { font: TICK_FONT, maxWidth: 60 } ) );
+
+    // clock, e.g. 'Elapsed Time: 2.5 days'
+    const clockDisplay = new NumberDisplay( nitrification.elapsedDaysProperty, new Range( 0, MAX_DISPLAYED_DAYS ), {
+      valuePattern: StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ], '{{value}}',
+        phScaleStrings.units.days ),
+      decimalPlaces: 1,
+      textOptions: {
+        font: FONT
+      },
+      backgroundFill: 'white',
+      tandem: options.tandem.createTandem( 'clockDisplay' )
+    } );
+    const clockNode = new HBox( {
+      spacing: 8,
+      children: [
+        new Text( `${phScaleStrings.elapsedTime}:`, { font: FONT, maxWidth: 120 } ),
+        clockDisplay
+      ]
+    } );
+
+    // time controls for the clock
+    const playPauseButton = new PlayPauseButton( nitrification.isPlayingProperty, {
+      radius: 16,
+      tandem: options.tandem.createTandem( 'playPauseButton' )
+    } );
+    const stepForwardButton = new StepForwardButton( {
+      isPlayingProperty: nitrification.isPlayingProperty,
+      listener: () => nitrification.stepForward(),
+      radius: 12,
+      tandem: options.tandem.createTandem( 'stepForwardButton' )
+    } );
+    const timeControlsNode = new HBox( {
+      spacing: 8,
+      children: [ playPauseButton, stepForwardButton ]
+    } );
+
+    // ammonium that remains, e.g. 'NH4+: 1.2 x 10^-2 mol/L'
+    const ammoniumNode = new HBox( {
+      spacing: 8,
+      children: [
+        new RichText( `${Ion.AMMONIUM.formula}:`, { font: FONT } ),
+        new ScientificNotationNode( nitrification.concentrationAmmoniumProperty, {
+          font: FONT,
+          mantissaDecimalPlaces: 1
+        } ),
+        new Text( phScaleStrings.units.molesPerLiter, { font: FONT, maxWidth: 60 } )
+      ]
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ enabledCheckbox, rateSlider, clockNode, timeControlsNode, ammoniumNode ]
+    } );
+
+    super( content, options );
+  }
+}
+
+phScale.register( 'NitrificationPanel', NitrificationPanel );
+export default NitrificationPanel;
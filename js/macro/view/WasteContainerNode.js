@@ -0,0 +1,118 @@
+// Copyright 2026, agent
+
+/**
+ * WasteContainerNode is the container beneath the drain faucet, which collects the solution that is drained from the
+ * beaker. It displays the volume of the waste, and has buttons for emptying the container, and for pouring the waste
+ * back into the beaker.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import SolutionNode from '../../common/view/SolutionNode.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+
+// constants
+const LABEL_FONT = new PhetFont( 14 );
+const BUTTON_FONT = new PhetFont( 12 );
+const RIM_OFFSET = 8;
+
+class WasteContainerNode extends Node {
+
+  /**
+   * @param {MacroModel} model
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( model, modelViewTransform, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'container beneath the drain faucet, which collects the solution that is drained'
+    }, options );
+
+    super( options );
+
+    const wasteContainer = model.wasteContainer;
+    const beaker = wasteContainer.beaker;
+
+    // @public (read-only) the waste in the container, used by the pH meter to determine whether its probe is in the waste
+    this.solutionNode = new SolutionNode( wasteContainer, beaker, modelViewTransform );
+
+    // outline of the container, starting from upper left, like BeakerNode
+    const viewPosition = modelViewTransform.modelToViewPosition( beaker.position );
+    const width = modelViewTransform.modelToViewDeltaX( beaker.size.width );
+    const height = modelViewTransform.modelToViewDeltaY( beaker.size.height );
+    const outlineNode = new Path( new Shape()
+      .moveTo( -( width / 2 ) - RIM_OFFSET, -height - RIM_OFFSET )
+      .lineTo( -( width / 2 ), -height )
+      .lineTo( -( width / 2 ), 0 )
+      .lineTo( width / 2, 0 )
+      .lineTo( width / 2, -height )
+      .lineTo( ( width / 2 ) + RIM_OFFSET, -height - RIM_OFFSET ), {
+      stroke: 'black',
+      lineWidth: 2,
+      lineCap: 'round',
+      lineJoin: 'round',
+      translation: viewPosition
+    } );
+
+    // label, e.g. 'Waste: 0.35 L', inside the container
+    const labelNode = new Text( '', {
+      font: LABEL_FONT,
+      maxWidth: width - 10,
+      tandem: options.tandem.createTandem( 'labelNode' )
+    } );
+    wasteContainer.totalVolumeProperty.link( totalVolume => {
+      labelNode.text = StringUtils.format( phScaleStrings.pattern.waste0volume,
+        StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( totalVolume, PHScaleConstants.VOLUME_DECIMAL_PLACES ), phScaleStrings.units.liters ) );
+      labelNode.centerX = viewPosition.x;
+      labelNode.bottom = viewPosition.y - 4;
+    } );
+
+    // buttons to the right of the container
+    const emptyButton = new TextPushButton( phScaleStrings.empty, {
+      font: BUTTON_FONT,
+      maxWidth: 100,
+      enabledProperty: new DerivedProperty( [ wasteContainer.totalVolumeProperty ], totalVolume => totalVolume > 0 ),
+      listener: () => wasteContainer.empty(),
+      tandem: options.tandem.createTandem( 'emptyButton' )
+    } );
+    const pourBackButton = new TextPushButton( phScaleStrings.pourBack, {
+      font: BUTTON_FONT,
+      maxWidth: 100,
+      enabledProperty: new DerivedProperty( [ wasteContainer.totalVolumeProperty, model.solution.totalVolumeProperty ],
+        ( wasteVolume, solutionVolume ) => wasteVolume > 0 && solutionVolume < model.beaker.volume ),
+      listener: () => model.pourWasteIntoBeaker(),
+      tandem: options.tandem.createTandem( 'pourBackButton' )
+    } );
+    const buttonsNode = new VBox( {
+      spacing: 5,
+      align: 'left',
+      children: [ emptyButton, pourBackButton ],
+      left: outlineNode.right + 10,
+      bottom: viewPosition.y
+    } );
+
+    this.children = [ this.solutionNode, outlineNode, labelNode, buttonsNode ];
+  }
+}
+
+phScale.register( 'WasteContainerNode', WasteContainerNode );
+export default WasteContainerNode;
@@ -24,8 +24,9 @@ class MicroScreen extends Screen {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [modelOptions]
    */
-  constructor( tandem ) {
+  constructor( tandem, modelOptions ) {
     assert && assert( tandem instanceof Tandem, 'invalid tandem' );
 
     const options = {
@@ -43,7 +44,7 @@ class MicroScreen extends Screen {
     };
 
     super(
-      () => new MicroModel( tandem.createTandem( 'model' ) ),
+      () => new MicroModel( tandem.createTandem( 'model' ), modelOptions ),
       model => new MicroScreenView( model, ModelViewTransform2.createIdentity(), tandem.createTandem( 'view' ) ),
       options
     );
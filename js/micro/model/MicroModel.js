@@ -1,35 +1,35 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * MicroModel is the model for the 'Micro' screen.  It extends the MacroModel, substituting a different solution
- * model, and omitting the pH meter.
+ * MicroModel is the model for the 'Micro' screen.  It extends the MacroModel, omitting the pH meter and the balance.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import MacroModel from '../../macro/model/MacroModel.js';
 import phScale from '../../phScale.js';
-import MicroSolution from './MicroSolution.js';
 
 class MicroModel extends MacroModel {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options] - see MacroModel
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
     assert && assert( tandem instanceof Tandem, 'invalid tandem' );
 
-    super( tandem, {
-
-      // Creates the solution needed by the Micro screen
-      createSolution: ( solutionProperty, options ) => new MicroSolution( solutionProperty, options ),
+    super( tandem, merge( {
 
       // pHMeter is not needed in the Micro screen, because it has no moving parts and it's always measuring the
       // pH of the solution. See https://github.com/phetsims/ph-scale/issues/137
-      includePHMeter: false
-    } );
+      includePHMeter: false,
+
+      // The balance is for the lab-bench workflow of the Macro screen.
+      includeBalance: false
+    }, options ) );
 
     // adjust the drag bounds of the dropper to account for different user-interface constraints
     const yDropper = this.dropper.positionProperty.get().y;
@@ -12,31 +12,42 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
-import Property from '../../../../axon/js/Property.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import EyeDropperNode from '../../../../scenery-phet/js/EyeDropperNode.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
-import Water from '../../common/model/Water.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import BeakerControlPanel from '../../common/view/BeakerControlPanel.js';
 import BeakerNode from '../../common/view/BeakerNode.js';
+import BufferCapacityPanel from '../../common/view/BufferCapacityPanel.js';
+import CarbonatePanel from '../../common/view/CarbonatePanel.js';
+import DataLoggerCheckbox from '../../common/view/DataLoggerCheckbox.js';
+import DataLoggerNode from '../../common/view/DataLoggerNode.js';
 import DrainFaucetNode from '../../common/view/DrainFaucetNode.js';
 import DropperFluidNode from '../../common/view/DropperFluidNode.js';
+import EvaporationPanel from '../../common/view/EvaporationPanel.js';
+import ExportDataButton from '../../common/view/ExportDataButton.js';
 import FaucetFluidNode from '../../common/view/FaucetFluidNode.js';
 import GraphNode from '../../common/view/graph/GraphNode.js';
+import LabNotebookCheckbox from '../../common/view/LabNotebookCheckbox.js';
+import LabNotebookNode from '../../common/view/LabNotebookNode.js';
 import MoleculeCountNode from '../../common/view/MoleculeCountNode.js';
 import PHDropperNode from '../../common/view/PHDropperNode.js';
 import PHMeterNode from '../../common/view/PHMeterNode.js';
 import PHScaleViewProperties from '../../common/view/PHScaleViewProperties.js';
 import RatioNode from '../../common/view/RatioNode.js';
-import SoluteComboBox from '../../common/view/SoluteComboBox.js';
+import SoluteSelectorNode from '../../common/view/SoluteSelectorNode.js';
 import SolutionNode from '../../common/view/SolutionNode.js';
+import TemperatureControl from '../../common/view/TemperatureControl.js';
 import VolumeIndicatorNode from '../../common/view/VolumeIndicatorNode.js';
 import WaterFaucetNode from '../../common/view/WaterFaucetNode.js';
+import NitrificationPanel from '../../macro/view/NitrificationPanel.js';
+import WasteContainerNode from '../../macro/view/WasteContainerNode.js';
 import phScale from '../../phScale.js';
 
 class MicroScreenView extends ScreenView {
@@ -78,16 +89,26 @@ class MicroScreenView extends ScreenView {
     dropperNode.setScaleMagnitude( DROPPER_SCALE );
     const dropperFluidNode = new DropperFluidNode( model.dropper, model.beaker, DROPPER_SCALE * EyeDropperNode.TIP_WIDTH, modelViewTransform );
 
+    // @private drops are animated by step
+    this.dropperFluidNode = dropperFluidNode;
+
     // faucets
-    const waterFaucetNode = new WaterFaucetNode( model.waterFaucet, modelViewTransform, {
+    const waterSourceListParent = new Node();
+    const waterFaucetNode = new WaterFaucetNode( model.waterFaucet, model.waterSourceProperty, waterSourceListParent, modelViewTransform, {
       tandem: tandem.createTandem( 'waterFaucetNode' )
     } );
     const drainFaucetNode = new DrainFaucetNode( model.drainFaucet, modelViewTransform, {
       tandem: tandem.createTandem( 'drainFaucetNode' )
     } );
+
+    // waste container beneath the drain faucet
+    const wasteContainerNode = new WasteContainerNode( model, modelViewTransform, {
+      tandem: tandem.createTandem( 'wasteContainerNode' )
+    } );
+    const waterColorProperty = new DerivedProperty( [ model.waterSourceProperty ], waterSource => waterSource.color );
     const SOLVENT_FLUID_HEIGHT = model.beaker.position.y - model.waterFaucet.position.y;
-    const DRAIN_FLUID_HEIGHT = 1000; // tall enough that resizing the play area is unlikely to show bottom of fluid
-    const waterFluidNode = new FaucetFluidNode( model.waterFaucet, new Property( Water.color ), SOLVENT_FLUID_HEIGHT, modelViewTransform );
+    const DRAIN_FLUID_HEIGHT = model.wasteContainer.beaker.position.y - model.drainFaucet.position.y; // falls into the waste
+    const waterFluidNode = new FaucetFluidNode( model.waterFaucet, waterColorProperty, SOLVENT_FLUID_HEIGHT, modelViewTransform );
     const drainFluidNode = new FaucetFluidNode( model.drainFaucet, model.solution.colorProperty, DRAIN_FLUID_HEIGHT, modelViewTransform );
 
     // 'H3O+/OH- ratio' representation
@@ -114,6 +135,7 @@ class MicroScreenView extends ScreenView {
     const graphNode = new GraphNode( model.solution.pHProperty, model.solution.totalVolumeProperty,
       model.solution.derivedProperties, {
         hasLinearFeature: true,
+        hasActivityFeature: true,
         logScaleHeight: 485,
         linearScaleHeight: 440,
         tandem: tandem.createTandem( 'graphNode' )
@@ -126,11 +148,65 @@ class MicroScreenView extends ScreenView {
         tandem: tandem.createTandem( 'pHMeterNode' )
       } );
 
-    // solutes combo box
+    // solutes combo box, including custom solutes
     const soluteListParent = new Node();
-    const soluteComboBox = new SoluteComboBox( model.solutes, model.dropper.soluteProperty, soluteListParent, {
-      maxWidth: 400,
-      tandem: tandem.createTandem( 'soluteComboBox' )
+    const soluteSelectorNode = new SoluteSelectorNode( model.solutes, model.dropper.soluteProperty, soluteListParent, {
+      maxWidth: 580,
+      tandem: tandem.createTandem( 'soluteSelectorNode' )
+    } );
+
+    // buffer capacity of the solution
+    const bufferCapacityPanel = new BufferCapacityPanel( model.solution.bufferCapacityProperty, {
+      tandem: tandem.createTandem( 'bufferCapacityPanel' )
+    } );
+
+    // temperature of the solution
+    const temperatureControl = new TemperatureControl( model.solution.temperatureProperty, {
+      tandem: tandem.createTandem( 'temperatureControl' )
+    } );
+
+    // exchange of CO2 with the air, and the carbonate species
+    const carbonatePanel = new CarbonatePanel( model.solution.co2ExchangeEnabledProperty,
+      model.solution.carbonateConcentrationProperties, {
+        tandem: tandem.createTandem( 'carbonatePanel' )
+      } );
+
+    // evaporation of water, and time lapse
+    const evaporationPanel = new EvaporationPanel( model.solution.evaporationEnabledProperty,
+      model.solution.evaporationRateProperty, model.timeLapseFactorProperty, {
+        tandem: tandem.createTandem( 'evaporationPanel' )
+      } );
+
+    // conversion of ammonium to nitrate
+    const nitrificationPanel = new NitrificationPanel( model.nitrification, {
+      tandem: tandem.createTandem( 'nitrificationPanel' )
+    } );
+
+    // data logger, the checkbox that shows it, and the button that exports its data
+    const dataLoggerNode = new DataLoggerNode( model.dataLogger, model.beaker.volume, this.layoutBounds, {
+      visibleProperty: viewProperties.dataLoggerVisibleProperty,
+      tandem: tandem.createTandem( 'dataLoggerNode' )
+    } );
+    const dataLoggerCheckbox = new DataLoggerCheckbox( viewProperties.dataLoggerVisibleProperty, {
+      tandem: tandem.createTandem( 'dataLoggerCheckbox' )
+    } );
+    const exportDataButton = new ExportDataButton( model.dataLogger, model.solution.derivedProperties, {
+      tandem: tandem.createTandem( 'exportDataButton' )
+    } );
+
+    // lab notebook, and the checkbox that shows it
+    const labNotebookNode = new LabNotebookNode( model, this.layoutBounds, {
+      visibleProperty: viewProperties.labNotebookVisibleProperty,
+      tandem: tandem.createTandem( 'labNotebookNode' )
+    } );
+    const labNotebookCheckbox = new LabNotebookCheckbox( viewProperties.labNotebookVisibleProperty, {
+      tandem: tandem.createTandem( 'labNotebookCheckbox' )
+    } );
+
+    const dataControlsNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ dataLoggerCheckbox, labNotebookCheckbox, exportDataButton ]
     } );
 
     const resetAllButton = new ResetAllButton( {
@@ -141,6 +217,8 @@ class MicroScreenView extends ScreenView {
         viewProperties.reset();
         graphNode.reset();
         pHMeterNode.reset();
+        dataLoggerNode.reset();
+        labNotebookNode.reset();
       },
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
@@ -153,6 +231,7 @@ class MicroScreenView extends ScreenView {
         waterFaucetNode,
         drainFluidNode,
         drainFaucetNode,
+        wasteContainerNode,
         dropperFluidNode,
         dropperNode,
         solutionNode,
@@ -162,10 +241,19 @@ class MicroScreenView extends ScreenView {
         moleculeCountNode,
         volumeIndicatorNode,
         beakerControlPanel,
+        bufferCapacityPanel,
         graphNode,
+        temperatureControl,
+        carbonatePanel,
+        evaporationPanel,
+        nitrificationPanel,
+        dataControlsNode,
         resetAllButton,
-        soluteComboBox,
-        soluteListParent // last, so that combo box list is on top
+        soluteSelectorNode,
+        dataLoggerNode, // floating panels are above everything but the combo box lists
+        labNotebookNode,
+        waterSourceListParent,
+        soluteListParent // last, so that combo box lists are on top
       ]
     } );
     this.addChild( rootNode );
@@ -179,10 +267,30 @@ class MicroScreenView extends ScreenView {
     pHMeterNode.top = pHMeterTop;
     graphNode.right = drainFaucetNode.left - 40;
     graphNode.top = pHMeterNode.top;
-    soluteComboBox.left = pHMeterNode.right + 35;
-    soluteComboBox.top = this.layoutBounds.top + pHMeterTop;
+    soluteSelectorNode.left = pHMeterNode.right + 35;
+    soluteSelectorNode.top = this.layoutBounds.top + pHMeterTop;
+    temperatureControl.right = this.layoutBounds.right - 20;
+    temperatureControl.top = soluteSelectorNode.bottom + 20;
+    carbonatePanel.right = temperatureControl.right;
+    carbonatePanel.top = temperatureControl.bottom + 10;
+    evaporationPanel.right = carbonatePanel.right;
+    evaporationPanel.top = carbonatePanel.bottom + 10;
+    nitrificationPanel.right = evaporationPanel.right;
+    nitrificationPanel.top = evaporationPanel.bottom + 10;
+    bufferCapacityPanel.left = this.layoutBounds.left + 20;
+    bufferCapacityPanel.bottom = this.layoutBounds.bottom - 20;
     resetAllButton.right = this.layoutBounds.right - 40;
     resetAllButton.bottom = this.layoutBounds.bottom - 20;
+    dataControlsNode.right = resetAllButton.left - 30;
+    dataControlsNode.centerY = resetAllButton.centerY;
+  }
+
+  /**
+   * @param {number} dt - time change, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.dropperFluidNode.step( dt );
   }
 }
 
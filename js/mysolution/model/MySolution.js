@@ -6,12 +6,15 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Range from '../../../../dot/js/Range.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import PHModel from '../../common/model/PHModel.js';
 import SolutionDerivedProperties from '../../common/model/SolutionDerivedProperties.js';
 import Water from '../../common/model/Water.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
@@ -29,6 +32,7 @@ class MySolution extends PhetioObject {
       pH: 7,
       volume: 0.5, // L
       maxVolume: 1.2, // L
+      temperature: Water.temperature, // degrees Celsius
 
       // phet-io
       tandem: Tandem.REQUIRED,
@@ -54,13 +58,29 @@ class MySolution extends PhetioObject {
       phetioHighFrequency: true
     } );
 
+    // @public temperature of the solution, in degrees Celsius
+    this.temperatureProperty = new NumberProperty( options.temperature, {
+      range: PHScaleConstants.TEMPERATURE_RANGE,
+      tandem: options.tandem.createTandem( 'temperatureProperty' ),
+      phetioDocumentation: 'temperature of the solution, in degrees Celsius'
+    } );
+
+    // @public pKw of the solution, which depends on temperature
+    this.pKwProperty = new DerivedProperty( [ this.temperatureProperty ],
+      temperature => PHModel.temperatureToPKw( temperature ), {
+        tandem: options.tandem.createTandem( 'pKwProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'pKw of the solution, the negative log of the ion-product constant of water, ' +
+                             '[H<sub>3</sub>O<sup>+</sup>][OH<sup>-</sup>]'
+      } );
+
     // @public
     this.colorProperty = new Property( Water.color, {
       // DO NOT INSTRUMENT FOR PhET-iO
     } );
 
     // @public
-    this.derivedProperties = new SolutionDerivedProperties( this.pHProperty, this.totalVolumeProperty, {
+    this.derivedProperties = new SolutionDerivedProperties( this.pHProperty, this.totalVolumeProperty, this.pKwProperty, {
       tandem: options.tandem // Properties created by SolutionDerivedProperties should appear as if they are children of MySolution.
     } );
   }
@@ -71,6 +91,7 @@ class MySolution extends PhetioObject {
   reset() {
     this.pHProperty.reset();
     this.totalVolumeProperty.reset();
+    this.temperatureProperty.reset();
     // this.derivedProperties does not need to be reset because all of its Properties are derived.
   }
 }
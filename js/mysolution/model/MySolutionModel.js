@@ -8,8 +8,12 @@
 
 import Tandem from '../../../../tandem/js/Tandem.js';
 import Beaker from '../../common/model/Beaker.js';
+import DataLogger from '../../common/model/DataLogger.js';
+import labNotebook from '../../common/model/labNotebook.js';
+import LoggedQuantity from '../../common/model/LoggedQuantity.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
 import MySolution from './MySolution.js';
 
 // constants
@@ -34,6 +38,14 @@ class MySolutionModel {
       maxVolume: this.beaker.volume,
       tandem: tandem.createTandem( 'solution' )
     } );
+
+    // @public records pH and volume over time. The solution has no solute and water volumes, only a total volume.
+    this.dataLogger = new DataLogger( [
+      { name: phScaleStrings.channel.solutionPH, property: this.solution.pHProperty, quantity: LoggedQuantity.PH },
+      { name: phScaleStrings.channel.totalVolume, property: this.solution.totalVolumeProperty, quantity: LoggedQuantity.VOLUME }
+    ], {
+      tandem: tandem.createTandem( 'dataLogger' )
+    } );
   }
 
   /**
@@ -41,6 +53,31 @@ class MySolutionModel {
    */
   reset() {
     this.solution.reset();
+    this.dataLogger.reset();
+  }
+
+  /**
+   * Records the solution in the lab notebook. The solution is specified by its pH, so the solute and the solute and
+   * water volumes are unknown.
+   * @public
+   */
+  recordNotebookEntry() {
+    labNotebook.addEntry( {
+      solute: null,
+      soluteVolume: null,
+      waterVolume: null,
+      totalVolume: this.solution.totalVolumeProperty.get(),
+      pH: this.solution.pHProperty.get()
+    } );
+  }
+
+  /**
+   * Moves time forward by the specified amount.
+   * @param {number} deltaSeconds - clock time change, in seconds
+   * @public
+   */
+  step( deltaSeconds ) {
+    this.dataLogger.step( deltaSeconds );
   }
 }
 
@@ -17,16 +17,23 @@ import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import PHScaleConstants from '../../common/PHScaleConstants.js';
 import BeakerControlPanel from '../../common/view/BeakerControlPanel.js';
 import BeakerNode from '../../common/view/BeakerNode.js';
+import DataLoggerCheckbox from '../../common/view/DataLoggerCheckbox.js';
+import DataLoggerNode from '../../common/view/DataLoggerNode.js';
+import ExportDataButton from '../../common/view/ExportDataButton.js';
 import GraphNode from '../../common/view/graph/GraphNode.js';
+import LabNotebookCheckbox from '../../common/view/LabNotebookCheckbox.js';
+import LabNotebookNode from '../../common/view/LabNotebookNode.js';
 import MoleculeCountNode from '../../common/view/MoleculeCountNode.js';
 import PHMeterNode from '../../common/view/PHMeterNode.js';
 import PHScaleViewProperties from '../../common/view/PHScaleViewProperties.js';
 import RatioNode from '../../common/view/RatioNode.js';
 import SolutionNode from '../../common/view/SolutionNode.js';
+import TemperatureControl from '../../common/view/TemperatureControl.js';
 import VolumeIndicatorNode from '../../common/view/VolumeIndicatorNode.js';
 import phScale from '../../phScale.js';
 
@@ -97,6 +104,38 @@ class MySolutionScreenView extends ScreenView {
         tandem: tandem.createTandem( 'pHMeterNode' )
       } );
 
+    // temperature of the solution
+    const temperatureControl = new TemperatureControl( model.solution.temperatureProperty, {
+      tandem: tandem.createTandem( 'temperatureControl' )
+    } );
+
+    // data logger, the checkbox that shows it, and the button that exports its data
+    const dataLoggerNode = new DataLoggerNode( model.dataLogger, model.beaker.volume, this.layoutBounds, {
+      visibleProperty: viewProperties.dataLoggerVisibleProperty,
+      tandem: tandem.createTandem( 'dataLoggerNode' )
+    } );
+    const dataLoggerCheckbox = new DataLoggerCheckbox( viewProperties.dataLoggerVisibleProperty, {
+      tandem: tandem.createTandem( 'dataLoggerCheckbox' )
+    } );
+    const exportDataButton = new ExportDataButton( model.dataLogger, model.solution.derivedProperties, {
+      tandem: tandem.createTandem( 'exportDataButton' )
+    } );
+
+    // lab notebook, and the checkbox that shows it
+    const labNotebookNode = new LabNotebookNode( model, this.layoutBounds, {
+      visibleProperty: viewProperties.labNotebookVisibleProperty,
+      tandem: tandem.createTandem( 'labNotebookNode' )
+    } );
+    const labNotebookCheckbox = new LabNotebookCheckbox( viewProperties.labNotebookVisibleProperty, {
+      tandem: tandem.createTandem( 'labNotebookCheckbox' )
+    } );
+
+    const dataControlsNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ dataLoggerCheckbox, labNotebookCheckbox, exportDataButton ]
+    } );
+
     const resetAllButton = new ResetAllButton( {
       scale: 1.32,
       listener: () => {
@@ -105,6 +144,8 @@ class MySolutionScreenView extends ScreenView {
         viewProperties.reset();
         graphNode.reset();
         pHMeterNode.reset();
+        dataLoggerNode.reset();
+        labNotebookNode.reset();
       },
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
@@ -120,7 +161,11 @@ class MySolutionScreenView extends ScreenView {
         volumeIndicatorNode,
         beakerControlPanel,
         graphNode,
-        resetAllButton
+        temperatureControl,
+        dataControlsNode,
+        resetAllButton,
+        dataLoggerNode, // floating panels are above everything else
+        labNotebookNode
       ]
     } );
     this.addChild( rootNode );
@@ -134,8 +179,12 @@ class MySolutionScreenView extends ScreenView {
     beakerControlPanel.top = beakerNode.bottom + 10;
     graphNode.right = beakerNode.left - 70;
     graphNode.top = pHMeterNode.top;
+    temperatureControl.right = this.layoutBounds.right - 20;
+    temperatureControl.top = pHMeterTop;
     resetAllButton.right = this.layoutBounds.right - 40;
     resetAllButton.bottom = this.layoutBounds.bottom - 20;
+    dataControlsNode.right = resetAllButton.left - 30;
+    dataControlsNode.centerY = resetAllButton.centerY;
   }
 }
 
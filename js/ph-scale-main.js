@@ -9,23 +9,31 @@
 import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import SoluteCatalog from './common/model/SoluteCatalog.js';
 import PHScaleConstants from './common/PHScaleConstants.js';
+import PHScaleQueryParameters from './common/PHScaleQueryParameters.js';
 import MacroScreen from './macro/MacroScreen.js';
 import MicroScreen from './micro/MicroScreen.js';
 import MySolutionScreen from './mysolution/MySolutionScreen.js';
 import phScaleStrings from './phScaleStrings.js';
+import TitrationScreen from './titration/TitrationScreen.js';
 
 simLauncher.launch( () => {
 
-  const screens = [
-    new MacroScreen( Tandem.ROOT.createTandem( 'macroScreen' ) ),
-    new MicroScreen( Tandem.ROOT.createTandem( 'microScreen' ) ),
-    new MySolutionScreen( Tandem.ROOT.createTandem( 'mySolutionScreen' ) )
-  ];
+  // The solute catalog may need to be loaded from a file, so create the sim after it has been loaded.
+  SoluteCatalog.load( PHScaleQueryParameters.solutes ).then( solutes => {
 
-  const sim = new Sim( phScaleStrings[ 'ph-scale' ].title, screens, {
-    credits: PHScaleConstants.CREDITS
-  } );
+    const screens = [
+      new MacroScreen( Tandem.ROOT.createTandem( 'macroScreen' ), { solutes: solutes } ),
+      new MicroScreen( Tandem.ROOT.createTandem( 'microScreen' ), { solutes: solutes } ),
+      new MySolutionScreen( Tandem.ROOT.createTandem( 'mySolutionScreen' ) ),
+      new TitrationScreen( Tandem.ROOT.createTandem( 'titrationScreen' ) )
+    ];
+
+    const sim = new Sim( phScaleStrings[ 'ph-scale' ].title, screens, {
+      credits: PHScaleConstants.CREDITS
+    } );
 
-  sim.start();
+    sim.start();
+  } );
 } );
\ No newline at end of file
@@ -13,6 +13,9 @@ window.phet.preloads.phetio.phetioElementsOverrides =
     "phScale.global.model.solutes.ammonium.nameProperty": {
       "phetioFeatured": true
     },
+    "phScale.global.model.solutes.ammoniumNitrate.nameProperty": {
+      "phetioFeatured": true
+    },
     "phScale.global.model.solutes.phosphoricAcid.nameProperty": {
       "phetioFeatured": true
     },
@@ -73,7 +76,7 @@ window.phet.preloads.phetio.phetioElementsOverrides =
     "phScale.macroScreen.view.waterFaucetNode.visibleProperty": {
       "phetioFeatured": true
     },
-    "phScale.macroScreen.view.waterFaucetNode.waterLabelNode.visibleProperty": {
+    "phScale.macroScreen.view.waterFaucetNode.waterSourceComboBox.visibleProperty": {
       "phetioFeatured": true
     },
     "phScale.microScreen.model.autofillEnabledProperty": {
@@ -214,7 +217,7 @@ window.phet.preloads.phetio.phetioElementsOverrides =
     "phScale.microScreen.view.waterFaucetNode.visibleProperty": {
       "phetioFeatured": true
     },
-    "phScale.microScreen.view.waterFaucetNode.waterLabelNode.visibleProperty": {
+    "phScale.microScreen.view.waterFaucetNode.waterSourceComboBox.visibleProperty": {
       "phetioFeatured": true
     },
     "phScale.mySolutionScreen.model.solution.concentrationH2OProperty": {
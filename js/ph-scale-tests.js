@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Unit tests for ph-scale. Please run once in phet brand and once in brand=phet-io to cover all functionality.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './common/model/PHModelTests.js';
+import './common/model/SoluteCatalogTests.js';
+import './common/model/SoluteTests.js';
+import './common/model/WaterSourceTests.js';
+import './macro/model/BalanceTests.js';
+import './macro/model/MacroSolutionTests.js';
+import './macro/model/NitrificationTests.js';
+import './macro/model/WasteContainerTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
@@ -0,0 +1,93 @@
+// Copyright 2013-2020, University of Colorado Boulder
+
+/**
+ * The 'Titration' screen, adapted from MySolutionScreen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ * @author agent
+ */
+
+import Property from '../../../axon/js/Property.js';
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import Shape from '../../../kite/js/Shape.js';
+import ModelViewTransform2 from '../../../phetcommon/js/view/ModelViewTransform2.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Path from '../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import Solute from '../common/model/Solute.js';
+import PHScaleColors from '../common/PHScaleColors.js';
+import phScale from '../phScale.js';
+import phScaleStrings from '../phScaleStrings.js';
+import TitrationModel from './model/TitrationModel.js';
+import TitrationScreenView from './view/TitrationScreenView.js';
+
+class TitrationScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+    assert && assert( tandem instanceof Tandem, 'invalid tandem' );
+
+    const options = {
+      name: phScaleStrings.screen.titration,
+      backgroundColorProperty: new Property( PHScaleColors.SCREEN_BACKGROUND ),
+      homeScreenIcon: new ScreenIcon( createIconNode(), {
+        fill: PHScaleColors.SCREEN_BACKGROUND
+      } ),
+      tandem: tandem
+    };
+
+    super(
+      () => new TitrationModel( tandem.createTandem( 'model' ) ),
+      model => new TitrationScreenView( model, ModelViewTransform2.createIdentity(), tandem.createTandem( 'view' ) ),
+      options
+    );
+  }
+}
+
+/**
+ * Creates the icon for this screen, a burette above a beaker of solution.
+ * @returns {Node}
+ */
+function createIconNode() {
+
+  const solutionNode = new Rectangle( 0, 60, 100, 40, {
+    fill: Solute.NITRIC_ACID.computeColor( 0.5 )
+  } );
+
+  const beakerNode = new Path( new Shape()
+    .moveTo( -10, 0 )
+    .lineTo( 0, 10 )
+    .lineTo( 0, 100 )
+    .lineTo( 100, 100 )
+    .lineTo( 100, 10 )
+    .lineTo( 110, 0 ), {
+    stroke: 'black',
+    lineWidth: 3
+  } );
+
+  const buretteNode = new Path( new Shape()
+    .moveTo( 40, -80 )
+    .lineTo( 40, 20 )
+    .lineTo( 48, 35 )
+    .moveTo( 52, 35 )
+    .lineTo( 60, 20 )
+    .lineTo( 60, -80 ), {
+    stroke: 'black',
+    lineWidth: 3
+  } );
+
+  const titrantNode = new Rectangle( 40, -50, 20, 70, {
+    fill: Solute.SODIUM_HYDROXIDE.stockColor
+  } );
+
+  return new Node( {
+    children: [ solutionNode, beakerNode, titrantNode, buretteNode ]
+  } );
+}
+
+phScale.register( 'TitrationScreen', TitrationScreen );
+export default TitrationScreen;
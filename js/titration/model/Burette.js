@@ -0,0 +1,76 @@
+// Copyright 2013-2020, University of Colorado Boulder
+
+/**
+ * Burette model, adapted from Faucet, used to dispense titrant into the beaker in the 'Titration' screen.
+ * The flow of titrant is controlled by the burette's stopcock. Like Faucet, it has a position, spoutWidth,
+ * maxFlowRate and flowRateProperty, so the fluid coming out of it can be displayed using FaucetFluidNode.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+
+class Burette {
+
+  /**
+   * @param {Vector2} position - tip of the burette
+   * @param {Object} [options]
+   */
+  constructor( position, options ) {
+
+    options = merge( {
+      capacity: 0.5, // L
+      spoutWidth: 10, // pixels
+      maxFlowRate: 0.05, // L/sec
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @public (read-only)
+    this.position = position;
+    this.capacity = options.capacity;
+    this.spoutWidth = options.spoutWidth;
+    this.maxFlowRate = options.maxFlowRate;
+
+    // @public
+    this.flowRateProperty = new NumberProperty( 0, {
+      range: new Range( 0, options.maxFlowRate ),
+      units: 'L/s',
+      tandem: options.tandem.createTandem( 'flowRateProperty' ),
+      phetioDocumentation: 'the flow rate of titrant coming out of the burette, as set by the stopcock',
+      phetioHighFrequency: true
+    } );
+
+    // @public
+    this.enabledProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'enabledProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'whether the burette is enabled'
+    } );
+
+    // when disabled, close the stopcock.
+    this.enabledProperty.link( enabled => {
+      if ( !enabled ) {
+        this.flowRateProperty.set( 0 );
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.flowRateProperty.reset();
+    this.enabledProperty.reset();
+  }
+}
+
+phScale.register( 'Burette', Burette );
+export default Burette;
@@ -0,0 +1,172 @@
+// Copyright 2026, agent
+
+/**
+ * Model for the 'Titration' screen. A burette dispenses a titrant (a strong acid or base of known concentration)
+ * into a fixed volume of analyte in the beaker. The pH of the solution is measured as titrant is added.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import Beaker from '../../common/model/Beaker.js';
+import PHModel from '../../common/model/PHModel.js';
+import Solute from '../../common/model/Solute.js';
+import SolutionComposition from '../../common/model/SolutionComposition.js';
+import Water from '../../common/model/Water.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import MacroSolution from '../../macro/model/MacroSolution.js';
+import phScale from '../../phScale.js';
+import Burette from './Burette.js';
+
+// constants
+const ANALYTE_VOLUME = 0.25; // L
+
+class TitrationModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+    assert && assert( tandem instanceof Tandem, 'invalid tandem' );
+
+    // @public analyte choices, in order that they'll appear in the combo box
+    // The order is alphabetical (English names), see https://github.com/phetsims/ph-scale/issues/101
+    this.analytes = [
+      Solute.AMMONIUM,
+      Solute.BATTERY_ACID,
+      Solute.LIME,
+      Solute.NITRIC_ACID,
+      Solute.PHOSPHORIC_ACID,
+      Solute.SOAP
+    ];
+
+    // @public the solute that is titrated
+    this.analyteProperty = new Property( Solute.NITRIC_ACID, {
+      validValues: this.analytes,
+      tandem: tandem.createTandem( 'analyteProperty' ),
+      phetioType: Property.PropertyIO( Solute.SoluteIO ),
+      phetioDocumentation: 'the solute that is titrated, changing it starts a new titration'
+    } );
+
+    // @public the titrant in the burette, a strong base for acidic analytes, a strong acid for basic analytes
+    this.titrantProperty = new DerivedProperty( [ this.analyteProperty ],
+      analyte => ( analyte.pH < Water.pH ) ? Solute.SODIUM_HYDROXIDE : Solute.HYDROCHLORIC_ACID, {
+        tandem: tandem.createTandem( 'titrantProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( Solute.SoluteIO ),
+        phetioDocumentation: 'the titrant in the burette'
+      } );
+
+    // @public Beaker, everything else is positioned relative to it
+    this.beaker = new Beaker( PHScaleConstants.BEAKER_POSITION );
+
+    // @public Solution in the beaker, initially the analyte
+    this.solution = new MacroSolution( this.analyteProperty, {
+      soluteVolume: ANALYTE_VOLUME,
+      maxVolume: this.beaker.volume,
+      tandem: tandem.createTandem( 'solution' )
+    } );
+
+    // @public Burette above the beaker, right of center
+    this.burette = new Burette(
+      new Vector2( this.beaker.position.x + 100, this.beaker.position.y - this.beaker.size.height - 30 ), {
+        tandem: tandem.createTandem( 'burette' )
+      } );
+
+    // @public volume of titrant that has been added to the beaker
+    this.titrantVolumeProperty = new DerivedProperty( [ this.solution.compositionProperty, this.titrantProperty ],
+      ( composition, titrant ) => composition.getVolume( titrant ), {
+        units: 'L',
+        tandem: tandem.createTandem( 'titrantVolumeProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        phetioDocumentation: 'volume of titrant that has been added to the beaker',
+        phetioHighFrequency: true
+      } );
+
+    // @public volumes of titrant at the equivalence points of the titration, see PHModel.computeEquivalenceVolumes
+    this.equivalenceVolumesProperty = new DerivedProperty( [ this.analyteProperty, this.titrantProperty ],
+      ( analyte, titrant ) => {
+        const composition = createAnalyteComposition( analyte );
+        return PHModel.computeEquivalenceVolumes( composition.netMolesH3O, composition.acidBaseSystems[ 0 ] || null,
+          titrant.netH3OPerMole * titrant.molarity );
+      }, {
+        units: 'L',
+        tandem: tandem.createTandem( 'equivalenceVolumesProperty' ),
+        phetioType: DerivedProperty.DerivedPropertyIO( ArrayIO( NumberIO ) ),
+        phetioDocumentation: 'volumes of titrant at the equivalence points of the titration'
+      } );
+
+    // Changing the analyte starts a new titration. This is short-circuited while PhET-iO state is being restored,
+    // so that the restored composition is not changed. See https://github.com/phetsims/ph-scale/issues/132
+    this.analyteProperty.lazyLink( () => {
+      if ( !phet.joist.sim.isSettingPhetioStateProperty.get() ) {
+        this.startOver();
+      }
+    } );
+
+    // Disable the burette when it's empty, or when the beaker is full.
+    Property.multilink( [ this.titrantVolumeProperty, this.solution.totalVolumeProperty ],
+      ( titrantVolume, totalVolume ) => {
+        this.burette.enabledProperty.set( titrantVolume < this.burette.capacity && totalVolume < this.beaker.volume );
+      } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.analyteProperty.reset();
+    this.solution.reset();
+    this.burette.reset();
+  }
+
+  /**
+   * Starts a new titration, with a beaker containing only analyte, and a full burette.
+   * @public
+   */
+  startOver() {
+    this.burette.flowRateProperty.set( 0 );
+    this.solution.compositionProperty.set( createAnalyteComposition( this.analyteProperty.get() ) );
+  }
+
+  /**
+   * Computes the pH of the solution in the beaker, for some volume of titrant added to the analyte.
+   * This is used to plot the titration curve.
+   * @param {number} titrantVolume - L
+   * @returns {number}
+   * @public
+   */
+  computeTitrationPH( titrantVolume ) {
+    const composition = createAnalyteComposition( this.analyteProperty.get() )
+      .withSolute( this.titrantProperty.get(), titrantVolume );
+    return PHModel.computePH( composition.netMolesH3O, composition.totalVolume, composition.acidBaseSystems,
+      this.solution.pKwProperty.get(), composition.spectatorIonicStrength );
+  }
+
+  /**
+   * Moves time forward by the specified amount.
+   * @param deltaSeconds clock time change, in seconds.
+   * @public
+   */
+  step( deltaSeconds ) {
+    const deltaVolume = Math.min( this.burette.flowRateProperty.get() * deltaSeconds,
+      this.burette.capacity - this.titrantVolumeProperty.get() );
+    this.solution.addSolute( deltaVolume, this.titrantProperty.get() );
+  }
+}
+
+/**
+ * Creates the composition of a solution that contains only analyte, as at the start of a titration.
+ * @param {Solute} analyte
+ * @returns {SolutionComposition}
+ */
+function createAnalyteComposition( analyte ) {
+  return SolutionComposition.EMPTY.withSolute( analyte, ANALYTE_VOLUME );
+}
+
+phScale.register( 'TitrationModel', TitrationModel );
+export default TitrationModel;
@@ -0,0 +1,168 @@
+// Copyright 2026, agent
+
+/**
+ * BuretteNode is the burette in the 'Titration' screen. It shows the level of titrant in the burette, with graduations
+ * that are read from the top, a label that describes the titrant, and a stopcock for controlling the flow of titrant.
+ * Origin is at the tip of the burette.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+
+// constants
+const TUBE_WIDTH = 24;
+const TUBE_HEIGHT = 200;
+const TIP_HEIGHT = 25;
+const MINOR_TICK_SPACING = 0.05; // L
+const MINOR_TICKS_PER_MAJOR_TICK = 2;
+const MAJOR_TICK_LENGTH = 12;
+const MINOR_TICK_LENGTH = 6;
+const TICK_FONT = new PhetFont( 12 );
+const LABEL_FONT = new PhetFont( 16 );
+
+class BuretteNode extends Node {
+
+  /**
+   * @param {Burette} burette
+   * @param {Property.<Solute>} titrantProperty
+   * @param {Property.<number>} titrantVolumeProperty - volume of titrant that has been dispensed, in L
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( burette, titrantProperty, titrantVolumeProperty, modelViewTransform, options ) {
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super();
+
+    const tubeBottom = -TIP_HEIGHT;
+    const tubeTop = tubeBottom - TUBE_HEIGHT;
+
+    // Maps volume dispensed to y coordinate in the tube. Graduations on a burette are read from the top.
+    const volumeToY = volume => Utils.linear( 0, burette.capacity, tubeTop, tubeBottom, volume );
+
+    // titrant in the tube
+    const fluidNode = new Rectangle( -TUBE_WIDTH / 2, tubeTop, TUBE_WIDTH, TUBE_HEIGHT );
+    titrantProperty.link( titrant => {
+      fluidNode.fill = titrant.stockColor;
+      fluidNode.stroke = titrant.stockColor.darkerColor();
+    } );
+    titrantVolumeProperty.link( titrantVolume => {
+      const y = volumeToY( Math.min( titrantVolume, burette.capacity ) );
+      fluidNode.setRect( -TUBE_WIDTH / 2, y, TUBE_WIDTH, tubeBottom - y );
+    } );
+
+    // tube and tip
+    const tipWidth = modelViewTransform.modelToViewDeltaX( burette.spoutWidth );
+    const tubeNode = new Path( new Shape()
+      .moveTo( -TUBE_WIDTH / 2, tubeTop )
+      .lineTo( -TUBE_WIDTH / 2, tubeBottom )
+      .lineTo( -tipWidth / 2, 0 )
+      .moveTo( tipWidth / 2, 0 )
+      .lineTo( TUBE_WIDTH / 2, tubeBottom )
+      .lineTo( TUBE_WIDTH / 2, tubeTop ), {
+      stroke: 'black',
+      lineWidth: 2
+    } );
+
+    // graduations on the left side of the tube, labeled in L
+    const ticksParent = new Node();
+    const numberOfTicks = Utils.roundSymmetric( burette.capacity / MINOR_TICK_SPACING );
+    for ( let i = 0; i <= numberOfTicks; i++ ) {
+      const y = volumeToY( i * MINOR_TICK_SPACING );
+      const isMajorTick = ( i % MINOR_TICKS_PER_MAJOR_TICK === 0 );
+      const tickLength = isMajorTick ? MAJOR_TICK_LENGTH : MINOR_TICK_LENGTH;
+      ticksParent.addChild( new Line( -TUBE_WIDTH / 2, y, -TUBE_WIDTH / 2 + tickLength, y, { stroke: 'black' } ) );
+      if ( isMajorTick ) {
+        ticksParent.addChild( new Text( Utils.toFixed( i * MINOR_TICK_SPACING, 1 ), {
+          font: TICK_FONT,
+          right: -TUBE_WIDTH / 2 - 4,
+          centerY: y
+        } ) );
+      }
+    }
+    ticksParent.addChild( new Text( phScaleStrings.units.liters, {
+      font: TICK_FONT,
+      centerX: 0,
+      bottom: tubeTop - 4
+    } ) );
+
+    // stopcock, which controls the flow rate
+    const stopcockSlider = new HSlider( burette.flowRateProperty, new Range( 0, burette.maxFlowRate ), {
+      enabledProperty: burette.enabledProperty,
+      trackSize: new Dimension2( 80, 4 ),
+      thumbSize: new Dimension2( 13, 22 ),
+      tandem: options.tandem.createTandem( 'stopcockSlider' )
+    } );
+    const stopcockNode = new VBox( {
+      spacing: 4,
+      children: [
+        new Text( phScaleStrings.stopcock, { font: LABEL_FONT, maxWidth: 100 } ),
+        stopcockSlider
+      ],
+      left: TUBE_WIDTH / 2 + 10,
+      centerY: tubeBottom
+    } );
+
+    // label that describes the titrant, e.g. '0.1 mol/L Sodium Hydroxide'
+    const titrantNameNode = new Text( '', { font: LABEL_FONT, maxWidth: 180 } );
+    const titrantMolarityNode = new Text( '', { font: LABEL_FONT, maxWidth: 180 } );
+    const titrantLabelNode = new VBox( {
+      spacing: 2,
+      align: 'left',
+      children: [ titrantNameNode, titrantMolarityNode ]
+    } );
+    titrantProperty.link( titrant => {
+      titrantNameNode.text = titrant.name;
+      titrantMolarityNode.text = StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ],
+        titrant.molarity, phScaleStrings.units.molesPerLiter );
+      titrantLabelNode.left = TUBE_WIDTH / 2 + 10;
+      titrantLabelNode.top = tubeTop;
+    } );
+
+    // volume of titrant dispensed
+    const volumeDisplay = new NumberDisplay( titrantVolumeProperty, new Range( 0, burette.capacity ), {
+      valuePattern: StringUtils.format( phScaleStrings.pattern[ '0value' ][ '1units' ], '{{value}}',
+        phScaleStrings.units.liters ),
+      decimalPlaces: 3,
+      textOptions: {
+        font: LABEL_FONT
+      },
+      backgroundFill: 'white',
+      left: TUBE_WIDTH / 2 + 10,
+      centerY: ( tubeTop + tubeBottom ) / 2,
+      tandem: options.tandem.createTandem( 'volumeDisplay' )
+    } );
+
+    this.children = [ fluidNode, tubeNode, ticksParent, titrantLabelNode, volumeDisplay, stopcockNode ];
+
+    this.translation = modelViewTransform.modelToViewPosition( burette.position );
+
+    this.mutate( options );
+  }
+}
+
+phScale.register( 'BuretteNode', BuretteNode );
+export default BuretteNode;
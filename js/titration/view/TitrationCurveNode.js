@@ -0,0 +1,206 @@
+// Copyright 2026, agent
+
+/**
+ * TitrationCurveNode plots pH vs volume of titrant added. The curve is plotted up to the volume of titrant that has
+ * been added, so it builds as the user titrates. Equivalence points are marked when they have been reached.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import PHScaleColors from '../../common/PHScaleColors.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import TitrationModel from '../model/TitrationModel.js';
+
+// constants
+const PLOT_WIDTH = 300;
+const PLOT_HEIGHT = 220;
+const MIN_PH = 0;
+const MAX_PH = 14;
+const PH_TICKS = [ 0, 2, 4, 6, 8, 10, 12, 14 ];
+const VOLUME_TICK_SPACING = 0.1; // L
+const TICK_LENGTH = 5;
+const TICK_FONT = new PhetFont( 12 );
+const LABEL_FONT = new PhetFont( 14 );
+const NUMBER_OF_SAMPLES = 250; // number of points used to plot the entire curve
+const MARKER_RADIUS = 5;
+const MARKER_COLOR = PHScaleColors.NEUTRAL;
+
+class TitrationCurveNode extends Panel {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+    assert && assert( model instanceof TitrationModel, 'invalid model' );
+
+    options = merge( {
+      xMargin: 15,
+      yMargin: 10,
+      lineWidth: 2,
+      fill: PHScaleColors.PANEL_FILL,
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'plot of pH vs volume of titrant added'
+    }, options );
+
+    const capacity = model.burette.capacity;
+
+    // Maps model values to view coordinates
+    const volumeToX = volume => Utils.linear( 0, capacity, 0, PLOT_WIDTH, volume );
+    const pHToY = pH => Utils.linear( MIN_PH, MAX_PH, PLOT_HEIGHT, 0, Utils.clamp( pH, MIN_PH, MAX_PH ) );
+
+    const titleNode = new Text( phScaleStrings.titrationCurve, {
+      font: new PhetFont( { size: 18, weight: 'bold' } ),
+      maxWidth: 300
+    } );
+
+    const curveNode = new Path( null, {
+      stroke: 'black',
+      lineWidth: 2
+    } );
+
+    // equivalence points, created when the analyte changes
+    const markersParent = new Node();
+
+    const plotNode = new Node( {
+      children: [ createAxesNode( capacity, volumeToX, pHToY ), curveNode, markersParent ]
+    } );
+
+    // legend for the equivalence point markers
+    const legendNode = new HBox( {
+      spacing: 6,
+      children: [
+        new Circle( MARKER_RADIUS, { fill: MARKER_COLOR } ),
+        new Text( phScaleStrings.equivalencePoint, { font: TICK_FONT, maxWidth: 200 } )
+      ]
+    } );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ titleNode, plotNode, legendNode ]
+    } );
+
+    super( content, options );
+
+    // {number[]} pH at evenly spaced volumes of titrant, for the entire curve. The curve is computed when the titration
+    // changes, so that it does not need to be recomputed each time that titrant is added.
+    let samplePHs = [];
+    const sampleVolumeStep = capacity / NUMBER_OF_SAMPLES;
+
+    // {{volume:number, node:Node}[]} one for each equivalence point
+    let markers = [];
+
+    // Plots the curve up to the volume of titrant that has been added, and shows the equivalence points that
+    // have been reached.
+    const updateCurve = titrantVolume => {
+      const shape = new Shape().moveTo( volumeToX( 0 ), pHToY( samplePHs[ 0 ] ) );
+      for ( let i = 1; i < samplePHs.length && i * sampleVolumeStep < titrantVolume; i++ ) {
+        shape.lineTo( volumeToX( i * sampleVolumeStep ), pHToY( samplePHs[ i ] ) );
+      }
+      if ( titrantVolume > 0 ) {
+        shape.lineTo( volumeToX( titrantVolume ), pHToY( model.computeTitrationPH( titrantVolume ) ) );
+      }
+      curveNode.shape = shape;
+      markers.forEach( marker => {
+        marker.node.visible = ( marker.volume <= titrantVolume );
+      } );
+    };
+
+    // Computes the curve and equivalence points when the titration changes.
+    Property.multilink( [ model.analyteProperty, model.titrantProperty, model.solution.pKwProperty ], () => {
+
+      samplePHs = _.range( 0, NUMBER_OF_SAMPLES + 1 ).map( i => model.computeTitrationPH( i * sampleVolumeStep ) );
+
+      markers = model.equivalenceVolumesProperty.get()
+        .filter( volume => volume <= capacity )
+        .map( volume => {
+          const x = volumeToX( volume );
+          const y = pHToY( model.computeTitrationPH( volume ) );
+          return {
+            volume: volume,
+            node: new Node( {
+              children: [
+                new Line( x, PLOT_HEIGHT, x, y, { stroke: MARKER_COLOR, lineDash: [ 4, 4 ] } ),
+                new Circle( MARKER_RADIUS, { fill: MARKER_COLOR, centerX: x, centerY: y } )
+              ]
+            } )
+          };
+        } );
+      markersParent.children = _.map( markers, 'node' );
+
+      updateCurve( model.titrantVolumeProperty.get() );
+    } );
+
+    model.titrantVolumeProperty.lazyLink( titrantVolume => updateCurve( titrantVolume ) );
+  }
+}
+
+/**
+ * Creates the axes, ticks, and labels for the plot.
+ * @param {number} capacity - capacity of the burette, in L
+ * @param {function(number):number} volumeToX
+ * @param {function(number):number} pHToY
+ * @returns {Node}
+ */
+function createAxesNode( capacity, volumeToX, pHToY ) {
+
+  const children = [ new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, { fill: 'white', stroke: 'black' } ) ];
+
+  // volume ticks
+  const numberOfVolumeTicks = Utils.roundSymmetric( capacity / VOLUME_TICK_SPACING );
+  for ( let i = 0; i <= numberOfVolumeTicks; i++ ) {
+    const x = volumeToX( i * VOLUME_TICK_SPACING );
+    children.push( new Line( x, PLOT_HEIGHT, x, PLOT_HEIGHT + TICK_LENGTH, { stroke: 'black' } ) );
+    children.push( new Text( Utils.toFixed( i * VOLUME_TICK_SPACING, 1 ), {
+      font: TICK_FONT,
+      centerX: x,
+      top: PLOT_HEIGHT + TICK_LENGTH + 1
+    } ) );
+  }
+
+  // pH ticks
+  PH_TICKS.forEach( pH => {
+    const y = pHToY( pH );
+    children.push( new Line( -TICK_LENGTH, y, 0, y, { stroke: 'black' } ) );
+    children.push( new Text( pH, { font: TICK_FONT, right: -TICK_LENGTH - 2, centerY: y } ) );
+  } );
+
+  // axis labels
+  children.push( new Text( `${phScaleStrings.titrantVolume} (${phScaleStrings.units.liters})`, {
+    font: LABEL_FONT,
+    centerX: PLOT_WIDTH / 2,
+    top: PLOT_HEIGHT + 20,
+    maxWidth: PLOT_WIDTH
+  } ) );
+  children.push( new Text( phScaleStrings.pH, {
+    font: LABEL_FONT,
+    rotation: -Math.PI / 2,
+    centerX: -35,
+    centerY: PLOT_HEIGHT / 2,
+    maxWidth: PLOT_HEIGHT
+  } ) );
+
+  return new Node( { children: children } );
+}
+
+phScale.register( 'TitrationCurveNode', TitrationCurveNode );
+export default TitrationCurveNode;
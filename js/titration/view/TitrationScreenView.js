@@ -0,0 +1,141 @@
+// Copyright 2013-2020, University of Colorado Boulder
+
+/**
+ * View for the 'Titration' screen, adapted from MicroScreenView.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import PHScaleConstants from '../../common/PHScaleConstants.js';
+import BeakerNode from '../../common/view/BeakerNode.js';
+import FaucetFluidNode from '../../common/view/FaucetFluidNode.js';
+import PHMeterNode from '../../common/view/PHMeterNode.js';
+import SoluteComboBox from '../../common/view/SoluteComboBox.js';
+import SolutionNode from '../../common/view/SolutionNode.js';
+import VolumeIndicatorNode from '../../common/view/VolumeIndicatorNode.js';
+import phScale from '../../phScale.js';
+import phScaleStrings from '../../phScaleStrings.js';
+import BuretteNode from './BuretteNode.js';
+import TitrationCurveNode from './TitrationCurveNode.js';
+
+class TitrationScreenView extends ScreenView {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Tandem} tandem
+   */
+  constructor( model, modelViewTransform, tandem ) {
+    assert && assert( tandem instanceof Tandem, 'invalid tandem' );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, 'invalid modelViewTransform' );
+
+    super( merge( {}, PHScaleConstants.SCREEN_VIEW_OPTIONS, {
+      tandem: tandem
+    } ) );
+
+    // beaker
+    const beakerNode = new BeakerNode( model.beaker, modelViewTransform, {
+      tandem: tandem.createTandem( 'beakerNode' )
+    } );
+
+    // solution in the beaker
+    const solutionNode = new SolutionNode( model.solution, model.beaker, modelViewTransform );
+
+    // volume indicator on the right edge of beaker
+    const volumeIndicatorNode = new VolumeIndicatorNode( model.solution.totalVolumeProperty, model.beaker, modelViewTransform, {
+      tandem: tandem.createTandem( 'volumeIndicatorNode' )
+    } );
+
+    // burette, and the titrant coming out of it
+    const buretteNode = new BuretteNode( model.burette, model.titrantProperty, model.titrantVolumeProperty, modelViewTransform, {
+      tandem: tandem.createTandem( 'buretteNode' )
+    } );
+    const TITRANT_FLUID_HEIGHT = model.beaker.position.y - model.burette.position.y;
+    const titrantColorProperty = new DerivedProperty( [ model.titrantProperty ], titrant => titrant.stockColor );
+    const titrantFluidNode = new FaucetFluidNode( model.burette, titrantColorProperty, TITRANT_FLUID_HEIGHT, modelViewTransform );
+
+    // pH meter
+    const pHMeterTop = 15;
+    const pHMeterNode = new PHMeterNode( model.solution.pHProperty,
+      modelViewTransform.modelToViewY( model.beaker.position.y ) - pHMeterTop, {
+        tandem: tandem.createTandem( 'pHMeterNode' )
+      } );
+
+    // analytes combo box
+    const analyteListParent = new Node();
+    const analyteComboBox = new SoluteComboBox( model.analytes, model.analyteProperty, analyteListParent, {
+      maxWidth: 400,
+      tandem: tandem.createTandem( 'analyteComboBox' )
+    } );
+
+    // plot of pH vs titrant volume
+    const titrationCurveNode = new TitrationCurveNode( model, {
+      tandem: tandem.createTandem( 'titrationCurveNode' )
+    } );
+
+    // starts a new titration, with the same analyte
+    const startOverButton = new TextPushButton( phScaleStrings.startOver, {
+      font: new PhetFont( 18 ),
+      maxWidth: 200,
+      listener: () => {
+        this.interruptSubtreeInput();
+        model.startOver();
+      },
+      tandem: tandem.createTandem( 'startOverButton' )
+    } );
+
+    const resetAllButton = new ResetAllButton( {
+      scale: 1.32,
+      listener: () => {
+        this.interruptSubtreeInput();
+        model.reset();
+        pHMeterNode.reset();
+      },
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // Parent for all nodes added to this screen
+    const rootNode = new Node( {
+      children: [
+        // nodes are rendered in this order
+        titrantFluidNode,
+        buretteNode,
+        solutionNode,
+        pHMeterNode,
+        beakerNode,
+        volumeIndicatorNode,
+        titrationCurveNode,
+        startOverButton,
+        resetAllButton,
+        analyteComboBox,
+        analyteListParent // last, so that combo box list is on top
+      ]
+    } );
+    this.addChild( rootNode );
+
+    // Layout of nodes that don't have a position specified in the model
+    pHMeterNode.left = modelViewTransform.modelToViewX( model.beaker.left ) - ( 0.4 * pHMeterNode.width );
+    pHMeterNode.top = pHMeterTop;
+    analyteComboBox.right = this.layoutBounds.right - 20;
+    analyteComboBox.top = this.layoutBounds.top + pHMeterTop;
+    titrationCurveNode.left = this.layoutBounds.left + 20;
+    titrationCurveNode.top = pHMeterNode.bottom + 20;
+    startOverButton.left = titrationCurveNode.left;
+    startOverButton.top = titrationCurveNode.bottom + 15;
+    resetAllButton.right = this.layoutBounds.right - 40;
+    resetAllButton.bottom = this.layoutBounds.bottom - 20;
+  }
+}
+
+phScale.register( 'TitrationScreenView', TitrationScreenView );
+export default TitrationScreenView;